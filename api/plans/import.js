@@ -0,0 +1,9 @@
+import { vercelHandler } from '../../backend/routes/index.js';
+
+export default vercelHandler('/api/plans/import');
+
+export const config = {
+  api: {
+    bodyParser: { sizeLimit: '1mb' }
+  }
+};
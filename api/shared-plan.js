@@ -0,0 +1,3 @@
+import { vercelHandler } from '../backend/routes/index.js';
+
+export default vercelHandler('/api/shared-plan');
@@ -0,0 +1,272 @@
+/**
+ * Admin Analytics
+ * The admin dashboard's reports, built from recorded data only: revenue and
+ * refunds from the payments ledger, failed attempts from payment_failures,
+ * signups and the free-chat-to-paid funnel from users, and API traffic from
+ * usage_events. Every report has a `summary` for the cards, a `daily` series
+ * (UTC days, gaps filled with zeros) for the charts and flat `rows` for CSV.
+ * Functions that touch the database take a `store` (db-adapter or db-neon).
+ */
+
+const DAY_SECONDS = 24 * 60 * 60;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const DEFAULT_RANGE_DAYS = 30;
+export const MAX_RANGE_DAYS = 366;
+
+// Ledger statuses counted in the refunded and disputed totals
+const REFUNDED = ['refunded', 'partially_refunded'];
+const DISPUTED = ['disputed', 'dispute_lost'];
+
+const toDate = seconds => new Date(seconds * 1000).toISOString().slice(0, 10);
+const toSeconds = date => Date.parse(`${date}T00:00:00Z`) / 1000;
+const dayOf = seconds => Math.floor(seconds / DAY_SECONDS) * DAY_SECONDS;
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+/**
+ * Inclusive `from`/`to` dates (YYYY-MM-DD, UTC) from the query string.
+ * Defaults to the last DEFAULT_RANGE_DAYS days including today.
+ * @returns {{from: string, to: string, start: number, end: number}|{error: string}}
+ *   `start`/`end` are epoch seconds, `end` exclusive
+ */
+export function parseDateRange(query = {}, now = Date.now()) {
+  const today = toDate(Math.floor(now / 1000));
+  const to = query.to || today;
+  const from = query.from || toDate(toSeconds(to) - (DEFAULT_RANGE_DAYS - 1) * DAY_SECONDS);
+
+  for (const date of [from, to]) {
+    if (!DATE_PATTERN.test(date) || Number.isNaN(toSeconds(date)) || toDate(toSeconds(date)) !== date) {
+      return { error: `Invalid date "${date}". Use YYYY-MM-DD.` };
+    }
+  }
+
+  const start = toSeconds(from);
+  const end = toSeconds(to) + DAY_SECONDS;
+  if (start >= end) {
+    return { error: '`from` must not be after `to`' };
+  }
+  if ((end - start) / DAY_SECONDS > MAX_RANGE_DAYS) {
+    return { error: `Date ranges are limited to ${MAX_RANGE_DAYS} days` };
+  }
+  return { from, to, start, end };
+}
+
+// One entry per day of the range, built by `makeDay(date)`
+function emptyDays(range, makeDay) {
+  const days = new Map();
+  for (let day = range.start; day < range.end; day += DAY_SECONDS) {
+    days.set(day, makeDay(toDate(day)));
+  }
+  return days;
+}
+
+/**
+ * Revenue (in minor units, per currency), refunds, disputes and failed attempts
+ */
+export async function buildPaymentReport(store, range) {
+  const [payments, failures] = await Promise.all([
+    store.getPaymentsBetween(range.start, range.end),
+    store.getPaymentFailuresBetween(range.start, range.end)
+  ]);
+
+  const revenue = new Map();
+  const days = emptyDays(range, date => ({ date, payments: 0, failed: 0, revenue: {} }));
+
+  for (const payment of payments) {
+    const currency = payment.currency || 'unknown';
+    const lost = payment.status === 'dispute_lost' ? payment.amount - payment.amount_refunded : 0;
+    const net = payment.amount - payment.amount_refunded - lost;
+
+    const totals = revenue.get(currency) || { currency, gross: 0, refunded: 0, lostToDisputes: 0, net: 0 };
+    totals.gross += payment.amount;
+    totals.refunded += payment.amount_refunded;
+    totals.lostToDisputes += lost;
+    totals.net += net;
+    revenue.set(currency, totals);
+
+    const day = days.get(dayOf(payment.created_at));
+    if (day) {
+      day.payments += 1;
+      day.revenue[currency] = (day.revenue[currency] || 0) + net;
+    }
+  }
+  for (const failure of failures) {
+    const day = days.get(dayOf(failure.created_at));
+    if (day) day.failed += 1;
+  }
+
+  const rows = [
+    ...payments.map(payment => ({
+      created_at: new Date(payment.created_at * 1000).toISOString(),
+      type: 'payment',
+      status: payment.status,
+      email: payment.email,
+      payment_intent_id: payment.payment_intent_id,
+      amount: payment.amount / 100,
+      amount_refunded: payment.amount_refunded / 100,
+      currency: payment.currency,
+      reason: ''
+    })),
+    ...failures.map(failure => ({
+      created_at: new Date(failure.created_at * 1000).toISOString(),
+      type: 'failure',
+      status: 'failed',
+      email: failure.email || '',
+      payment_intent_id: failure.payment_intent_id || '',
+      amount: failure.amount / 100,
+      amount_refunded: 0,
+      currency: failure.currency,
+      reason: failure.reason || ''
+    }))
+  ].sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+  return {
+    summary: {
+      payments: payments.length,
+      refunded: payments.filter(payment => REFUNDED.includes(payment.status)).length,
+      disputed: payments.filter(payment => DISPUTED.includes(payment.status)).length,
+      failed: failures.length,
+      successRate: ratio(payments.length, payments.length + failures.length),
+      revenue: [...revenue.values()].sort((a, b) => b.gross - a.gross)
+    },
+    daily: [...days.values()],
+    rows
+  };
+}
+
+/**
+ * Signups in the range and how many of them used a free chat and then paid.
+ * `has_paid` is the current state, so refunded customers no longer count as converted.
+ */
+export async function buildConversionReport(store, range) {
+  const users = await store.getUsersCreatedBetween(range.start, range.end);
+  const days = emptyDays(range, date => ({ date, signups: 0, triedChat: 0, paid: 0 }));
+
+  for (const user of users) {
+    const day = days.get(dayOf(user.created_at));
+    if (!day) continue;
+    day.signups += 1;
+    if (user.free_chats_used > 0) day.triedChat += 1;
+    if (user.has_paid) day.paid += 1;
+  }
+
+  const tried = users.filter(user => user.free_chats_used > 0);
+  const paid = users.filter(user => user.has_paid);
+  const freeChatsBeforePaying = paid.reduce((sum, user) => sum + user.free_chats_used, 0);
+
+  const daily = [...days.values()];
+  return {
+    summary: {
+      signups: users.length,
+      triedChat: tried.length,
+      paid: paid.length,
+      conversionRate: ratio(paid.length, users.length),
+      chatToPaidRate: ratio(tried.filter(user => user.has_paid).length, tried.length),
+      avgFreeChatsBeforePaying: paid.length > 0 ? Math.round((freeChatsBeforePaying / paid.length) * 10) / 10 : 0
+    },
+    daily,
+    // Aggregates only - no customer emails in this export
+    rows: daily.map(day => ({ date: day.date, signups: day.signups, tried_chat: day.triedChat, paid: day.paid }))
+  };
+}
+
+/**
+ * Metered API traffic: requests and units per endpoint and day, and distinct callers
+ */
+export async function buildUsageReport(store, range) {
+  const [usage, subjects] = await Promise.all([
+    store.getUsageByDay(range.start, range.end),
+    store.countUsageSubjects(range.start, range.end)
+  ]);
+
+  const endpoints = new Map();
+  const days = emptyDays(range, date => ({ date, requests: 0, units: 0 }));
+
+  for (const row of usage) {
+    const totals = endpoints.get(row.endpoint) || { endpoint: row.endpoint, requests: 0, units: 0 };
+    totals.requests += row.requests;
+    totals.units += row.units;
+    endpoints.set(row.endpoint, totals);
+
+    const day = days.get(row.day);
+    if (day) {
+      day.requests += row.requests;
+      day.units += row.units;
+    }
+  }
+
+  return {
+    summary: {
+      requests: usage.reduce((sum, row) => sum + row.requests, 0),
+      units: usage.reduce((sum, row) => sum + row.units, 0),
+      activeCallers: subjects.subjects,
+      signedInUsers: subjects.users,
+      guests: subjects.subjects - subjects.users,
+      endpoints: [...endpoints.values()].sort((a, b) => b.requests - a.requests)
+    },
+    daily: [...days.values()],
+    rows: usage.map(row => ({ date: toDate(row.day), endpoint: row.endpoint, requests: row.requests, units: row.units }))
+  };
+}
+
+// Each report's builder and its CSV columns (the keys of its `rows`)
+export const ADMIN_REPORTS = {
+  payments: {
+    build: buildPaymentReport,
+    columns: ['created_at', 'type', 'status', 'email', 'payment_intent_id', 'amount', 'amount_refunded', 'currency', 'reason']
+  },
+  conversion: { build: buildConversionReport, columns: ['date', 'signups', 'tried_chat', 'paid'] },
+  usage: { build: buildUsageReport, columns: ['date', 'endpoint', 'requests', 'units'] }
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row, CRLF line endings and formula-safe cells
+ */
+export function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * GET /api/admin/analytics/:report?from=&to=&format=csv
+ */
+export async function getAdminReport(store, name, query = {}) {
+  const definition = ADMIN_REPORTS[name];
+  if (!definition) {
+    return { status: 404, body: { error: `Unknown report. Use one of: ${Object.keys(ADMIN_REPORTS).join(', ')}` } };
+  }
+
+  const range = parseDateRange(query);
+  if (range.error) {
+    return { status: 400, body: { error: range.error } };
+  }
+
+  const report = await definition.build(store, range);
+  console.log(`📊 Admin ${name} report for ${range.from}..${range.to}: ${report.rows.length} rows`);
+
+  if (query.format === 'csv') {
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="wanderrhodes-${name}-${range.from}-to-${range.to}.csv"`
+      },
+      body: toCsv(definition.columns, report.rows)
+    };
+  }
+
+  return { status: 200, body: { report: name, from: range.from, to: range.to, ...report } };
+}
@@ -1,27 +1,25 @@
 // agentHandler.js - LangChain-based Agentic Framework with Multi-Workflow Support
-import { ChatOpenAI } from '@langchain/openai';
 import { AgentExecutor, createOpenAIFunctionsAgent } from 'langchain/agents';
 import { ChatPromptTemplate, MessagesPlaceholder } from '@langchain/core/prompts';
 import { HumanMessage, AIMessage, SystemMessage } from '@langchain/core/messages';
 import { DynamicStructuredTool } from '@langchain/core/tools';
 import { z } from 'zod';
-import { execFile } from 'child_process';
-import { promisify } from 'util';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
 import { getNearbyPlaces, getTravelTime } from './tools/mapbox.js';
 import { geocodeLocation, validateCoordinates } from './tools/geocoding.js';
 import { executeAIRoundWorkflow } from './strict-workflow-controller.js';
+import { createLangChainChatModel, isLLMAvailable } from './llm/llmProvider.js';
 import { 
   getChatWorkflow, 
   WorkflowConfig,
   createWorkflowContext,
   logWorkflowUsage 
 } from './config/workflowConfig.js';
+import { createEventStream, createProseFilter } from './event-stream.js';
+import { resolvePromptHistory, recordSessionTurn } from './chat-sessions.js';
+import { searchKnowledgeBase, formatPassages } from './retrieval/retrievalProvider.js';
+import * as chatSessionStore from './db-adapter.js';
 import Ajv from 'ajv';
 
-const execFileAsync = promisify(execFile);
-const __dirname = dirname(fileURLToPath(import.meta.url));
 const ajv = new Ajv();
 
 // Location schema for validation
@@ -58,6 +56,58 @@ const locationSchema = {
 
 const validateLocation = ajv.compile(locationSchema);
 
+// What streaming clients see while each tool runs
+const TOOL_STATUS_MESSAGES = {
+  getNearbyPlaces: 'Searching for places nearby',
+  getTravelTime: 'Checking travel times',
+  getIntelligentPOIRecommendation: 'Picking the best next stop for you',
+  searchKnowledgeBase: 'Looking it up in the Rhodes guide'
+};
+
+/**
+ * LangChain callbacks that forward agent progress to the event stream
+ */
+function createStreamCallbacks(stream) {
+  const toolNames = new Map();
+  let showProse = createProseFilter();
+
+  return {
+    handleLLMStart() {
+      // Each LLM call is a fresh answer; earlier text was reasoning before a tool call
+      stream.reset();
+      showProse = createProseFilter();
+    },
+    handleLLMNewToken(token) {
+      stream.token(showProse(token));
+    },
+    handleToolStart(tool, input, runId, parentRunId, tags, metadata, runName) {
+      const name = runName || tool?.name || tool?.id?.[tool.id.length - 1] || 'tool';
+      toolNames.set(runId, name);
+      stream.status('tool_started', TOOL_STATUS_MESSAGES[name] || `Running ${name}`, { tool: name });
+    },
+    handleToolEnd(output, runId) {
+      const name = toolNames.get(runId) || 'tool';
+      try {
+        const result = JSON.parse(typeof output === 'string' ? output : output?.content);
+        if (Array.isArray(result)) {
+          stream.status('pois_found', `Found ${result.length} place${result.length === 1 ? '' : 's'}`, {
+            tool: name,
+            count: result.length,
+            names: result.slice(0, 5).map(place => place.name).filter(Boolean)
+          });
+        }
+      } catch {
+        // Error strings and non-JSON tool output - nothing to count
+      }
+      stream.status('tool_finished', `${TOOL_STATUS_MESSAGES[name] || name} - done`, { tool: name });
+    },
+    handleToolError(error, runId) {
+      const name = toolNames.get(runId) || 'tool';
+      stream.status('tool_failed', `${TOOL_STATUS_MESSAGES[name] || name} - failed`, { tool: name });
+    }
+  };
+}
+
 // Define tools for the agent
 const tools = [
   new DynamicStructuredTool({
@@ -206,31 +256,18 @@ const tools = [
     }
   }),
 
-  // RAG retrieval tool (commented out but ready to use)
-  /*
   new DynamicStructuredTool({
     name: "searchKnowledgeBase",
-    description: "Search the Rhodes knowledge base for specific information about places, activities, and local insights.",
+    description: "Search the Rhodes travel guide articles and place descriptions for history, local tips and background on a place or topic.",
     schema: z.object({
       query: z.string().describe("Search query for the knowledge base"),
       limit: z.number().optional().default(3).describe("Number of results to return")
     }),
     func: async ({ query, limit = 3 }) => {
-      try {
-        const { stdout } = await execFileAsync('python3', [
-          join(__dirname, 'rag_retrieve.py'),
-          query,
-          String(limit)
-        ]);
-        const docs = JSON.parse(stdout);
-        const context = docs.map(d => `Title: ${d.title}\nSection: ${d.section}\nContent: ${d.text}\nURL: ${d.url}`).join('\n---\n');
-        return context;
-      } catch (error) {
-        return `Knowledge base search failed: ${error.message}`;
-      }
+      const passages = await searchKnowledgeBase(query, { limit: Math.min(Math.max(limit, 1), 5) });
+      return passages.length > 0 ? formatPassages(passages) : 'No matching knowledge base entries.';
     }
   })
-  */
 ];
 
 // Agent prompt template - formatted for LangChain OpenAI functions agent
@@ -266,6 +303,7 @@ For each location you recommend, provide detailed information in this exact JSON
 - Use getIntelligentPOIRecommendation for high-quality, AI-powered POI selection with full context analysis
 - Use getNearbyPlaces for basic location discovery around coordinates (fallback option)
 - Use getTravelTime to calculate routes between locations
+- Use searchKnowledgeBase for history, background and local tips, and prefer its facts over your own memory
 - Plan tool usage strategically - the intelligent POI tool incorporates user preferences and spatial logic
 - Consider using tools multiple times to build comprehensive itineraries
 
@@ -346,12 +384,19 @@ export default async function agentHandler(req, res) {
     return res.status(405).end('Method Not Allowed');
   }
 
-  if (!process.env.OPENAI_API_KEY) {
+  const stream = createEventStream(req, res);
+  if (!isLLMAvailable()) {
     console.error('Missing OPENAI_API_KEY');
-    return res.status(500).json({ error: 'Server misconfiguration' });
+    return stream.respond(500, { error: 'Server misconfiguration' });
   }
 
-  const { history = [], prompt, userLocation = null, userPreferences = {} } = req.body;
+  const { prompt, userLocation = null, userPreferences = {} } = req.body;
+  stream.status('thinking', 'Thinking about your request');
+
+  // Signed-in users with a session get their stored (and summarised) history
+  const { history, sessionId } = await resolvePromptHistory(chatSessionStore, req, {
+    onSummarize: () => stream.status('summarizing', 'Summarising the earlier conversation')
+  });
   const chatWorkflow = getChatWorkflow('agent');
   const context = createWorkflowContext(chatWorkflow, 'agent-chat', {
     hasLocation: !!userLocation,
@@ -361,10 +406,12 @@ export default async function agentHandler(req, res) {
 
   try {
     // Initialize LangChain components
-    const llm = new ChatOpenAI({
-      modelName: "gpt-4-1106-preview", // Using GPT-4 Turbo for better reasoning
+    const llm = createLangChainChatModel({
+      purpose: 'agent',
+      model: "gpt-4-1106-preview", // Using GPT-4 Turbo for better reasoning
       temperature: 0.7,
       maxTokens: 2000,
+      streaming: stream.enabled,
     });
 
     // Create the agent
@@ -395,6 +442,8 @@ export default async function agentHandler(req, res) {
     const chatHistory = history.map(msg => {
       if (msg.role === 'user') {
         return new HumanMessage(msg.content);
+      } else if (msg.role === 'system') {
+        return new SystemMessage(msg.content); // summary of older turns
       } else {
         return new AIMessage(msg.content);
       }
@@ -445,6 +494,9 @@ Remember to use tools strategically to gather information before making recommen
     const result = await agentExecutor.invoke({
       input: stateContext,
       chat_history: chatHistory,
+    }, {
+      callbacks: stream.enabled ? [createStreamCallbacks(stream)] : [],
+      signal: stream.signal
     });
     
     // If no intermediate steps, try running once more to ensure tool execution
@@ -510,6 +562,7 @@ Remember to use tools strategically to gather information before making recommen
           // Execute searches for each type
           for (const type of searchTypes) {
             console.log(`🔧 Manually executing getNearbyPlaces for ${type}...`);
+            stream.status('tool_started', TOOL_STATUS_MESSAGES.getNearbyPlaces, { tool: 'getNearbyPlaces', type });
             const results = await getNearbyPlaces({ 
               lat: 36.4341, 
               lng: 28.2176, 
@@ -518,6 +571,7 @@ Remember to use tools strategically to gather information before making recommen
             });
             toolResults[type] = results.slice(0, 3); // Top 3 results
             console.log(`✅ Found ${results.length} ${type} results`);
+            stream.status('pois_found', `Found ${results.length} place${results.length === 1 ? '' : 's'}`, { tool: 'getNearbyPlaces', type, count: results.length });
           }
           
           console.log(`✅ Manual execution complete for ${Object.keys(toolResults).length} categories`);
@@ -696,15 +750,25 @@ Remember to use tools strategically to gather information before making recommen
     }
     
     // Geocode any locations with missing or invalid coordinates
+    if (locations.length > 0) {
+      stream.status('geocoding', `Pinning ${locations.length} place${locations.length === 1 ? '' : 's'} on the map`, { count: locations.length });
+    }
     const geocodedLocations = await geocodeLocations(locations);
     
     // Post-process travel times if missing
+    if (geocodedLocations.length > 1) {
+      stream.status('travel_times', 'Working out travel times between stops');
+    }
     await addTravelTimes(geocodedLocations, userLocation);
 
     // Update agent state
     geocodedLocations.forEach(loc => agentState.addPlanLocation(loc));
 
-    return res.status(200).json({ 
+    if (sessionId) {
+      await recordSessionTurn(chatSessionStore, req.user.id, sessionId, { prompt, reply: cleanedText, locations: geocodedLocations });
+    }
+
+    return stream.respond(200, { 
       reply: cleanedText, // This now includes the fixed preference request if needed
       structuredData: { 
         locations: geocodedLocations, 
@@ -728,8 +792,13 @@ Remember to use tools strategically to gather information before making recommen
     // Log failed agent workflow usage
     context.failure(error, false);
     
+    if (stream.aborted) {
+      console.log('🤖 Agent execution stopped - client disconnected');
+      return res.end();
+    }
+
     // Fallback to basic response
-    return res.status(500).json({ 
+    return stream.respond(500, { 
       error: 'Agent execution failed',
       fallback: true,
       reply: "I apologize, but I'm experiencing technical difficulties. Please try your request again.",
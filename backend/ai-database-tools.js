@@ -1,10 +1,11 @@
 /**
  * AI Database Tools for Step-by-Step Planning
- * Provides intelligent POI search tools that leverage the PostgreSQL knowledge base
+ * Provides intelligent POI search tools that leverage the POI knowledge base (PostgreSQL or SQLite)
  * with hotel exclusion and dynamic radius calculation
  */
 
-import { searchPOIsAdvanced, getNearbyPOIs, getAdjacentPOIs, getWalkingDistancePOIs } from './db-poi.js';
+import { searchPOIsAdvanced, getNearbyPOIs, getAdjacentPOIs, getWalkingDistancePOIs } from './db-adapter.js';
+import { getTimeOfDayClock } from './opening-hours.js';
 
 // Debug logging configuration
 const DEBUG_ENABLED = true;
@@ -248,6 +249,9 @@ async function intelligentPOISearch(params) {
   const { userLocation, userPreferences, selectedPOIs, stepNumber, excludeNames = [] } = params;
   
   let radius = calculateOptimalRadius(userLocation, userPreferences, selectedPOIs, stepNumber);
+  // Demote places closed at the user's preferred time of day
+  const preferredTime = [].concat(userPreferences?.timeOfDay || [])[0];
+  const openAt = preferredTime ? getTimeOfDayClock(preferredTime) : null;
   let attempts = 0;
   const maxAttempts = 3;
 
@@ -268,6 +272,7 @@ async function intelligentPOISearch(params) {
         priceLevel: mapBudgetToPriceLevel(userPreferences.budget),
         excludeNames,
         excludeTypes: EXCLUDED_POI_TYPES, // CRITICAL: Exclude hotels
+        openAt,
         limit: 15
       };
 
@@ -311,6 +316,7 @@ async function intelligentPOISearch(params) {
       radius: 25000, // Whole island
       excludeNames,
       excludeTypes: EXCLUDED_POI_TYPES,
+      openAt,
       limit: 15
     });
 
@@ -5,6 +5,9 @@
  */
 
 import { aiDatabaseTools, EXCLUDED_POI_TYPES } from './ai-database-tools.js';
+import { getOpeningStatus, getRhodesClock, formatOpeningHours } from './opening-hours.js';
+import { withCoastOrientation } from './beach-exposure.js';
+import { isSameName } from './name-matching.js';
 
 // Debug logging configuration
 const DEBUG_ENABLED = true;
@@ -22,8 +25,9 @@ const debugLog = (message, data = null) => {
 
 /**
  * Process OpenAI tool calls and return processed POI recommendations
+ * @param {Object} [options.at] - Planned visit time ({ day, minutes }) for opening hours
  */
-export async function processAIToolCalls(openaiResponse, excludeNames = [], excludeIds = []) {
+export async function processAIToolCalls(openaiResponse, excludeNames = [], excludeIds = [], options = {}) {
   debugLog('Processing AI tool calls', {
     hasToolCalls: !!(openaiResponse.choices?.[0]?.message?.tool_calls),
     toolCallCount: openaiResponse.choices?.[0]?.message?.tool_calls?.length || 0,
@@ -134,7 +138,7 @@ export async function processAIToolCalls(openaiResponse, excludeNames = [], excl
   });
 
   // Process and filter results
-  const processedResults = await processAndFilterPOIs(allCandidates, excludeNames, excludeIds);
+  const processedResults = await processAndFilterPOIs(allCandidates, excludeNames, excludeIds, options);
   
   // Add metadata to first result for debugging
   if (processedResults.length > 0 && searchMetadata.searchRadius) {
@@ -146,8 +150,9 @@ export async function processAIToolCalls(openaiResponse, excludeNames = [], excl
 
 /**
  * Process, filter, and rank POI candidates
+ * @param {Object} [options.at] - Planned visit time ({ day, minutes }); defaults to now in Rhodes
  */
-async function processAndFilterPOIs(candidates, excludeNames = [], excludeIds = []) {
+export async function processAndFilterPOIs(candidates, excludeNames = [], excludeIds = [], { at = getRhodesClock() } = {}) {
   debugLog('Processing and filtering POIs', { 
     candidateCount: candidates.length,
     excludeNamesCount: excludeNames.length,
@@ -166,10 +171,8 @@ async function processAndFilterPOIs(candidates, excludeNames = [], excludeIds =
       return false;
     }
     
-    // Exclude by name (case-insensitive)
-    const excludeByName = excludeNames.some(excludeName => 
-      excludeName.toLowerCase() === poi.name.toLowerCase()
-    );
+    // Exclude by name, in any spelling ("Lindos Acropolis" excludes "Acropolis of Lindos")
+    const excludeByName = excludeNames.some(excludeName => isSameName(excludeName, poi.name));
     if (excludeByName) {
       debugLog(`Excluded by name: ${poi.name} (matches exclude list)`);
       return false;
@@ -209,10 +212,10 @@ async function processAndFilterPOIs(candidates, excludeNames = [], excludeIds =
   debugLog('After deduplication', { count: filtered.length });
 
   // Step 3: Rank and score POIs
-  const rankedPOIs = rankPOIs(filtered);
+  const rankedPOIs = rankPOIs(filtered, { at });
   
   // Step 4: Transform for frontend
-  const transformedPOIs = transformPOIsForResponse(rankedPOIs);
+  const transformedPOIs = transformPOIsForResponse(rankedPOIs, at);
   
   // Step 5: Return top 5
   const finalResults = transformedPOIs.slice(0, 5);
@@ -227,10 +230,12 @@ async function processAndFilterPOIs(candidates, excludeNames = [], excludeIds =
 
 /**
  * Rank POIs based on various factors
+ * Places closed at the planned visit time (`at`, defaults to now) are demoted.
  */
-function rankPOIs(pois) {
+export function rankPOIs(pois, { at = getRhodesClock() } = {}) {
   return pois.map(poi => {
     let score = 0;
+    const openingStatus = getOpeningStatus(poi, at);
     
     // Factor 1: Rating (if available)
     if (poi.rating) {
@@ -266,8 +271,14 @@ function rankPOIs(pois) {
       score += 5;
     }
     
+    // Factor 6: Closed at the planned time
+    if (openingStatus.status === 'closed') {
+      score -= 30;
+    }
+    
     return {
       ...poi,
+      openingStatus,
       aiScore: Math.round(score)
     };
   }).sort((a, b) => b.aiScore - a.aiScore);
@@ -276,13 +287,13 @@ function rankPOIs(pois) {
 /**
  * Transform POI data to match expected frontend format
  */
-function transformPOIsForResponse(pois) {
+function transformPOIsForResponse(pois, at = getRhodesClock()) {
   if (!pois || !Array.isArray(pois)) {
     debugLog('Invalid POI data for transformation', { pois });
     return [];
   }
   
-  return pois.map(poi => ({
+  return pois.map(poi => withCoastOrientation(poi)).map(poi => ({
     // Core POI data
     name: poi.name,
     type: poi.primary_type || poi.type,
@@ -310,6 +321,14 @@ function transformPOIsForResponse(pois) {
     // AI scoring
     aiScore: poi.aiScore || 0,
     
+    // Opening hours: raw periods for re-checking, status at the planned visit time
+    opening_hours: poi.opening_hours || poi.operating_hours || null,
+    ...(poi.openingStatus && { openingStatus: poi.openingStatus }),
+    
+    // Beaches: the coast they face and, on windy days, how exposed they are
+    ...(poi.coastOrientation && { coastOrientation: poi.coastOrientation }),
+    ...(poi.windExposure && { windExposure: poi.windExposure }),
+    
     // Location object for compatibility
     location: {
       address: poi.address,
@@ -321,7 +340,7 @@ function transformPOIsForResponse(pois) {
     
     // Details object for compatibility  
     details: {
-      openingHours: poi.opening_hours,
+      openingHours: formatOpeningHours(poi, at.day),
       priceRange: poi.price_level ? `Level ${poi.price_level}` : 'Not specified',
       rating: poi.rating ? parseFloat(poi.rating).toString() : 'Not rated'
     },
@@ -333,9 +352,10 @@ function transformPOIsForResponse(pois) {
 
 /**
  * Generate AI reasoning explanation for POI selection
+ * Pass `weather` (one forecast day) to say how the wind hits a beach's coast.
  */
 export function generatePOIReasoning(poi, context = {}) {
-  const { stepNumber, selectedPOIs = [], userPreferences = {} } = context;
+  const { stepNumber, selectedPOIs = [], userPreferences = {}, weather = null } = context;
   
   let reasoning = [];
   
@@ -360,6 +380,12 @@ export function generatePOIReasoning(poi, context = {}) {
     reasoning.push(typeReasons[poi.type]);
   }
   
+  // Wind reasoning: which coast is calm today
+  const windExposure = poi.windExposure || withCoastOrientation(poi, weather).windExposure;
+  if (windExposure) {
+    reasoning.push(windExposure.reason);
+  }
+  
   // Rating reasoning
   if (poi.rating && poi.rating >= 4.0) {
     reasoning.push(`Highly rated (${poi.rating}/5) by visitors`);
@@ -23,4 +23,31 @@ export function verifyJWT(token) {
   } catch (_) {
     return null;
   }
-} 
+}
+
+const SESSION_MAX_AGE_SECONDS = 60 * 60 * 24 * 30; // 30 days, same as the JWT
+
+function cookieAttributes() {
+  const attributes = ['HttpOnly', 'Path=/', 'SameSite=Strict'];
+  if (process.env.NODE_ENV === 'production') {
+    attributes.push('Secure');
+    if (process.env.DOMAIN) {
+      attributes.push(`Domain=${process.env.DOMAIN.replace(/^https?:\/\//, '').replace(/\/+$/, '')}`);
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Set-Cookie value that signs the user in with the given JWT
+ */
+export function sessionCookie(token) {
+  return [`jwt=${token}`, ...cookieAttributes(), `Max-Age=${SESSION_MAX_AGE_SECONDS}`].join('; ');
+}
+
+/**
+ * Set-Cookie value that signs the user out
+ */
+export function clearedSessionCookie() {
+  return ['jwt=', ...cookieAttributes(), 'Max-Age=0'].join('; ');
+}
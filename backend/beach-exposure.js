@@ -0,0 +1,129 @@
+/**
+ * Beach Exposure - Which coast a Rhodes beach faces and what the wind does to it
+ * The meltemi blows from the north-west on most summer days: the west coast
+ * (Ixia, Ialysos, Kamiros) takes the waves while the east coast (Kallithea,
+ * Faliraki, Tsambika, Lindos) stays calm. A southerly or easterly wind flips it.
+ */
+
+// Wind below this leaves every coast swimmable
+export const CALM_WIND_KMH = 20;
+
+// Known beaches: their coast and the direction they look out to sea (degrees).
+// Greek names are listed unaccented, with the genitive used in "Παραλία Έλλης".
+const KNOWN_BEACHES = [
+  { names: ['elli', 'ελλη', 'ελλης'], coast: 'north', facing: 30 },
+  { names: ['windy beach', 'akti miaouli'], coast: 'north', facing: 300 },
+  { names: ['ixia', 'ιξια', 'ιξιας'], coast: 'west', facing: 300 },
+  { names: ['ialysos', 'ialyssos', 'ιαλυσος'], coast: 'west', facing: 310 },
+  { names: ['kremasti', 'κρεμαστη'], coast: 'west', facing: 320 },
+  { names: ['theologos', 'θεολογος'], coast: 'west', facing: 320 },
+  { names: ['kamiros', 'καμειρος'], coast: 'west', facing: 300 },
+  { names: ['kallithea', 'καλλιθεα', 'καλλιθεας'], coast: 'east', facing: 90 },
+  { names: ['faliraki', 'φαληρακι'], coast: 'east', facing: 100 },
+  { names: ['anthony quinn', 'ladiko', 'λαδικο'], coast: 'east', facing: 90 },
+  { names: ['afandou', 'αφαντου'], coast: 'east', facing: 90 },
+  { names: ['kolymbia', 'κολυμπια'], coast: 'east', facing: 100 },
+  { names: ['tsambika', 'τσαμπικα', 'τσαμπικας'], coast: 'east', facing: 110 },
+  { names: ['stegna', 'στεγνα'], coast: 'east', facing: 100 },
+  { names: ['agathi', 'αγαθη'], coast: 'east', facing: 60 },
+  { names: ['st paul', 'saint paul', 'agios pavlos', 'αγιος παυλος'], coast: 'east', facing: 150 },
+  { names: ['lindos', 'λινδος', 'λινδου'], coast: 'east', facing: 120 },
+  { names: ['pefkos', 'pefki', 'πευκοι'], coast: 'east', facing: 140 },
+  { names: ['glystra', 'γλυστρα'], coast: 'east', facing: 130 },
+  { names: ['lardos', 'λαρδος'], coast: 'east', facing: 150 },
+  { names: ['kiotari', 'κιοταρι'], coast: 'east', facing: 120 },
+  { names: ['gennadi', 'γενναδι'], coast: 'east', facing: 120 },
+  { names: ['prasonisi', 'πρασονησι'], coast: 'south', facing: 200 }
+];
+
+// The island's spine, from the northern tip at Rhodes town to Prasonisi
+const NORTH_TIP = { lat: 36.46, lng: 28.22 };
+const SOUTH_TIP = { lat: 35.88, lng: 27.76 };
+const EAST_COAST_FACING = 120;
+const WEST_COAST_FACING = 300;
+
+const WIND_NAMES = ['northerly', 'north-easterly', 'easterly', 'south-easterly', 'southerly', 'south-westerly', 'westerly', 'north-westerly'];
+
+function normalizeName(name) {
+  return String(name || '').normalize('NFD').replace(/\p{M}/gu, '').replace(/[^\p{L}\p{N}]+/gu, ' ').toLowerCase();
+}
+
+// Whole words only, so "Elli" does not match "Bellini"
+function containsWord(text, word) {
+  return new RegExp(`(^|[^\\p{L}])${word}($|[^\\p{L}])`, 'u').test(text);
+}
+
+export function isBeach(poi) {
+  return (poi?.primary_type || poi?.type) === 'beach';
+}
+
+/**
+ * Coast a beach sits on and the direction it faces
+ * Known beaches come from the table above; anything else is placed on the east
+ * or west coast by which side of the island's spine it lies.
+ * @returns {{ coast: 'north'|'east'|'south'|'west', facing: number }|null}
+ */
+export function getCoastOrientation(poi) {
+  const name = normalizeName(poi?.name);
+  const known = KNOWN_BEACHES.find(beach => beach.names.some(candidate => containsWord(name, candidate)));
+  if (known) {
+    return { coast: known.coast, facing: known.facing };
+  }
+
+  const lat = parseFloat(poi?.latitude ?? poi?.location?.coordinates?.lat);
+  const lng = parseFloat(poi?.longitude ?? poi?.location?.coordinates?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  // Sign of the cross product: positive when the point lies east of the spine
+  const side = (SOUTH_TIP.lng - NORTH_TIP.lng) * (lat - NORTH_TIP.lat) - (SOUTH_TIP.lat - NORTH_TIP.lat) * (lng - NORTH_TIP.lng);
+  return side > 0
+    ? { coast: 'east', facing: EAST_COAST_FACING }
+    : { coast: 'west', facing: WEST_COAST_FACING };
+}
+
+/**
+ * How a day's wind meets a coast
+ * Wind blowing in from the sea (within 60° of where the beach faces) brings waves;
+ * wind from the land side (120° or more away) leaves the water flat.
+ * @param {{ coast: string, facing: number }} orientation
+ * @param {import('./weather/weatherProvider.js').DailyForecast} weather
+ * @returns {{ exposure: 'sheltered'|'cross-shore'|'exposed', reason: string }|null} null on calm days
+ */
+export function assessBeachExposure(orientation, weather) {
+  if (!orientation || !weather || !(weather.windSpeedMax >= CALM_WIND_KMH)) return null;
+
+  const offset = Math.abs(((weather.windDirection - orientation.facing) % 360 + 540) % 360 - 180);
+  const wind = `today's ${WIND_NAMES[Math.round(weather.windDirection / 45) % 8]} wind (${Math.round(weather.windSpeedMax)} km/h)`;
+
+  if (offset <= 60) {
+    return { exposure: 'exposed', reason: `Exposed to ${wind} on the ${orientation.coast} coast - expect waves` };
+  }
+  if (offset >= 120) {
+    return { exposure: 'sheltered', reason: `Sheltered from ${wind} on the ${orientation.coast} coast` };
+  }
+  return { exposure: 'cross-shore', reason: `Side-on to ${wind} on the ${orientation.coast} coast` };
+}
+
+/**
+ * Beach with its coastOrientation and, on windy days, its windExposure
+ * Other POIs are returned unchanged.
+ */
+export function withCoastOrientation(poi, weather = null) {
+  if (!isBeach(poi)) return poi;
+  const coastOrientation = poi.coastOrientation || getCoastOrientation(poi);
+  const windExposure = assessBeachExposure(coastOrientation, weather);
+  return { ...poi, coastOrientation, ...(windExposure && { windExposure }) };
+}
+
+const EXPOSURE_RANK = { sheltered: 0, 'cross-shore': 1, exposed: 2 };
+
+/**
+ * Annotate beaches and move the sheltered ones up and the exposed ones down
+ * The sort is stable, so the existing ranking decides within each group.
+ */
+export function preferShelteredBeaches(pois, weather = null) {
+  const rank = poi => EXPOSURE_RANK[poi.windExposure?.exposure] ?? 1;
+  return pois
+    .map(poi => withCoastOrientation(poi, weather))
+    .sort((a, b) => rank(a) - rank(b));
+}
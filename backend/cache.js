@@ -1,57 +1,153 @@
-import { Redis } from '@upstash/redis';
-
-// Redis client (Upstash for serverless)
-const redis = process.env.UPSTASH_REDIS_REST_URL ? new Redis({
-  url: process.env.UPSTASH_REDIS_REST_URL,
-  token: process.env.UPSTASH_REDIS_REST_TOKEN,
-}) : null;
-
-const CACHE_TTL = {
-  USER_SESSION: 60 * 60 * 24, // 24 hours
-  TRAVEL_PLANS: 60 * 60 * 2,   // 2 hours  
-  CHAT_HISTORY: 60 * 30,       // 30 minutes
-  USER_PREFERENCES: 60 * 60 * 6, // 6 hours
+/**
+ * Cache - Namespaced caching on top of the configured store
+ * Every namespace has a TTL policy (CACHE_TTL_<NAMESPACE> in seconds overrides
+ * it) and its own hit/miss counters. Caching is best-effort: a failing store
+ * counts as a miss and never fails the request.
+ */
+
+import { AgentConfig } from './config/agentConfig.js';
+import { getCacheStore } from './cache/cacheStore.js';
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * TTL policy per namespace, in seconds
+ * `shared` namespaces hold per-user data and are only cached in a store that
+ * every server instance sees (Redis); elsewhere a stale copy could outlive an update.
+ */
+export const CACHE_POLICIES = {
+  geocode: { ttl: 30 * DAY },
+  place_id: { ttl: 7 * DAY },
+  place_photos: { ttl: DAY },
+  weather: { ttl: 30 * MINUTE },
+  llm: { ttl: HOUR },
+  user: { ttl: DAY, shared: true },
+  plans: { ttl: 2 * HOUR, shared: true },
+  chat: { ttl: 30 * MINUTE, shared: true },
+  prefs: { ttl: 6 * HOUR, shared: true },
+  token: { ttl: 10 * MINUTE, shared: true }
 };
 
-// Helper function to generate cache keys
-function getCacheKey(type, ...args) {
-  return `wr:${type}:${args.join(':')}`;
-}
+const metrics = new Map();
 
-// -------------------------
-// Cache Operations
-// -------------------------
+function countersFor(namespace) {
+  if (!metrics.has(namespace)) {
+    metrics.set(namespace, { hits: 0, misses: 0, sets: 0, errors: 0 });
+  }
+  return metrics.get(namespace);
+}
+
+function policyTtl(namespace, policy) {
+  const override = parseInt(process.env[`CACHE_TTL_${namespace.toUpperCase()}`], 10);
+  return override > 0 ? override : (policy?.ttl || AgentConfig.cacheExpiry);
+}
+
+/**
+ * Cache for one namespace
+ * Keys are stored as `wr:<namespace>:<key>`. A cached null is a hit (e.g. "no
+ * photo for this place"); only undefined means nothing was cached.
+ * @param {string} namespace
+ * @param {{ ttl?: number, shared?: boolean }} [policy] - Defaults to CACHE_POLICIES[namespace]
+ */
+export function createCache(namespace, policy = CACHE_POLICIES[namespace]) {
+  const counters = countersFor(namespace);
+  const ttl = policyTtl(namespace, policy);
+  const storeKey = key => `wr:${namespace}:${key}`;
+
+  // The store to use, or null when caching is off for this namespace
+  function activeStore() {
+    if (!AgentConfig.enableCaching) return null;
+    const store = getCacheStore();
+    return policy?.shared && !store.shared ? null : store;
+  }
 
-export async function cacheSet(key, value, ttl = 3600) {
-  if (!redis) return false;
-  try {
-    await redis.setex(key, ttl, JSON.stringify(value));
-    return true;
-  } catch (error) {
-    console.warn('Redis set error:', error.message);
-    return false;
+  async function get(key) {
+    const store = activeStore();
+    if (!store) return undefined;
+    try {
+      const value = await store.get(storeKey(key));
+      if (value === undefined) {
+        counters.misses++;
+      } else {
+        counters.hits++;
+      }
+      return value;
+    } catch (error) {
+      counters.errors++;
+      counters.misses++;
+      console.warn(`⚠️ [Cache] ${namespace} get failed: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  async function set(key, value, ttlSeconds = ttl) {
+    const store = activeStore();
+    if (!store || value === undefined) return false;
+    try {
+      await store.set(storeKey(key), value, ttlSeconds);
+      counters.sets++;
+      return true;
+    } catch (error) {
+      counters.errors++;
+      console.warn(`⚠️ [Cache] ${namespace} set failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  async function del(key) {
+    const store = activeStore();
+    if (!store) return false;
+    try {
+      await store.delete(storeKey(key));
+      return true;
+    } catch (error) {
+      counters.errors++;
+      console.warn(`⚠️ [Cache] ${namespace} delete failed: ${error.message}`);
+      return false;
+    }
   }
+
+  return {
+    namespace,
+    ttl,
+    get,
+    set,
+    delete: del,
+
+    /**
+     * Cached value for key, or load() it and cache the result
+     * Loader errors are not cached and propagate to the caller.
+     */
+    async remember(key, load) {
+      const cached = await get(key);
+      if (cached !== undefined) return cached;
+      const value = await load();
+      await set(key, value);
+      return value;
+    }
+  };
 }
 
-export async function cacheGet(key) {
-  if (!redis) return null;
-  try {
-    const value = await redis.get(key);
-    return value ? JSON.parse(value) : null;
-  } catch (error) {
-    console.warn('Redis get error:', error.message);
-    return null;
+/**
+ * Hit/miss counters per namespace since the process started
+ */
+export function getCacheMetrics() {
+  const namespaces = {};
+  for (const [namespace, counters] of metrics) {
+    const lookups = counters.hits + counters.misses;
+    namespaces[namespace] = { ...counters, hitRate: lookups > 0 ? Number((counters.hits / lookups).toFixed(3)) : null };
   }
+  return { enabled: AgentConfig.enableCaching, store: getCacheStore().name, namespaces };
 }
 
-export async function cacheDel(key) {
-  if (!redis) return false;
-  try {
-    await redis.del(key);
-    return true;
-  } catch (error) {
-    console.warn('Redis del error:', error.message);
-    return false;
+/**
+ * Zero every namespace's counters (tests)
+ */
+export function resetCacheMetrics() {
+  for (const counters of metrics.values()) {
+    Object.assign(counters, { hits: 0, misses: 0, sets: 0, errors: 0 });
   }
 }
 
@@ -59,109 +155,87 @@ export async function cacheDel(key) {
 // Application-specific Cache Functions
 // -------------------------
 
+const userCache = createCache('user');
+const plansCache = createCache('plans');
+const chatCache = createCache('chat');
+const prefsCache = createCache('prefs');
+const tokenCache = createCache('token');
+
 // User session caching
 export async function cacheUserSession(email, userData) {
-  const key = getCacheKey('user', email);
-  return await cacheSet(key, userData, CACHE_TTL.USER_SESSION);
+  return await userCache.set(email, userData);
 }
 
 export async function getCachedUserSession(email) {
-  const key = getCacheKey('user', email);
-  return await cacheGet(key);
+  return (await userCache.get(email)) ?? null;
 }
 
 export async function clearUserSession(email) {
-  const key = getCacheKey('user', email);
-  return await cacheDel(key);
+  return await userCache.delete(email);
 }
 
 // Travel plans caching
 export async function cacheTravelPlans(userId, plans) {
-  const key = getCacheKey('plans', userId);
-  return await cacheSet(key, plans, CACHE_TTL.TRAVEL_PLANS);
+  return await plansCache.set(userId, plans);
 }
 
 export async function getCachedTravelPlans(userId) {
-  const key = getCacheKey('plans', userId);
-  return await cacheGet(key);
+  return (await plansCache.get(userId)) ?? null;
 }
 
 export async function clearTravelPlansCache(userId) {
-  const key = getCacheKey('plans', userId);
-  return await cacheDel(key);
+  return await plansCache.delete(userId);
 }
 
 // Chat history caching
 export async function cacheChatHistory(userId, sessionId, messages) {
-  const key = getCacheKey('chat', userId, sessionId);
-  return await cacheSet(key, messages, CACHE_TTL.CHAT_HISTORY);
+  return await chatCache.set(`${userId}:${sessionId}`, messages);
 }
 
 export async function getCachedChatHistory(userId, sessionId) {
-  const key = getCacheKey('chat', userId, sessionId);
-  return await cacheGet(key);
+  return (await chatCache.get(`${userId}:${sessionId}`)) ?? null;
 }
 
 export async function clearChatHistoryCache(userId, sessionId) {
-  const key = getCacheKey('chat', userId, sessionId);
-  return await cacheDel(key);
+  return await chatCache.delete(`${userId}:${sessionId}`);
 }
 
 // User preferences caching
 export async function cacheUserPreferences(userId, preferences) {
-  const key = getCacheKey('prefs', userId);
-  return await cacheSet(key, preferences, CACHE_TTL.USER_PREFERENCES);
+  return await prefsCache.set(userId, preferences);
 }
 
 export async function getCachedUserPreferences(userId) {
-  const key = getCacheKey('prefs', userId);
-  return await cacheGet(key);
+  return (await prefsCache.get(userId)) ?? null;
 }
 
 export async function clearUserPreferencesCache(userId) {
-  const key = getCacheKey('prefs', userId);
-  return await cacheDel(key);
+  return await prefsCache.delete(userId);
 }
 
 // Magic token caching (short TTL for security)
 export async function cacheMagicToken(hash, userData) {
-  const key = getCacheKey('token', hash);
-  return await cacheSet(key, userData, 600); // 10 minutes
+  return await tokenCache.set(hash, userData);
 }
 
 export async function getCachedMagicToken(hash) {
-  const key = getCacheKey('token', hash);
-  return await cacheGet(key);
+  return (await tokenCache.get(hash)) ?? null;
 }
 
-// Rate limiting
+// Rate limiting (per instance unless the store is shared)
 export async function incrementRateLimit(identifier, windowSeconds = 60) {
-  if (!redis) return { count: 1, reset: Date.now() + windowSeconds * 1000 };
-  
   try {
-    const key = getCacheKey('rate', identifier);
-    const count = await redis.incr(key);
-    
-    if (count === 1) {
-      await redis.expire(key, windowSeconds);
-    }
-    
-    const ttl = await redis.ttl(key);
-    const reset = Date.now() + (ttl * 1000);
-    
-    return { count, reset };
+    const { count, expiresAt } = await getCacheStore().increment(`wr:rate:${identifier}`, windowSeconds);
+    return { count, reset: expiresAt };
   } catch (error) {
-    console.warn('Rate limit error:', error.message);
+    console.warn(`⚠️ [Cache] Rate limit error: ${error.message}`);
     return { count: 1, reset: Date.now() + windowSeconds * 1000 };
   }
 }
 
-console.log(`🔄 Redis cache ${redis ? 'enabled' : 'disabled (running without cache)'}`);
-
 export default {
-  cacheSet,
-  cacheGet,
-  cacheDel,
+  createCache,
+  getCacheMetrics,
   cacheUserSession,
   getCachedUserSession,
   clearUserSession,
@@ -177,4 +251,4 @@ export default {
   cacheMagicToken,
   getCachedMagicToken,
   incrementRateLimit
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,66 @@
+/**
+ * Cache Store - Where cached values live
+ * One process-wide store sits behind every namespaced cache (see ../cache.js):
+ * an in-process LRU, a SQLite file that survives restarts, or Upstash Redis
+ * shared by all server instances.
+ */
+
+import { AgentConfig } from '../config/agentConfig.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+import { createRedisStore } from './redisStore.js';
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {string} name
+ * @property {boolean} shared - Whether every server instance sees the same entries
+ * @property {(key: string) => Promise<*>} get - The stored value, or undefined when missing or expired
+ * @property {(key: string, value: *, ttlSeconds: number) => Promise<void>} set - Value must be JSON-serializable
+ * @property {(key: string) => Promise<void>} delete
+ * @property {(key: string, ttlSeconds: number) => Promise<{ count: number, expiresAt: number }>} increment -
+ *   Counter starting at 1 that expires ttlSeconds after its first increment
+ * @property {() => Promise<void>} [clear] - Drop every entry (not offered by Redis)
+ */
+
+let activeStore = null;
+
+/**
+ * Build a store by name
+ */
+export function createCacheStore(name = AgentConfig.cacheStore, options = {}) {
+  switch (name) {
+    case 'memory':
+      return createMemoryStore({ maxEntries: AgentConfig.cacheMaxEntries, ...options });
+    case 'sqlite':
+      return createSqliteStore({ filePath: AgentConfig.cacheSqlitePath, maxEntries: AgentConfig.cacheMaxEntries, ...options });
+    case 'redis':
+      return createRedisStore(options);
+    default:
+      throw new Error(`Unknown cache store: ${name}`);
+  }
+}
+
+/**
+ * Get the process-wide store (created lazily from AgentConfig)
+ * A store that cannot be opened falls back to memory: caching is never worth failing a request.
+ */
+export function getCacheStore() {
+  if (!activeStore) {
+    try {
+      activeStore = createCacheStore();
+    } catch (error) {
+      console.warn(`⚠️ [Cache] ${error.message} - using the in-memory store`);
+      activeStore = createCacheStore('memory');
+    }
+    console.log(`🔄 [Cache] Using the ${activeStore.name} store`);
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the process-wide store (tests and scripts)
+ * Pass null to go back to the configured default.
+ */
+export function setCacheStore(store) {
+  activeStore = store;
+}
@@ -0,0 +1,73 @@
+/**
+ * Memory Store - In-process LRU cache
+ * The default store: nothing to set up, gone on restart and private to each
+ * server instance. Least recently used entries go first once maxEntries is reached.
+ */
+
+/**
+ * Create the in-memory store
+ * Values are kept as JSON, like the other stores, so callers never share
+ * (and mutate) a cached object.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries]
+ * @param {() => number} [options.now] - Clock in ms (tests)
+ * @returns {import('./cacheStore.js').CacheStore}
+ */
+export function createMemoryStore({ maxEntries = 5000, now = Date.now } = {}) {
+  const entries = new Map();
+
+  // Map order is insertion order: re-inserting marks an entry as most recently used
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  function liveEntry(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    get size() {
+      return entries.size;
+    },
+
+    async get(key) {
+      const entry = liveEntry(key);
+      if (!entry) return undefined;
+      touch(key, entry);
+      return JSON.parse(entry.json);
+    },
+
+    async set(key, value, ttlSeconds) {
+      touch(key, { json: JSON.stringify(value), expiresAt: now() + ttlSeconds * 1000 });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async increment(key, ttlSeconds) {
+      const entry = liveEntry(key);
+      const next = entry
+        ? { json: String(JSON.parse(entry.json) + 1), expiresAt: entry.expiresAt }
+        : { json: '1', expiresAt: now() + ttlSeconds * 1000 };
+      touch(key, next);
+      return { count: JSON.parse(next.json), expiresAt: next.expiresAt };
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Redis Store - Upstash Redis over REST
+ * The only shared store: every serverless instance sees the same entries, so
+ * it is the one that also caches per-user data (sessions, plans, preferences).
+ */
+
+import { Redis } from '@upstash/redis';
+
+/**
+ * Create the Redis store
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Upstash-compatible client (tests); defaults to
+ *   one built from UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN
+ * @returns {import('./cacheStore.js').CacheStore}
+ */
+export function createRedisStore({ client = null } = {}) {
+  const redis = client || (process.env.UPSTASH_REDIS_REST_URL
+    ? new Redis({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN,
+      // Values are stored as JSON strings; parse them here, not in the client
+      automaticDeserialization: false
+    })
+    : null);
+
+  if (!redis) {
+    throw new Error('UPSTASH_REDIS_REST_URL is required for the redis cache store');
+  }
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    async get(key) {
+      const raw = await redis.get(key);
+      return raw === null || raw === undefined ? undefined : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlSeconds) {
+      await redis.set(key, JSON.stringify(value), { ex: ttlSeconds });
+    },
+
+    async delete(key) {
+      await redis.del(key);
+    },
+
+    async increment(key, ttlSeconds) {
+      const count = await redis.incr(key);
+      if (count === 1) {
+        await redis.expire(key, ttlSeconds);
+      }
+      const remaining = await redis.ttl(key);
+      return { count, expiresAt: Date.now() + Math.max(remaining, 0) * 1000 };
+    }
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * SQLite Store - File-backed cache that survives restarts
+ * For a single long-running server: geocodes, place lookups and model answers
+ * are kept between deploys without running Redis. The file is separate from the
+ * application database so it can be deleted at any time.
+ */
+
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PATH = path.join(__dirname, '..', '..', 'cache.sqlite');
+
+// Expired and surplus rows are pruned every this many writes
+const PRUNE_EVERY = 100;
+
+/**
+ * Create the SQLite store
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Defaults to cache.sqlite in the project root
+ * @param {number} [options.maxEntries] - Least recently used rows beyond this are pruned
+ * @param {() => number} [options.now] - Clock in ms (tests)
+ * @returns {import('./cacheStore.js').CacheStore}
+ */
+export function createSqliteStore({ filePath = DEFAULT_PATH, maxEntries = 5000, now = Date.now } = {}) {
+  const db = new Database(filePath || DEFAULT_PATH);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cache_entries (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      accessed_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_cache_entries_accessed ON cache_entries(accessed_at);
+  `);
+
+  const selectEntry = db.prepare('SELECT value, expires_at FROM cache_entries WHERE key = ? AND expires_at > ?');
+  const touchEntry = db.prepare('UPDATE cache_entries SET accessed_at = ? WHERE key = ?');
+  const upsertEntry = db.prepare(`
+    INSERT INTO cache_entries (key, value, expires_at, accessed_at) VALUES (@key, @value, @expiresAt, @now)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, accessed_at = excluded.accessed_at
+  `);
+  const deleteEntry = db.prepare('DELETE FROM cache_entries WHERE key = ?');
+  const deleteExpired = db.prepare('DELETE FROM cache_entries WHERE expires_at <= ?');
+  const countEntries = db.prepare('SELECT COUNT(*) AS count FROM cache_entries');
+  const deleteLeastRecent = db.prepare(`
+    DELETE FROM cache_entries WHERE key IN (SELECT key FROM cache_entries ORDER BY accessed_at ASC LIMIT ?)
+  `);
+
+  let writes = 0;
+  const prune = db.transaction(() => {
+    deleteExpired.run(now());
+    const surplus = countEntries.get().count - maxEntries;
+    if (surplus > 0) deleteLeastRecent.run(surplus);
+  });
+
+  function write(key, value, expiresAt) {
+    upsertEntry.run({ key, value, expiresAt, now: now() });
+    if (++writes % PRUNE_EVERY === 0) prune();
+  }
+
+  const increment = db.transaction((key, ttlSeconds) => {
+    const row = selectEntry.get(key, now());
+    const count = row ? JSON.parse(row.value) + 1 : 1;
+    const expiresAt = row ? row.expires_at : now() + ttlSeconds * 1000;
+    write(key, JSON.stringify(count), expiresAt);
+    return { count, expiresAt };
+  });
+
+  return {
+    name: 'sqlite',
+    shared: false,
+
+    async get(key) {
+      const row = selectEntry.get(key, now());
+      if (!row) return undefined;
+      touchEntry.run(now(), key);
+      return JSON.parse(row.value);
+    },
+
+    async set(key, value, ttlSeconds) {
+      write(key, JSON.stringify(value), now() + ttlSeconds * 1000);
+    },
+
+    async delete(key) {
+      deleteEntry.run(key);
+    },
+
+    async increment(key, ttlSeconds) {
+      return increment(key, ttlSeconds);
+    },
+
+    async clear() {
+      db.exec('DELETE FROM cache_entries');
+    },
+
+    // Run pruning now instead of waiting for the next PRUNE_EVERY writes
+    prune() {
+      prune();
+    }
+  };
+}
@@ -0,0 +1,299 @@
+/**
+ * Chat Sessions
+ * Server-side conversations for signed-in users: the session list (create,
+ * rename, resume, delete) and the history the chat handlers send to the model.
+ * When a session's unsummarised turns outgrow the prompt budget, the older
+ * ones are folded into a stored summary by the LLM, so a long conversation
+ * costs the summary plus its latest turns.
+ * Functions that touch the database take a `store` (db-adapter or db-neon).
+ */
+
+import crypto from 'crypto';
+import { createChatCompletion } from './llm/llmProvider.js';
+
+export const DEFAULT_SESSION_TITLE = 'New conversation';
+export const MAX_SESSION_TITLE_LENGTH = 80;
+
+// Prompt budget for past turns, in estimated tokens (~4 characters each)
+export const HISTORY_TOKEN_BUDGET = 3000;
+// Latest turns kept word for word when the rest is summarised
+export const RECENT_TOKEN_BUDGET = 1200;
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+const SUMMARY_INSTRUCTIONS = `You keep the memory of a Rhodes travel-planning chat.
+Rewrite the earlier summary (if any) and the new messages as one summary of at most 150 words.
+Keep the traveller's preferences and constraints, where they are staying, places already suggested or rejected, and any open questions.
+Write plain prose in the third person. No greetings, no lists of JSON.`;
+
+// Debug logging
+const debugLog = (message, data = null) => {
+  console.log(`🗂️ [SESSIONS] ${message}`);
+  if (data) {
+    console.log(`📊 [SESSIONS-DATA]`, JSON.stringify(data, null, 2));
+  }
+};
+
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+export function newSessionId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Session title from free text (the first prompt or a rename), on one line
+ * and cut at a word boundary
+ */
+export function deriveSessionTitle(text) {
+  const clean = String(text || '').replace(/\|\|\|[A-Z_]+\|\|\|/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!clean) return DEFAULT_SESSION_TITLE;
+  if (clean.length <= MAX_SESSION_TITLE_LENGTH) return clean;
+  const cut = clean.slice(0, MAX_SESSION_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > MAX_SESSION_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+/**
+ * Rough token count of chat messages - close enough to budget a prompt
+ */
+export function estimateTokens(messages) {
+  return messages.reduce((total, message) => total + 4 + Math.ceil(String(message?.content || '').length / 4), 0);
+}
+
+/**
+ * Stored message → { role, content } for the model, or null when there is
+ * nothing to send. Handles turns saved by the chat handlers and the older
+ * UI-shaped messages saved through /api/sessions/:id/messages.
+ */
+export function toPromptMessage(messageData) {
+  if (!messageData || typeof messageData !== 'object') return null;
+
+  if (messageData.role === 'user' || messageData.role === 'assistant') {
+    let content = String(messageData.content || '').replace(/\|\|\|LOCATION\|\|\|/g, '').trim();
+    const names = (messageData.structuredData?.locations || []).map(location => location?.name).filter(Boolean);
+    if (names.length > 0) {
+      content = `${content}\n[Places suggested: ${names.join(', ')}]`.trim();
+    }
+    return content ? { role: messageData.role, content } : null;
+  }
+
+  if (messageData.type === 'location' && messageData.locationData?.name) {
+    return { role: 'assistant', content: `[Place suggested: ${messageData.locationData.name}]` };
+  }
+  if (typeof messageData.message === 'string' && messageData.message.trim()) {
+    return { role: messageData.sender === 'user' ? 'user' : 'assistant', content: messageData.message.trim() };
+  }
+  return null;
+}
+
+/**
+ * Latest user/assistant messages that fit the budget (the newest one always fits)
+ */
+export function trimHistory(history, budget = HISTORY_TOKEN_BUDGET) {
+  const messages = (Array.isArray(history) ? history : [])
+    .filter(m => (m?.role === 'user' || m?.role === 'assistant') && typeof m.content === 'string' && m.content.trim());
+
+  let used = 0;
+  let start = messages.length;
+  while (start > 0) {
+    const cost = estimateTokens([messages[start - 1]]);
+    if (used + cost > budget && start < messages.length) break;
+    used += cost;
+    start--;
+  }
+  return messages.slice(start).map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Fold older turns into the running summary
+ * @param {string|null} previousSummary - Summary stored so far
+ * @param {Array<{role: string, content: string}>} turns - Messages to add to it
+ * @returns {Promise<string>} The new summary
+ */
+export async function summarizeTurns(previousSummary, turns) {
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'Traveller' : 'Assistant'}: ${turn.content}`)
+    .join('\n');
+
+  const completion = await createChatCompletion({
+    purpose: 'chat_summary',
+    context: { previousSummary, turns },
+    params: {
+      model: 'gpt-4o-mini',
+      temperature: 0.2,
+      max_tokens: 400,
+      messages: [
+        { role: 'system', content: SUMMARY_INSTRUCTIONS },
+        {
+          role: 'user',
+          content: `${previousSummary ? `Earlier summary:\n${previousSummary}\n\n` : ''}New messages:\n${transcript}`
+        }
+      ]
+    }
+  });
+
+  const summary = completion.choices[0]?.message?.content?.trim();
+  if (!summary) {
+    throw new Error('Summary came back empty');
+  }
+  return summary;
+}
+
+/**
+ * Prompt history for the next turn of a stored session. Creates the session
+ * on its first turn and summarises older turns when they no longer fit.
+ * @param {Object} store - Database functions (db-adapter or db-neon)
+ * @param {Object} options
+ * @param {string} options.prompt - The new user message (titles a new session)
+ * @param {Function} [options.onSummarize] - Called before the summary request
+ * @returns {Promise<{session: Object, history: Array}>}
+ */
+export async function loadSessionHistory(store, userId, sessionId, { prompt, onSummarize = () => {} } = {}) {
+  let session = await store.getChatSession(userId, sessionId);
+  if (!session) {
+    session = await store.createChatSession(userId, sessionId, deriveSessionTitle(prompt));
+    debugLog(`Created session ${sessionId} for user ${userId}`);
+  }
+
+  const rows = await store.getUserChatHistory(userId, sessionId);
+  const stored = rows.map(row => toPromptMessage(row.message_data));
+  let summary = session.summary || null;
+  let covered = Math.min(Number(session.summarized_count) || 0, stored.length);
+
+  const pending = stored.slice(covered).filter(Boolean);
+  if (estimateTokens(pending) > HISTORY_TOKEN_BUDGET) {
+    // Keep the latest turns verbatim; everything between them and the old summary gets folded in
+    let keepFrom = stored.length;
+    let recentTokens = 0;
+    while (keepFrom > covered) {
+      const cost = stored[keepFrom - 1] ? estimateTokens([stored[keepFrom - 1]]) : 0;
+      if (recentTokens + cost > RECENT_TOKEN_BUDGET && keepFrom < stored.length) break;
+      recentTokens += cost;
+      keepFrom--;
+    }
+
+    const older = stored.slice(covered, keepFrom).filter(Boolean);
+    if (older.length > 0) {
+      try {
+        onSummarize();
+        summary = await summarizeTurns(summary, older);
+        covered = keepFrom;
+        await store.updateChatSessionSummary(userId, sessionId, summary, covered);
+        session = { ...session, summary, summarized_count: covered };
+        debugLog(`Summarised ${older.length} messages of session ${sessionId}`, { covered, summaryLength: summary.length });
+      } catch (error) {
+        // The budget trim below still keeps the prompt in bounds
+        console.warn(`⚠️ [SESSIONS] Could not summarise session ${sessionId}: ${error.message}`);
+      }
+    }
+  }
+
+  const history = trimHistory(stored.slice(covered).filter(Boolean));
+  if (summary) {
+    history.unshift({ role: 'system', content: `Summary of the earlier conversation:\n${summary}` });
+  }
+  return { session, history };
+}
+
+/**
+ * History for a chat request: the stored session when a signed-in user sends
+ * a `sessionId`, otherwise the client's own history trimmed to the budget
+ * @returns {Promise<{history: Array, sessionId: string|null}>}
+ */
+export async function resolvePromptHistory(store, req, { onSummarize } = {}) {
+  const { history = [], sessionId = null, prompt } = req.body || {};
+  if (!req.user?.id || !isValidSessionId(sessionId)) {
+    return { history: trimHistory(history), sessionId: null };
+  }
+
+  try {
+    const loaded = await loadSessionHistory(store, req.user.id, sessionId, { prompt, onSummarize });
+    return { history: loaded.history, sessionId };
+  } catch (error) {
+    console.error(`🚨 [SESSIONS] Could not load session ${sessionId}:`, error.message);
+    return { history: trimHistory(history), sessionId: null };
+  }
+}
+
+/**
+ * Store one exchange; failures are logged, never surfaced to the chat
+ */
+export async function recordSessionTurn(store, userId, sessionId, { prompt, reply, locations = [] }) {
+  try {
+    await store.saveChatMessage(userId, sessionId, { role: 'user', content: prompt });
+    await store.saveChatMessage(userId, sessionId, { role: 'assistant', content: reply, structuredData: { locations } });
+    await store.touchChatSession(userId, sessionId);
+  } catch (error) {
+    console.error(`🚨 [SESSIONS] Could not save turn for session ${sessionId}:`, error.message);
+  }
+}
+
+// -------------------------
+// Session endpoints - each returns { status, body }
+// -------------------------
+
+export function formatSession(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    messageCount: session.message_count === undefined ? undefined : Number(session.message_count),
+    summarized: Number(session.summarized_count) > 0,
+    createdAt: new Date(session.created_at * 1000).toISOString(),
+    updatedAt: new Date(session.updated_at * 1000).toISOString()
+  };
+}
+
+export async function listSessions(store, userId) {
+  const sessions = await store.getUserChatSessions(userId);
+  return { status: 200, body: { success: true, sessions: sessions.map(formatSession) } };
+}
+
+export async function createSession(store, userId, { title } = {}) {
+  const session = await store.createChatSession(userId, newSessionId(), deriveSessionTitle(title));
+  return { status: 201, body: { success: true, session: formatSession({ ...session, message_count: 0 }) } };
+}
+
+/**
+ * A session with its stored messages, for resuming it on any device
+ */
+export async function getSession(store, userId, sessionId) {
+  const session = isValidSessionId(sessionId) ? await store.getChatSession(userId, sessionId) : null;
+  if (!session) {
+    return { status: 404, body: { error: 'Session not found' } };
+  }
+
+  const rows = await store.getUserChatHistory(userId, sessionId);
+  return {
+    status: 200,
+    body: {
+      success: true,
+      session: formatSession({ ...session, message_count: rows.length }),
+      messages: rows.map(row => ({ ...row.message_data, timestamp: row.created_at * 1000 }))
+    }
+  };
+}
+
+export async function renameSession(store, userId, sessionId, { title } = {}) {
+  if (typeof title !== 'string' || !title.trim()) {
+    return { status: 400, body: { error: 'Missing session title' } };
+  }
+  if (!isValidSessionId(sessionId)) {
+    return { status: 404, body: { error: 'Session not found' } };
+  }
+
+  const result = await store.renameChatSession(userId, sessionId, deriveSessionTitle(title));
+  if (result.changes === 0) {
+    return { status: 404, body: { error: 'Session not found' } };
+  }
+  return { status: 200, body: { success: true, session: formatSession(await store.getChatSession(userId, sessionId)) } };
+}
+
+export async function deleteSession(store, userId, sessionId) {
+  const result = isValidSessionId(sessionId) ? await store.deleteChatSession(userId, sessionId) : { changes: 0 };
+  if (result.changes === 0) {
+    return { status: 404, body: { error: 'Session not found' } };
+  }
+  return { status: 200, body: { success: true, message: 'Session deleted' } };
+}
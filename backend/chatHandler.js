@@ -1,9 +1,5 @@
 // chatHandler.js - Enhanced with Spatial POI Intelligence
-import OpenAI from 'openai';
-import { execFile } from 'child_process';
-import { promisify } from 'util';
-import { dirname, join } from 'path';
-import { fileURLToPath } from 'url';
+import { createChatCompletion, isLLMAvailable } from './llm/llmProvider.js';
 import { getNearbyPlaces as mapboxGetNearbyPlaces, getTravelTime } from './tools/mapbox.js';
 import { geocodeLocation, validateCoordinates } from './tools/geocoding.js';
 import { 
@@ -14,10 +10,12 @@ import {
 } from './enhanced-chat-tools.js';
 import { executeMultiRoundWorkflow } from './strict-workflow-controller.js';
 import { WorkflowConfig } from './config/workflowConfig.js';
+import { createEventStream, createProseFilter } from './event-stream.js';
+import { resolvePromptHistory, recordSessionTurn } from './chat-sessions.js';
+import { searchKnowledgeBase, formatPassages } from './retrieval/retrievalProvider.js';
+import * as chatSessionStore from './db-adapter.js';
 import Ajv from 'ajv';
 
-const execFileAsync = promisify(execFile);
-const __dirname = dirname(fileURLToPath(import.meta.url));
 const ajv = new Ajv();
 
 // Debug logging configuration - Enable in production for workflow tracking
@@ -239,6 +237,16 @@ async function getStrictAIRecommendationsTool(params) {
   }
 }
 
+// Knowledge base lookup (articles and POI descriptions)
+async function searchKnowledgeBaseTool({ query, limit = 3 }) {
+  const passages = await searchKnowledgeBase(query, { limit: Math.min(Math.max(limit, 1), 5) });
+  debugLog(`searchKnowledgeBaseTool result`, { query, titles: passages.map(passage => passage.title) });
+  // An object rather than an array, so the stream does not report the passages as places
+  return {
+    results: passages.map(({ title, section, text, url, source }) => ({ title, section, text, url, source }))
+  };
+}
+
 const locationSchema = {
   type: "object",
   properties: {
@@ -272,21 +280,37 @@ const locationSchema = {
 
 const validateLocation = ajv.compile(locationSchema);
 
+// What streaming clients see while each tool runs
+const TOOL_STATUS_MESSAGES = {
+  getNearbyPlaces: 'Searching for places nearby',
+  getTravelTime: 'Checking travel times',
+  getContextualRecommendations: 'Finding places that match your preferences',
+  getStrictAIRecommendations: 'Planning your itinerary stop by stop',
+  searchKnowledgeBase: 'Looking it up in the Rhodes guide'
+};
+
 export default async function chatHandler(req, res) {
   if (req.method && req.method !== 'POST') {
     res.setHeader('Allow', 'POST');
     return res.status(405).end('Method Not Allowed');
   }
-  if (!process.env.OPENAI_API_KEY) {
+  const stream = createEventStream(req, res);
+  if (!isLLMAvailable()) {
     console.error('Missing OPENAI_API_KEY');
-    return res.status(500).json({ error: 'Server misconfiguration' });
+    return stream.respond(500, { error: 'Server misconfiguration' });
   }
 
-  const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  const { history = [], prompt, userLocation = null, userPreferences = {} } = req.body;
+  const { prompt, userLocation = null, userPreferences = {} } = req.body;
+  stream.status('thinking', 'Thinking about your request');
+
+  // Signed-in users with a session get their stored (and summarised) history
+  const { history, sessionId } = await resolvePromptHistory(chatSessionStore, req, {
+    onSummarize: () => stream.status('summarizing', 'Summarising the earlier conversation')
+  });
 
   debugLog(`Chat request received`, { 
     hasHistory: history.length > 0,
+    sessionId,
     promptLength: prompt?.length || 0,
     hasUserLocation: !!userLocation,
     hasUserPreferences: Object.keys(userPreferences).length > 0,
@@ -302,23 +326,10 @@ export default async function chatHandler(req, res) {
     hasDatabaseUrl: !!process.env.DATABASE_URL
   });
 
-  // 1) Retrieve RAG context (disabled)
-  // NOTE: Temporarily disabling the knowledge-base retrieval while we refine the RAG pipeline.
-  let context = '';
-  /*
-  try {
-    const { stdout } = await execFileAsync('python3', [
-      join(__dirname, 'rag_retrieve.py'),
-      prompt,
-      '3'
-    ]);
-    const docs = JSON.parse(stdout);
-    context = docs.map(d => d.text).join('\n---\n');
-    console.log('🔍 Retrieved docs:', docs);
-  } catch (err) {
-    console.error('Retrieval error:', err);
-  }
-  */
+  // 1) Ground the answer in the Rhodes knowledge base
+  const knowledge = await searchKnowledgeBase(prompt);
+  const context = formatPassages(knowledge);
+  debugLog(`Knowledge base passages retrieved`, { titles: knowledge.map(passage => passage.title) });
 
   // 2) Build enhanced system prompt
   const systemPrompt = `
@@ -439,8 +450,8 @@ ${Object.entries(userPreferences).map(([key, value]) => `- ${key}: ${Array.isArr
 **IMPORTANT: Tailor ALL recommendations based on these preferences!**
 ` : ""}
 
-Context:
-${context}
+${context ? `Rhodes knowledge base excerpts (prefer these facts; call searchKnowledgeBase for more):
+${context}` : ""}
 
 Begin by gathering any missing details from the user, then plan a personalized itinerary using the available tools.
 `;
@@ -481,6 +492,21 @@ Begin by gathering any missing details from the user, then plan a personalized i
           required: ["origin", "destination"]
         }
       }
+    },
+    {
+      type: "function",
+      function: {
+        name: "searchKnowledgeBase",
+        description: "Search the Rhodes travel guide articles and place descriptions for history, local tips and background on a place or topic",
+        parameters: {
+          type: "object",
+          properties: {
+            query: { type: "string" },
+            limit: { type: "integer", default: 3 }
+          },
+          required: ["query"]
+        }
+      }
     }
   ];
 
@@ -555,14 +581,37 @@ Begin by gathering any missing details from the user, then plan a personalized i
 
   const MAX_ITERATIONS = 10;  // Increase from 5 to 10
   for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (stream.aborted) {
+      debugLog(`Client disconnected, stopping after ${i} iterations`);
+      return res.end();
+    }
     debugLog(`Chat iteration ${i + 1}/${MAX_ITERATIONS}`);
-    
-    const completion = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: sanitizeMessages(messages),
-        tools: tools,
-        tool_choice: "auto",
-    });
+
+    // Text from an earlier iteration was not the final answer
+    if (i > 0) stream.reset();
+    const showProse = createProseFilter();
+
+    let completion;
+    try {
+      completion = await createChatCompletion({
+        purpose: 'chat',
+        context: { prompt, userLocation, userPreferences },
+        params: {
+          model: "gpt-4o-mini",
+          messages: sanitizeMessages(messages),
+          tools: tools,
+          tool_choice: "auto",
+        },
+        onToken: stream.enabled ? (text) => stream.token(showProse(text)) : undefined,
+        signal: stream.signal
+      });
+    } catch (error) {
+      if (stream.aborted) {
+        debugLog(`Client disconnected during completion`);
+        return res.end();
+      }
+      throw error;
+    }
 
     const responseMessage = completion.choices[0].message;
     messages.push(responseMessage);
@@ -582,6 +631,7 @@ Begin by gathering any missing details from the user, then plan a personalized i
           
           let result;
           const toolStartTime = Date.now();
+          stream.status('tool_started', TOOL_STATUS_MESSAGES[name] || `Running ${name}`, { tool: name });
           try {
             if (name === "getNearbyPlaces") {
               debugLog(`➡️ Calling enhanced getNearbyPlaces with spatial intelligence`);
@@ -595,6 +645,9 @@ Begin by gathering any missing details from the user, then plan a personalized i
             } else if (name === "getStrictAIRecommendations") {
               debugLog(`➡️ Calling strict AI workflow for intelligent recommendations`);
               result = await getStrictAIRecommendationsTool(parsedArgs);
+            } else if (name === "searchKnowledgeBase") {
+              debugLog(`➡️ Searching the knowledge base`);
+              result = await searchKnowledgeBaseTool(parsedArgs);
             }
             
             const executionTime = Date.now() - toolStartTime;
@@ -603,6 +656,14 @@ Begin by gathering any missing details from the user, then plan a personalized i
               executionTime: `${executionTime}ms`,
               hasEnhancedFields: result?.[0]?.spatialContext ? 'YES' : 'NO'
             });
+            if (Array.isArray(result)) {
+              stream.status('pois_found', `Found ${result.length} place${result.length === 1 ? '' : 's'}`, {
+                tool: name,
+                count: result.length,
+                names: result.slice(0, 5).map(place => place.name).filter(Boolean)
+              });
+            }
+            stream.status('tool_finished', `${TOOL_STATUS_MESSAGES[name] || name} - done`, { tool: name, durationMs: executionTime });
             
           } catch (error) {
             const executionTime = Date.now() - toolStartTime;
@@ -611,6 +672,7 @@ Begin by gathering any missing details from the user, then plan a personalized i
               errorType: error.constructor.name 
             });
             result = { error: error.message };
+            stream.status('tool_failed', `${TOOL_STATUS_MESSAGES[name] || name} - failed`, { tool: name });
           }
           
           return {
@@ -650,16 +712,24 @@ Begin by gathering any missing details from the user, then plan a personalized i
   const finalMessage = messages.filter(m => m.role === 'assistant').pop();
   if (!finalMessage) {
     debugLog(`No final message found`);
-    return res.status(500).json({ error: "Failed to get a response from the assistant." });
+    return stream.respond(500, { error: "Failed to get a response from the assistant." });
   }
 
   let response = finalMessage.content || "";
   if (response.trim() === "") {
     debugLog(`Empty response, retrying`);
     try {
-      const retryCompletion = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [...messages, { role: 'user', content: 'Please provide the itinerary now.' }],
+      stream.reset();
+      const showProse = createProseFilter();
+      const retryCompletion = await createChatCompletion({
+        purpose: 'chat_retry',
+        context: { prompt, userLocation, userPreferences },
+        params: {
+          model: "gpt-4o-mini",
+          messages: [...messages, { role: 'user', content: 'Please provide the itinerary now.' }],
+        },
+        onToken: stream.enabled ? (text) => stream.token(showProse(text)) : undefined,
+        signal: stream.signal
       });
       response = retryCompletion.choices[0].message.content || "";
     } catch (retryError) {
@@ -671,9 +741,15 @@ Begin by gathering any missing details from the user, then plan a personalized i
   const { locations, cleanedText, metadata } = extractStructuredData(response);
   
   // Geocode any locations with missing or invalid coordinates
+  if (locations.length > 0) {
+    stream.status('geocoding', `Pinning ${locations.length} place${locations.length === 1 ? '' : 's'} on the map`, { count: locations.length });
+  }
   const geocodedLocations = await geocodeLocations(locations);
   
   // Augment with travel times/distances if they are missing
+  if (geocodedLocations.length > 1) {
+    stream.status('travel_times', 'Working out travel times between stops');
+  }
   await addTravelTimes(geocodedLocations, userLocation);
 
   const workflowType = WorkflowConfig.useStrictAIWorkflow ? 'STRICT_AI_WORKFLOW' : 
@@ -688,7 +764,11 @@ Begin by gathering any missing details from the user, then plan a personalized i
     workflowType
   });
 
-  return res.status(200).json({ 
+  if (sessionId) {
+    await recordSessionTurn(chatSessionStore, req.user.id, sessionId, { prompt, reply: cleanedText, locations: geocodedLocations });
+  }
+
+  return stream.respond(200, { 
     reply: cleanedText,
     structuredData: { 
       locations: geocodedLocations, 
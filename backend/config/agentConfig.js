@@ -69,19 +69,18 @@ export const AgentConfig = {
   // === RAG CONFIGURATION ===
   
   /**
-   * Enable RAG knowledge base integration
+   * Ground chat, agent and planner answers in the Rhodes knowledge base
+   * (on by default; the BM25 index is local and needs no external service)
    */
-  ragEnabled: process.env.RAG_ENABLED === 'true',
+  ragEnabled: process.env.RAG_ENABLED !== 'false',
   
   /**
-   * RAG collection name in Qdrant
+   * Knowledge base retrieval provider
+   * Options: 'bm25' (local keyword index), 'embeddings' (OpenAI embeddings,
+   * falling back to bm25 without an API key). The corpus file can be
+   * overridden with RAG_CORPUS_PATH.
    */
-  ragCollection: process.env.RAG_COLLECTION || 'rhodes_rag',
-  
-  /**
-   * Path to Qdrant database
-   */
-  ragDbPath: process.env.RAG_DB_PATH || 'rhodes_qdrant',
+  ragProvider: process.env.RAG_PROVIDER || 'bm25',
   
   /**
    * OpenAI embedding model for RAG
@@ -96,15 +95,30 @@ export const AgentConfig = {
   // === PERFORMANCE SETTINGS ===
   
   /**
-   * Enable response caching
+   * Enable response caching (geocoding, place lookups, forecasts, LLM answers)
    */
   enableCaching: process.env.ENABLE_CACHING !== 'false',
   
   /**
-   * Cache expiry time in seconds
+   * Cache expiry time in seconds, for namespaces without a TTL policy
    */
   cacheExpiry: parseInt(process.env.CACHE_EXPIRY) || 3600,
   
+  /**
+   * Cache store: 'memory' (per-process LRU), 'sqlite' (file) or 'redis' (Upstash, shared)
+   */
+  cacheStore: process.env.CACHE_STORE || (process.env.UPSTASH_REDIS_REST_URL ? 'redis' : 'memory'),
+  
+  /**
+   * Most entries the memory and SQLite stores keep before evicting the least recently used
+   */
+  cacheMaxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 5000,
+  
+  /**
+   * SQLite cache file (defaults to cache.sqlite in the project root)
+   */
+  cacheSqlitePath: process.env.CACHE_SQLITE_PATH || null,
+  
   /**
    * Enable parallel tool execution
    */
@@ -133,10 +147,24 @@ export const AgentConfig = {
   enableRouteOptimization: process.env.ENABLE_ROUTE_OPTIMIZATION !== 'false',
   
   /**
-   * Enable weather-aware planning
+   * Enable weather-aware planning: the forecast steers plan strategies and
+   * step recommendations away from beaches on windy or rainy days
+   * (opt-in: each plan request then fetches a forecast from Open-Meteo)
    */
   enableWeatherAware: process.env.ENABLE_WEATHER_AWARE === 'true',
   
+  /**
+   * Forecast provider for weather-aware planning
+   * Options: 'open-meteo', 'fixture' (canned forecasts from backend/weather/fixtures).
+   * Defaults to 'fixture' when mockApis is set.
+   */
+  weatherProvider: process.env.WEATHER_PROVIDER || (process.env.MOCK_APIS === 'true' ? 'fixture' : 'open-meteo'),
+  
+  /**
+   * Fixture the 'fixture' weather provider serves ('sunny', 'windy', 'rainy')
+   */
+  weatherFixture: process.env.WEATHER_FIXTURE || 'sunny',
+  
   // === MONITORING AND ANALYTICS ===
   
   /**
@@ -171,6 +199,24 @@ export const AgentConfig = {
    */
   skipApiValidation: process.env.SKIP_API_VALIDATION === 'true',
   
+  /**
+   * LLM provider used by every OpenAI call site
+   * Options: 'openai', 'stub' (rule-based, offline), 'replay' (recorded fixtures),
+   * 'record' (call OpenAI and save fixtures). Defaults to 'stub' when mockApis is set.
+   */
+  llmProvider: process.env.LLM_PROVIDER || (process.env.MOCK_APIS === 'true' ? 'stub' : 'openai'),
+  
+  /**
+   * Directory holding recorded LLM fixtures for the record/replay providers
+   */
+  llmFixtureDir: process.env.LLM_FIXTURE_DIR || 'backend/llm/fixtures',
+  
+  /**
+   * Answer with the rule-based stub when a replay fixture is missing
+   * (otherwise a missing fixture is an error)
+   */
+  llmReplayFallbackToStub: process.env.LLM_REPLAY_FALLBACK !== 'false',
+  
   // === LOCATION-SPECIFIC SETTINGS ===
   
   /**
@@ -183,12 +229,13 @@ export const AgentConfig = {
   
   /**
    * Rhodes island bounding box for location validation
+   * Used by geocoding too; reaches Prasonisi in the south and Monolithos castle in the west
    */
   rhodesBounds: {
     north: parseFloat(process.env.RHODES_NORTH) || 36.4773,
-    south: parseFloat(process.env.RHODES_SOUTH) || 35.8885,
+    south: parseFloat(process.env.RHODES_SOUTH) || 35.8700,
     east: parseFloat(process.env.RHODES_EAST) || 28.2441,
-    west: parseFloat(process.env.RHODES_WEST) || 27.7388
+    west: parseFloat(process.env.RHODES_WEST) || 27.6850
   }
 };
 
@@ -199,8 +246,9 @@ export function validateAgentConfig() {
   const warnings = [];
   const errors = [];
   
-  // Check required API keys
-  if (!process.env.OPENAI_API_KEY && !AgentConfig.skipApiValidation) {
+  // Check required API keys (offline LLM providers don't need one)
+  const needsOpenAIKey = ['openai', 'record'].includes(AgentConfig.llmProvider);
+  if (needsOpenAIKey && !process.env.OPENAI_API_KEY && !AgentConfig.skipApiValidation) {
     errors.push('OPENAI_API_KEY is required for agent functionality');
   }
   
@@ -210,14 +258,32 @@ export function validateAgentConfig() {
   
   // Check RAG configuration if enabled
   if (AgentConfig.ragEnabled) {
-    if (!AgentConfig.ragCollection) {
-      warnings.push('RAG enabled but RAG_COLLECTION not specified');
+    if (!['bm25', 'embeddings'].includes(AgentConfig.ragProvider)) {
+      errors.push('RAG_PROVIDER must be one of: bm25, embeddings');
     }
-    if (!AgentConfig.ragDbPath) {
-      warnings.push('RAG enabled but RAG_DB_PATH not specified');
+    if (AgentConfig.ragProvider === 'embeddings' && !process.env.OPENAI_API_KEY) {
+      warnings.push('RAG_PROVIDER=embeddings without OPENAI_API_KEY - falling back to bm25');
     }
   }
   
+  if (AgentConfig.enableWeatherAware && !['open-meteo', 'fixture'].includes(AgentConfig.weatherProvider)) {
+    errors.push('WEATHER_PROVIDER must be one of: open-meteo, fixture');
+  }
+  
+  if (AgentConfig.enableCaching) {
+    if (!['memory', 'sqlite', 'redis'].includes(AgentConfig.cacheStore)) {
+      errors.push('CACHE_STORE must be one of: memory, sqlite, redis');
+    }
+    if (AgentConfig.cacheStore === 'redis' && !process.env.UPSTASH_REDIS_REST_URL) {
+      warnings.push('CACHE_STORE=redis without UPSTASH_REDIS_REST_URL - falling back to the in-memory store');
+    }
+  }
+  
+  const supportedProviders = ['openai', 'stub', 'replay', 'record'];
+  if (!supportedProviders.includes(AgentConfig.llmProvider)) {
+    errors.push(`LLM_PROVIDER must be one of: ${supportedProviders.join(', ')}`);
+  }
+  
   // Check model availability
   const supportedModels = [
     'gpt-4-1106-preview',
@@ -253,10 +319,12 @@ export function validateAgentConfig() {
   
   if (AgentConfig.debugMode) {
     console.log('🔧 Agent Configuration:');
+    console.log(`   - LLM Provider: ${AgentConfig.llmProvider}`);
     console.log(`   - Model: ${AgentConfig.model}`);
     console.log(`   - Temperature: ${AgentConfig.temperature}`);
     console.log(`   - Max Iterations: ${AgentConfig.maxIterations}`);
-    console.log(`   - RAG Enabled: ${AgentConfig.ragEnabled}`);
+    console.log(`   - RAG Enabled: ${AgentConfig.ragEnabled} (${AgentConfig.ragProvider})`);
+    console.log(`   - Cache: ${AgentConfig.enableCaching ? AgentConfig.cacheStore : 'disabled'}`);
     console.log(`   - Multi-Step Planner: ${AgentConfig.enableMultiStepPlanner}`);
     console.log(`   - Debug Mode: ${AgentConfig.debugMode}`);
   }
@@ -275,6 +343,7 @@ export function getConfigStatus() {
       googleMaps: !!process.env.GOOGLE_MAPS_API_KEY || AgentConfig.mockApis,
       openai: !!process.env.OPENAI_API_KEY || AgentConfig.skipApiValidation
     },
+    llmProvider: AgentConfig.llmProvider,
     features: {
       multiStepPlanner: AgentConfig.enableMultiStepPlanner,
       routeOptimization: AgentConfig.enableRouteOptimization,
@@ -0,0 +1,111 @@
+// meteringConfig.js - Usage metering plans and endpoint cost weights
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/**
+ * Parse a JSON object from an environment variable, ignoring invalid input
+ */
+function parseJsonEnv(name) {
+  const raw = process.env[name];
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`⚠️ Ignoring invalid ${name}: ${error.message}`);
+    return null;
+  }
+}
+
+const FREE_CHATS_ALLOWED = parseInt(process.env.FREE_CHATS_ALLOWED) || 5;
+
+/**
+ * Usage Metering Configuration
+ * Plans define one or more rolling windows; a request is allowed only if
+ * every window of the caller's plan still has enough units left.
+ */
+export const MeteringConfig = {
+  /**
+   * Disable metering entirely (every request is allowed, nothing is recorded)
+   */
+  enabled: process.env.USAGE_METERING !== 'false',
+
+  /**
+   * Cost in units for each metered endpoint.
+   * A number applies to every request; an object can price individual
+   * actions (guided chat `action`, step planner `step`) and falls back to `default`.
+   */
+  endpointCosts: {
+    '/api/chat': 1,
+    '/api/agent': 1,
+    '/api/poi-step': {
+      default: 1,
+      actions: {
+        // Finalizing only routes and schedules the chosen POIs, no LLM call
+        FINALIZE_PLAN: 0
+      }
+    },
+    '/api/guided-chat': {
+      default: 1,
+      actions: {
+        // Round completion only computes travel times, no LLM call
+        COMPLETE_ROUND: 0
+      }
+    },
+    ...parseJsonEnv('USAGE_ENDPOINT_COSTS')
+  },
+
+  /**
+   * Plan table. `seconds: null` means the window never rolls over (lifetime quota).
+   * Windows may be restricted to specific endpoints with `endpoints: [...]`.
+   */
+  plans: {
+    guest: {
+      windows: [
+        { name: 'trial', seconds: 30 * DAY, units: FREE_CHATS_ALLOWED }
+      ]
+    },
+    free: {
+      windows: [
+        { name: 'lifetime', seconds: null, units: FREE_CHATS_ALLOWED }
+      ]
+    },
+    paid: {
+      windows: [
+        { name: 'hourly', seconds: HOUR, units: parseInt(process.env.PAID_HOURLY_UNITS) || 60 },
+        { name: 'daily', seconds: DAY, units: parseInt(process.env.PAID_DAILY_UNITS) || 300 }
+      ]
+    },
+    ...parseJsonEnv('USAGE_PLANS')
+  },
+
+  /**
+   * Events older than this are pruned opportunistically (lifetime windows
+   * are computed from all retained events, so keep this generous)
+   */
+  retentionSeconds: parseInt(process.env.USAGE_RETENTION_SECONDS) || 365 * DAY
+};
+
+/**
+ * Resolve which plan applies to a request's user (or guest)
+ */
+export function resolvePlanName(user) {
+  if (!user) return 'guest';
+  return user.has_paid ? 'paid' : 'free';
+}
+
+/**
+ * Resolve the unit cost of a request to a metered endpoint
+ */
+export function getEndpointCost(endpoint, action = null) {
+  const cost = MeteringConfig.endpointCosts[endpoint];
+  if (cost === undefined) return 1;
+  if (typeof cost === 'number') return cost;
+  if (action && cost.actions && cost.actions[action] !== undefined) {
+    return cost.actions[action];
+  }
+  return cost.default ?? 1;
+}
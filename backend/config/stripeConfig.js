@@ -0,0 +1,20 @@
+// stripeConfig.js - Stripe keys shared by the Express server and the Vercel functions
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Read a Stripe setting. TEST keys are used until live keys are configured,
+ * so `<NAME>_TEST` wins, then `<NAME>`, then `<NAME>_PROD`.
+ * @returns {string|null} null when none of them is set
+ */
+export function getStripeSetting(keyBase) {
+  return process.env[`${keyBase}_TEST`] || process.env[keyBase] || process.env[`${keyBase}_PROD`] || null;
+}
+
+export const StripeConfig = {
+  apiVersion: '2022-11-15',
+  get secretKey() { return getStripeSetting('STRIPE_SECRET_KEY'); },
+  get priceId() { return getStripeSetting('STRIPE_PRICE_ID'); },
+  get webhookSecret() { return getStripeSetting('STRIPE_WEBHOOK_SECRET'); }
+};
@@ -40,6 +40,10 @@ if (isProduction && hasPostgresConfig()) {
 } else {
   console.log('🗄️ Using SQLite for development');  
   db = await import('./db.js');
+
+  // Same POI interface backed by kb_* tables seeded from the local dataset
+  poiDB = await import('./db-poi-sqlite.js');
+  console.log('📍 SQLite POI database functions loaded');
 }
 
 // Re-export all database functions
@@ -49,22 +53,55 @@ export const upsertUser = db.upsertUser;
 export const setMagicToken = db.setMagicToken;
 export const clearMagicToken = db.clearMagicToken;
 export const markUserPaid = db.markUserPaid;
+export const setUserPaid = db.setUserPaid;
+export const setUserRole = db.setUserRole;
 export const incrementFreeChats = db.incrementFreeChats;
 export const setFreeChats = db.setFreeChats;
 export const getAllUsers = db.getAllUsers;
 export const deleteUserByEmail = db.deleteUserByEmail;
 export const saveTravelPlan = db.saveTravelPlan;
 export const getUserTravelPlans = db.getUserTravelPlans;
+export const getTravelPlan = db.getTravelPlan;
 export const deleteTravelPlan = db.deleteTravelPlan;
 export const updateTravelPlan = db.updateTravelPlan;
+export const setTravelPlanShare = db.setTravelPlanShare;
+export const clearTravelPlanShare = db.clearTravelPlanShare;
+export const getTravelPlanByShareToken = db.getTravelPlanByShareToken;
 export const saveChatMessage = db.saveChatMessage;
 export const getUserChatHistory = db.getUserChatHistory;
 export const clearUserChatHistory = db.clearUserChatHistory;
+export const createChatSession = db.createChatSession;
+export const getChatSession = db.getChatSession;
+export const getUserChatSessions = db.getUserChatSessions;
+export const renameChatSession = db.renameChatSession;
+export const touchChatSession = db.touchChatSession;
+export const updateChatSessionSummary = db.updateChatSessionSummary;
+export const deleteChatSession = db.deleteChatSession;
 export const saveUserPreferences = db.saveUserPreferences;
 export const getUserPreferences = db.getUserPreferences;
+export const recordUsageEvent = db.recordUsageEvent;
+export const recordUsageEventWithinLimits = db.recordUsageEventWithinLimits;
+export const getUsageSince = db.getUsageSince;
+export const pruneUsageEvents = db.pruneUsageEvents;
+export const recordStripeEvent = db.recordStripeEvent;
+export const releaseStripeEvent = db.releaseStripeEvent;
+export const savePayment = db.savePayment;
+export const updatePaymentStatus = db.updatePaymentStatus;
+export const getPaymentByIntent = db.getPaymentByIntent;
+export const getPaymentByCharge = db.getPaymentByCharge;
+export const getPaymentsByEmail = db.getPaymentsByEmail;
+export const recordPaymentFailure = db.recordPaymentFailure;
+export const getPaymentsBetween = db.getPaymentsBetween;
+export const getPaymentFailuresBetween = db.getPaymentFailuresBetween;
+export const getUsersCreatedBetween = db.getUsersCreatedBetween;
+export const getUsageByDay = db.getUsageByDay;
+export const countUsageSubjects = db.countUsageSubjects;
+export const recordAdminAction = db.recordAdminAction;
+export const getAdminAuditLog = db.getAdminAuditLog;
 export const close = db.close;
 
-// Export POI functions if available
+// POI repository - db-poi.js (PostgreSQL) and db-poi-sqlite.js implement the same functions
+// and return the same row shapes; only a failed PostgreSQL import leaves them unavailable
 export const isPOIDataAvailable = poiDB?.isPOIDataAvailable || (() => Promise.resolve(false));
 export const searchPOIsByType = poiDB?.searchPOIsByType || null;
 export const getNearbyPOIs = poiDB?.getNearbyPOIs || null;
@@ -1,4 +1,5 @@
 import pkg from 'pg';
+import { migrate, createPostgresDriver } from './migrator.js';
 const { Pool } = pkg;
 
 // Function to get DATABASE_URL from individual components or use the direct URL
@@ -63,7 +64,7 @@ pool.on('remove', () => {
 });
 
 // -------------------------
-// Schema (PostgreSQL version)
+// Schema (versioned migrations in backend/migrations)
 // -------------------------
 
 let schemaInitialized = false;
@@ -82,67 +83,10 @@ async function initSchema() {
       throw new Error('DATABASE_URL environment variable is not set');
     }
 
-    const client = await pool.connect();
-    try {
-      // Users table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS users (
-          id SERIAL PRIMARY KEY,
-          email VARCHAR(255) UNIQUE NOT NULL,
-          has_paid BOOLEAN DEFAULT FALSE,
-          free_chats_used INTEGER DEFAULT 0,
-          magic_token_hash VARCHAR(255),
-          magic_token_expires BIGINT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-
-      // User travel plans table  
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS user_travel_plans (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-          plan_data JSONB NOT NULL,
-          plan_name VARCHAR(255) NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-
-      // User chat history table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS user_chat_history (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-          session_id VARCHAR(255) NOT NULL,
-          message_data JSONB NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-
-      // User preferences table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS user_preferences (
-          id SERIAL PRIMARY KEY,
-          user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
-          preferences_data JSONB NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-
-      // Indexes for performance
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);`);
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_users_magic_token ON users(magic_token_hash);`);
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_travel_plans_user ON user_travel_plans(user_id);`);
-      await client.query(`CREATE INDEX IF NOT EXISTS idx_chat_history_user_session ON user_chat_history(user_id, session_id);`);
-
-      schemaInitialized = true;
-      console.log('✅ Neon PostgreSQL schema initialized');
-    } finally {
-      client.release();
-    }
+    await migrate(createPostgresDriver(pool));
+
+    schemaInitialized = true;
+    console.log('✅ Neon PostgreSQL schema initialized');
   } catch (error) {
     console.error('❌ Failed to initialize schema:', error.message);
     throw error;
@@ -228,6 +172,17 @@ export async function markUserPaid(email) {
   await executeQuery('UPDATE users SET has_paid = TRUE WHERE email = $1', [email.toLowerCase()]);
 }
 
+// Grants or revokes access (the payments ledger decides which)
+export async function setUserPaid(email, hasPaid) {
+  const result = await executeQuery('UPDATE users SET has_paid = $1 WHERE email = $2', [Boolean(hasPaid), email.toLowerCase()]);
+  return { changes: result.rowCount };
+}
+
+export async function setUserRole(email, role) {
+  const result = await executeQuery('UPDATE users SET role = $1 WHERE email = $2', [role, email.toLowerCase()]);
+  return { changes: result.rowCount };
+}
+
 export async function incrementFreeChats(email) {
   await executeQuery(
     'UPDATE users SET free_chats_used = free_chats_used + 1 WHERE email = $1',
@@ -274,22 +229,73 @@ export async function getUserTravelPlans(userId) {
   }));
 }
 
-export async function deleteTravelPlan(userId, planId) {
+export async function getTravelPlan(userId, planId) {
   const result = await executeQuery(
-    'DELETE FROM user_travel_plans WHERE user_id = $1 AND id = $2',
+    'SELECT * FROM user_travel_plans WHERE user_id = $1 AND id = $2',
     [userId, planId]
   );
+  const plan = result.rows[0];
+  if (!plan) return null;
+  return {
+    ...plan,
+    plan_data: typeof plan.plan_data === 'string' ? JSON.parse(plan.plan_data) : plan.plan_data,
+    share_expires_at: plan.share_expires_at === null ? null : Number(plan.share_expires_at),
+    created_at: Math.floor(new Date(plan.created_at).getTime() / 1000),
+    updated_at: Math.floor(new Date(plan.updated_at).getTime() / 1000)
+  };
+}
+
+export async function deleteTravelPlan(userId, planId, expectedVersion = null) {
+  const result = await executeQuery(
+    'DELETE FROM user_travel_plans WHERE user_id = $1 AND id = $2 AND ($3::integer IS NULL OR version = $3)',
+    [userId, planId, expectedVersion]
+  );
+  return { changes: result.rowCount };
+}
+
+// Writes bump `version`; a non-null expected version makes the update conditional (If-Match)
+export async function updateTravelPlan(userId, planId, planData, planName, expectedVersion = null) {
+  const result = await executeQuery(
+    `UPDATE user_travel_plans SET plan_data = $1, plan_name = $2, updated_at = CURRENT_TIMESTAMP, version = version + 1
+     WHERE user_id = $3 AND id = $4 AND ($5::integer IS NULL OR version = $5)`,
+    [JSON.stringify(planData), planName, userId, planId, expectedVersion]
+  );
   return { changes: result.rowCount };
 }
 
-export async function updateTravelPlan(userId, planId, planData, planName) {
+// Plan sharing (token hashes only; expiry in ms)
+export async function setTravelPlanShare(userId, planId, tokenHash, expiresAt) {
   const result = await executeQuery(
-    'UPDATE user_travel_plans SET plan_data = $1, plan_name = $2, updated_at = CURRENT_TIMESTAMP WHERE user_id = $3 AND id = $4',
-    [JSON.stringify(planData), planName, userId, planId]
+    'UPDATE user_travel_plans SET share_token_hash = $1, share_expires_at = $2, version = version + 1 WHERE user_id = $3 AND id = $4',
+    [tokenHash, expiresAt, userId, planId]
   );
   return { changes: result.rowCount };
 }
 
+export async function clearTravelPlanShare(userId, planId) {
+  const result = await executeQuery(
+    'UPDATE user_travel_plans SET share_token_hash = NULL, share_expires_at = NULL, version = version + 1 WHERE user_id = $1 AND id = $2',
+    [userId, planId]
+  );
+  return { changes: result.rowCount };
+}
+
+export async function getTravelPlanByShareToken(tokenHash) {
+  const result = await executeQuery(
+    'SELECT * FROM user_travel_plans WHERE share_token_hash = $1',
+    [tokenHash]
+  );
+  const plan = result.rows[0];
+  if (!plan) return null;
+  return {
+    ...plan,
+    plan_data: typeof plan.plan_data === 'string' ? JSON.parse(plan.plan_data) : plan.plan_data,
+    share_expires_at: plan.share_expires_at === null ? null : Number(plan.share_expires_at),
+    created_at: Math.floor(new Date(plan.created_at).getTime() / 1000),
+    updated_at: Math.floor(new Date(plan.updated_at).getTime() / 1000)
+  };
+}
+
 // Chat History API
 export async function saveChatMessage(userId, sessionId, messageData) {
   const result = await executeQuery(
@@ -301,7 +307,7 @@ export async function saveChatMessage(userId, sessionId, messageData) {
 
 export async function getUserChatHistory(userId, sessionId) {
   const result = await executeQuery(
-    'SELECT * FROM user_chat_history WHERE user_id = $1 AND session_id = $2 ORDER BY created_at ASC',
+    'SELECT * FROM user_chat_history WHERE user_id = $1 AND session_id = $2 ORDER BY created_at ASC, id ASC',
     [userId, sessionId]
   );
   return result.rows.map(msg => ({
@@ -319,15 +325,88 @@ export async function clearUserChatHistory(userId, sessionId) {
   return { changes: result.rowCount };
 }
 
-// Preferences API
-export async function saveUserPreferences(userId, preferencesData) {
+// Chat Sessions API
+function mapChatSession(session) {
+  return {
+    ...session,
+    message_count: session.message_count === undefined ? undefined : Number(session.message_count),
+    created_at: Math.floor(new Date(session.created_at).getTime() / 1000),
+    updated_at: Math.floor(new Date(session.updated_at).getTime() / 1000)
+  };
+}
+
+export async function createChatSession(userId, sessionId, title) {
   await executeQuery(
+    'INSERT INTO chat_sessions (id, user_id, title) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+    [sessionId, userId, title]
+  );
+  return getChatSession(userId, sessionId);
+}
+
+export async function getChatSession(userId, sessionId) {
+  const result = await executeQuery(
+    'SELECT * FROM chat_sessions WHERE user_id = $1 AND id = $2',
+    [userId, sessionId]
+  );
+  return result.rows[0] ? mapChatSession(result.rows[0]) : null;
+}
+
+export async function getUserChatSessions(userId) {
+  const result = await executeQuery(
+    `SELECT s.*, (SELECT COUNT(*) FROM user_chat_history h WHERE h.user_id = s.user_id AND h.session_id = s.id) AS message_count
+     FROM chat_sessions s WHERE s.user_id = $1 ORDER BY s.updated_at DESC, s.created_at DESC`,
+    [userId]
+  );
+  return result.rows.map(mapChatSession);
+}
+
+export async function renameChatSession(userId, sessionId, title) {
+  const result = await executeQuery(
+    'UPDATE chat_sessions SET title = $1, updated_at = CURRENT_TIMESTAMP WHERE user_id = $2 AND id = $3',
+    [title, userId, sessionId]
+  );
+  return { changes: result.rowCount };
+}
+
+export async function touchChatSession(userId, sessionId) {
+  const result = await executeQuery(
+    'UPDATE chat_sessions SET updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND id = $2',
+    [userId, sessionId]
+  );
+  return { changes: result.rowCount };
+}
+
+export async function updateChatSessionSummary(userId, sessionId, summary, summarizedCount) {
+  const result = await executeQuery(
+    'UPDATE chat_sessions SET summary = $1, summarized_count = $2 WHERE user_id = $3 AND id = $4',
+    [summary, summarizedCount, userId, sessionId]
+  );
+  return { changes: result.rowCount };
+}
+
+// Removes the session and its messages in one statement
+export async function deleteChatSession(userId, sessionId) {
+  const result = await executeQuery(
+    `WITH removed_messages AS (
+       DELETE FROM user_chat_history WHERE user_id = $1 AND session_id = $2
+     )
+     DELETE FROM chat_sessions WHERE user_id = $1 AND id = $2`,
+    [userId, sessionId]
+  );
+  return { changes: result.rowCount };
+}
+
+// Preferences API
+export async function saveUserPreferences(userId, preferencesData, expectedVersion = null) {
+  const result = await executeQuery(
     `INSERT INTO user_preferences (user_id, preferences_data, updated_at) 
      VALUES ($1, $2, CURRENT_TIMESTAMP)
      ON CONFLICT (user_id) 
-     DO UPDATE SET preferences_data = $2, updated_at = CURRENT_TIMESTAMP`,
-    [userId, JSON.stringify(preferencesData)]
+     DO UPDATE SET preferences_data = $2, updated_at = CURRENT_TIMESTAMP, version = user_preferences.version + 1
+     WHERE ($3::integer IS NULL OR user_preferences.version = $3)`,
+    [userId, JSON.stringify(preferencesData), expectedVersion]
   );
+  return { changes: result.rowCount };
 }
 
 export async function getUserPreferences(userId) {
@@ -346,6 +425,234 @@ export async function getUserPreferences(userId) {
   return null;
 }
 
+// Usage Metering API
+export async function recordUsageEvent(subjectKey, endpoint, units, createdAt = Math.floor(Date.now() / 1000)) {
+  const result = await executeQuery(
+    'INSERT INTO usage_events (subject_key, endpoint, units, created_at) VALUES ($1, $2, $3, $4) RETURNING id',
+    [subjectKey, endpoint, units, createdAt]
+  );
+  return result.rows[0].id;
+}
+
+export async function getUsageSince(subjectKey, sinceSeconds, endpoint = null) {
+  const result = endpoint
+    ? await executeQuery(
+        'SELECT COALESCE(SUM(units), 0) AS units, MIN(created_at) AS oldest FROM usage_events WHERE subject_key = $1 AND endpoint = $2 AND created_at >= $3',
+        [subjectKey, endpoint, sinceSeconds]
+      )
+    : await executeQuery(
+        'SELECT COALESCE(SUM(units), 0) AS units, MIN(created_at) AS oldest FROM usage_events WHERE subject_key = $1 AND created_at >= $2',
+        [subjectKey, sinceSeconds]
+      );
+  const row = result.rows[0];
+  return {
+    units: Number(row.units),
+    oldest: row.oldest === null ? null : Number(row.oldest)
+  };
+}
+
+// Records the event only if every window stays within its limit. A per-subject
+// advisory lock serialises concurrent requests between the check and the insert.
+export async function recordUsageEventWithinLimits(subjectKey, endpoint, units, windows, createdAt = Math.floor(Date.now() / 1000)) {
+  await ensureSchema();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [subjectKey]);
+
+    for (const window of windows) {
+      const result = window.endpoints
+        ? await client.query(
+            'SELECT COALESCE(SUM(units), 0) AS units FROM usage_events WHERE subject_key = $1 AND endpoint = ANY($2) AND created_at >= $3',
+            [subjectKey, window.endpoints, window.since]
+          )
+        : await client.query(
+            'SELECT COALESCE(SUM(units), 0) AS units FROM usage_events WHERE subject_key = $1 AND created_at >= $2',
+            [subjectKey, window.since]
+          );
+      const used = Math.max(Number(result.rows[0].units), window.baselineUnits || 0);
+      if (used + units > window.limit) {
+        await client.query('ROLLBACK');
+        return { recorded: false, blockedWindow: window.name };
+      }
+    }
+
+    await client.query(
+      'INSERT INTO usage_events (subject_key, endpoint, units, created_at) VALUES ($1, $2, $3, $4)',
+      [subjectKey, endpoint, units, createdAt]
+    );
+    await client.query('COMMIT');
+    return { recorded: true, blockedWindow: null };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export async function pruneUsageEvents(beforeSeconds) {
+  const result = await executeQuery('DELETE FROM usage_events WHERE created_at < $1', [beforeSeconds]);
+  return { changes: result.rowCount };
+}
+
+// Payments Ledger API
+function mapPayment(payment) {
+  return {
+    ...payment,
+    created_at: Math.floor(new Date(payment.created_at).getTime() / 1000),
+    updated_at: Math.floor(new Date(payment.updated_at).getTime() / 1000)
+  };
+}
+
+// True the first time an event id is seen, false for a repeated delivery
+export async function recordStripeEvent(eventId, type) {
+  const result = await executeQuery(
+    'INSERT INTO stripe_events (id, type) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [eventId, type]
+  );
+  return result.rowCount > 0;
+}
+
+// Forget an event whose processing failed, so Stripe's retry is applied
+export async function releaseStripeEvent(eventId) {
+  const result = await executeQuery('DELETE FROM stripe_events WHERE id = $1', [eventId]);
+  return { changes: result.rowCount };
+}
+
+// Status is only set on insert; later events change it through updatePaymentStatus
+export async function savePayment({ email, paymentIntentId, checkoutSessionId = null, chargeId = null, amount = 0, currency = null, status = 'paid' }) {
+  const result = await executeQuery(
+    `INSERT INTO payments (email, payment_intent_id, checkout_session_id, charge_id, amount, currency, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (payment_intent_id) DO UPDATE SET
+       checkout_session_id = COALESCE(EXCLUDED.checkout_session_id, payments.checkout_session_id),
+       charge_id = COALESCE(EXCLUDED.charge_id, payments.charge_id),
+       amount = EXCLUDED.amount,
+       currency = COALESCE(EXCLUDED.currency, payments.currency),
+       updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [email.toLowerCase(), paymentIntentId, checkoutSessionId, chargeId, amount, currency, status]
+  );
+  return mapPayment(result.rows[0]);
+}
+
+export async function updatePaymentStatus(paymentIntentId, status, amountRefunded) {
+  const result = await executeQuery(
+    'UPDATE payments SET status = $1, amount_refunded = $2, updated_at = CURRENT_TIMESTAMP WHERE payment_intent_id = $3',
+    [status, amountRefunded, paymentIntentId]
+  );
+  return { changes: result.rowCount };
+}
+
+export async function getPaymentByIntent(paymentIntentId) {
+  const result = await executeQuery('SELECT * FROM payments WHERE payment_intent_id = $1', [paymentIntentId]);
+  return result.rows[0] ? mapPayment(result.rows[0]) : null;
+}
+
+export async function getPaymentByCharge(chargeId) {
+  const result = await executeQuery('SELECT * FROM payments WHERE charge_id = $1', [chargeId]);
+  return result.rows[0] ? mapPayment(result.rows[0]) : null;
+}
+
+export async function getPaymentsByEmail(email) {
+  const result = await executeQuery(
+    'SELECT * FROM payments WHERE email = $1 ORDER BY created_at ASC, id ASC',
+    [email.toLowerCase()]
+  );
+  return result.rows.map(mapPayment);
+}
+
+export async function recordPaymentFailure({ eventId, email = null, paymentIntentId = null, checkoutSessionId = null, amount = 0, currency = null, reason = null, createdAt = null }) {
+  const result = await executeQuery(
+    `INSERT INTO payment_failures (stripe_event_id, email, payment_intent_id, checkout_session_id, amount, currency, reason, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE(to_timestamp($8::bigint)::timestamp, CURRENT_TIMESTAMP))
+     ON CONFLICT DO NOTHING`,
+    [eventId, email?.toLowerCase() ?? null, paymentIntentId, checkoutSessionId, amount, currency, reason, createdAt]
+  );
+  return { changes: result.rowCount };
+}
+
+// Admin Analytics API (ranges are [from, to) in epoch seconds)
+export async function getPaymentsBetween(from, to) {
+  const result = await executeQuery(
+    'SELECT * FROM payments WHERE created_at >= to_timestamp($1)::timestamp AND created_at < to_timestamp($2)::timestamp ORDER BY created_at DESC, id DESC',
+    [from, to]
+  );
+  return result.rows.map(mapPayment);
+}
+
+export async function getPaymentFailuresBetween(from, to) {
+  const result = await executeQuery(
+    'SELECT * FROM payment_failures WHERE created_at >= to_timestamp($1)::timestamp AND created_at < to_timestamp($2)::timestamp ORDER BY created_at DESC, id DESC',
+    [from, to]
+  );
+  return result.rows.map(failure => ({
+    ...failure,
+    created_at: Math.floor(new Date(failure.created_at).getTime() / 1000)
+  }));
+}
+
+export async function getUsersCreatedBetween(from, to) {
+  const result = await executeQuery(
+    `SELECT id, email, has_paid, free_chats_used, created_at FROM users
+     WHERE created_at >= to_timestamp($1)::timestamp AND created_at < to_timestamp($2)::timestamp ORDER BY created_at ASC`,
+    [from, to]
+  );
+  return result.rows.map(user => ({
+    ...user,
+    created_at: Math.floor(new Date(user.created_at).getTime() / 1000)
+  }));
+}
+
+// Requests and units per UTC day and endpoint
+export async function getUsageByDay(from, to) {
+  const result = await executeQuery(
+    `SELECT (created_at / 86400) * 86400 AS day, endpoint, COUNT(*) AS requests, SUM(units) AS units
+     FROM usage_events WHERE created_at >= $1 AND created_at < $2
+     GROUP BY day, endpoint ORDER BY day, endpoint`,
+    [from, to]
+  );
+  return result.rows.map(row => ({
+    day: Number(row.day),
+    endpoint: row.endpoint,
+    requests: Number(row.requests),
+    units: Number(row.units)
+  }));
+}
+
+// Distinct metered subjects (guests by IP, signed-in users) in the range
+export async function countUsageSubjects(from, to) {
+  const result = await executeQuery(
+    `SELECT COUNT(DISTINCT subject_key) AS subjects,
+       COUNT(DISTINCT CASE WHEN subject_key LIKE 'user:%' THEN subject_key END) AS users
+     FROM usage_events WHERE created_at >= $1 AND created_at < $2`,
+    [from, to]
+  );
+  return { subjects: Number(result.rows[0].subjects), users: Number(result.rows[0].users) };
+}
+
+// Admin Audit Log API
+export async function recordAdminAction({ actorEmail, action, target = null, details = null }) {
+  const result = await executeQuery(
+    'INSERT INTO admin_audit_log (actor_email, action, target, details) VALUES ($1, $2, $3, $4) RETURNING id',
+    [actorEmail.toLowerCase(), action, target, details === null ? null : JSON.stringify(details)]
+  );
+  return result.rows[0].id;
+}
+
+export async function getAdminAuditLog(limit = 100) {
+  const result = await executeQuery(
+    'SELECT * FROM admin_audit_log ORDER BY created_at DESC, id DESC LIMIT $1',
+    [limit]
+  );
+  return result.rows.map(entry => ({
+    ...entry,
+    details: typeof entry.details === 'string' ? JSON.parse(entry.details) : entry.details,
+    created_at: Math.floor(new Date(entry.created_at).getTime() / 1000)
+  }));
+}
+
 export async function close() {
   await pool.end();
   console.log('🔒 Neon database pool closed');
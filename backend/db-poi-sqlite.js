@@ -0,0 +1,486 @@
+/**
+ * POI Database Functions (SQLite)
+ * Same interface and row shapes as db-poi.js, backed by kb_* tables in the
+ * local SQLite database (created by migration 008; arrays and JSONB are stored
+ * as JSON text). The tables are seeded from the POI dataset files
+ * (the bootstrap test dataset when the pipeline output is absent), so local
+ * development and tests get the full enhanced POI feature set.
+ */
+
+import { getConnection } from './db.js';
+import { applyOpeningHours } from './opening-hours.js';
+import { loadPOIDataset, loadSpatialRelationships } from './poi-dataset.js';
+import { findBestNameMatch, normalizeName } from './name-matching.js';
+
+const db = getConnection();
+
+// Debug logging
+const debugLog = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  const prefix = process.env.NODE_ENV === 'production' ? '🚀 PROD_DB_POI' : '🔍 DEV_DB_POI';
+  console.log(`${prefix} [${timestamp}] ${message}`);
+  if (data) {
+    const maxLength = process.env.NODE_ENV === 'production' ? 500 : 2000;
+    const dataStr = JSON.stringify(data, null, process.env.NODE_ENV === 'production' ? 0 : 2);
+    const truncatedData = dataStr.length > maxLength ? dataStr.substring(0, maxLength) + '...[TRUNCATED]' : dataStr;
+    console.log(`${prefix} [${timestamp}] DATA:`, truncatedData);
+  }
+};
+
+// Great-circle distance in meters (SQLite has no trigonometry built in)
+db.function('haversine_meters', { deterministic: true }, (lat1, lng1, lat2, lng2) => {
+  if ([lat1, lng1, lat2, lng2].some(value => value === null)) return null;
+  const toRad = degrees => degrees * Math.PI / 180;
+  const h = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+  return 2 * 6371000 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+});
+
+// Nearest POIs findPOIByNameAndLocation compares names against
+const NAME_MATCH_CANDIDATES = 200;
+
+const JSON_COLUMNS = [
+  'secondary_types', 'opening_hours', 'amenities', 'tags', 'highlights', 'local_tips',
+  'best_times', 'seasonal_variations', 'accessibility_features', 'data_sources'
+];
+
+// Parse JSON text columns back into the arrays/objects PostgreSQL returns
+function toRow(row) {
+  if (!row) return row;
+  const parsed = { ...row };
+  for (const column of JSON_COLUMNS) {
+    if (typeof parsed[column] === 'string') {
+      try {
+        parsed[column] = JSON.parse(parsed[column]);
+      } catch {
+        // Leave malformed values as text
+      }
+    }
+  }
+  return parsed;
+}
+
+const jsonOrNull = value => (value === undefined || value === null ? null : JSON.stringify(value));
+
+// Dataset POI → kb_poi_master row (same mapping as the production migration, plus Google field names)
+function toPOIRecord(poi) {
+  return {
+    place_id: poi.place_id || poi.legacy_id || null,
+    legacy_id: poi.legacy_id || null,
+    name: poi.name,
+    primary_type: poi.primary_type || null,
+    secondary_types: jsonOrNull(poi.secondary_types || []),
+    latitude: parseFloat(poi.latitude),
+    longitude: parseFloat(poi.longitude),
+    address: poi.address || poi.formatted_address || poi.vicinity || null,
+    municipality: poi.municipality || null,
+    district: poi.district || null,
+    plus_code: poi.plus_code || null,
+    rating: poi.rating ? parseFloat(poi.rating) : null,
+    rating_count: parseInt(poi.rating_count || poi.user_ratings_total, 10) || null,
+    price_level: poi.price_level ? parseInt(poi.price_level, 10) : null,
+    phone: poi.phone || poi.phone_number || null,
+    website: poi.website || null,
+    opening_hours: jsonOrNull(poi.opening_hours || poi.operating_hours),
+    amenities: jsonOrNull(poi.amenities || []),
+    tags: jsonOrNull(poi.tags || []),
+    description: poi.description || null,
+    highlights: jsonOrNull(poi.highlights || []),
+    local_tips: jsonOrNull(poi.local_tips || []),
+    best_times: jsonOrNull(poi.best_times || []),
+    seasonal_variations: jsonOrNull(poi.seasonal_variations),
+    accessibility_features: jsonOrNull(poi.accessibility_features || []),
+    data_sources: jsonOrNull(poi.data_sources || [])
+  };
+}
+
+const insertPOIStmt = db.prepare(`
+  INSERT INTO kb_poi_master (
+    place_id, legacy_id, name, primary_type, secondary_types,
+    latitude, longitude, address, municipality, district, plus_code,
+    rating, rating_count, price_level, phone, website, opening_hours,
+    amenities, tags, description, highlights, local_tips, best_times,
+    seasonal_variations, accessibility_features, data_sources
+  ) VALUES (
+    @place_id, @legacy_id, @name, @primary_type, @secondary_types,
+    @latitude, @longitude, @address, @municipality, @district, @plus_code,
+    @rating, @rating_count, @price_level, @phone, @website, @opening_hours,
+    @amenities, @tags, @description, @highlights, @local_tips, @best_times,
+    @seasonal_variations, @accessibility_features, @data_sources
+  )
+  ON CONFLICT(place_id) DO UPDATE SET
+    name = excluded.name,
+    primary_type = excluded.primary_type,
+    secondary_types = excluded.secondary_types,
+    latitude = excluded.latitude,
+    longitude = excluded.longitude,
+    opening_hours = excluded.opening_hours,
+    updated_at = strftime('%s','now')
+  RETURNING id
+`);
+const insertRelationshipStmt = db.prepare(`
+  INSERT OR IGNORE INTO kb_spatial_relationships (
+    poi_from, poi_to, relationship_type, distance_meters,
+    travel_time_walking, travel_time_driving, path_type, confidence_score
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const insertClusterStmt = db.prepare(`
+  INSERT INTO kb_poi_clusters (
+    cluster_name, cluster_type, center_latitude, center_longitude, radius_meters, poi_count, description
+  ) VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const insertClusterMemberStmt = db.prepare(`INSERT OR IGNORE INTO kb_poi_cluster_members (cluster_id, poi_id) VALUES (?, ?)`);
+
+const seedTables = db.transaction((pois, spatialData) => {
+  db.exec('DELETE FROM kb_poi_cluster_members; DELETE FROM kb_poi_clusters; DELETE FROM kb_spatial_relationships; DELETE FROM kb_poi_master;');
+
+  const idMap = new Map();
+  for (const poi of pois) {
+    const record = toPOIRecord(poi);
+    if (!record.name || !Number.isFinite(record.latitude) || !Number.isFinite(record.longitude)) continue;
+    const { id } = insertPOIStmt.get(record);
+    if (record.place_id) idMap.set(record.place_id, id);
+    if (record.legacy_id) idMap.set(record.legacy_id, id);
+  }
+
+  // Relationships and clusters that point outside the dataset are skipped, as in production
+  let relationships = 0;
+  for (const rel of spatialData?.spatial_relationships || []) {
+    const fromId = idMap.get(rel.poi_from);
+    const toId = idMap.get(rel.poi_to);
+    if (!fromId || !toId || fromId === toId) continue;
+    insertRelationshipStmt.run(
+      fromId, toId, rel.relationship_type, rel.distance_meters || null,
+      rel.travel_time_walking || null, rel.travel_time_driving || null,
+      rel.path_type || null, rel.confidence_score || 0.8
+    );
+    relationships++;
+  }
+
+  for (const cluster of spatialData?.poi_clusters || []) {
+    const memberIds = (cluster.poi_ids || []).map(id => idMap.get(id)).filter(Boolean);
+    const centerLat = cluster.center_latitude ?? cluster.center_lat;
+    const centerLng = cluster.center_longitude ?? cluster.center_lng;
+    const { lastInsertRowid } = insertClusterStmt.run(
+      cluster.cluster_name, cluster.cluster_type || null, centerLat, centerLng,
+      cluster.radius_meters || null, cluster.poi_count ?? memberIds.length,
+      cluster.description || (cluster.primary_activity ? `Area for ${cluster.primary_activity}` : null)
+    );
+    memberIds.forEach(poiId => insertClusterMemberStmt.run(lastInsertRowid, poiId));
+  }
+
+  return { pois: idMap.size, relationships };
+});
+
+/**
+ * (Re)load the kb_* tables from the POI dataset files
+ */
+export async function seedPOIDatabase() {
+  const [dataset, spatialData] = await Promise.all([loadPOIDataset(), loadSpatialRelationships()]);
+  const counts = seedTables(dataset.pois || [], spatialData);
+  debugLog('Seeded SQLite POI database', counts);
+  return counts;
+}
+
+let seeding = null;
+
+// Seed once per process when the tables are empty
+function ensureSeeded() {
+  if (!seeding) {
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM kb_poi_master').get();
+    seeding = count > 0 ? Promise.resolve() : seedPOIDatabase().catch(error => {
+      seeding = null;
+      throw error;
+    });
+  }
+  return seeding;
+}
+
+// Check if POI tables exist and are populated
+export async function isPOIDataAvailable() {
+  try {
+    await ensureSeeded();
+    const { poi_count, relationship_count } = db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM kb_poi_master) as poi_count,
+        (SELECT COUNT(*) FROM kb_spatial_relationships) as relationship_count
+    `).get();
+    return poi_count > 0 && relationship_count > 0;
+  } catch (error) {
+    console.warn('⚠️ POI data availability check failed:', error.message);
+    return false;
+  }
+}
+
+// Search POIs by type and location
+export async function searchPOIsByType(type, latitude, longitude, radius = 5000, limit = 20) {
+  await ensureSeeded();
+  return db.prepare(`
+    SELECT * FROM (
+      SELECT
+        id, place_id, name, primary_type, latitude, longitude,
+        address, rating, price_level, phone, website, opening_hours,
+        amenities, tags, description, highlights, local_tips,
+        haversine_meters(?, ?, latitude, longitude) AS distance_meters
+      FROM kb_poi_master
+      WHERE primary_type = ?
+    )
+    WHERE distance_meters <= ?
+    ORDER BY distance_meters ASC
+    LIMIT ?
+  `).all(latitude, longitude, type, radius, limit).map(toRow);
+}
+
+// Get POIs near a specific location
+export async function getNearbyPOIs(latitude, longitude, radius = 1000, types = null, limit = 10) {
+  await ensureSeeded();
+  const params = [latitude, longitude, radius];
+  let typeFilter = '';
+  if (types && types.length > 0) {
+    typeFilter = ` AND primary_type IN (${types.map(() => '?').join(', ')})`;
+    params.push(...types);
+  }
+  params.push(limit);
+
+  return db.prepare(`
+    SELECT * FROM (
+      SELECT
+        id, place_id, name, primary_type, latitude, longitude,
+        address, rating, price_level, amenities, tags, description, opening_hours,
+        haversine_meters(?, ?, latitude, longitude) AS distance_meters
+      FROM kb_poi_master
+    )
+    WHERE distance_meters <= ?${typeFilter}
+    ORDER BY distance_meters ASC
+    LIMIT ?
+  `).all(...params).map(toRow);
+}
+
+// Get spatial relationships for a POI
+export async function getSpatialRelationships(poiId, relationshipTypes = null, limit = 50) {
+  await ensureSeeded();
+  const params = [poiId];
+  let typeFilter = '';
+  if (relationshipTypes && relationshipTypes.length > 0) {
+    typeFilter = ` AND sr.relationship_type IN (${relationshipTypes.map(() => '?').join(', ')})`;
+    params.push(...relationshipTypes);
+  }
+  params.push(limit);
+
+  return db.prepare(`
+    SELECT
+      sr.relationship_type,
+      sr.distance_meters,
+      sr.travel_time_walking,
+      sr.travel_time_driving,
+      sr.confidence_score,
+      p.id as related_poi_id,
+      p.name as related_poi_name,
+      p.primary_type as related_poi_type,
+      p.latitude as related_poi_lat,
+      p.longitude as related_poi_lng,
+      p.address as related_poi_address,
+      p.rating as related_poi_rating
+    FROM kb_spatial_relationships sr
+    JOIN kb_poi_master p ON sr.poi_to = p.id
+    WHERE sr.poi_from = ?${typeFilter}
+    ORDER BY sr.confidence_score DESC, sr.distance_meters ASC
+    LIMIT ?
+  `).all(...params);
+}
+
+// Find POIs that are adjacent to a given POI
+export async function getAdjacentPOIs(poiId, limit = 10) {
+  return getSpatialRelationships(poiId, ['adjacent_to'], limit);
+}
+
+// Find POIs within walking distance
+export async function getWalkingDistancePOIs(poiId, limit = 20) {
+  return getSpatialRelationships(poiId, ['walking_distance'], limit);
+}
+
+// Get POI clusters in an area
+export async function getPOIClustersNear(latitude, longitude, radius = 2000) {
+  await ensureSeeded();
+  return db.prepare(`
+    SELECT * FROM (
+      SELECT
+        c.id, c.cluster_name, c.cluster_type, c.description,
+        c.center_latitude, c.center_longitude, c.poi_count,
+        haversine_meters(?, ?, c.center_latitude, c.center_longitude) AS distance_meters
+      FROM kb_poi_clusters c
+    )
+    WHERE distance_meters <= ?
+    ORDER BY distance_meters ASC
+  `).all(latitude, longitude, radius);
+}
+
+// SQL for "this JSON array column shares a value with the list"
+const overlapsJsonArray = (column, values) =>
+  `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value IN (${values.map(() => '?').join(', ')}))`;
+
+/**
+ * Get POIs by multiple criteria (enhanced search)
+ * Accepts the same criteria as the PostgreSQL version in db-poi.js
+ * @param {Object} criteria
+ */
+export async function searchPOIsAdvanced(criteria) {
+  const {
+    types = null,
+    latitude = null,
+    longitude = null,
+    radius = 10000,
+    minRating = null,
+    priceLevel = null,
+    amenities = null,
+    tags = null,
+    searchText = null,
+    limit = 20,
+    excludeIds = null,
+    excludeNames = null,
+    excludeTypes = null,
+    openAt = null,
+    openFor = 0,
+    excludeClosed = false
+  } = criteria;
+
+  await ensureSeeded();
+
+  const hasLocation = !!(latitude && longitude);
+  const params = [];
+  let query = `
+    SELECT
+      id, place_id, name, primary_type, latitude, longitude,
+      address, rating, price_level, amenities, tags, description,
+      highlights, local_tips, opening_hours
+  `;
+
+  if (hasLocation) {
+    query += `, haversine_meters(?, ?, latitude, longitude) AS distance_meters`;
+    params.push(latitude, longitude);
+  }
+
+  query += ` FROM kb_poi_master WHERE 1=1`;
+
+  if (types && types.length > 0) {
+    query += ` AND primary_type IN (${types.map(() => '?').join(', ')})`;
+    params.push(...types);
+  }
+
+  if (hasLocation && radius) {
+    query += ` AND haversine_meters(?, ?, latitude, longitude) <= ?`;
+    params.push(latitude, longitude, radius);
+  }
+
+  if (minRating) {
+    query += ` AND rating >= ?`;
+    params.push(minRating);
+  }
+
+  if (priceLevel) {
+    query += ` AND price_level <= ?`;
+    params.push(priceLevel);
+  }
+
+  if (amenities && amenities.length > 0) {
+    query += ` AND ${overlapsJsonArray('amenities', amenities)}`;
+    params.push(...amenities);
+  }
+
+  if (tags && tags.length > 0) {
+    query += ` AND ${overlapsJsonArray('tags', tags)}`;
+    params.push(...tags);
+  }
+
+  if (searchText) {
+    query += ` AND (name LIKE ? OR description LIKE ?)`;
+    params.push(`%${searchText}%`, `%${searchText}%`);
+  }
+
+  if (excludeIds && excludeIds.length > 0) {
+    query += ` AND place_id NOT IN (${excludeIds.map(() => '?').join(', ')})`;
+    params.push(...excludeIds);
+  }
+
+  if (excludeNames && excludeNames.length > 0) {
+    query += ` AND name NOT IN (${excludeNames.map(() => '?').join(', ')})`;
+    params.push(...excludeNames);
+  }
+
+  if (excludeTypes && excludeTypes.length > 0) {
+    query += ` AND primary_type NOT IN (${excludeTypes.map(() => '?').join(', ')})`;
+    params.push(...excludeTypes);
+  }
+
+  // Order by distance if location provided, otherwise by rating
+  query += hasLocation ? ` ORDER BY distance_meters ASC` : ` ORDER BY rating DESC NULLS LAST`;
+
+  // Opening hours are checked in JS – over-fetch so filtering still fills the limit
+  query += ` LIMIT ?`;
+  params.push(openAt && excludeClosed ? limit * 3 : limit);
+
+  debugLog('Executing searchPOIsAdvanced', {
+    types, latitude, longitude, radius, minRating, priceLevel,
+    excludeTypes, excludeNames: excludeNames?.length || 0,
+    excludeIds: excludeIds?.length || 0, limit, openAt, excludeClosed
+  });
+
+  const rows = db.prepare(query).all(...params).map(toRow);
+  debugLog(`Query result: ${rows.length} rows`);
+
+  if (openAt) {
+    return applyOpeningHours(rows, openAt, {
+      mode: excludeClosed ? 'filter' : 'demote',
+      durationMinutes: openFor
+    }).slice(0, limit);
+  }
+
+  return rows;
+}
+
+// Get POI statistics for debugging
+export async function getPOIStatistics() {
+  const results = {};
+
+  try {
+    await ensureSeeded();
+    results.totalPOIs = db.prepare('SELECT COUNT(*) as total_pois FROM kb_poi_master').get().total_pois;
+    results.totalRelationships = db.prepare('SELECT COUNT(*) as total_relationships FROM kb_spatial_relationships').get().total_relationships;
+    results.topTypes = db.prepare('SELECT primary_type, COUNT(*) as count FROM kb_poi_master GROUP BY primary_type ORDER BY count DESC LIMIT 10').all();
+    results.relationshipTypes = db.prepare('SELECT relationship_type, COUNT(*) as count FROM kb_spatial_relationships GROUP BY relationship_type ORDER BY count DESC').all();
+  } catch (error) {
+    console.error('Error getting POI statistics:', error);
+    results.error = error.message;
+  }
+
+  return results;
+}
+
+// Find the best POI match by name and location (for geocoding integration)
+// Names match in any spelling (see name-matching.js); failing that, the nearest name containing it
+export async function findPOIByNameAndLocation(name, latitude, longitude, maxDistance = 1000) {
+  await ensureSeeded();
+  const rows = db.prepare(`
+    SELECT * FROM (
+      SELECT
+        id, place_id, name, primary_type, latitude, longitude,
+        address, rating, amenities, tags, description,
+        haversine_meters(?, ?, latitude, longitude) AS distance_meters
+      FROM kb_poi_master
+    )
+    WHERE distance_meters <= ?
+    ORDER BY distance_meters ASC
+    LIMIT ?
+  `).all(latitude, longitude, maxDistance, NAME_MATCH_CANDIDATES);
+
+  const wanted = normalizeName(name);
+  const row = findBestNameMatch(name, rows)?.candidate
+    || rows.find(candidate => wanted && ` ${normalizeName(candidate.name)} `.includes(` ${wanted} `));
+  return toRow(row) || null;
+}
+
+// The connection is shared with db.js, which owns closing it
+export async function closePOIDatabase() {}
+
+// Export availability check for use in other modules
+export { isPOIDataAvailable as isAvailable };
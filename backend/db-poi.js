@@ -5,8 +5,13 @@
  */
 
 import pkg from 'pg';
+import { applyOpeningHours } from './opening-hours.js';
+import { findBestNameMatch, normalizeName } from './name-matching.js';
 const { Pool } = pkg;
 
+// Nearest POIs findPOIByNameAndLocation compares names against
+const NAME_MATCH_CANDIDATES = 200;
+
 // Use same database connection logic as db-neon.js
 function getDatabaseUrl() {
   if (process.env.POSTGRES_POSTGRES_URL) {
@@ -84,7 +89,7 @@ export async function searchPOIsByType(type, latitude, longitude, radius = 5000,
   const query = `
     SELECT 
       id, place_id, name, primary_type, latitude, longitude,
-      address, rating, price_level, phone, website,
+      address, rating, price_level, phone, website, opening_hours,
       amenities, tags, description, highlights, local_tips,
       -- Calculate distance in meters using haversine formula
       (6371000 * acos(
@@ -112,7 +117,7 @@ export async function getNearbyPOIs(latitude, longitude, radius = 1000, types =
   let query = `
     SELECT 
       id, place_id, name, primary_type, latitude, longitude,
-      address, rating, price_level, amenities, tags, description,
+      address, rating, price_level, amenities, tags, description, opening_hours,
       (6371000 * acos(
         cos(radians($1)) * cos(radians(latitude)) * 
         cos(radians(longitude) - radians($2)) + 
@@ -225,6 +230,9 @@ export async function getPOIClustersNear(latitude, longitude, radius = 2000) {
  * @param {string[]=} criteria.excludeIds - Array of POI ids to exclude
  * @param {string[]=} criteria.excludeNames - Array of POI names to exclude
  * @param {string[]=} criteria.excludeTypes - Array of POI types to exclude (e.g., hotels)
+ * @param {{day: number, minutes: number}=} criteria.openAt - Planned visit time; closed POIs are demoted
+ * @param {number=} criteria.openFor - Minutes the POI must stay open from openAt
+ * @param {boolean=} criteria.excludeClosed - Drop closed POIs instead of demoting them
  */
 export async function searchPOIsAdvanced(criteria) {
   const {
@@ -240,14 +248,17 @@ export async function searchPOIsAdvanced(criteria) {
     limit = 20,
     excludeIds = null,
     excludeNames = null,
-    excludeTypes = null // NEW: Array of POI types to exclude (e.g., hotels)
+    excludeTypes = null, // NEW: Array of POI types to exclude (e.g., hotels)
+    openAt = null,
+    openFor = 0,
+    excludeClosed = false
   } = criteria;
   
   let query = `
     SELECT 
       id, place_id, name, primary_type, latitude, longitude,
       address, rating, price_level, amenities, tags, description,
-      highlights, local_tips
+      highlights, local_tips, opening_hours
   `;
   
   const params = [];
@@ -338,8 +349,9 @@ export async function searchPOIsAdvanced(criteria) {
     query += ` ORDER BY rating DESC NULLS LAST`;
   }
   
+  // Opening hours are checked in JS – over-fetch so filtering still fills the limit
   query += ` LIMIT $${paramIndex}`;
-  params.push(limit);
+  params.push(openAt && excludeClosed ? limit * 3 : limit);
   
   // Debug logging for SQL query
   const debugPrefix = process.env.NODE_ENV === 'production' ? '🚀 PROD_DB_POI' : '🔍 DEV_DB_POI';
@@ -350,7 +362,7 @@ export async function searchPOIsAdvanced(criteria) {
   console.log(`${debugPrefix} [${timestamp}] Criteria:`, JSON.stringify({
     types, latitude, longitude, radius, minRating, priceLevel, 
     excludeTypes, excludeNames: excludeNames?.length || 0, 
-    excludeIds: excludeIds?.length || 0, limit
+    excludeIds: excludeIds?.length || 0, limit, openAt, excludeClosed
   }, null, 0));
 
   const result = await executeQuery(query, params);
@@ -367,6 +379,13 @@ export async function searchPOIsAdvanced(criteria) {
     })));
   }
   
+  if (openAt) {
+    return applyOpeningHours(result.rows, openAt, {
+      mode: excludeClosed ? 'filter' : 'demote',
+      durationMinutes: openFor
+    }).slice(0, limit);
+  }
+  
   return result.rows;
 }
 
@@ -400,31 +419,32 @@ export async function getPOIStatistics() {
 }
 
 // Find the best POI match by name and location (for geocoding integration)
+// Names match in any spelling (see name-matching.js); failing that, the nearest name containing it
 export async function findPOIByNameAndLocation(name, latitude, longitude, maxDistance = 1000) {
   const query = `
     SELECT 
       id, place_id, name, primary_type, latitude, longitude,
       address, rating, amenities, tags, description,
       (6371000 * acos(
-        cos(radians($2)) * cos(radians(latitude)) * 
-        cos(radians(longitude) - radians($3)) + 
-        sin(radians($2)) * sin(radians(latitude))
+        cos(radians($1)) * cos(radians(latitude)) * 
+        cos(radians(longitude) - radians($2)) + 
+        sin(radians($1)) * sin(radians(latitude))
       )) AS distance_meters
     FROM kb_poi_master 
-    WHERE name ILIKE $1
-      AND (6371000 * acos(
-        cos(radians($2)) * cos(radians(latitude)) * 
-        cos(radians(longitude) - radians($3)) + 
-        sin(radians($2)) * sin(radians(latitude))
-      )) <= $4
-    ORDER BY 
-      CASE WHEN LOWER(name) = LOWER($1) THEN 1 ELSE 2 END,
-      distance_meters ASC
-    LIMIT 1
+    WHERE (6371000 * acos(
+        cos(radians($1)) * cos(radians(latitude)) * 
+        cos(radians(longitude) - radians($2)) + 
+        sin(radians($1)) * sin(radians(latitude))
+      )) <= $3
+    ORDER BY distance_meters ASC
+    LIMIT $4
   `;
   
-  const result = await executeQuery(query, [`%${name}%`, latitude, longitude, maxDistance]);
-  return result.rows[0] || null;
+  const result = await executeQuery(query, [latitude, longitude, maxDistance, NAME_MATCH_CANDIDATES]);
+  const wanted = normalizeName(name);
+  return findBestNameMatch(name, result.rows)?.candidate
+    || result.rows.find(row => wanted && ` ${normalizeName(row.name)} `.includes(` ${wanted} `))
+    || null;
 }
 
 // Close database connection
@@ -2,10 +2,12 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { migrate, createSQLiteDriver } from './migrator.js';
 
 // Resolve a persistent database file inside the repository root.
+// SQLITE_DB_PATH overrides it (tests point this at a temporary file).
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const dbPath = path.join(__dirname, '..', 'database.sqlite');
+const dbPath = process.env.SQLITE_DB_PATH || path.join(__dirname, '..', 'database.sqlite');
 
 // Open connection in default mode (will create file if missing)
 const db = new Database(dbPath);
@@ -13,77 +15,10 @@ const db = new Database(dbPath);
 db.pragma('journal_mode = WAL'); // safer for concurrency
 
 // -------------------------
-// Schema (migrates on startup)
+// Schema (versioned migrations in backend/migrations, applied on startup)
 // -------------------------
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT UNIQUE NOT NULL,
-    has_paid INTEGER DEFAULT 0,
-    free_chats_used INTEGER DEFAULT 0,
-    magic_token_hash TEXT,
-    magic_token_expires INTEGER,
-    created_at INTEGER DEFAULT (strftime('%s','now')),
-    updated_at INTEGER DEFAULT (strftime('%s','now'))
-  );
-`);
-
-// User travel plans table
-db.exec(`
-  CREATE TABLE IF NOT EXISTS user_travel_plans (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    plan_data TEXT NOT NULL,
-    plan_name TEXT NOT NULL,
-    created_at INTEGER DEFAULT (strftime('%s','now')),
-    updated_at INTEGER DEFAULT (strftime('%s','now')),
-    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-  );
-`);
-
-// User chat history table
-db.exec(`
-  CREATE TABLE IF NOT EXISTS user_chat_history (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    session_id TEXT NOT NULL,
-    message_data TEXT NOT NULL,
-    created_at INTEGER DEFAULT (strftime('%s','now')),
-    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-  );
-`);
-
-// User preferences table
-db.exec(`
-  CREATE TABLE IF NOT EXISTS user_preferences (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL UNIQUE,
-    preferences_data TEXT NOT NULL,
-    created_at INTEGER DEFAULT (strftime('%s','now')),
-    updated_at INTEGER DEFAULT (strftime('%s','now')),
-    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
-  );
-`);
-
-// Add missing columns if they don't exist (for existing databases)
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN magic_token_hash TEXT;`);
-} catch (e) {
-  // Column already exists, ignore
-}
-
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN magic_token_expires INTEGER;`);
-} catch (e) {
-  // Column already exists, ignore
-}
-
-try {
-  db.exec(`ALTER TABLE users ADD COLUMN updated_at INTEGER DEFAULT (strftime('%s','now'));`);
-} catch (e) {
-  // Column already exists, ignore
-}
+await migrate(createSQLiteDriver(db));
 
 // -------------------------
 // Helper Statements
@@ -93,6 +28,8 @@ const getUserStmt = db.prepare('SELECT * FROM users WHERE email = ?');
 const getUserByTokenStmt = db.prepare('SELECT * FROM users WHERE magic_token_hash = ?');
 const insertUserStmt = db.prepare('INSERT INTO users (email, has_paid) VALUES (?, ?)');
 const updatePaidStmt = db.prepare('UPDATE users SET has_paid = 1 WHERE email = ?');
+const setPaidStmt = db.prepare('UPDATE users SET has_paid = ? WHERE email = ?');
+const setRoleStmt = db.prepare('UPDATE users SET role = ? WHERE email = ?');
 const updateTokenStmt = db.prepare('UPDATE users SET magic_token_hash = ?, magic_token_expires = ? WHERE email = ?');
 const clearTokenStmt = db.prepare('UPDATE users SET magic_token_hash = NULL, magic_token_expires = NULL WHERE email = ?');
 const incFreeChatsStmt = db.prepare('UPDATE users SET free_chats_used = free_chats_used + 1 WHERE email = ?');
@@ -103,18 +40,90 @@ const deleteUserStmt = db.prepare('DELETE FROM users WHERE email = ?');
 // Travel plans statements
 const saveTravelPlanStmt = db.prepare('INSERT INTO user_travel_plans (user_id, plan_data, plan_name) VALUES (?, ?, ?)');
 const getUserTravelPlansStmt = db.prepare('SELECT * FROM user_travel_plans WHERE user_id = ? ORDER BY created_at DESC');
-const deleteTravelPlanStmt = db.prepare('DELETE FROM user_travel_plans WHERE user_id = ? AND id = ?');
-const updateTravelPlanStmt = db.prepare('UPDATE user_travel_plans SET plan_data = ?, plan_name = ?, updated_at = strftime(\'%s\',\'now\') WHERE user_id = ? AND id = ?');
+const getTravelPlanStmt = db.prepare('SELECT * FROM user_travel_plans WHERE user_id = ? AND id = ?');
+const deleteTravelPlanStmt = db.prepare('DELETE FROM user_travel_plans WHERE user_id = ? AND id = ? AND (? IS NULL OR version = ?)');
+// Writes bump `version`; a non-null expected version makes the update conditional (If-Match)
+const updateTravelPlanStmt = db.prepare('UPDATE user_travel_plans SET plan_data = ?, plan_name = ?, updated_at = strftime(\'%s\',\'now\'), version = version + 1 WHERE user_id = ? AND id = ? AND (? IS NULL OR version = ?)');
+const setTravelPlanShareStmt = db.prepare('UPDATE user_travel_plans SET share_token_hash = ?, share_expires_at = ?, version = version + 1 WHERE user_id = ? AND id = ?');
+const clearTravelPlanShareStmt = db.prepare('UPDATE user_travel_plans SET share_token_hash = NULL, share_expires_at = NULL, version = version + 1 WHERE user_id = ? AND id = ?');
+const getTravelPlanByShareTokenStmt = db.prepare('SELECT * FROM user_travel_plans WHERE share_token_hash = ?');
 
 // Chat history statements
 const saveChatMessageStmt = db.prepare('INSERT INTO user_chat_history (user_id, session_id, message_data) VALUES (?, ?, ?)');
-const getUserChatHistoryStmt = db.prepare('SELECT * FROM user_chat_history WHERE user_id = ? AND session_id = ? ORDER BY created_at ASC');
+const getUserChatHistoryStmt = db.prepare('SELECT * FROM user_chat_history WHERE user_id = ? AND session_id = ? ORDER BY created_at ASC, id ASC');
 const clearUserChatHistoryStmt = db.prepare('DELETE FROM user_chat_history WHERE user_id = ? AND session_id = ?');
 
+// Chat session statements
+const createChatSessionStmt = db.prepare('INSERT OR IGNORE INTO chat_sessions (id, user_id, title) VALUES (?, ?, ?)');
+const getChatSessionStmt = db.prepare('SELECT * FROM chat_sessions WHERE user_id = ? AND id = ?');
+const getUserChatSessionsStmt = db.prepare(`
+  SELECT s.*, (SELECT COUNT(*) FROM user_chat_history h WHERE h.user_id = s.user_id AND h.session_id = s.id) AS message_count
+  FROM chat_sessions s WHERE s.user_id = ? ORDER BY s.updated_at DESC, s.created_at DESC
+`);
+const renameChatSessionStmt = db.prepare('UPDATE chat_sessions SET title = ?, updated_at = strftime(\'%s\',\'now\') WHERE user_id = ? AND id = ?');
+const touchChatSessionStmt = db.prepare('UPDATE chat_sessions SET updated_at = strftime(\'%s\',\'now\') WHERE user_id = ? AND id = ?');
+const updateChatSessionSummaryStmt = db.prepare('UPDATE chat_sessions SET summary = ?, summarized_count = ? WHERE user_id = ? AND id = ?');
+const deleteChatSessionStmt = db.prepare('DELETE FROM chat_sessions WHERE user_id = ? AND id = ?');
+
 // Preferences statements
-const saveUserPreferencesStmt = db.prepare('INSERT OR REPLACE INTO user_preferences (user_id, preferences_data, updated_at) VALUES (?, ?, strftime(\'%s\',\'now\'))');
+const saveUserPreferencesStmt = db.prepare(`
+  INSERT INTO user_preferences (user_id, preferences_data, updated_at) VALUES (?, ?, strftime('%s','now'))
+  ON CONFLICT(user_id) DO UPDATE SET
+    preferences_data = excluded.preferences_data,
+    updated_at = excluded.updated_at,
+    version = user_preferences.version + 1
+  WHERE ? IS NULL OR user_preferences.version = ?
+`);
 const getUserPreferencesStmt = db.prepare('SELECT * FROM user_preferences WHERE user_id = ?');
 
+// Usage metering statements
+const insertUsageEventStmt = db.prepare('INSERT INTO usage_events (subject_key, endpoint, units, created_at) VALUES (?, ?, ?, ?)');
+const sumUsageSinceStmt = db.prepare('SELECT COALESCE(SUM(units), 0) AS units, MIN(created_at) AS oldest FROM usage_events WHERE subject_key = ? AND created_at >= ?');
+const sumUsageSinceForEndpointStmt = db.prepare('SELECT COALESCE(SUM(units), 0) AS units, MIN(created_at) AS oldest FROM usage_events WHERE subject_key = ? AND endpoint = ? AND created_at >= ?');
+const pruneUsageEventsStmt = db.prepare('DELETE FROM usage_events WHERE created_at < ?');
+
+// Payments ledger statements
+const recordStripeEventStmt = db.prepare('INSERT OR IGNORE INTO stripe_events (id, type) VALUES (?, ?)');
+const releaseStripeEventStmt = db.prepare('DELETE FROM stripe_events WHERE id = ?');
+// Status is only set on insert; later events change it through updatePaymentStatusStmt
+const savePaymentStmt = db.prepare(`
+  INSERT INTO payments (email, payment_intent_id, checkout_session_id, charge_id, amount, currency, status)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(payment_intent_id) DO UPDATE SET
+    checkout_session_id = COALESCE(excluded.checkout_session_id, payments.checkout_session_id),
+    charge_id = COALESCE(excluded.charge_id, payments.charge_id),
+    amount = excluded.amount,
+    currency = COALESCE(excluded.currency, payments.currency),
+    updated_at = strftime('%s','now')
+`);
+const updatePaymentStatusStmt = db.prepare('UPDATE payments SET status = ?, amount_refunded = ?, updated_at = strftime(\'%s\',\'now\') WHERE payment_intent_id = ?');
+const getPaymentByIntentStmt = db.prepare('SELECT * FROM payments WHERE payment_intent_id = ?');
+const getPaymentByChargeStmt = db.prepare('SELECT * FROM payments WHERE charge_id = ?');
+const getPaymentsByEmailStmt = db.prepare('SELECT * FROM payments WHERE email = ? ORDER BY created_at ASC, id ASC');
+const recordPaymentFailureStmt = db.prepare(`
+  INSERT OR IGNORE INTO payment_failures (stripe_event_id, email, payment_intent_id, checkout_session_id, amount, currency, reason, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, strftime('%s','now')))
+`);
+
+// Admin analytics statements (ranges are [from, to) in epoch seconds)
+const getPaymentsBetweenStmt = db.prepare('SELECT * FROM payments WHERE created_at >= ? AND created_at < ? ORDER BY created_at DESC, id DESC');
+const getPaymentFailuresBetweenStmt = db.prepare('SELECT * FROM payment_failures WHERE created_at >= ? AND created_at < ? ORDER BY created_at DESC, id DESC');
+const getUsersCreatedBetweenStmt = db.prepare('SELECT id, email, has_paid, free_chats_used, created_at FROM users WHERE created_at >= ? AND created_at < ? ORDER BY created_at ASC');
+const getUsageByDayStmt = db.prepare(`
+  SELECT (created_at / 86400) * 86400 AS day, endpoint, COUNT(*) AS requests, SUM(units) AS units
+  FROM usage_events WHERE created_at >= ? AND created_at < ?
+  GROUP BY day, endpoint ORDER BY day, endpoint
+`);
+const countUsageSubjectsStmt = db.prepare(`
+  SELECT COUNT(DISTINCT subject_key) AS subjects,
+    COUNT(DISTINCT CASE WHEN subject_key LIKE 'user:%' THEN subject_key END) AS users
+  FROM usage_events WHERE created_at >= ? AND created_at < ?
+`);
+
+// Admin audit log statements
+const insertAdminAuditStmt = db.prepare('INSERT INTO admin_audit_log (actor_email, action, target, details) VALUES (?, ?, ?, ?)');
+const getAdminAuditLogStmt = db.prepare('SELECT * FROM admin_audit_log ORDER BY created_at DESC, id DESC LIMIT ?');
+
 // -------------------------
 // Public API
 // -------------------------
@@ -154,6 +163,15 @@ export function markUserPaid(email) {
   updatePaidStmt.run(email.toLowerCase());
 }
 
+// Grants or revokes access (the payments ledger decides which)
+export function setUserPaid(email, hasPaid) {
+  return setPaidStmt.run(hasPaid ? 1 : 0, email.toLowerCase());
+}
+
+export function setUserRole(email, role) {
+  return setRoleStmt.run(role, email.toLowerCase());
+}
+
 export function incrementFreeChats(email) {
   incFreeChatsStmt.run(email.toLowerCase());
 }
@@ -184,12 +202,39 @@ export function getUserTravelPlans(userId) {
   }));
 }
 
-export function deleteTravelPlan(userId, planId) {
-  return deleteTravelPlanStmt.run(userId, planId);
+export function getTravelPlan(userId, planId) {
+  const plan = getTravelPlanStmt.get(userId, planId);
+  if (!plan) return null;
+  return {
+    ...plan,
+    plan_data: JSON.parse(plan.plan_data)
+  };
 }
 
-export function updateTravelPlan(userId, planId, planData, planName) {
-  return updateTravelPlanStmt.run(JSON.stringify(planData), planName, userId, planId);
+export function deleteTravelPlan(userId, planId, expectedVersion = null) {
+  return deleteTravelPlanStmt.run(userId, planId, expectedVersion, expectedVersion);
+}
+
+export function updateTravelPlan(userId, planId, planData, planName, expectedVersion = null) {
+  return updateTravelPlanStmt.run(JSON.stringify(planData), planName, userId, planId, expectedVersion, expectedVersion);
+}
+
+// Plan sharing (token hashes only; expiry in ms)
+export function setTravelPlanShare(userId, planId, tokenHash, expiresAt) {
+  return setTravelPlanShareStmt.run(tokenHash, expiresAt, userId, planId);
+}
+
+export function clearTravelPlanShare(userId, planId) {
+  return clearTravelPlanShareStmt.run(userId, planId);
+}
+
+export function getTravelPlanByShareToken(tokenHash) {
+  const plan = getTravelPlanByShareTokenStmt.get(tokenHash);
+  if (!plan) return null;
+  return {
+    ...plan,
+    plan_data: JSON.parse(plan.plan_data)
+  };
 }
 
 // Chat History API
@@ -209,9 +254,41 @@ export function clearUserChatHistory(userId, sessionId) {
   return clearUserChatHistoryStmt.run(userId, sessionId);
 }
 
+// Chat Sessions API
+export function createChatSession(userId, sessionId, title) {
+  createChatSessionStmt.run(sessionId, userId, title);
+  return getChatSession(userId, sessionId);
+}
+
+export function getChatSession(userId, sessionId) {
+  return getChatSessionStmt.get(userId, sessionId) || null;
+}
+
+export function getUserChatSessions(userId) {
+  return getUserChatSessionsStmt.all(userId);
+}
+
+export function renameChatSession(userId, sessionId, title) {
+  return renameChatSessionStmt.run(title, userId, sessionId);
+}
+
+export function touchChatSession(userId, sessionId) {
+  return touchChatSessionStmt.run(userId, sessionId);
+}
+
+export function updateChatSessionSummary(userId, sessionId, summary, summarizedCount) {
+  return updateChatSessionSummaryStmt.run(summary, summarizedCount, userId, sessionId);
+}
+
+// Removes the session and its messages
+export const deleteChatSession = db.transaction((userId, sessionId) => {
+  clearUserChatHistoryStmt.run(userId, sessionId);
+  return deleteChatSessionStmt.run(userId, sessionId);
+});
+
 // User Preferences API
-export function saveUserPreferences(userId, preferencesData) {
-  return saveUserPreferencesStmt.run(userId, JSON.stringify(preferencesData));
+export function saveUserPreferences(userId, preferencesData, expectedVersion = null) {
+  return saveUserPreferencesStmt.run(userId, JSON.stringify(preferencesData), expectedVersion, expectedVersion);
 }
 
 export function getUserPreferences(userId) {
@@ -223,6 +300,120 @@ export function getUserPreferences(userId) {
   };
 }
 
+// Usage Metering API
+export function recordUsageEvent(subjectKey, endpoint, units, createdAt = Math.floor(Date.now() / 1000)) {
+  return insertUsageEventStmt.run(subjectKey, endpoint, units, createdAt);
+}
+
+export function getUsageSince(subjectKey, sinceSeconds, endpoint = null) {
+  const row = endpoint
+    ? sumUsageSinceForEndpointStmt.get(subjectKey, endpoint, sinceSeconds)
+    : sumUsageSinceStmt.get(subjectKey, sinceSeconds);
+  return { units: row.units, oldest: row.oldest };
+}
+
+export function pruneUsageEvents(beforeSeconds) {
+  return pruneUsageEventsStmt.run(beforeSeconds);
+}
+
+// Usage a window has counted since its start ({ since, endpoints, baselineUnits })
+function usedInWindow(subjectKey, window) {
+  const rows = window.endpoints
+    ? window.endpoints.map(endpoint => sumUsageSinceForEndpointStmt.get(subjectKey, endpoint, window.since))
+    : [sumUsageSinceStmt.get(subjectKey, window.since)];
+  const used = rows.reduce((sum, row) => sum + (Number(row.units) || 0), 0);
+  return Math.max(used, window.baselineUnits || 0);
+}
+
+// Records the event only if every window stays within its limit; check and insert
+// share one write transaction, so concurrent requests cannot both take the last unit
+const recordUsageWithinLimits = db.transaction((subjectKey, endpoint, units, windows, createdAt) => {
+  const blocked = windows.find(window => usedInWindow(subjectKey, window) + units > window.limit);
+  if (blocked) return { recorded: false, blockedWindow: blocked.name };
+  insertUsageEventStmt.run(subjectKey, endpoint, units, createdAt);
+  return { recorded: true, blockedWindow: null };
+});
+
+export function recordUsageEventWithinLimits(subjectKey, endpoint, units, windows, createdAt = Math.floor(Date.now() / 1000)) {
+  return recordUsageWithinLimits.immediate(subjectKey, endpoint, units, windows, createdAt);
+}
+
+// Payments Ledger API
+// True the first time an event id is seen, false for a repeated delivery
+export function recordStripeEvent(eventId, type) {
+  return recordStripeEventStmt.run(eventId, type).changes > 0;
+}
+
+// Forget an event whose processing failed, so Stripe's retry is applied
+export function releaseStripeEvent(eventId) {
+  return releaseStripeEventStmt.run(eventId);
+}
+
+export function savePayment({ email, paymentIntentId, checkoutSessionId = null, chargeId = null, amount = 0, currency = null, status = 'paid' }) {
+  savePaymentStmt.run(email.toLowerCase(), paymentIntentId, checkoutSessionId, chargeId, amount, currency, status);
+  return getPaymentByIntent(paymentIntentId);
+}
+
+export function updatePaymentStatus(paymentIntentId, status, amountRefunded) {
+  return updatePaymentStatusStmt.run(status, amountRefunded, paymentIntentId);
+}
+
+export function getPaymentByIntent(paymentIntentId) {
+  return getPaymentByIntentStmt.get(paymentIntentId) || null;
+}
+
+export function getPaymentByCharge(chargeId) {
+  return getPaymentByChargeStmt.get(chargeId) || null;
+}
+
+export function getPaymentsByEmail(email) {
+  return getPaymentsByEmailStmt.all(email.toLowerCase());
+}
+
+export function recordPaymentFailure({ eventId, email = null, paymentIntentId = null, checkoutSessionId = null, amount = 0, currency = null, reason = null, createdAt = null }) {
+  return recordPaymentFailureStmt.run(eventId, email?.toLowerCase() ?? null, paymentIntentId, checkoutSessionId, amount, currency, reason, createdAt);
+}
+
+// Admin Analytics API (ranges are [from, to) in epoch seconds)
+export function getPaymentsBetween(from, to) {
+  return getPaymentsBetweenStmt.all(from, to);
+}
+
+export function getPaymentFailuresBetween(from, to) {
+  return getPaymentFailuresBetweenStmt.all(from, to);
+}
+
+export function getUsersCreatedBetween(from, to) {
+  return getUsersCreatedBetweenStmt.all(from, to);
+}
+
+// Requests and units per UTC day and endpoint
+export function getUsageByDay(from, to) {
+  return getUsageByDayStmt.all(from, to);
+}
+
+// Distinct metered subjects (guests by IP, signed-in users) in the range
+export function countUsageSubjects(from, to) {
+  return countUsageSubjectsStmt.get(from, to);
+}
+
+// Admin Audit Log API
+export function recordAdminAction({ actorEmail, action, target = null, details = null }) {
+  return insertAdminAuditStmt.run(actorEmail.toLowerCase(), action, target, details === null ? null : JSON.stringify(details));
+}
+
+export function getAdminAuditLog(limit = 100) {
+  return getAdminAuditLogStmt.all(limit).map(entry => ({
+    ...entry,
+    details: entry.details === null ? null : JSON.parse(entry.details)
+  }));
+}
+
 export function close() {
   db.close();
 } 
+
+// Shared connection for modules that keep their own tables in this database (POI knowledge base)
+export function getConnection() {
+  return db;
+}
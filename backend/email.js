@@ -21,12 +21,18 @@ if (hasSmtp) {
   });
 }
 
-const mailgun = new Mailgun(FormData);
-const mg = mailgun.client({
-  username: 'api',
-  key: process.env.MAILGUN_API_KEY,
-  url: 'https://api.eu.mailgun.net', // <-- add this for EU domains
-});
+// Created on first send - mailgun.js throws without an API key, and every API route loads this module
+let mg = null;
+function getMailgun() {
+  if (!mg) {
+    mg = new Mailgun(FormData).client({
+      username: 'api',
+      key: process.env.MAILGUN_API_KEY,
+      url: 'https://api.eu.mailgun.net', // <-- add this for EU domains
+    });
+  }
+  return mg;
+}
 
 export async function sendMagicLink(email, link) {
   const domain = process.env.MAILGUN_DOMAIN;
@@ -66,7 +72,7 @@ export async function sendMagicLink(email, link) {
   `;
 
   try {
-    const result = await mg.messages.create(domain, {
+    const result = await getMailgun().messages.create(domain, {
       from,
       to: [email],
       subject,
@@ -82,6 +88,12 @@ export async function sendMagicLink(email, link) {
 
 export async function sendSignupConfirmation(email, name = '') {
   const domain = process.env.MAILGUN_DOMAIN;
+
+  // Same development fallback as sendMagicLink
+  if (!domain || !process.env.MAILGUN_API_KEY) {
+    console.log(`📧 [DEV] Signup confirmation for ${email}`);
+    return;
+  }
   
   // Construct a valid "from" email address (same as magic link)
   let from;
@@ -96,7 +108,7 @@ export async function sendSignupConfirmation(email, name = '') {
   const html = `<p>Hello${name ? ' ' + name : ''},</p><p>Thank you for signing up for <b>WanderRhodes</b>! Your account has been created successfully.</p><p>Happy exploring!<br/>The WanderRhodes Team</p>`;
 
   try {
-    const result = await mg.messages.create(domain, {
+    const result = await getMailgun().messages.create(domain, {
       from,
       to: [email],
       subject,
@@ -14,6 +14,10 @@ import {
   getPOIStatistics,
   findPOIByNameAndLocation
 } from './db-adapter.js';
+import { optimizeRoute } from './route-optimizer.js';
+import { estimateDwellMinutes } from './itinerary-scheduler.js';
+import { getTimeOfDayClock } from './opening-hours.js';
+import { preferShelteredBeaches } from './beach-exposure.js';
 
 // Debug logging configuration - Enable in production for workflow tracking
 const DEBUG_ENABLED = true; // Always enabled to track production workflow
@@ -135,6 +139,7 @@ export async function getEnhancedNearbyPlaces({ lat, lng, type = 'restaurant', r
 }
 
 // Contextual search based on user preferences and location
+// With `weather` (one forecast day) beaches sheltered from the wind come first
 export async function getContextualRecommendations({ 
   lat, 
   lng, 
@@ -142,7 +147,8 @@ export async function getContextualRecommendations({
   timeOfDay = null,
   activityType = null,
   excludeNames = null,
-  excludeIds = null
+  excludeIds = null,
+  weather = null
 }) {
   try {
     if (!await hasEnhancedFeatures()) {
@@ -199,6 +205,10 @@ export async function getContextualRecommendations({
       criteria.tags = ['sunset-view', 'romantic', 'terrace'];
       debugLog(`Time-based filtering applied`, { timeOfDay, tags: criteria.tags });
     }
+    if (timeOfDay) {
+      // Closed places sink to the bottom for the requested time slot
+      criteria.openAt = getTimeOfDayClock(timeOfDay);
+    }
 
     if (excludeNames && excludeNames.length > 0) {
       criteria.excludeNames = excludeNames;
@@ -245,7 +255,7 @@ export async function getContextualRecommendations({
       }
       
       // Use fallback results
-      const enhancedFallbackResults = fallbackResults.map(poi => ({
+      const enhancedFallbackResults = preferShelteredBeaches(fallbackResults, weather).map(poi => ({
         ...poi,
         contextualTips: generateContextualTips(poi, { timeOfDay, activityType, userPreferences })
       }));
@@ -254,7 +264,7 @@ export async function getContextualRecommendations({
     }
     
     // Add contextual insights
-    const enhancedResults = results.map(poi => ({
+    const enhancedResults = preferShelteredBeaches(results, weather).map(poi => ({
       ...poi,
       contextualTips: generateContextualTips(poi, { timeOfDay, activityType, userPreferences })
     }));
@@ -273,14 +283,14 @@ export async function getContextualRecommendations({
 }
 
 // Generate travel route with spatial optimization
-export async function getOptimizedRoute(locations, startPoint = null) {
+// Pure computation on the POIs' coordinates and hours, so it runs with or
+// without the enhanced POI database. Returns the reordered locations (the
+// start point itself is not included); stops scheduled outside their opening
+// hours carry an `openingHoursWarning`.
+export async function getOptimizedRoute(locations, startPoint = null, options = {}) {
   try {
-    if (!await hasEnhancedFeatures() || locations.length < 2) {
-      debugLog(`Route optimization not available`, { 
-        hasEnhanced: await hasEnhancedFeatures(),
-        locationCount: locations.length 
-      });
-      return locations; // Return original order
+    if (!Array.isArray(locations) || locations.length < 2) {
+      return locations;
     }
     
     debugLog(`Route optimization requested`, { 
@@ -288,39 +298,20 @@ export async function getOptimizedRoute(locations, startPoint = null) {
       hasStartPoint: !!startPoint 
     });
     
-    // Simple distance-based optimization
-    const optimizedLocations = [...locations];
-    if (startPoint) {
-      optimizedLocations.unshift(startPoint);
-    }
-    
-    // Sort by distance from previous location (greedy approach)
-    for (let i = 1; i < optimizedLocations.length - 1; i++) {
-      const current = optimizedLocations[i];
-      let nearestIndex = i;
-      let minDistance = Infinity;
-      
-      for (let j = i + 1; j < optimizedLocations.length; j++) {
-        const distance = calculateDistance(current, optimizedLocations[j]);
-        if (distance < minDistance) {
-          minDistance = distance;
-          nearestIndex = j;
-        }
-      }
-      
-      if (nearestIndex !== i) {
-        // Swap locations
-        [optimizedLocations[i + 1], optimizedLocations[nearestIndex]] = 
-        [optimizedLocations[nearestIndex], optimizedLocations[i + 1]];
-      }
-    }
+    const { route, stats } = optimizeRoute(locations, { visitMinutes: estimateDwellMinutes, ...options, startPoint });
     
     debugLog(`Route optimization completed`, { 
       originalOrder: locations.map(l => l.name),
-      optimizedOrder: optimizedLocations.map(l => l.name) 
+      optimizedOrder: route.map(l => l.name),
+      ...stats
     });
     
-    return optimizedLocations;
+    // Flag stops the schedule puts outside their opening hours
+    const warnings = new Map(stats.hoursWarnings.map(warning => [warning.index, warning.message]));
+    return route.map((poi, index) => {
+      const { openingHoursWarning, ...stop } = poi;
+      return warnings.has(index) ? { ...stop, openingHoursWarning: warnings.get(index) } : stop;
+    });
     
   } catch (error) {
     debugLog(`Route optimization failed: ${error.message}`);
@@ -429,6 +420,13 @@ function transformPOIsForResponse(pois) {
     local_tips: poi.local_tips || [],
     distance_meters: poi.distance_meters ? parseInt(poi.distance_meters) : null,
     
+    // Opening status at the requested time, set by searchPOIsAdvanced({ openAt })
+    ...(poi.openingStatus && { openingStatus: poi.openingStatus }),
+    
+    // Beaches: the coast they face and, on windy days, how exposed they are
+    ...(poi.coastOrientation && { coastOrientation: poi.coastOrientation }),
+    ...(poi.windExposure && { windExposure: poi.windExposure }),
+    
     // Spatial context if available
     ...(poi.spatialContext && { spatialContext: poi.spatialContext }),
     ...(poi.contextualTips && { contextualTips: poi.contextualTips })
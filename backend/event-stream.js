@@ -0,0 +1,128 @@
+/**
+ * Event Stream - Server-Sent Events for the chat, agent and guided chat handlers
+ * Clients that send `Accept: text/event-stream` get progress as it happens:
+ *   status - a step started or finished ({ stage, message, ...details })
+ *   token  - assistant text as the model writes it ({ text })
+ *   reset  - drop the streamed text, the model is starting a new answer
+ *   done   - the same JSON body the handler returns without streaming
+ *   error  - { status, error, ... } when the request fails after streaming began
+ * Every other client keeps getting a single JSON response, so handlers call
+ * the stream helpers unconditionally.
+ */
+
+const STREAM = Symbol('eventStream');
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Whether the client asked for a streamed response
+ */
+export function wantsEventStream(req) {
+  return String(req?.headers?.accept || '').includes('text/event-stream') || req?.body?.stream === true;
+}
+
+/**
+ * Stream for this response - created once, so a handler that delegates to
+ * another (guided open chat → chatHandler) keeps writing to the same stream
+ * @param {Object} req - Express/Vercel request
+ * @param {Object} res - Express/Vercel response
+ */
+export function createEventStream(req, res) {
+  if (res[STREAM]) return res[STREAM];
+
+  const enabled = wantsEventStream(req);
+  const controller = new AbortController();
+  let heartbeat = null;
+
+  // The client went away (closed the tab or aborted the fetch) before we answered
+  res.on?.('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  if (enabled) {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // don't let proxies hold events back
+    res.flushHeaders?.();
+    // Comment lines keep idle connections open during long tool calls
+    heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    heartbeat.unref?.();
+  }
+
+  const send = (event, data) => {
+    if (!enabled || res.writableEnded || controller.signal.aborted) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const stream = {
+    enabled,
+    signal: controller.signal,
+    get aborted() {
+      return controller.signal.aborted;
+    },
+    send,
+    status(stage, message, details = {}) {
+      send('status', { stage, message, ...details });
+    },
+    token(text) {
+      if (text) send('token', { text });
+    },
+    reset() {
+      send('reset', {});
+    },
+    /**
+     * Finish the request: a `done`/`error` event when streaming, plain JSON otherwise
+     */
+    respond(status, body) {
+      clearInterval(heartbeat);
+      if (!enabled) {
+        if (!res.headersSent) return res.status(status).json(body);
+        return res.end();
+      }
+      if (res.writableEnded) return res;
+      send(status >= 400 ? 'error' : 'done', status >= 400 ? { status, ...body } : body);
+      return res.end();
+    }
+  };
+
+  res[STREAM] = stream;
+  return stream;
+}
+
+/**
+ * Token filter that drops the JSON location blocks the models embed in their
+ * answers, so clients only render the prose while it streams. The blocks still
+ * arrive parsed in the `done` event.
+ * @returns {(chunk: string) => string} Call with each token; returns the text to show
+ */
+export function createProseFilter() {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  return (chunk) => {
+    let visible = '';
+    for (const char of chunk || '') {
+      if (depth === 0) {
+        if (char === '{') depth = 1;
+        else visible += char;
+        continue;
+      }
+      if (escaped) {
+        escaped = false;
+      } else if (inString) {
+        if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+      }
+    }
+    return visible;
+  };
+}
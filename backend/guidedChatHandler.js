@@ -4,9 +4,14 @@
  */
 
 import { getInitialRecommendations, getNextRecommendations } from './stepHandler.js';
-import { hasEnhancedFeatures, getContextualRecommendations } from './enhanced-chat-tools.js';
+import { hasEnhancedFeatures, getContextualRecommendations, getOptimizedRoute } from './enhanced-chat-tools.js';
 import { getTravelTime } from './tools/mapbox.js';
+import { attachSchedule, getScheduleOptions } from './itinerary-scheduler.js';
+import { getTripDays, locateHomeBases, buildMultiDayPlan } from './multi-day-planner.js';
+import { geocodeLocation } from './tools/geocoding.js';
 import { createIntelligentPlanStrategy, executeIntelligentRound } from './intelligentRoundPlanner.js';
+import { createEventStream } from './event-stream.js';
+import { getTripForecast, toWeatherCards } from './weather/weatherProvider.js';
 
 // Debug logging
 const debugLog = (message, data = null) => {
@@ -36,7 +41,7 @@ const POI_ROUNDS = [
     round: 2,  
     type: 'beach',
     title: "Time for some beach relaxation! 🏖️",
-    description: "Select beaches that complement your dining choices",
+    description: "Select beaches that complement your dining choices - on windy days the sheltered coast comes first",
     emoji: "🏖️",
     maxSelections: 2,
     contextualPrompt: "Perfect restaurant choices! Now let's find beautiful beaches near your selected dining spots"
@@ -71,6 +76,9 @@ export default async function guidedChatHandler(req, res) {
     return res.status(405).end('Method Not Allowed');
   }
 
+  // Sub-handlers (and chatHandler for open chat) pick up this same stream
+  const stream = createEventStream(req, res);
+
   try {
     const { 
       action,
@@ -126,7 +134,7 @@ export default async function guidedChatHandler(req, res) {
         });
 
       default:
-        return res.status(400).json({ 
+        return stream.respond(400, { 
           error: 'Invalid action',
           validActions: ['CREATE_PLAN_STRATEGY', 'GET_INTELLIGENT_ROUND', 'COMPLETE_ROUND', 'OPEN_CHAT']
         });
@@ -134,7 +142,7 @@ export default async function guidedChatHandler(req, res) {
 
   } catch (error) {
     debugLog(`Guided chat error: ${error.message}`);
-    return res.status(500).json({
+    return stream.respond(500, {
       error: 'Internal server error',
       message: error.message
     });
@@ -145,19 +153,23 @@ export default async function guidedChatHandler(req, res) {
  * Create AI-driven plan strategy based on user preferences
  */
 async function handleCreatePlanStrategy(req, res, { userPreferences, userLocation }) {
+  const stream = createEventStream(req, res);
+
   try {
     debugLog('Creating intelligent plan strategy', { 
       preferencesCount: Object.keys(userPreferences).length,
       hasLocation: !!userLocation 
     });
 
+    stream.status('strategy', 'Analysing your preferences to plan the discovery rounds');
     const strategy = await createIntelligentPlanStrategy(userPreferences, userLocation);
 
     if (strategy.success) {
-      return res.status(200).json({
+      return stream.respond(200, {
         success: true,
         strategy: strategy.strategy,
         aiGenerated: strategy.aiGenerated,
+        weather: toWeatherCards(strategy.weather),
         message: `🧠 AI has created your personalized ${strategy.strategy.rounds.length}-round discovery plan: ${strategy.strategy.rationale}`,
         systemStatus: {
           enhancedFeatures: await hasEnhancedFeatures(),
@@ -170,7 +182,7 @@ async function handleCreatePlanStrategy(req, res, { userPreferences, userLocatio
 
   } catch (error) {
     debugLog(`Plan strategy creation error: ${error.message}`);
-    return res.status(500).json({
+    return stream.respond(500, {
       success: false,
       error: 'Failed to create plan strategy',
       details: error.message
@@ -182,9 +194,11 @@ async function handleCreatePlanStrategy(req, res, { userPreferences, userLocatio
  * Execute intelligent round using AI-driven POI type selection and KB querying
  */
 async function handleIntelligentRound(req, res, { userPreferences, userLocation, selectedPOIs, currentRound, planStrategy }) {
+  const stream = createEventStream(req, res);
+
   try {
     if (!planStrategy || !planStrategy.rounds) {
-      return res.status(400).json({
+      return stream.respond(400, {
         error: 'Plan strategy required for intelligent rounds',
         hint: 'Call CREATE_PLAN_STRATEGY first'
       });
@@ -193,7 +207,7 @@ async function handleIntelligentRound(req, res, { userPreferences, userLocation,
     const roundConfig = planStrategy.rounds[currentRound - 1];
     
     if (!roundConfig) {
-      return res.status(400).json({
+      return stream.respond(400, {
         error: 'Invalid round number',
         maxRounds: planStrategy.rounds.length
       });
@@ -205,10 +219,11 @@ async function handleIntelligentRound(req, res, { userPreferences, userLocation,
     });
 
     // Execute intelligent round with AI-driven KB queries
-    const roundResult = await executeIntelligentRound(roundConfig, userPreferences, userLocation, selectedPOIs);
+    stream.status('round', `Round ${currentRound}: ${roundConfig.title}`, { round: currentRound, poiType: roundConfig.poiType });
+    const roundResult = await executeIntelligentRound(roundConfig, userPreferences, userLocation, selectedPOIs, stream.status);
 
     if (roundResult.success) {
-      return res.status(200).json({
+      return stream.respond(200, {
         success: true,
         round: roundResult.round,
         recommendations: roundResult.recommendations,
@@ -226,7 +241,7 @@ async function handleIntelligentRound(req, res, { userPreferences, userLocation,
 
   } catch (error) {
     debugLog(`Intelligent round error: ${error.message}`);
-    return res.status(500).json({
+    return stream.respond(500, {
       success: false,
       error: 'Failed to execute intelligent round',
       details: error.message
@@ -238,9 +253,11 @@ async function handleIntelligentRound(req, res, { userPreferences, userLocation,
  * Handle round completion and prepare for next round or open chat
  */
 async function handleRoundCompletion(req, res, { userPreferences, userLocation, selectedPOIs, currentRound, planStrategy }) {
+  const stream = createEventStream(req, res);
+
   try {
     if (!planStrategy || !planStrategy.rounds) {
-      return res.status(400).json({
+      return stream.respond(400, {
         error: 'Plan strategy required for round completion'
       });
     }
@@ -256,11 +273,12 @@ async function handleRoundCompletion(req, res, { userPreferences, userLocation,
     });
 
     // Calculate travel times between selected POIs
-    const optimizedPlan = await addTravelTimesToPlan(selectedPOIs, userLocation);
+    stream.status('travel_times', 'Optimising your route and working out travel times');
+    const optimizedPlan = await addTravelTimesToPlan(selectedPOIs, userLocation, userPreferences);
 
     if (nextRoundConfig) {
       // Continue to next AI-determined round
-      return res.status(200).json({
+      return stream.respond(200, {
         success: true,
         action: 'CONTINUE_TO_NEXT_ROUND',
         completedRound: currentRound,
@@ -275,19 +293,28 @@ async function handleRoundCompletion(req, res, { userPreferences, userLocation,
       });
     } else {
       // All AI-planned rounds complete - ready for open chat
-      return res.status(200).json({
+      if (getTripDays(userPreferences) > 1) {
+        stream.status('multi_day', 'Splitting your stops into days');
+      }
+      const multiDayPlan = await createMultiDayPlan(selectedPOIs, userLocation, userPreferences);
+      const forecast = await getTripForecast({ userPreferences, userLocation });
+      return stream.respond(200, {
         success: true,
         action: 'PLAN_COMPLETE',
         completedRound: currentRound,
-        finalPlan: optimizedPlan,
-        message: `🎉 Your AI-curated Rhodes adventure is complete! You have ${selectedPOIs.length} perfectly selected stops. Now you can chat freely to add more places, get local tips, or optimize your route!`,
+        finalPlan: multiDayPlan ? multiDayPlan.locations : optimizedPlan,
+        ...(multiDayPlan && { multiDayPlan }),
+        weather: toWeatherCards(forecast),
+        message: multiDayPlan
+          ? `🎉 Your ${multiDayPlan.tripDays}-day Rhodes adventure is complete! ${selectedPOIs.length} stops are split into days by area and theme. Now you can chat freely to add more places, get local tips, or optimize your route!`
+          : `🎉 Your AI-curated Rhodes adventure is complete! You have ${selectedPOIs.length} perfectly selected stops. Now you can chat freely to add more places, get local tips, or optimize your route!`,
         strategyComplete: true
       });
     }
 
   } catch (error) {
     debugLog(`Round completion error: ${error.message}`);
-    return res.status(500).json({
+    return stream.respond(500, {
       success: false,
       error: 'Failed to complete round',
       details: error.message
@@ -299,6 +326,8 @@ async function handleRoundCompletion(req, res, { userPreferences, userLocation,
  * Handle open chat mode after plan completion
  */
 async function handleOpenChat(req, res, { userPreferences, userLocation, selectedPOIs, chatHistory, userMessage }) {
+  const stream = createEventStream(req, res);
+
   try {
     debugLog(`Open chat mode`, {
       hasUserMessage: !!userMessage,
@@ -331,7 +360,7 @@ async function handleOpenChat(req, res, { userPreferences, userLocation, selecte
 
   } catch (error) {
     debugLog(`Open chat error: ${error.message}`);
-    return res.status(500).json({
+    return stream.respond(500, {
       success: false,
       error: 'Failed to process open chat',
       details: error.message
@@ -385,12 +414,31 @@ function generateContextualPrompt(roundConfig, userPreferences, selectedPOIs) {
 }
 
 /**
- * Add travel times between POIs in the plan
+ * Split a multi-day trip's selections into days (null for single-day trips)
+ */
+async function createMultiDayPlan(selectedPOIs, userLocation, userPreferences = {}) {
+  const days = getTripDays(userPreferences);
+  if (days <= 1) return null;
+
+  const homeBases = await locateHomeBases(userPreferences.homeBases, geocodeLocation);
+  const plan = buildMultiDayPlan(selectedPOIs, { days, homeBases, userPreferences, userLocation });
+  debugLog(`Split ${selectedPOIs.length} stops into ${plan.tripDays} days`, {
+    days: plan.days.map(day => ({ title: day.title, stops: day.locations.length, homeBase: day.homeBase?.name }))
+  });
+  return plan;
+}
+
+/**
+ * Reorder the plan into an optimised route, add travel times between POIs
+ * and schedule arrival/departure times from the user's start time
  */
-async function addTravelTimesToPlan(selectedPOIs, userLocation) {
-  if (selectedPOIs.length < 2) return selectedPOIs;
+async function addTravelTimesToPlan(selectedPOIs, userLocation, userPreferences = {}) {
+  const scheduleOptions = { ...getScheduleOptions(userPreferences), startPoint: userLocation };
+  if (selectedPOIs.length < 2) return attachSchedule(selectedPOIs, scheduleOptions).locations;
 
-  const optimizedPlan = [...selectedPOIs];
+  // Copy the stops so travel info doesn't leak into the caller's objects
+  const optimizedPlan = (await getOptimizedRoute(selectedPOIs, userLocation, { startTime: scheduleOptions.startTime }))
+    .map(poi => ({ ...poi }));
 
   try {
     // Add travel time to first POI from user location
@@ -426,8 +474,8 @@ async function addTravelTimesToPlan(selectedPOIs, userLocation) {
 
   } catch (error) {
     debugLog(`Travel time calculation error: ${error.message}`);
-    // Return plan without travel times on error
+    // Schedule with estimated travel times on error
   }
 
-  return optimizedPlan;
+  return attachSchedule(optimizedPlan, scheduleOptions).locations;
 }
\ No newline at end of file
@@ -3,8 +3,14 @@
  * Uses AI to analyze preferences and dynamically plan optimal POI discovery rounds
  */
 
-import { OpenAI } from 'openai';
+import { createChatCompletion } from './llm/llmProvider.js';
 import { hasEnhancedFeatures, getEnhancedNearbyPlaces } from './enhanced-chat-tools.js';
+import { getTimeOfDayClock } from './opening-hours.js';
+import { getTripDays } from './multi-day-planner.js';
+import { searchKnowledgeBase } from './retrieval/retrievalProvider.js';
+import { getTripForecast, windiestDay } from './weather/weatherProvider.js';
+import { preferShelteredBeaches } from './beach-exposure.js';
+import { generatePOIReasoning } from './ai-response-processor.js';
 import { 
   searchPOIsAdvanced, 
   getNearbyPOIs, 
@@ -12,8 +18,6 @@ import {
   getPOIStatistics 
 } from './db-adapter.js';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
 // Debug logging
 const debugLog = (message, data = null) => {
   const timestamp = new Date().toISOString();
@@ -47,12 +51,60 @@ function extractJsonFromResponse(response) {
   return response;
 }
 
+/**
+ * Swap or trim the beach rounds the forecast rules out
+ * With no beach weather on any forecast day a beach round becomes a museums and
+ * Old Town round; otherwise it collects one beach per beach day. Days past the
+ * forecast horizon count as beach days.
+ */
+export function applyWeatherToRounds(rounds, forecast, tripDays = 1) {
+  if (!forecast?.days?.length) return rounds;
+
+  const beachDays = tripDays - forecast.days.filter(day => !day.assessment.beachFriendly).length;
+  const hasAttractionRound = rounds.some(round => round.poiType === 'attraction');
+  const reasons = [...new Set(forecast.days.flatMap(day => day.assessment.reasons))].join(', ');
+
+  return rounds.map(round => {
+    if (round.poiType !== 'beach') return round;
+    if (beachDays > 0) {
+      return { ...round, expectedSelections: Math.min(round.expectedSelections || 1, beachDays) };
+    }
+    return {
+      ...round,
+      poiType: hasAttractionRound ? 'cultural' : 'attraction',
+      title: 'Museums and the Old Town 🏛️',
+      reasoning: `The forecast (${reasons}) rules out the beach, so this round picks sheltered sights instead`,
+      searchCriteria: { ...round.searchCriteria, filters: ['indoor', 'sheltered'], atmospherePreference: 'cultural' },
+      weatherAdjusted: true
+    };
+  });
+}
+
+// One line per forecast day for the strategy prompt
+function describeForecast(forecast) {
+  return forecast.days.map((day, index) => {
+    const verdict = day.assessment.beachFriendly ? 'beach weather' : `NOT beach weather (${day.assessment.reasons.join(', ')})`;
+    return `- Day ${index + 1} (${day.date}): ${day.condition}, ${Math.round(day.tempMax)}°C, wind ${Math.round(day.windSpeedMax)} km/h, ${day.precipitationProbability}% rain - ${verdict}`;
+  }).join('\n');
+}
+
 /**
  * AI analyzes user preferences to create intelligent planning strategy
+ * Pass `forecast` (from getTripForecast) to reuse one already fetched; by default
+ * the trip's forecast is looked up and returned alongside the strategy.
  */
-export async function createIntelligentPlanStrategy(userPreferences, userLocation) {
+export async function createIntelligentPlanStrategy(userPreferences, userLocation, forecast) {
   debugLog('Creating intelligent plan strategy', { userPreferences, hasLocation: !!userLocation });
 
+  const tripDays = getTripDays(userPreferences);
+  const tripTask = tripDays > 1
+    ? `This is a ${tripDays}-day trip. Each round collects places of one type for the whole stay, so set "expectedSelections" to about ${tripDays} (one per day); the selections are split into days by area afterwards, so never plan the same place twice.`
+    : 'This is a single-day plan.';
+  const weather = forecast === undefined ? await getTripForecast({ userPreferences, userLocation }) : forecast;
+  const weatherTask = weather
+    ? `\nWEATHER FORECAST:\n${describeForecast(weather)}\nOn days that are not beach weather, plan museums, the Old Town and other sheltered sights instead of beaches.\n`
+    : '';
+
   const systemPrompt = `You are a Rhodes travel planning expert. Analyze user preferences and create an intelligent POI discovery strategy.
 
 AVAILABLE POI TYPES in our knowledge base:
@@ -66,7 +118,8 @@ AVAILABLE POI TYPES in our knowledge base:
 - accommodation (hotels for reference/context)
 
 TASK: Create a 3-4 round strategy that logically builds a perfect day based on user preferences.
-
+${tripTask}
+${weatherTask}
 Consider:
 - Time flow (morning → afternoon → evening)
 - Spatial relationships (group nearby POIs)
@@ -101,19 +154,27 @@ Return a JSON strategy with this exact structure:
     .join('\n');
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: `User preferences:\n${userPreferencesText}\n\nCreate an intelligent 3-4 round POI discovery strategy for Rhodes.` }
-      ],
-      temperature: 0.7,
-      max_tokens: 1000
+    const completion = await createChatCompletion({
+      purpose: 'plan_strategy',
+      context: { userPreferences, userLocation, weather },
+      params: {
+        model: "gpt-4o-mini",
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: `User preferences:\n${userPreferencesText}\n\nCreate an intelligent 3-4 round POI discovery strategy for Rhodes.` }
+        ],
+        temperature: 0.7,
+        max_tokens: 1000
+      }
     });
 
     const response = completion.choices[0].message.content;
     const jsonString = extractJsonFromResponse(response);
     const strategy = JSON.parse(jsonString);
+    strategy.strategy.rounds = applyWeatherToRounds(strategy.strategy.rounds.map(round => ({
+      ...round,
+      expectedSelections: Math.max(round.expectedSelections || 1, tripDays)
+    })), weather, tripDays);
 
     debugLog('AI strategy created', { 
       roundCount: strategy.strategy.rounds.length,
@@ -123,21 +184,25 @@ Return a JSON strategy with this exact structure:
     return {
       success: true,
       strategy: strategy.strategy,
-      aiGenerated: true
+      aiGenerated: true,
+      weather
     };
 
   } catch (error) {
     debugLog(`Strategy creation failed: ${error.message}`);
     
     // Fallback to rule-based strategy
-    return createFallbackStrategy(userPreferences);
+    const fallback = createFallbackStrategy(userPreferences);
+    fallback.strategy.rounds = applyWeatherToRounds(fallback.strategy.rounds, weather, tripDays);
+    return { ...fallback, weather };
   }
 }
 
 /**
  * Execute intelligent round - AI decides what POIs to query from knowledge base
+ * onProgress(stage, message, details) reports each step (used for streamed responses)
  */
-export async function executeIntelligentRound(roundConfig, userPreferences, userLocation, selectedPOIs) {
+export async function executeIntelligentRound(roundConfig, userPreferences, userLocation, selectedPOIs, onProgress = () => {}) {
   debugLog(`Executing intelligent round ${roundConfig.roundNumber}`, {
     poiType: roundConfig.poiType,
     hasSearchCriteria: !!roundConfig.searchCriteria
@@ -145,13 +210,23 @@ export async function executeIntelligentRound(roundConfig, userPreferences, user
 
   try {
     // Step 1: AI crafts intelligent knowledge base query
+    onProgress('kb_query', `Deciding which ${roundConfig.poiType} spots to look for`);
     const kbQuery = await craftIntelligentKBQuery(roundConfig, userPreferences, userLocation, selectedPOIs);
     
     // Step 2: Execute query against PostgreSQL knowledge base
-    const kbResults = await executeKnowledgeBaseQuery(kbQuery, userLocation);
+    // Beach rounds cover the whole stay, so beaches sheltered on its windiest day come first
+    const weather = roundConfig.poiType === 'beach'
+      ? windiestDay(await getTripForecast({ userPreferences, userLocation }))
+      : null;
+    const kbResults = preferShelteredBeaches(await executeKnowledgeBaseQuery(kbQuery, userLocation), weather);
+    onProgress('pois_found', `Found ${kbResults.length} candidate${kbResults.length === 1 ? '' : 's'}`, { count: kbResults.length });
     
     // Step 3: AI filters and ranks results for this specific round
-    const intelligentResults = await aiFilterAndRankResults(kbResults, roundConfig, userPreferences, selectedPOIs);
+    onProgress('ranking', 'Picking the best matches for you');
+    const intelligentResults = preferShelteredBeaches(
+      await aiFilterAndRankResults(kbResults, roundConfig, userPreferences, selectedPOIs),
+      weather
+    ).map(poi => (poi.windExposure ? withWindReasoning(poi, weather) : poi));
 
     return {
       success: true,
@@ -180,6 +255,18 @@ export async function executeIntelligentRound(roundConfig, userPreferences, user
   }
 }
 
+/**
+ * Make sure a beach's reasoning says how today's wind hits its coast
+ */
+function withWindReasoning(poi, weather) {
+  if (!poi.aiReasoning) {
+    return { ...poi, aiReasoning: generatePOIReasoning({ ...poi, type: poi.primary_type }, { weather }) };
+  }
+  return poi.aiReasoning.includes(poi.windExposure.reason)
+    ? poi
+    : { ...poi, aiReasoning: `${poi.aiReasoning} ${poi.windExposure.reason}.` };
+}
+
 /**
  * AI crafts intelligent knowledge base query based on round context
  */
@@ -238,14 +325,18 @@ Already Selected POIs: ${selectedPOIs.length > 0 ? selectedPOIs.map(p => `${p.na
 `;
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: contextText }
-      ],
-      temperature: 0.3,
-      max_tokens: 600
+    const completion = await createChatCompletion({
+      purpose: 'kb_query',
+      context: { roundConfig, userPreferences, userLocation, selectedPOIs },
+      params: {
+        model: "gpt-4o-mini",
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: contextText }
+        ],
+        temperature: 0.3,
+        max_tokens: 600
+      }
     });
 
     const response = completion.choices[0].message.content;
@@ -295,6 +386,11 @@ async function executeKnowledgeBaseQuery(queryStrategy, userLocation) {
       if (searchParams.filters.excludeIds) criteria.excludeIds = searchParams.filters.excludeIds;
     }
 
+    // Demote places that are closed for the planned time slot
+    if (searchParams.contextualBoosts?.timeOfDay) {
+      criteria.openAt = getTimeOfDayClock(searchParams.contextualBoosts.timeOfDay);
+    }
+
     // Execute advanced POI search
     const results = await searchPOIsAdvanced(criteria);
 
@@ -321,6 +417,26 @@ async function executeKnowledgeBaseQuery(queryStrategy, userLocation) {
   }
 }
 
+/**
+ * Guide article excerpts that mention each POI by name, keyed by POI id
+ * Gives the curator grounded background beyond the one-line dataset description.
+ */
+async function findGuideNotes(pois, excerptLength = 300) {
+  const notes = {};
+  await Promise.all(pois.map(async poi => {
+    const name = poi.name?.toLowerCase();
+    if (!name) return;
+    const passages = await searchKnowledgeBase(poi.name, { limit: 3, sources: ['article'] });
+    const passage = passages.find(candidate => candidate.text.toLowerCase().includes(name));
+    if (!passage) return;
+
+    const at = passage.text.toLowerCase().indexOf(name);
+    const start = Math.max(0, at - excerptLength / 3);
+    notes[poi.id] = `${start > 0 ? '...' : ''}${passage.text.slice(start, start + excerptLength).trim()}...`;
+  }));
+  return notes;
+}
+
 /**
  * AI filters and ranks KB results for optimal round presentation
  */
@@ -346,6 +462,8 @@ TASK: From the provided POIs, select the best 4-5 that:
 3. Have good spatial distribution (not all clustered)
 4. Complement already selected POIs
 5. Provide authentic Rhodes experiences
+Where a POI has guideNotes (excerpts from the Rhodes travel guide), base your reasoning on them.
+Where a POI has windExposure, prefer beaches sheltered from the wind and mention it in your reasoning.
 
 Return POI IDs in ranked order (best first):
 {
@@ -358,29 +476,37 @@ Return POI IDs in ranked order (best first):
   "curatorNotes": "Overall curation strategy explanation"
 }`;
 
-  const poiSummaries = kbResults.slice(0, 10).map(poi => ({
+  const candidates = kbResults.slice(0, 10);
+  const guideNotes = await findGuideNotes(candidates);
+  const poiSummaries = candidates.map(poi => ({
     id: poi.id,
     name: poi.name,
     type: poi.primary_type,
     rating: poi.rating,
     description: poi.description,
+    ...(guideNotes[poi.id] && { guideNotes: guideNotes[poi.id] }),
+    ...(poi.windExposure && { windExposure: poi.windExposure.reason }),
     tags: poi.tags,
     latitude: poi.latitude,
     longitude: poi.longitude
   }));
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { 
-          role: "user", 
-          content: `User Preferences: ${JSON.stringify(userPreferences)}\n\nPOIs to curate:\n${JSON.stringify(poiSummaries, null, 2)}` 
-        }
-      ],
-      temperature: 0.4,
-      max_tokens: 800
+    const completion = await createChatCompletion({
+      purpose: 'poi_curation',
+      context: { roundConfig, userPreferences, kbResults: poiSummaries },
+      params: {
+        model: "gpt-4o-mini",
+        messages: [
+          { role: "system", content: systemPrompt },
+          { 
+            role: "user", 
+            content: `User Preferences: ${JSON.stringify(userPreferences)}\n\nPOIs to curate:\n${JSON.stringify(poiSummaries, null, 2)}` 
+          }
+        ],
+        temperature: 0.4,
+        max_tokens: 800
+      }
     });
 
     const response = completion.choices[0].message.content;
@@ -417,13 +543,16 @@ Return POI IDs in ranked order (best first):
 function createFallbackStrategy(userPreferences) {
   debugLog('Creating fallback strategy');
 
+  // One pick of each type per day of the trip
+  const tripDays = getTripDays(userPreferences);
+
   const fallbackRounds = [
     {
       roundNumber: 1,
       poiType: 'restaurant',
       title: 'Start with authentic dining 🍽️',
       reasoning: 'Food is essential and sets the cultural tone',
-      expectedSelections: 1,
+      expectedSelections: tripDays,
       searchCriteria: { atmospherePreference: 'authentic' }
     },
     {
@@ -431,7 +560,7 @@ function createFallbackStrategy(userPreferences) {
       poiType: 'beach',
       title: 'Relax at beautiful beaches 🏖️',
       reasoning: 'Rhodes is famous for its stunning coastline',
-      expectedSelections: 1,
+      expectedSelections: tripDays,
       searchCriteria: { timeContext: 'afternoon' }
     },
     {
@@ -439,7 +568,7 @@ function createFallbackStrategy(userPreferences) {
       poiType: 'attraction',
       title: 'Explore cultural treasures 🏛️',
       reasoning: 'Rich history and culture are Rhodes highlights',
-      expectedSelections: 1,
+      expectedSelections: tripDays,
       searchCriteria: { atmospherePreference: 'cultural' }
     }
   ];
@@ -0,0 +1,184 @@
+/**
+ * Itinerary Scheduler - Turns an ordered list of stops into a timetable
+ * Walks the day from the start time, adding each leg's travel time and an
+ * estimated dwell time per stop, and waits for places that are not open yet.
+ * Pure and synchronous so the frontend can re-run it when stops are reordered.
+ */
+
+import { estimateTravelMinutes } from './route-optimizer.js';
+import { getOpeningWindows, getRhodesClock, parseClock, formatClock, flagStopsOutsideHours } from './opening-hours.js';
+
+export const DEFAULT_START_TIME = '09:00';
+export const DEFAULT_DWELL_MINUTES = 60;
+
+// Typical time spent at each kind of stop, matched against the POI type
+const DWELL_MINUTES_BY_TYPE = [
+  [/beach/, 180],
+  [/museum|palace|castle/, 90],
+  [/restaurant|taverna|dining/, 90],
+  [/archaeolog|historical|monastery|church|acropolis/, 75],
+  [/park|nature|hiking|village/, 60],
+  [/bar|nightlife|club/, 60],
+  [/cafe|coffee|bakery|dessert/, 45],
+  [/shop|store|market/, 45],
+  [/viewpoint|landmark|monument|fountain/, 30]
+];
+
+// Average door-to-door speed for each transport preference
+const TRAVEL_SPEED_KMH = {
+  walking: 4.5,
+  bike: 15,
+  public: 20,
+  car: 30,
+  scooter: 30
+};
+
+/**
+ * Estimated minutes spent at a stop; `dwellMinutes` on the stop overrides the estimate
+ */
+export function estimateDwellMinutes(poi) {
+  if (Number.isFinite(poi?.dwellMinutes) && poi.dwellMinutes > 0) return poi.dwellMinutes;
+  const type = String(poi?.primary_type || poi?.type || '').toLowerCase();
+  const match = DWELL_MINUTES_BY_TYPE.find(([pattern]) => pattern.test(type));
+  return match ? match[1] : DEFAULT_DWELL_MINUTES;
+}
+
+/**
+ * Travel speed for a transport preference ('walking', 'car', …); defaults to driving
+ */
+export function getTravelSpeedKmh(transport) {
+  return TRAVEL_SPEED_KMH[transport] || TRAVEL_SPEED_KMH.car;
+}
+
+/**
+ * Day start time from user preferences: `startTime`, or an "HH:MM" entry in `timeOfDay`
+ */
+export function resolveStartTime(preferences = {}) {
+  const candidates = [preferences?.startTime, ...[].concat(preferences?.timeOfDay || [])];
+  const minutes = candidates.map(parseClock).find(value => value !== null);
+  return minutes === undefined ? DEFAULT_START_TIME : formatClock(minutes);
+}
+
+/**
+ * Scheduler options (start time and travel speed) for a user's preferences
+ */
+export function getScheduleOptions(preferences = {}) {
+  return {
+    startTime: resolveStartTime(preferences),
+    speedKmh: getTravelSpeedKmh(preferences?.transport)
+  };
+}
+
+/**
+ * Leg duration to a stop: the measured `travel` when present, otherwise an estimate
+ */
+function legMinutes(previous, stop, speedKmh) {
+  if (stop.travel?.durationMinutes > 0) return stop.travel.durationMinutes;
+  if (!previous) return 0;
+  return Math.round(estimateTravelMinutes(previous, stop, speedKmh) ?? 0);
+}
+
+const stopKey = stop => stop?.place_id || stop?.id || stop?.name;
+
+/**
+ * Drop measured travel times that no longer apply after the stops were reordered
+ * A stop keeps its `travel` only while it still follows the same stop as before.
+ */
+export function dropStaleTravel(previousOrder, nextOrder) {
+  const predecessors = new Map((previousOrder || []).map((stop, i) => [stopKey(stop), stopKey(previousOrder[i - 1])]));
+  return (nextOrder || []).map((stop, i) => {
+    const key = stopKey(stop);
+    if (!stop.travel || (predecessors.has(key) && predecessors.get(key) === stopKey(nextOrder[i - 1]))) return stop;
+    const { travel, ...rest } = stop;
+    return rest;
+  });
+}
+
+/**
+ * Build a timetable for stops visited in the given order
+ *
+ * @param {Array<Object>} locations - Ordered stops in any of the app's POI shapes
+ * @param {Object} [options]
+ * @param {string} [options.startTime='09:00'] - Departure time (HH:MM, Rhodes time)
+ * @param {Object} [options.startPoint] - Where the day starts; used for the first leg
+ *   when the first stop has no measured travel time
+ * @param {number} [options.dayOfWeek] - 0 = Sunday; defaults to today in Rhodes
+ * @param {number} [options.speedKmh] - Speed for estimated legs (see getTravelSpeedKmh)
+ * @param {boolean} [options.waitForOpening=true] - Wait at places that open later in the day
+ * @returns {{ startTime: string, endTime: string, totalMinutes: number, dayOfWeek: number,
+ *   stops: Array<{ arrival: string, departure: string, travelMinutes: number, waitMinutes: number, dwellMinutes: number }>,
+ *   warnings: Array<Object> }}
+ */
+export function scheduleItinerary(locations, options = {}) {
+  const {
+    startTime = DEFAULT_START_TIME,
+    startPoint = null,
+    dayOfWeek = getRhodesClock().day,
+    speedKmh = TRAVEL_SPEED_KMH.car,
+    waitForOpening = true
+  } = options;
+
+  const startMinutes = parseClock(startTime) ?? parseClock(DEFAULT_START_TIME);
+  let clock = startMinutes;
+  let previous = startPoint;
+  const timeline = [];
+
+  for (const stop of locations || []) {
+    const travelMinutes = legMinutes(previous, stop, speedKmh);
+    clock += travelMinutes;
+
+    let waitMinutes = 0;
+    const dwellMinutes = estimateDwellMinutes(stop);
+    if (waitForOpening) {
+      // Only wait for a window that still fits the whole visit
+      const next = getOpeningWindows(stop, dayOfWeek)?.find(([, close]) => clock + dwellMinutes <= close);
+      if (next && clock < next[0]) {
+        waitMinutes = next[0] - clock;
+        clock = next[0];
+      }
+    }
+
+    timeline.push({ poi: stop, arrivalMinutes: clock, departureMinutes: clock + dwellMinutes, travelMinutes, waitMinutes, dwellMinutes });
+    clock += dwellMinutes;
+    previous = stop;
+  }
+
+  return {
+    startTime: formatClock(startMinutes),
+    endTime: formatClock(clock),
+    totalMinutes: clock - startMinutes,
+    dayOfWeek,
+    stops: timeline.map(entry => ({
+      arrival: formatClock(entry.arrivalMinutes),
+      departure: formatClock(entry.departureMinutes),
+      travelMinutes: entry.travelMinutes,
+      waitMinutes: entry.waitMinutes,
+      dwellMinutes: entry.dwellMinutes
+    })),
+    warnings: flagStopsOutsideHours(timeline, dayOfWeek)
+  };
+}
+
+/**
+ * Schedule the stops and store the result on copies of them
+ * Each stop gets a `schedule` entry and an up-to-date `openingHoursWarning`;
+ * the returned `timetable` summarises the day for the plan data.
+ *
+ * @returns {{ locations: Array<Object>, timetable: { startTime: string, endTime: string, totalMinutes: number, dayOfWeek: number } }}
+ */
+export function attachSchedule(locations, options = {}) {
+  const { stops, warnings, ...timetable } = scheduleItinerary(locations, options);
+  const messages = new Map(warnings.map(warning => [warning.index, warning.message]));
+
+  return {
+    locations: (locations || []).map((location, index) => {
+      const { openingHoursWarning, ...stop } = location;
+      return {
+        ...stop,
+        schedule: stops[index],
+        ...(messages.has(index) && { openingHoursWarning: messages.get(index) })
+      };
+    }),
+    timetable
+  };
+}
@@ -3,16 +3,8 @@
  * Loads and queries the curated Rhodes dataset for AI-powered recommendations
  */
 
-import fs from 'fs';
-import path from 'path';
-import { dirname } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-
-// Cache for loaded datasets
-let poiDataset = null;
-let spatialRelationships = null;
+import { applyOpeningHours } from './opening-hours.js';
+import { loadPOIDataset, loadSpatialRelationships } from './poi-dataset.js';
 
 // Debug logging
 const debugLog = (message, data = null) => {
@@ -27,56 +19,6 @@ const debugLog = (message, data = null) => {
   }
 };
 
-/**
- * Load POI dataset from enhanced_pois_with_beaches.json
- */
-async function loadPOIDataset() {
-  if (poiDataset) {
-    return poiDataset;
-  }
-
-  try {
-    const datasetPath = path.join(__dirname, '../output/enhanced_pois_with_beaches.json');
-    const fileContent = fs.readFileSync(datasetPath, 'utf8');
-    poiDataset = JSON.parse(fileContent);
-    
-    debugLog(`POI dataset loaded successfully`, {
-      totalPOIs: poiDataset.pois?.length || 0,
-      filePath: datasetPath
-    });
-    
-    return poiDataset;
-  } catch (error) {
-    debugLog(`Failed to load POI dataset: ${error.message}`);
-    throw new Error(`Failed to load POI dataset: ${error.message}`);
-  }
-}
-
-/**
- * Load spatial relationships from spatial_relationships.json
- */
-async function loadSpatialRelationships() {
-  if (spatialRelationships) {
-    return spatialRelationships;
-  }
-
-  try {
-    const relationshipsPath = path.join(__dirname, '../output/spatial_relationships.json');
-    const fileContent = fs.readFileSync(relationshipsPath, 'utf8');
-    spatialRelationships = JSON.parse(fileContent);
-    
-    debugLog(`Spatial relationships loaded successfully`, {
-      totalRelationships: spatialRelationships.spatial_relationships?.length || 0,
-      filePath: relationshipsPath
-    });
-    
-    return spatialRelationships;
-  } catch (error) {
-    debugLog(`Failed to load spatial relationships: ${error.message}`);
-    throw new Error(`Failed to load spatial relationships: ${error.message}`);
-  }
-}
-
 /**
  * Calculate distance between two coordinates using Haversine formula
  */
@@ -140,6 +82,7 @@ function matchesUserPreferences(poi, userPreferences) {
 /**
  * Search POIs by location and user preferences
  * Used for initial recommendations when user has location
+ * Pass `open_at` ({ day, minutes }) to demote places closed at that time
  */
 export async function searchPOIsByLocation({
   latitude,
@@ -148,7 +91,8 @@ export async function searchPOIsByLocation({
   poi_types = null,
   user_preferences = {},
   exclude_poi_ids = [],
-  max_results = 15
+  max_results = 15,
+  open_at = null
 }) {
   debugLog(`Searching POIs by location`, {
     latitude, longitude, radius_meters, poi_types, exclude_poi_ids: exclude_poi_ids.length
@@ -180,9 +124,10 @@ export async function searchPOIsByLocation({
         distance_meters: latitude && longitude ? calculateDistance(poi, { latitude, longitude }) : 0
       }))
       // Sort by distance
-      .sort((a, b) => a.distance_meters - b.distance_meters)
-      // Limit results
-      .slice(0, max_results);
+      .sort((a, b) => a.distance_meters - b.distance_meters);
+
+    // Closed places go to the back, then limit results
+    filteredPOIs = applyOpeningHours(filteredPOIs, open_at).slice(0, max_results);
 
     debugLog(`Location search completed`, {
       totalFound: filteredPOIs.length,
@@ -199,11 +144,13 @@ export async function searchPOIsByLocation({
 
 /**
  * Get must-see Rhodes POIs for users without location
+ * Pass `open_at` ({ day, minutes }) to demote places closed at that time
  */
 export async function getMustSeeRhodesPOIs({
   user_preferences = {},
   exclude_poi_ids = [],
-  max_results = 15
+  max_results = 15,
+  open_at = null
 }) {
   debugLog(`Getting must-see Rhodes POIs`, {
     exclude_poi_ids: exclude_poi_ids.length, user_preferences
@@ -243,9 +190,10 @@ export async function getMustSeeRhodesPOIs({
         if (a.is_must_see && !b.is_must_see) return -1;
         if (!a.is_must_see && b.is_must_see) return 1;
         return b.priority_score - a.priority_score;
-      })
-      // Limit results
-      .slice(0, max_results);
+      });
+
+    // Closed places go to the back, then limit results
+    filteredPOIs = applyOpeningHours(filteredPOIs, open_at).slice(0, max_results);
 
     debugLog(`Must-see search completed`, {
       totalFound: filteredPOIs.length,
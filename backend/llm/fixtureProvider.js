@@ -0,0 +1,81 @@
+/**
+ * Fixture Provider - Records real LLM responses and replays them offline
+ * Fixtures are keyed by a hash of the request so the same prompt always
+ * maps to the same file. None are committed yet: until a record run fills
+ * backend/llm/fixtures, replay answers from its fallback (the stub by default).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const REPO_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * Stable fixture key for a request (purpose + the parts of the params that
+ * influence the answer)
+ */
+export function getFixtureKey({ purpose = 'unknown', params = {} }) {
+  const material = JSON.stringify({
+    purpose,
+    model: params.model,
+    messages: params.messages,
+    tools: params.tools || null,
+    response_format: params.response_format || null
+  });
+  return crypto.createHash('sha256').update(material).digest('hex').slice(0, 16);
+}
+
+function fixturePath(fixtureDir, request) {
+  const dir = path.isAbsolute(fixtureDir) ? fixtureDir : path.join(REPO_ROOT, fixtureDir);
+  const safePurpose = (request.purpose || 'unknown').replace(/[^a-z0-9_-]/gi, '_');
+  return path.join(dir, `${safePurpose}-${getFixtureKey(request)}.json`);
+}
+
+/**
+ * @param {Object} options
+ * @param {'record'|'replay'} options.mode
+ * @param {string} options.fixtureDir - Absolute or repo-relative directory
+ * @param {Object} [options.inner] - Provider to record from (record mode)
+ * @param {Object} [options.fallback] - Provider used when a fixture is missing (replay mode)
+ */
+export function createFixtureProvider({ mode, fixtureDir, inner = null, fallback = null }) {
+  if (mode === 'record' && !inner) {
+    throw new Error('Record mode requires an inner provider');
+  }
+
+  return {
+    name: mode,
+
+    isAvailable() {
+      return mode === 'record' ? inner.isAvailable() : true;
+    },
+
+    async createChatCompletion(request) {
+      const file = fixturePath(fixtureDir, request);
+
+      if (mode === 'replay') {
+        if (fs.existsSync(file)) {
+          const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+          return fixture.response;
+        }
+        if (fallback) {
+          return fallback.createChatCompletion(request);
+        }
+        throw new Error(`No LLM fixture for ${request.purpose} (${path.basename(file)})`);
+      }
+
+      const response = await inner.createChatCompletion(request);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        purpose: request.purpose,
+        recordedAt: new Date().toISOString(),
+        request: request.params,
+        // Round-trip through JSON so SDK response classes become plain data
+        response: JSON.parse(JSON.stringify(response))
+      }, null, 2));
+      return response;
+    }
+  };
+}
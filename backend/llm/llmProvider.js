@@ -0,0 +1,183 @@
+/**
+ * LLM Provider - Single entry point for every chat completion call
+ * Lets the planners run against OpenAI, recorded fixtures or an offline stub
+ */
+
+import crypto from 'crypto';
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import { ChatOpenAI } from '@langchain/openai';
+import { AgentConfig } from '../config/agentConfig.js';
+import { createCache } from '../cache.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createStubProvider } from './stubProvider.js';
+import { createFixtureProvider } from './fixtureProvider.js';
+
+/**
+ * @typedef {Object} LLMRequest
+ * @property {string} purpose - What the call is for (e.g. 'strict_round_decision');
+ *   offline providers use it to decide what to answer
+ * @property {Object} [context] - Structured inputs the prompt was built from
+ * @property {Object} params - OpenAI chat.completions.create parameters
+ * @property {(text: string) => void} [onToken] - Receives the answer text as it is
+ *   generated; providers that cannot stream send the whole answer at once
+ * @property {AbortSignal} [signal] - Cancels the request (e.g. the client disconnected)
+ * @property {boolean} [cache] - Set to false to always ask the model (default: answers
+ *   from OpenAI are cached by their params)
+ */
+
+/**
+ * @typedef {Object} LLMProvider
+ * @property {string} name
+ * @property {() => boolean} isAvailable - Whether the provider can serve requests
+ * @property {(request: LLMRequest) => Promise<Object>} createChatCompletion -
+ *   Resolves to an OpenAI-shaped completion ({ choices: [{ message, finish_reason }] })
+ * @property {(request: LLMRequest) => Promise<Object>} [streamChatCompletion] -
+ *   Same result, calling request.onToken while the answer streams in
+ */
+
+let activeProvider = null;
+
+const completionCache = createCache('llm');
+
+/**
+ * Build a provider by name
+ */
+export function createLLMProvider(name = AgentConfig.llmProvider, options = {}) {
+  const fixtureDir = options.fixtureDir || AgentConfig.llmFixtureDir;
+
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider(options);
+    case 'stub':
+      return createStubProvider(options);
+    case 'replay':
+      return createFixtureProvider({
+        mode: 'replay',
+        fixtureDir,
+        fallback: AgentConfig.llmReplayFallbackToStub ? createStubProvider(options) : null
+      });
+    case 'record':
+      return createFixtureProvider({
+        mode: 'record',
+        fixtureDir,
+        inner: createOpenAIProvider(options)
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Get the process-wide provider (created lazily from AgentConfig)
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createLLMProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the process-wide provider (tests and scripts)
+ * Pass null to go back to the configured default.
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Whether an LLM is available for the current configuration
+ */
+export function isLLMAvailable() {
+  return getLLMProvider().isAvailable();
+}
+
+async function runCompletion(provider, request) {
+  if (request.onToken && provider.streamChatCompletion) {
+    return provider.streamChatCompletion(request);
+  }
+
+  const completion = await provider.createChatCompletion(request);
+  const content = completion?.choices?.[0]?.message?.content;
+  if (request.onToken && content) {
+    request.onToken(content);
+  }
+  return completion;
+}
+
+/**
+ * Run a chat completion through the active provider
+ * Paid OpenAI answers are cached in the 'llm' namespace, keyed by a hash of the
+ * request params; a cached answer is sent to onToken in one piece.
+ * @param {LLMRequest} request
+ */
+export async function createChatCompletion(request) {
+  const provider = getLLMProvider();
+  if (provider.name !== 'openai' || request.cache === false) {
+    return runCompletion(provider, request);
+  }
+
+  const key = crypto.createHash('sha256').update(JSON.stringify(request.params)).digest('hex');
+  const cached = await completionCache.get(key);
+  if (cached) {
+    const content = cached.choices?.[0]?.message?.content;
+    if (request.onToken && content) {
+      request.onToken(content);
+    }
+    return cached;
+  }
+
+  const completion = await runCompletion(provider, request);
+  await completionCache.set(key, completion);
+  return completion;
+}
+
+/**
+ * LangChain chat model that routes through the active provider
+ * Used by offline providers; tool/function bindings are ignored, so agents
+ * simply receive a final answer.
+ */
+class ProviderChatModel extends SimpleChatModel {
+  constructor({ purpose, model, temperature, maxTokens, provider }) {
+    super({});
+    this.purpose = purpose;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.provider = provider;
+  }
+
+  _llmType() {
+    return 'wanderrhodes_provider';
+  }
+
+  async _call(messages) {
+    const roleMap = { system: 'system', human: 'user', ai: 'assistant', tool: 'tool', function: 'function' };
+    const completion = await this.provider.createChatCompletion({
+      purpose: this.purpose,
+      params: {
+        model: this.model,
+        temperature: this.temperature,
+        max_tokens: this.maxTokens,
+        messages: messages.map(m => ({
+          role: roleMap[m._getType()] || 'user',
+          content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content)
+        }))
+      }
+    });
+    return completion.choices[0].message.content || '';
+  }
+}
+
+/**
+ * Create a LangChain chat model for the active provider
+ * Real OpenAI keeps the native ChatOpenAI model (function calling support);
+ * with `streaming` it reports tokens to handleLLMNewToken callbacks.
+ */
+export function createLangChainChatModel({ purpose, model, temperature, maxTokens, streaming = false }) {
+  const provider = getLLMProvider();
+  if (provider.name === 'openai') {
+    return new ChatOpenAI({ modelName: model, temperature, maxTokens, streaming });
+  }
+  return new ProviderChatModel({ purpose, model, temperature, maxTokens, provider });
+}
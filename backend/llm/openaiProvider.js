@@ -0,0 +1,89 @@
+/**
+ * OpenAI Provider - Forwards requests to the OpenAI chat completions API
+ */
+
+import { OpenAI } from 'openai';
+
+/**
+ * Fold OpenAI streaming chunks back into a regular completion, so callers
+ * handle streamed and non-streamed answers (including tool calls) the same way
+ * @param {AsyncIterable<Object>} chunks - chat.completion.chunk objects
+ * @param {(text: string) => void} [onToken]
+ */
+export async function collectStreamedCompletion(chunks, onToken = () => {}) {
+  const message = { role: 'assistant', content: '' };
+  const toolCalls = [];
+  let finishReason = null;
+  let id = null;
+  let model = null;
+
+  for await (const chunk of chunks) {
+    id = id || chunk.id;
+    model = model || chunk.model;
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+
+    const delta = choice.delta || {};
+    if (delta.content) {
+      message.content += delta.content;
+      onToken(delta.content);
+    }
+    // Tool calls arrive in pieces keyed by index: id and name first, then the arguments
+    for (const part of delta.tool_calls || []) {
+      const call = toolCalls[part.index] || (toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    }
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  return {
+    id,
+    object: 'chat.completion',
+    model,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: message.content || null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls.filter(Boolean) } : {})
+      },
+      finish_reason: finishReason
+    }]
+  };
+}
+
+export function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY } = {}) {
+  let client = null;
+
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+
+    isAvailable() {
+      return !!apiKey;
+    },
+
+    async createChatCompletion({ params, signal }) {
+      if (!apiKey) {
+        throw new Error('OpenAI client not initialized - check API key');
+      }
+      return getClient().chat.completions.create(params, { signal });
+    },
+
+    async streamChatCompletion({ params, signal, onToken }) {
+      if (!apiKey) {
+        throw new Error('OpenAI client not initialized - check API key');
+      }
+      const chunks = await getClient().chat.completions.create({ ...params, stream: true }, { signal });
+      return collectStreamedCompletion(chunks, onToken);
+    }
+  };
+}
@@ -0,0 +1,331 @@
+/**
+ * Stub Provider - Deterministic, rule-based stand-in for the LLM
+ * Produces schema-valid answers from the structured request context so the
+ * planning workflows can run without a network. Same input → same output.
+ */
+
+const RHODES_CENTER = { lat: 36.4341, lng: 28.2176 };
+
+// User interest → strict workflow round type
+const INTEREST_ROUND_TYPES = {
+  beaches: 'beach',
+  history: 'historical_site',
+  food: 'restaurant',
+  culture: 'museum',
+  nature: 'nature',
+  shopping: 'shopping'
+};
+
+// Order used once the user's interests are covered
+const DEFAULT_ROUND_SEQUENCE = ['attraction', 'restaurant', 'beach', 'cafe', 'viewpoint', 'historical_site', 'nature'];
+
+// Round type → knowledge base types to search for
+const ROUND_SEARCH_TYPES = {
+  restaurant: ['restaurant', 'cafe'],
+  beach: ['beach'],
+  attraction: ['attraction', 'tourist_attraction', 'historical_site'],
+  cafe: ['cafe', 'restaurant'],
+  market: ['market', 'shopping'],
+  viewpoint: ['viewpoint', 'attraction'],
+  museum: ['museum', 'attraction'],
+  historical_site: ['historical_site', 'attraction'],
+  nature: ['nature', 'park'],
+  shopping: ['shopping', 'market']
+};
+
+// Planner POI types (intelligentRoundPlanner) by interest
+const INTEREST_PLANNER_TYPES = {
+  beaches: 'beach',
+  history: 'attraction',
+  culture: 'cultural',
+  food: 'restaurant',
+  nature: 'nature',
+  shopping: 'shopping',
+  nightlife: 'bar'
+};
+
+const TIME_OF_DAY = ['morning', 'afternoon', 'evening'];
+
+function completion(content, { toolCalls = null } = {}) {
+  return {
+    id: 'stub-completion',
+    object: 'chat.completion',
+    model: 'stub',
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: toolCalls ? null : content,
+        ...(toolCalls ? { tool_calls: toolCalls } : {})
+      },
+      finish_reason: toolCalls ? 'tool_calls' : 'stop'
+    }]
+  };
+}
+
+const json = (value) => completion(JSON.stringify(value));
+
+function poiTypeOf(poi) {
+  return poi?.roundType || poi?.aiDecisionContext?.roundType || poi?.primary_type || poi?.type || null;
+}
+
+function referenceLocation(selectedPOIs = [], userLocation = null) {
+  const last = selectedPOIs[selectedPOIs.length - 1];
+  if (last?.location?.coordinates?.lat) return last.location.coordinates;
+  if (typeof last?.latitude === 'number') return { lat: last.latitude, lng: last.longitude };
+  return userLocation || RHODES_CENTER;
+}
+
+/**
+ * Pick the round type: first uncovered user interest, then the default sequence
+ */
+function chooseRoundType(userPreferences = {}, selectedPOIs = []) {
+  const used = new Set(selectedPOIs.map(poiTypeOf).filter(Boolean));
+  const fromInterests = (userPreferences.interests || [])
+    .map(interest => INTEREST_ROUND_TYPES[interest])
+    .filter(Boolean);
+  const sequence = [...new Set([...fromInterests, ...DEFAULT_ROUND_SEQUENCE])];
+  return sequence.find(type => !used.has(type)) || sequence[selectedPOIs.length % sequence.length];
+}
+
+function budgetLevel(userPreferences = {}) {
+  return ['budget', 'moderate', 'luxury'].includes(userPreferences.budget) ? userPreferences.budget : 'moderate';
+}
+
+function buildRoundDecision({ currentRound = 1, userPreferences = {}, selectedPOIs = [], userLocation = null }) {
+  const roundType = chooseRoundType(userPreferences, selectedPOIs);
+  const center = currentRound === 1
+    ? (userLocation || RHODES_CENTER)
+    : referenceLocation(selectedPOIs, userLocation);
+  const radius = currentRound === 1 ? 10000 : 5000;
+
+  return {
+    action: 'PLAN_ROUND',
+    round_number: currentRound,
+    round_type: roundType,
+    reasoning: `A ${roundType.replace('_', ' ')} adds variety after ${selectedPOIs.length} previous stop(s).`,
+    spatial_strategy: {
+      search_radius_meters: radius,
+      expand_radius_if_needed: radius * 2,
+      spatial_reasoning: currentRound === 1
+        ? 'Wide search from the starting point to find the best first stop.'
+        : 'Moderate search around the last selected stop to keep travel short.',
+      center_coordinates: {
+        lat: Number(center.lat),
+        lng: Number(center.lng),
+        reference: currentRound === 1 ? 'user_starting_location_or_rhodes_center' : 'last_selected_poi'
+      }
+    },
+    poi_criteria: {
+      required_types: ROUND_SEARCH_TYPES[roundType],
+      preferred_tags: userPreferences.interests || [],
+      exclude_types: [],
+      quality_threshold: 3,
+      budget_level: budgetLevel(userPreferences)
+    },
+    context: {
+      previous_selections: selectedPOIs.map(poi => poi.name),
+      user_state: selectedPOIs.length === 0 ? 'beginning_travel_experience' : 'continuing_itinerary',
+      time_progression: TIME_OF_DAY[Math.min(currentRound - 1, 2)]
+    }
+  };
+}
+
+function candidateId(poi) {
+  return String(poi.place_id || poi.id);
+}
+
+function buildSelectionDecision({ candidatePOIs = [], roundNumber = 1, roundDecision = {} }) {
+  // Highest rating wins; ties broken by more reviews, then by ID for determinism
+  const ranked = [...candidatePOIs].sort((a, b) =>
+    (b.rating || 0) - (a.rating || 0) ||
+    (b.user_ratings_total || 0) - (a.user_ratings_total || 0) ||
+    candidateId(a).localeCompare(candidateId(b))
+  );
+  const best = ranked[0];
+  const rating = best.rating || 3;
+
+  return {
+    action: 'SELECT_POIS',
+    round_number: roundNumber,
+    selected_pois: [{
+      poi_id: candidateId(best),
+      selection_reasoning: `${best.name} is the highest-rated ${roundDecision.round_type || 'option'} among the candidates.`,
+      fit_score: Math.min(10, Math.max(1, Math.round(rating * 2))),
+      spatial_logic: 'Chosen within the requested search radius.'
+    }],
+    rejected_pois: ranked.slice(1, 4).map(poi => ({
+      poi_id: candidateId(poi),
+      rejection_reason: `Lower rated than ${best.name}.`
+    })),
+    round_completion_status: 'COMPLETE',
+    next_round_hint: null
+  };
+}
+
+function buildPlanStrategy({ userPreferences = {} }) {
+  const fromInterests = (userPreferences.interests || [])
+    .map(interest => INTEREST_PLANNER_TYPES[interest])
+    .filter(Boolean);
+  const types = [...new Set([...fromInterests, 'attraction', 'restaurant', 'beach'])].slice(0, 4);
+  const rounds = types.map((poiType, index) => ({
+    roundNumber: index + 1,
+    poiType,
+    title: `Round ${index + 1}: ${poiType.charAt(0).toUpperCase()}${poiType.slice(1)}`,
+    reasoning: index < fromInterests.length
+      ? `Matches your interest in ${userPreferences.interests[index]}.`
+      : 'Rounds out the day with a classic Rhodes experience.',
+    expectedSelections: poiType === 'restaurant' ? 2 : 1,
+    searchCriteria: {
+      filters: [],
+      timeContext: TIME_OF_DAY[Math.min(index, 2)],
+      atmospherePreference: 'authentic'
+    }
+  }));
+
+  return {
+    strategy: {
+      rationale: 'Interests first, then a balanced mix of sights, food and beaches.',
+      rounds
+    }
+  };
+}
+
+function buildKnowledgeBaseQuery({ roundConfig = {}, userLocation = null, selectedPOIs = [] }) {
+  return {
+    strategy: `Search ${roundConfig.poiType || 'attraction'} POIs ${userLocation ? 'near the user' : 'across Rhodes'}`,
+    searchParameters: {
+      primaryType: roundConfig.poiType || 'attraction',
+      spatialContext: {
+        useLocation: !!userLocation,
+        radiusMeters: selectedPOIs.length > 0 ? 5000 : 10000,
+        spatialRelationship: selectedPOIs.length > 0 ? 'near_selected_pois' : 'near_user_location'
+      },
+      filters: {
+        authenticity: 'mixed',
+        priceLevel: [1, 2, 3],
+        minRating: 3.5,
+        tags: [],
+        excludeIds: selectedPOIs.map(p => p.id || p.place_id).filter(Boolean)
+      },
+      contextualBoosts: {
+        timeOfDay: roundConfig.searchCriteria?.timeContext || 'afternoon',
+        atmosphere: 'social',
+        specialRequirements: []
+      }
+    }
+  };
+}
+
+function buildCuration({ kbResults = [] }) {
+  const ranked = [...kbResults]
+    .sort((a, b) => (b.rating || 0) - (a.rating || 0) || String(a.id).localeCompare(String(b.id)))
+    .slice(0, 5);
+  return {
+    selectedPOIs: ranked.map(poi => ({
+      id: poi.id,
+      reasoning: `${poi.name} is among the best-rated options for this round.`
+    })),
+    curatorNotes: 'Ranked by rating.'
+  };
+}
+
+/**
+ * Chat loop: ask for nearby places once, then answer with the tool results
+ */
+function buildChatTurn({ params, context = {} }) {
+  const messages = params.messages || [];
+  const toolMessages = messages.filter(m => m.role === 'tool');
+  const hasNearbyTool = (params.tools || []).some(t => t.function?.name === 'getNearbyPlaces');
+
+  if (toolMessages.length === 0 && hasNearbyTool) {
+    const prompt = (context.prompt || '').toLowerCase();
+    const type = prompt.includes('beach') ? 'beach'
+      : /eat|food|restaurant|dinner|lunch/.test(prompt) ? 'restaurant'
+      : 'tourist_attraction';
+    const { lat, lng } = context.userLocation || RHODES_CENTER;
+    return completion(null, {
+      toolCalls: [{
+        id: 'stub_call_1',
+        type: 'function',
+        function: { name: 'getNearbyPlaces', arguments: JSON.stringify({ lat, lng, radius: 5000, type }) }
+      }]
+    });
+  }
+
+  let places = [];
+  for (const message of toolMessages) {
+    try {
+      const parsed = JSON.parse(message.content);
+      if (Array.isArray(parsed)) places.push(...parsed);
+    } catch {
+      // Tool returned an error string – ignore
+    }
+  }
+  places = places
+    .filter(p => typeof (p.latitude ?? p.lat) === 'number')
+    .slice(0, 3);
+
+  if (places.length === 0) {
+    return completion('I could not look up places right now. Rhodes Old Town, Lindos and Anthony Quinn Bay are always good choices.');
+  }
+
+  const blocks = places.map(p => JSON.stringify({
+    name: p.name,
+    type: p.type || p.types?.[0] || 'attraction',
+    description: p.description || `${p.name} in Rhodes.`,
+    location: {
+      address: p.address || p.vicinity || 'Rhodes, Greece',
+      coordinates: { lat: p.latitude ?? p.lat, lng: p.longitude ?? p.lng }
+    }
+  }));
+  return completion(`Here are some places I recommend:\n\n${blocks.join('\n\n')}`);
+}
+
+/**
+ * Conversation summary: the traveller's requests plus the places suggested so far
+ */
+function buildChatSummary({ previousSummary, turns = [] }) {
+  const requests = turns.filter(t => t.role === 'user').map(t => t.content.replace(/\s+/g, ' ').slice(0, 80));
+  const places = turns
+    .flatMap(t => (t.content.match(/\[Places? suggested: ([^\]]+)\]/g) || []))
+    .flatMap(match => match.replace(/^\[Places? suggested: |\]$/g, '').split(', '));
+  const parts = [
+    previousSummary,
+    requests.length > 0 ? `The traveller asked: ${requests.join('; ')}.` : null,
+    places.length > 0 ? `Places suggested: ${[...new Set(places)].join(', ')}.` : null
+  ];
+  return completion(parts.filter(Boolean).join(' ') || 'The traveller is planning a trip to Rhodes.');
+}
+
+export function createStubProvider() {
+  return {
+    name: 'stub',
+
+    isAvailable() {
+      return true;
+    },
+
+    async createChatCompletion({ purpose, context = {}, params = {} }) {
+      switch (purpose) {
+        case 'strict_round_decision':
+        case 'strict_round_decision_fallback':
+          return json(buildRoundDecision(context));
+        case 'strict_poi_selection':
+          return json(buildSelectionDecision(context));
+        case 'plan_strategy':
+          return json(buildPlanStrategy(context));
+        case 'kb_query':
+          return json(buildKnowledgeBaseQuery(context));
+        case 'poi_curation':
+          return json(buildCuration(context));
+        case 'chat':
+          return buildChatTurn({ params, context });
+        case 'chat_summary':
+          return buildChatSummary(context);
+        default:
+          return completion('This is an offline response. Ask me about beaches, food or sights in Rhodes.');
+      }
+    }
+  };
+}
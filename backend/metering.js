@@ -0,0 +1,151 @@
+// metering.js - Persistent usage metering backed by the database adapter
+import { recordUsageEventWithinLimits, getUsageSince, pruneUsageEvents } from './db-adapter.js';
+import { MeteringConfig, resolvePlanName, getEndpointCost } from './config/meteringConfig.js';
+
+const PRUNE_PROBABILITY = 0.01;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const getPlan = planName => MeteringConfig.plans[planName] || MeteringConfig.plans.guest;
+
+/**
+ * Identify who is being metered: logged-in users by id, guests by IP
+ */
+export function getSubjectKey(req) {
+  if (req.user?.id) return `user:${req.user.id}`;
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const ip = req.ip || (forwarded ? String(forwarded).split(',')[0].trim() : null);
+  return `ip:${ip || 'unknown'}`;
+}
+
+/**
+ * Compute the usage state of every window in the subject's plan
+ * @param {Object} options
+ * @param {string} options.subjectKey - Result of getSubjectKey()
+ * @param {string} options.planName - Key into MeteringConfig.plans
+ * @param {number} [options.baselineUnits] - Units already consumed before event
+ *   tracking existed (legacy users.free_chats_used); applied to lifetime windows
+ */
+export async function getUsageSnapshot({ subjectKey, planName, baselineUnits = 0 }) {
+  const plan = getPlan(planName);
+  const now = nowSeconds();
+
+  const windows = [];
+  for (const window of plan.windows) {
+    const since = window.seconds ? now - window.seconds : 0;
+    const endpoints = window.endpoints || [null];
+
+    let used = 0;
+    let oldest = null;
+    for (const endpoint of endpoints) {
+      const usage = await getUsageSince(subjectKey, since, endpoint);
+      used += Number(usage.units) || 0;
+      if (usage.oldest !== null && usage.oldest !== undefined) {
+        oldest = oldest === null ? usage.oldest : Math.min(oldest, usage.oldest);
+      }
+    }
+    if (!window.seconds) used = Math.max(used, baselineUnits);
+
+    windows.push({
+      name: window.name,
+      endpoints: window.endpoints || null,
+      limit: window.units,
+      used,
+      remaining: Math.max(window.units - used, 0),
+      // Rolling windows free up capacity once their oldest event ages out
+      resetAt: window.seconds && oldest !== null ? oldest + window.seconds : null
+    });
+  }
+
+  // The most constrained window determines what the client sees
+  const binding = windows.reduce(
+    (min, w) => (min === null || w.remaining < min.remaining ? w : min),
+    null
+  );
+
+  return {
+    plan: planName,
+    windows,
+    limit: binding?.limit ?? null,
+    remaining: binding?.remaining ?? null,
+    resetAt: binding?.resetAt ?? null
+  };
+}
+
+/**
+ * Check whether a request fits in every window and record it if so
+ * The check and the insert are one database transaction, so parallel requests
+ * cannot overspend a window.
+ * @returns {Promise<{allowed: boolean, cost: number, snapshot: Object}>}
+ */
+export async function consumeUsage({ subjectKey, planName, endpoint, action = null, baselineUnits = 0 }) {
+  const cost = getEndpointCost(endpoint, action);
+
+  if (cost > 0) {
+    const now = nowSeconds();
+    const limits = getPlan(planName).windows
+      .filter(window => !window.endpoints || window.endpoints.includes(endpoint))
+      .map(window => ({
+        name: window.name,
+        since: window.seconds ? now - window.seconds : 0,
+        endpoints: window.endpoints || null,
+        limit: window.units,
+        baselineUnits: window.seconds ? 0 : baselineUnits
+      }));
+    const { recorded, blockedWindow } = await recordUsageEventWithinLimits(subjectKey, endpoint, cost, limits, now);
+    if (!recorded) {
+      const snapshot = await getUsageSnapshot({ subjectKey, planName, baselineUnits });
+      return { allowed: false, cost, blockedWindow, snapshot };
+    }
+    maybePrune();
+  }
+
+  const snapshot = await getUsageSnapshot({ subjectKey, planName, baselineUnits });
+  return { allowed: true, cost, snapshot };
+}
+
+/**
+ * Meter a request from its Express or Vercel req object
+ */
+export async function meterRequest(req, endpoint = req.path || req.url?.split('?')[0]) {
+  return consumeUsage({
+    subjectKey: getSubjectKey(req),
+    planName: resolvePlanName(req.user),
+    endpoint,
+    // Guided chat names its actions `action`, the step planner `step`
+    action: req.body?.action || req.body?.step || null,
+    baselineUnits: req.user && !req.user.has_paid ? req.user.free_chats_used || 0 : 0
+  });
+}
+
+/**
+ * Read the current quota for a request without consuming anything
+ */
+export async function peekUsage(req) {
+  return getUsageSnapshot({
+    subjectKey: getSubjectKey(req),
+    planName: resolvePlanName(req.user),
+    baselineUnits: req.user && !req.user.has_paid ? req.user.free_chats_used || 0 : 0
+  });
+}
+
+/**
+ * Expose remaining quota to the client
+ */
+export function setUsageHeaders(res, snapshot, cost = null) {
+  if (!snapshot) return;
+  res.setHeader('X-Usage-Plan', snapshot.plan);
+  if (snapshot.limit !== null) res.setHeader('X-Usage-Limit', String(snapshot.limit));
+  if (snapshot.remaining !== null) res.setHeader('X-Usage-Remaining', String(snapshot.remaining));
+  if (snapshot.resetAt !== null) res.setHeader('X-Usage-Reset', String(snapshot.resetAt));
+  if (cost !== null) res.setHeader('X-Usage-Cost', String(cost));
+}
+
+export const USAGE_HEADERS = ['X-Usage-Plan', 'X-Usage-Limit', 'X-Usage-Remaining', 'X-Usage-Reset', 'X-Usage-Cost'];
+
+function maybePrune() {
+  if (Math.random() >= PRUNE_PROBABILITY) return;
+  Promise.resolve()
+    .then(() => pruneUsageEvents(nowSeconds() - MeteringConfig.retentionSeconds))
+    .catch(error => console.warn('Usage prune error:', error.message));
+}
@@ -1,34 +1,42 @@
 import { verifyJWT } from '../auth.js';
-import { getUserByEmail } from '../db.js';
+import { getUserByEmail } from '../db-adapter.js';
+
+function readCookie(req, name) {
+  if (req.cookies) return req.cookies[name];
+  // Vercel functions without cookie-parser
+  const pair = String(req.headers?.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : undefined;
+}
 
 function extractToken(req) {
   // Prefer Authorization header, fallback to cookie named "jwt"
-  const authHeader = req.headers.authorization;
+  const authHeader = req.headers?.authorization;
   if (authHeader && authHeader.startsWith('Bearer ')) return authHeader.split(' ')[1];
-  return req.cookies?.jwt;
+  return readCookie(req, 'jwt');
 }
 
-export function optionalAuth(req, _res, next) {
+/**
+ * Signed-in user for the request, or null
+ */
+export async function authenticate(req) {
   const token = extractToken(req);
-  if (!token) return next();
+  if (!token) return null;
   const payload = verifyJWT(token);
-  if (!payload || !payload.email) return next();
-  const user = getUserByEmail(payload.email);
-  if (!user) return next();
-  req.user = user;
+  if (!payload || !payload.email) return null;
+  return (await getUserByEmail(payload.email)) || null;
+}
+
+export async function optionalAuth(req, _res, next) {
+  req.user = (await authenticate(req)) || undefined;
   next();
 }
 
-export function requireAuth(req, res, next) {
-  const token = extractToken(req);
-  if (!token) return res.status(401).json({ error: 'Authentication required' });
-  
-  const payload = verifyJWT(token);
-  if (!payload || !payload.email) return res.status(401).json({ error: 'Invalid token' });
-  
-  const user = getUserByEmail(payload.email);
-  if (!user) return res.status(401).json({ error: 'User not found' });
-  
+export async function requireAuth(req, res, next) {
+  const user = await authenticate(req);
+  if (!user) return res.status(401).json({ error: 'Authentication required' });
   req.user = user;
   next();
 }
@@ -36,4 +44,23 @@ export function requireAuth(req, res, next) {
 export function requirePaidUser(req, res, next) {
   if (req.user && req.user.has_paid) return next();
   return res.status(402).json({ error: 'Payment required' });
-} 
+}
+
+export const ROLES = ['user', 'admin'];
+
+/**
+ * Only users with `role` get through; run after authentication (route `auth: 'required'`)
+ */
+export function requireRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  return function roleGuard(req, res, next) {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    if (req.user.role !== role) {
+      console.warn(`⛔ ${req.user.email} (${req.user.role || 'user'}) denied ${req.method} ${req.url} - requires ${role}`);
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
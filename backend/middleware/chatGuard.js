@@ -1,27 +1,45 @@
-import { incrementFreeChats, upsertUser } from '../db.js';
-import { requirePaidUser } from './auth.js';
+import { incrementFreeChats } from '../db-adapter.js';
+import { MeteringConfig } from '../config/meteringConfig.js';
+import { meterRequest, setUsageHeaders } from '../metering.js';
 
-// In-memory fallback for guests identified by IP
-const ipUsage = new Map();
-const FREE_CHATS_ALLOWED = 5;
+export async function chatGuard(req, res, next) {
+  if (!MeteringConfig.enabled) return next();
 
-export function chatGuard(req, res, next) {
-  if (req.user) {
-    // If logged in user has paid, allow. Else fallback to free usage count in DB
-    if (req.user.has_paid) return next();
-    if (req.user.free_chats_used < FREE_CHATS_ALLOWED) {
-      incrementFreeChats(req.user.email);
-      return next();
-    }
-    return res.status(402).json({ error: 'Free usage exhausted – please complete payment.' });
+  let result;
+  try {
+    result = await meterRequest(req);
+  } catch (error) {
+    // Never block chat because the metering store is unavailable
+    console.error('❌ Usage metering error:', error.message);
+    return next();
   }
 
-  // Guest flow – track by IP to allow exactly 5 requests
-  const ip = req.ip;
-  const used = ipUsage.get(ip) || 0;
-  if (used < FREE_CHATS_ALLOWED) {
-    ipUsage.set(ip, used + 1);
-    return next();
+  setUsageHeaders(res, result.snapshot, result.cost);
+
+  if (!result.allowed) {
+    const error = result.snapshot.plan === 'paid'
+      ? 'Usage limit reached – please try again later.'
+      : 'Free usage exhausted – please complete payment.';
+    return res.status(result.snapshot.plan === 'paid' ? 429 : 402).json({
+      error,
+      usage: {
+        plan: result.snapshot.plan,
+        window: result.blockedWindow,
+        remaining: result.snapshot.remaining,
+        resetAt: result.snapshot.resetAt
+      }
+    });
   }
-  return res.status(402).json({ error: 'Free usage exhausted – please complete payment.' });
-} 
+
+  // Keep the legacy counter shown in /api/me and the admin pages in sync
+  if (req.user && !req.user.has_paid && result.cost > 0) {
+    try {
+      await incrementFreeChats(req.user.email);
+    } catch (error) {
+      // The usage event is already recorded; a stale counter must not fail the chat
+      console.error('❌ Free chat counter error:', error.message);
+    }
+  }
+
+  next();
+}
@@ -0,0 +1,140 @@
+/**
+ * 001 - Initial schema
+ * Baseline for the user, plan, chat, preference and metering tables. Uses
+ * IF NOT EXISTS so databases created before migrations existed keep their
+ * data; users tables from before magic-link login get the columns they lack
+ * (as the startup schema code used to add) before the magic token index.
+ */
+
+export const description = 'Users, travel plans, chat history, preferences and usage events';
+
+export const sqlite = {
+  // Non-constant defaults cannot be added to an existing table, so old rows get a NULL updated_at
+  addColumns: {
+    users: ['magic_token_hash TEXT', 'magic_token_expires INTEGER', 'updated_at INTEGER']
+  },
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT UNIQUE NOT NULL,
+      has_paid INTEGER DEFAULT 0,
+      free_chats_used INTEGER DEFAULT 0,
+      magic_token_hash TEXT,
+      magic_token_expires INTEGER,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      updated_at INTEGER DEFAULT (strftime('%s','now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS user_travel_plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      plan_data TEXT NOT NULL,
+      plan_name TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      updated_at INTEGER DEFAULT (strftime('%s','now')),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS user_chat_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      session_id TEXT NOT NULL,
+      message_data TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS user_preferences (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL UNIQUE,
+      preferences_data TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      updated_at INTEGER DEFAULT (strftime('%s','now')),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS usage_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subject_key TEXT NOT NULL,
+      endpoint TEXT NOT NULL,
+      units REAL NOT NULL DEFAULT 1,
+      created_at INTEGER DEFAULT (strftime('%s','now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_magic_token ON users(magic_token_hash);
+    CREATE INDEX IF NOT EXISTS idx_travel_plans_user ON user_travel_plans(user_id);
+    CREATE INDEX IF NOT EXISTS idx_chat_history_user_session ON user_chat_history(user_id, session_id);
+    CREATE INDEX IF NOT EXISTS idx_usage_events_subject_time ON usage_events(subject_key, created_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS usage_events;
+    DROP TABLE IF EXISTS user_preferences;
+    DROP TABLE IF EXISTS user_chat_history;
+    DROP TABLE IF EXISTS user_travel_plans;
+    DROP TABLE IF EXISTS users;
+  `
+};
+
+export const postgres = {
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      has_paid BOOLEAN DEFAULT FALSE,
+      free_chats_used INTEGER DEFAULT 0,
+      magic_token_hash VARCHAR(255),
+      magic_token_expires BIGINT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS magic_token_hash VARCHAR(255);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS magic_token_expires BIGINT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS user_travel_plans (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      plan_data JSONB NOT NULL,
+      plan_name VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS user_chat_history (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      session_id VARCHAR(255) NOT NULL,
+      message_data JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS user_preferences (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+      preferences_data JSONB NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS usage_events (
+      id SERIAL PRIMARY KEY,
+      subject_key VARCHAR(255) NOT NULL,
+      endpoint VARCHAR(255) NOT NULL,
+      units REAL NOT NULL DEFAULT 1,
+      created_at BIGINT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_magic_token ON users(magic_token_hash);
+    CREATE INDEX IF NOT EXISTS idx_travel_plans_user ON user_travel_plans(user_id);
+    CREATE INDEX IF NOT EXISTS idx_chat_history_user_session ON user_chat_history(user_id, session_id);
+    CREATE INDEX IF NOT EXISTS idx_usage_events_subject_time ON usage_events(subject_key, created_at);
+  `,
+  down: `
+    DROP TABLE IF EXISTS usage_events;
+    DROP TABLE IF EXISTS user_preferences;
+    DROP TABLE IF EXISTS user_chat_history;
+    DROP TABLE IF EXISTS user_travel_plans;
+    DROP TABLE IF EXISTS users;
+  `
+};
@@ -0,0 +1,33 @@
+/**
+ * 002 - Plan share tokens
+ * Lets an owner publish a read-only link to one travel plan. Only the SHA-256
+ * of the token is stored (like magic-link tokens); expiry is in milliseconds.
+ */
+
+export const description = 'Share token hash and expiry on user_travel_plans';
+
+export const sqlite = {
+  up: `
+    ALTER TABLE user_travel_plans ADD COLUMN share_token_hash TEXT;
+    ALTER TABLE user_travel_plans ADD COLUMN share_expires_at INTEGER;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_travel_plans_share_token ON user_travel_plans(share_token_hash);
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_travel_plans_share_token;
+    ALTER TABLE user_travel_plans DROP COLUMN share_expires_at;
+    ALTER TABLE user_travel_plans DROP COLUMN share_token_hash;
+  `
+};
+
+export const postgres = {
+  up: `
+    ALTER TABLE user_travel_plans ADD COLUMN IF NOT EXISTS share_token_hash VARCHAR(64);
+    ALTER TABLE user_travel_plans ADD COLUMN IF NOT EXISTS share_expires_at BIGINT;
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_travel_plans_share_token ON user_travel_plans(share_token_hash);
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_travel_plans_share_token;
+    ALTER TABLE user_travel_plans DROP COLUMN IF EXISTS share_expires_at;
+    ALTER TABLE user_travel_plans DROP COLUMN IF EXISTS share_token_hash;
+  `
+};
@@ -0,0 +1,63 @@
+/**
+ * 003 - Chat sessions
+ * One row per conversation so history can be listed, renamed, resumed on
+ * another device and deleted. Older turns are folded into `summary`;
+ * `summarized_count` is how many stored messages the summary covers.
+ * Conversations already in user_chat_history get a session row on upgrade.
+ */
+
+export const description = 'Chat sessions with title and rolling summary';
+
+export const sqlite = {
+  up: `
+    CREATE TABLE IF NOT EXISTS chat_sessions (
+      id TEXT NOT NULL,
+      user_id INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      summary TEXT,
+      summarized_count INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      updated_at INTEGER DEFAULT (strftime('%s','now')),
+      PRIMARY KEY (user_id, id),
+      FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_chat_sessions_user_updated ON chat_sessions(user_id, updated_at);
+
+    INSERT OR IGNORE INTO chat_sessions (id, user_id, title, created_at, updated_at)
+      SELECT session_id, user_id, 'Earlier conversation', MIN(created_at), MAX(created_at)
+      FROM user_chat_history
+      GROUP BY user_id, session_id;
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_chat_sessions_user_updated;
+    DROP TABLE IF EXISTS chat_sessions;
+  `
+};
+
+export const postgres = {
+  up: `
+    CREATE TABLE IF NOT EXISTS chat_sessions (
+      id VARCHAR(255) NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      title VARCHAR(255) NOT NULL,
+      summary TEXT,
+      summarized_count INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_chat_sessions_user_updated ON chat_sessions(user_id, updated_at);
+
+    INSERT INTO chat_sessions (id, user_id, title, created_at, updated_at)
+      SELECT session_id, user_id, 'Earlier conversation', MIN(created_at), MAX(created_at)
+      FROM user_chat_history
+      GROUP BY user_id, session_id
+    ON CONFLICT DO NOTHING;
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_chat_sessions_user_updated;
+    DROP TABLE IF EXISTS chat_sessions;
+  `
+};
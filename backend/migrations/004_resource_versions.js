@@ -0,0 +1,30 @@
+/**
+ * 004 - Resource versions
+ * Version counters for optimistic concurrency on the REST user-data routes:
+ * every write bumps `version`, the ETag is derived from it, and a write sent
+ * with a stale If-Match matches no row.
+ */
+
+export const description = 'Version counter on travel plans and preferences';
+
+export const sqlite = {
+  up: `
+    ALTER TABLE user_travel_plans ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE user_preferences ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+  `,
+  down: `
+    ALTER TABLE user_preferences DROP COLUMN version;
+    ALTER TABLE user_travel_plans DROP COLUMN version;
+  `
+};
+
+export const postgres = {
+  up: `
+    ALTER TABLE user_travel_plans ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+  `,
+  down: `
+    ALTER TABLE user_preferences DROP COLUMN IF EXISTS version;
+    ALTER TABLE user_travel_plans DROP COLUMN IF EXISTS version;
+  `
+};
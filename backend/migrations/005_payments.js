@@ -0,0 +1,76 @@
+/**
+ * 005 - Payments ledger
+ * `payments` has one row per Stripe PaymentIntent, kept up to date by the
+ * webhook (checkout, refunds, disputes); `users.has_paid` is recalculated
+ * from it. `stripe_events` records every delivered event id so retried
+ * deliveries are acknowledged without being applied twice.
+ * Users who paid before the ledger existed have no rows and keep their flag.
+ */
+
+export const description = 'Payments ledger and processed Stripe events';
+
+export const sqlite = {
+  up: `
+    CREATE TABLE IF NOT EXISTS payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      payment_intent_id TEXT NOT NULL UNIQUE,
+      checkout_session_id TEXT,
+      charge_id TEXT,
+      amount INTEGER NOT NULL DEFAULT 0,
+      amount_refunded INTEGER NOT NULL DEFAULT 0,
+      currency TEXT,
+      status TEXT NOT NULL,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      updated_at INTEGER DEFAULT (strftime('%s','now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payments_email ON payments(email);
+    CREATE INDEX IF NOT EXISTS idx_payments_charge ON payments(charge_id);
+
+    CREATE TABLE IF NOT EXISTS stripe_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      received_at INTEGER DEFAULT (strftime('%s','now'))
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS stripe_events;
+    DROP INDEX IF EXISTS idx_payments_charge;
+    DROP INDEX IF EXISTS idx_payments_email;
+    DROP TABLE IF EXISTS payments;
+  `
+};
+
+export const postgres = {
+  up: `
+    CREATE TABLE IF NOT EXISTS payments (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      payment_intent_id VARCHAR(255) NOT NULL UNIQUE,
+      checkout_session_id VARCHAR(255),
+      charge_id VARCHAR(255),
+      amount INTEGER NOT NULL DEFAULT 0,
+      amount_refunded INTEGER NOT NULL DEFAULT 0,
+      currency VARCHAR(10),
+      status VARCHAR(32) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payments_email ON payments(email);
+    CREATE INDEX IF NOT EXISTS idx_payments_charge ON payments(charge_id);
+
+    CREATE TABLE IF NOT EXISTS stripe_events (
+      id VARCHAR(255) PRIMARY KEY,
+      type VARCHAR(100) NOT NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS stripe_events;
+    DROP INDEX IF EXISTS idx_payments_charge;
+    DROP INDEX IF EXISTS idx_payments_email;
+    DROP TABLE IF EXISTS payments;
+  `
+};
@@ -0,0 +1,60 @@
+/**
+ * 006 - Admin analytics
+ * Failed payments were only logged; `payment_failures` keeps one row per
+ * failed attempt so the admin dashboard can report them. The extra index
+ * serves the dashboard's date-range queries over usage_events.
+ */
+
+export const description = 'Failed payment attempts and usage_events time index';
+
+export const sqlite = {
+  up: `
+    CREATE TABLE IF NOT EXISTS payment_failures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stripe_event_id TEXT NOT NULL UNIQUE,
+      email TEXT,
+      payment_intent_id TEXT,
+      checkout_session_id TEXT,
+      amount INTEGER NOT NULL DEFAULT 0,
+      currency TEXT,
+      reason TEXT,
+      created_at INTEGER DEFAULT (strftime('%s','now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payment_failures_created ON payment_failures(created_at);
+    CREATE INDEX IF NOT EXISTS idx_payments_created ON payments(created_at);
+    CREATE INDEX IF NOT EXISTS idx_usage_events_time ON usage_events(created_at);
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_usage_events_time;
+    DROP INDEX IF EXISTS idx_payments_created;
+    DROP INDEX IF EXISTS idx_payment_failures_created;
+    DROP TABLE IF EXISTS payment_failures;
+  `
+};
+
+export const postgres = {
+  up: `
+    CREATE TABLE IF NOT EXISTS payment_failures (
+      id SERIAL PRIMARY KEY,
+      stripe_event_id VARCHAR(255) NOT NULL UNIQUE,
+      email VARCHAR(255),
+      payment_intent_id VARCHAR(255),
+      checkout_session_id VARCHAR(255),
+      amount INTEGER NOT NULL DEFAULT 0,
+      currency VARCHAR(10),
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_payment_failures_created ON payment_failures(created_at);
+    CREATE INDEX IF NOT EXISTS idx_payments_created ON payments(created_at);
+    CREATE INDEX IF NOT EXISTS idx_usage_events_time ON usage_events(created_at);
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_usage_events_time;
+    DROP INDEX IF EXISTS idx_payments_created;
+    DROP INDEX IF EXISTS idx_payment_failures_created;
+    DROP TABLE IF EXISTS payment_failures;
+  `
+};
@@ -0,0 +1,53 @@
+/**
+ * 007 - Roles and admin audit log
+ * `users.role` replaces environment checks on the admin routes ('user' or
+ * 'admin'; grant it with scripts/set-user-role.js). `admin_audit_log` keeps
+ * one row per destructive admin action: who did it, to what, and when.
+ * Emails are stored rather than user ids so entries outlive deleted accounts.
+ */
+
+export const description = 'User roles and admin audit log';
+
+export const sqlite = {
+  up: `
+    ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user';
+
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_email TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target TEXT,
+      details TEXT,
+      created_at INTEGER DEFAULT (strftime('%s','now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at);
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_admin_audit_log_created;
+    DROP TABLE IF EXISTS admin_audit_log;
+    ALTER TABLE users DROP COLUMN role;
+  `
+};
+
+export const postgres = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user';
+
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+      id SERIAL PRIMARY KEY,
+      actor_email VARCHAR(255) NOT NULL,
+      action VARCHAR(100) NOT NULL,
+      target VARCHAR(255),
+      details JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at);
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_admin_audit_log_created;
+    DROP TABLE IF EXISTS admin_audit_log;
+    ALTER TABLE users DROP COLUMN IF EXISTS role;
+  `
+};
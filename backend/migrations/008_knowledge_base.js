@@ -0,0 +1,175 @@
+/**
+ * 008 - Knowledge base
+ * POI master records, spatial relationships and clusters (the kb_* tables).
+ * Production rows come from scripts/migrate_enhanced_data_production.js; the
+ * SQLite adapter seeds them from the POI dataset files. SQLite stores the
+ * PostgreSQL arrays and JSONB columns as JSON text.
+ */
+
+export const description = 'POI knowledge base: master records, spatial relationships and clusters';
+
+export const sqlite = {
+  up: `
+    CREATE TABLE IF NOT EXISTS kb_poi_master (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      place_id TEXT UNIQUE,
+      legacy_id TEXT,
+      name TEXT NOT NULL,
+      primary_type TEXT,
+      secondary_types TEXT,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      address TEXT,
+      municipality TEXT,
+      district TEXT,
+      plus_code TEXT,
+      rating REAL,
+      rating_count INTEGER,
+      price_level INTEGER,
+      phone TEXT,
+      website TEXT,
+      opening_hours TEXT,
+      amenities TEXT,
+      tags TEXT,
+      description TEXT,
+      highlights TEXT,
+      local_tips TEXT,
+      best_times TEXT,
+      seasonal_variations TEXT,
+      accessibility_features TEXT,
+      data_sources TEXT,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      updated_at INTEGER DEFAULT (strftime('%s','now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS kb_spatial_relationships (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      poi_from INTEGER REFERENCES kb_poi_master(id) ON DELETE CASCADE,
+      poi_to INTEGER REFERENCES kb_poi_master(id) ON DELETE CASCADE,
+      relationship_type TEXT NOT NULL,
+      distance_meters INTEGER,
+      travel_time_walking INTEGER,
+      travel_time_driving INTEGER,
+      path_type TEXT,
+      confidence_score REAL,
+      created_at INTEGER DEFAULT (strftime('%s','now')),
+      UNIQUE(poi_from, poi_to, relationship_type)
+    );
+
+    CREATE TABLE IF NOT EXISTS kb_poi_clusters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cluster_name TEXT NOT NULL,
+      cluster_type TEXT,
+      center_latitude REAL,
+      center_longitude REAL,
+      radius_meters INTEGER,
+      poi_count INTEGER,
+      description TEXT,
+      created_at INTEGER DEFAULT (strftime('%s','now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS kb_poi_cluster_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cluster_id INTEGER REFERENCES kb_poi_clusters(id) ON DELETE CASCADE,
+      poi_id INTEGER REFERENCES kb_poi_master(id) ON DELETE CASCADE,
+      membership_strength REAL DEFAULT 1.0,
+      UNIQUE(cluster_id, poi_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_poi_master_location ON kb_poi_master(latitude, longitude);
+    CREATE INDEX IF NOT EXISTS idx_poi_master_type ON kb_poi_master(primary_type);
+    CREATE INDEX IF NOT EXISTS idx_spatial_rel_from ON kb_spatial_relationships(poi_from);
+  `,
+  down: `
+    DROP TABLE IF EXISTS kb_poi_cluster_members;
+    DROP TABLE IF EXISTS kb_poi_clusters;
+    DROP TABLE IF EXISTS kb_spatial_relationships;
+    DROP TABLE IF EXISTS kb_poi_master;
+  `
+};
+
+export const postgres = {
+  up: `
+    CREATE TABLE IF NOT EXISTS kb_poi_master (
+      id SERIAL PRIMARY KEY,
+      place_id VARCHAR(255) UNIQUE,
+      legacy_id VARCHAR(255),
+      name VARCHAR(255) NOT NULL,
+      primary_type VARCHAR(100),
+      secondary_types TEXT[],
+      latitude DECIMAL(10, 8) NOT NULL,
+      longitude DECIMAL(11, 8) NOT NULL,
+      address TEXT,
+      municipality VARCHAR(100),
+      district VARCHAR(100),
+      plus_code VARCHAR(20),
+      rating DECIMAL(3, 2),
+      rating_count INTEGER,
+      price_level INTEGER,
+      phone VARCHAR(50),
+      website TEXT,
+      opening_hours JSONB,
+      amenities TEXT[],
+      tags TEXT[],
+      description TEXT,
+      highlights TEXT[],
+      local_tips TEXT[],
+      best_times TEXT[],
+      seasonal_variations JSONB,
+      accessibility_features TEXT[],
+      data_sources TEXT[],
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS kb_spatial_relationships (
+      id SERIAL PRIMARY KEY,
+      poi_from INTEGER REFERENCES kb_poi_master(id) ON DELETE CASCADE,
+      poi_to INTEGER REFERENCES kb_poi_master(id) ON DELETE CASCADE,
+      relationship_type VARCHAR(50) NOT NULL,
+      distance_meters INTEGER,
+      travel_time_walking INTEGER,
+      travel_time_driving INTEGER,
+      path_type VARCHAR(50),
+      confidence_score DECIMAL(3, 2),
+      seasonal_accessibility JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(poi_from, poi_to, relationship_type)
+    );
+
+    CREATE TABLE IF NOT EXISTS kb_poi_clusters (
+      id SERIAL PRIMARY KEY,
+      cluster_name VARCHAR(255) NOT NULL,
+      cluster_type VARCHAR(50),
+      center_latitude DECIMAL(10, 8),
+      center_longitude DECIMAL(11, 8),
+      radius_meters INTEGER,
+      poi_count INTEGER,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS kb_poi_cluster_members (
+      id SERIAL PRIMARY KEY,
+      cluster_id INTEGER REFERENCES kb_poi_clusters(id) ON DELETE CASCADE,
+      poi_id INTEGER REFERENCES kb_poi_master(id) ON DELETE CASCADE,
+      membership_strength DECIMAL(3, 2) DEFAULT 1.0,
+      UNIQUE(cluster_id, poi_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_poi_master_location ON kb_poi_master(latitude, longitude);
+    CREATE INDEX IF NOT EXISTS idx_poi_master_type ON kb_poi_master(primary_type);
+    CREATE INDEX IF NOT EXISTS idx_poi_master_place_id ON kb_poi_master(place_id);
+    CREATE INDEX IF NOT EXISTS idx_spatial_rel_from ON kb_spatial_relationships(poi_from);
+    CREATE INDEX IF NOT EXISTS idx_spatial_rel_to ON kb_spatial_relationships(poi_to);
+    CREATE INDEX IF NOT EXISTS idx_spatial_rel_type ON kb_spatial_relationships(relationship_type);
+    CREATE INDEX IF NOT EXISTS idx_cluster_members_poi ON kb_poi_cluster_members(poi_id);
+    CREATE INDEX IF NOT EXISTS idx_cluster_members_cluster ON kb_poi_cluster_members(cluster_id);
+  `,
+  down: `
+    DROP TABLE IF EXISTS kb_poi_cluster_members;
+    DROP TABLE IF EXISTS kb_poi_clusters;
+    DROP TABLE IF EXISTS kb_spatial_relationships;
+    DROP TABLE IF EXISTS kb_poi_master;
+  `
+};
@@ -0,0 +1,31 @@
+/**
+ * Schema migrations, oldest first
+ * Each module exports `sqlite` and `postgres` objects with `up`/`down` SQL so
+ * both schemas change in the same file. SQLite has no ADD COLUMN IF NOT EXISTS,
+ * so a `sqlite` object may also list `addColumns` (table -> column definitions)
+ * that the runner adds to existing tables lacking them before running `up`.
+ * Listed statically (rather than read
+ * from disk) so serverless bundles include them.
+ * Never edit a migration once it has shipped - add a new one instead; the
+ * runner refuses to start when an applied migration's checksum changes.
+ */
+
+import * as initialSchema from './001_initial_schema.js';
+import * as planShareTokens from './002_plan_share_tokens.js';
+import * as chatSessions from './003_chat_sessions.js';
+import * as resourceVersions from './004_resource_versions.js';
+import * as payments from './005_payments.js';
+import * as adminAnalytics from './006_admin_analytics.js';
+import * as rolesAndAuditLog from './007_roles_and_audit_log.js';
+import * as knowledgeBase from './008_knowledge_base.js';
+
+export const migrations = [
+  { version: 1, name: 'initial_schema', ...initialSchema },
+  { version: 2, name: 'plan_share_tokens', ...planShareTokens },
+  { version: 3, name: 'chat_sessions', ...chatSessions },
+  { version: 4, name: 'resource_versions', ...resourceVersions },
+  { version: 5, name: 'payments', ...payments },
+  { version: 6, name: 'admin_analytics', ...adminAnalytics },
+  { version: 7, name: 'roles_and_audit_log', ...rolesAndAuditLog },
+  { version: 8, name: 'knowledge_base', ...knowledgeBase }
+];
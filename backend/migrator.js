@@ -0,0 +1,267 @@
+/**
+ * Schema Migration Runner
+ * Applies the numbered migrations in backend/migrations to SQLite or Neon
+ * PostgreSQL and records each applied version (with a checksum of its SQL)
+ * in schema_migrations. Supports rolling back and dry runs.
+ */
+
+import crypto from 'crypto';
+import { migrations as registeredMigrations } from './migrations/index.js';
+
+// Arbitrary key for the Postgres advisory lock that serialises concurrent runners
+const POSTGRES_LOCK_KEY = 74_210_001;
+
+// Debug logging
+const debugLog = (message) => {
+  console.log(`🗃️ [MIGRATE] ${message}`);
+};
+
+/**
+ * Checksum of one dialect's SQL; changes whenever a shipped migration is edited
+ */
+export function checksumMigration(migration, dialect) {
+  const { up = '', down = '', addColumns = null } = migration[dialect] || {};
+  const hash = crypto.createHash('sha256').update(`${up}\n--down--\n${down}`);
+  if (addColumns) hash.update(`\n--columns--\n${JSON.stringify(addColumns)}`);
+  return hash.digest('hex');
+}
+
+/**
+ * Validate the migration list and attach per-dialect checksums
+ */
+export function loadMigrations(dialect, migrations = registeredMigrations) {
+  let previous = 0;
+  return migrations.map(migration => {
+    const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    if (!Number.isInteger(migration.version) || migration.version <= previous) {
+      throw new Error(`Migration ${label} is out of order (versions must be increasing integers)`);
+    }
+    if (typeof migration[dialect]?.up !== 'string' || typeof migration[dialect]?.down !== 'string') {
+      throw new Error(`Migration ${label} has no ${dialect} up/down SQL`);
+    }
+    previous = migration.version;
+    return {
+      version: migration.version,
+      name: migration.name,
+      label,
+      description: migration.description || '',
+      up: migration[dialect].up,
+      down: migration[dialect].down,
+      addColumns: migration[dialect].addColumns || null,
+      checksum: checksumMigration(migration, dialect)
+    };
+  });
+}
+
+// -------------------------
+// Drivers
+// -------------------------
+
+/**
+ * Add listed columns that an existing SQLite table lacks
+ * SQLite has no ADD COLUMN IF NOT EXISTS; tables that do not exist yet are
+ * left to the migration's CREATE TABLE.
+ * @param {Object<string, string[]>} addColumns - Table name -> column definitions
+ */
+function addMissingSQLiteColumns(db, addColumns) {
+  for (const [table, definitions] of Object.entries(addColumns)) {
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+    if (existing.size === 0) continue;
+    for (const definition of definitions) {
+      const [column] = definition.trim().split(/\s+/);
+      if (!existing.has(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+      }
+    }
+  }
+}
+
+/**
+ * better-sqlite3 connection; each migration runs in its own transaction
+ */
+export function createSQLiteDriver(db) {
+  return {
+    dialect: 'sqlite',
+    async withLock(fn) {
+      // SQLite serialises writers itself; each migration takes the write lock
+      return fn();
+    },
+    async ensureTable() {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          checksum TEXT NOT NULL,
+          applied_at INTEGER DEFAULT (strftime('%s','now'))
+        );
+      `);
+    },
+    async getApplied() {
+      const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").get();
+      if (!exists) return [];
+      return db.prepare('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version').all();
+    },
+    async apply(migration, direction) {
+      db.transaction(() => {
+        if (direction === 'up' && migration.addColumns) {
+          addMissingSQLiteColumns(db, migration.addColumns);
+        }
+        db.exec(migration[direction]);
+        if (direction === 'up') {
+          db.prepare('INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)')
+            .run(migration.version, migration.name, migration.checksum);
+        } else {
+          db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+        }
+      }).immediate();
+    }
+  };
+}
+
+/**
+ * pg Pool; an advisory lock keeps serverless instances from migrating at once
+ */
+export function createPostgresDriver(pool) {
+  return {
+    dialect: 'postgres',
+    async withLock(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('SELECT pg_advisory_lock($1)', [POSTGRES_LOCK_KEY]);
+        try {
+          return await fn();
+        } finally {
+          await client.query('SELECT pg_advisory_unlock($1)', [POSTGRES_LOCK_KEY]);
+        }
+      } finally {
+        client.release();
+      }
+    },
+    async ensureTable() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          checksum VARCHAR(64) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    },
+    async getApplied() {
+      const exists = await pool.query("SELECT to_regclass('schema_migrations') AS name");
+      if (!exists.rows[0].name) return [];
+      const result = await pool.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+      return result.rows;
+    },
+    async apply(migration, direction) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        await client.query(migration[direction]);
+        if (direction === 'up') {
+          await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]);
+        } else {
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+  };
+}
+
+// -------------------------
+// Runner
+// -------------------------
+
+/**
+ * Refuse to continue when the database and the migration files disagree
+ */
+function verifyApplied(applied, migrations) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  for (const row of applied) {
+    const migration = byVersion.get(Number(row.version));
+    if (!migration) {
+      throw new Error(`Applied migration ${row.version} (${row.name}) is missing from backend/migrations`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Checksum mismatch for migration ${migration.label}: it was edited after being applied`);
+    }
+  }
+}
+
+async function readState(driver, migrations, dryRun = true) {
+  // A dry run must not write anything, not even the bookkeeping table
+  if (!dryRun) {
+    await driver.ensureTable();
+  }
+  const applied = await driver.getApplied();
+  verifyApplied(applied, migrations);
+  const appliedVersions = new Set(applied.map(row => Number(row.version)));
+  return { applied, appliedVersions };
+}
+
+async function runSteps(driver, steps, direction, dryRun) {
+  for (const migration of steps) {
+    if (dryRun) {
+      debugLog(`[dry run] Would ${direction === 'up' ? 'apply' : 'roll back'} ${migration.label}`);
+      continue;
+    }
+    await driver.apply(migration, direction);
+    debugLog(`${direction === 'up' ? 'Applied' : 'Rolled back'} ${migration.label}`);
+  }
+  return steps.map(({ version, name, label, checksum, [direction]: sql }) => ({ version, name, label, checksum, direction, sql }));
+}
+
+/**
+ * Apply pending migrations up to `to` (default: latest)
+ * @returns {Promise<Array>} The migrations applied (or that would be, on a dry run)
+ */
+export async function migrate(driver, { to = Infinity, dryRun = false, migrations } = {}) {
+  const available = loadMigrations(driver.dialect, migrations);
+  return driver.withLock(async () => {
+    const { appliedVersions } = await readState(driver, available, dryRun);
+    const pending = available.filter(migration => !appliedVersions.has(migration.version) && migration.version <= to);
+    if (pending.length === 0) {
+      debugLog(`Schema up to date (${driver.dialect})`);
+    }
+    return runSteps(driver, pending, 'up', dryRun);
+  });
+}
+
+/**
+ * Roll back the latest `steps` migrations, or every migration above `to`
+ * @returns {Promise<Array>} The migrations rolled back (or that would be, on a dry run)
+ */
+export async function rollback(driver, { steps = 1, to = null, dryRun = false, migrations } = {}) {
+  const available = loadMigrations(driver.dialect, migrations);
+  return driver.withLock(async () => {
+    const { appliedVersions } = await readState(driver, available, dryRun);
+    const applied = available.filter(migration => appliedVersions.has(migration.version)).reverse();
+    const targets = to === null ? applied.slice(0, steps) : applied.filter(migration => migration.version > to);
+    return runSteps(driver, targets, 'down', dryRun);
+  });
+}
+
+/**
+ * Every known migration with whether (and when) it has been applied
+ */
+export async function getMigrationStatus(driver, { migrations } = {}) {
+  const available = loadMigrations(driver.dialect, migrations);
+  const { applied } = await readState(driver, available);
+  const appliedAt = new Map(applied.map(row => [Number(row.version), row.applied_at]));
+  return available.map(({ version, name, label, description, checksum }) => ({
+    version,
+    name,
+    label,
+    description,
+    checksum,
+    applied: appliedAt.has(version),
+    appliedAt: appliedAt.get(version) ?? null
+  }));
+}
@@ -0,0 +1,423 @@
+/**
+ * Multi-Day Planner - Splits a trip's selections into days
+ * Stops are grouped by geography (capacity-balanced clustering around each
+ * night's home base when one is known) with a pull towards a shared theme,
+ * so a day is e.g. "beaches in the south" rather than a zig-zag across the
+ * island. Every selected place appears on exactly one day.
+ */
+
+import { optimizeRoute, getCoordinates } from './route-optimizer.js';
+import { attachSchedule, getScheduleOptions, estimateDwellMinutes } from './itinerary-scheduler.js';
+import { getRhodesClock } from './opening-hours.js';
+
+export const MAX_TRIP_DAYS = 14;
+
+// Assigning a stop to a day with a different theme costs as much as this detour
+const THEME_MISMATCH_KM = 8;
+const MAX_CLUSTER_PASSES = 10;
+
+// Food and drink fit any day, so they never decide a day's theme
+const THEMES = [
+  { id: 'beach', label: 'Beaches & Coast', pattern: /beach|bay|coast/ },
+  { id: 'culture', label: 'History & Culture', pattern: /attraction|histor|museum|archaeolog|cultur|church|monastery|castle|palace|landmark|monument/ },
+  { id: 'nature', label: 'Nature & Views', pattern: /nature|park|hiking|viewpoint|valley|mountain/ },
+  { id: 'shopping', label: 'Markets & Shopping', pattern: /shop|store|market|boutique/ },
+  { id: 'food', label: 'Food & Drink', pattern: /restaurant|taverna|cafe|bar|food|dining/, flexible: true }
+];
+
+const stopKey = stop => stop?.place_id || stop?.id || stop?.name?.toLowerCase().trim();
+
+/**
+ * Number of trip days from user preferences (1 when not a multi-day trip)
+ */
+export function getTripDays(preferences = {}) {
+  const days = parseInt(preferences?.tripDays, 10);
+  return Number.isFinite(days) ? Math.min(Math.max(days, 1), MAX_TRIP_DAYS) : 1;
+}
+
+/**
+ * Total stops to collect for a trip: `numberOfPOIs` is per day
+ */
+export function getTripStopCount(preferences = {}, defaultPerDay = 5) {
+  return (parseInt(preferences?.numberOfPOIs, 10) || defaultPerDay) * getTripDays(preferences);
+}
+
+/**
+ * Map a trip-wide selection step (1-based) to its day and the step within that day,
+ * so each day's picks again run from morning to evening
+ */
+export function getDayForStep(step, preferences = {}, defaultPerDay = 5) {
+  const perDay = parseInt(preferences?.numberOfPOIs, 10) || defaultPerDay;
+  const index = Math.max((parseInt(step, 10) || 1) - 1, 0);
+  const day = Math.min(Math.floor(index / perDay), getTripDays(preferences) - 1);
+  return { day: day + 1, step: index - day * perDay + 1 };
+}
+
+/**
+ * Weekday (0 = Sunday) of the first trip day: `startDate` from the preferences, else today
+ */
+export function getTripStartDay(preferences = {}) {
+  const date = preferences?.startDate ? new Date(preferences.startDate) : new Date();
+  return getRhodesClock(Number.isNaN(date.getTime()) ? new Date() : date).day;
+}
+
+/**
+ * Theme of a stop from its type ('beach', 'culture', …), null when unknown
+ */
+export function getStopTheme(stop) {
+  const type = String(stop?.primary_type || stop?.type || '').toLowerCase();
+  return THEMES.find(theme => theme.pattern.test(type))?.id || null;
+}
+
+function themeLabel(themeId) {
+  return THEMES.find(theme => theme.id === themeId)?.label || 'Sightseeing';
+}
+
+function isFlexibleTheme(themeId) {
+  return !themeId || !!THEMES.find(theme => theme.id === themeId)?.flexible;
+}
+
+function distanceKm(a, b) {
+  const dLat = (b.lat - a.lat) * Math.PI / 180;
+  const dLng = (b.lng - a.lng) * Math.PI / 180;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function centroid(points) {
+  if (points.length === 0) return null;
+  return {
+    lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+    lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length
+  };
+}
+
+function dominantTheme(stops) {
+  const counts = new Map();
+  for (const stop of stops) {
+    const theme = getStopTheme(stop);
+    if (!isFlexibleTheme(theme)) counts.set(theme, (counts.get(theme) || 0) + 1);
+  }
+  let best = null;
+  for (const [theme, count] of counts) {
+    if (!best || count > counts.get(best)) best = theme;
+  }
+  return best;
+}
+
+/**
+ * Home base for each night, carrying the last known base forward
+ * (one hotel for the whole stay only needs to be given once)
+ */
+export function normalizeHomeBases(homeBases = [], days = 1) {
+  const bases = [];
+  let last = null;
+  for (let night = 0; night < days; night++) {
+    const base = homeBases?.[night];
+    if (base && (base.name || getCoordinates(base))) last = base;
+    bases.push(last);
+  }
+  // A base given only for a later night also covers the nights before it
+  const first = bases.find(Boolean) || null;
+  return bases.map(base => base || first);
+}
+
+/**
+ * Fill in coordinates for home bases given only by name (e.g. "Hotel Mediterranean")
+ * The geocoder is passed in so this module stays free of network code for the frontend.
+ *
+ * @param {Array<Object|string>} homeBases - Bases as names or { name, lat, lng }
+ * @param {(name: string) => Promise<{lat: number, lng: number}|null>} geocode
+ */
+export async function locateHomeBases(homeBases = [], geocode) {
+  return Promise.all((homeBases || []).map(async base => {
+    const entry = typeof base === 'string' ? { name: base } : base;
+    if (!entry?.name?.trim() || getCoordinates(entry)) return entry || null;
+    try {
+      const coords = await geocode(entry.name);
+      return coords ? { ...entry, lat: coords.lat, lng: coords.lng } : entry;
+    } catch {
+      return entry;
+    }
+  }));
+}
+
+/**
+ * Remove repeated places (by place_id, id or name), keeping the first
+ */
+export function uniqueStops(stops = []) {
+  const seen = new Set();
+  return stops.filter(stop => {
+    const key = stopKey(stop);
+    if (!stop || !key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Initial day centres: each night's home base when the bases differ,
+ * otherwise spread out with farthest-point seeding
+ */
+function seedCentres(points, days, homeBases) {
+  const centres = [];
+  const seen = new Set();
+  homeBases.forEach(base => {
+    const coords = getCoordinates(base);
+    const key = coords && `${coords.lat.toFixed(3)},${coords.lng.toFixed(3)}`;
+    centres.push(coords && !seen.has(key) ? coords : null);
+    if (key) seen.add(key);
+  });
+
+  const overall = centroid(points);
+  for (let day = 0; day < days; day++) {
+    if (centres[day]) continue;
+    const placed = centres.filter(Boolean);
+    const reference = placed.length > 0 ? placed : [overall];
+    let best = null;
+    let bestDistance = -1;
+    for (const point of points) {
+      const nearest = Math.min(...reference.map(centre => distanceKm(point, centre)));
+      if (nearest > bestDistance) {
+        bestDistance = nearest;
+        best = point;
+      }
+    }
+    centres[day] = best ? { lat: best.lat, lng: best.lng } : overall;
+  }
+  return centres;
+}
+
+/**
+ * Assign stops to days: capacity-balanced clustering by distance to each
+ * day's centre plus a penalty for breaking the day's theme
+ *
+ * @param {Array<Object>} stops - Unique stops with coordinates
+ * @param {number} days
+ * @param {Array<Object|null>} homeBases - One per night (see normalizeHomeBases)
+ * @returns {Array<Array<Object>>} Stops per day
+ */
+export function clusterStopsByDay(stops, days, homeBases = []) {
+  if (days <= 1) return [stops];
+
+  const points = stops.map(getCoordinates);
+  const capacity = Math.ceil(stops.length / days);
+  const anchors = homeBases.map(getCoordinates);
+  let centres = seedCentres(points, days, homeBases);
+  let themes = new Array(days).fill(null);
+  let assignment = null;
+
+  for (let pass = 0; pass < MAX_CLUSTER_PASSES; pass++) {
+    const cost = (i, day) => {
+      const theme = getStopTheme(stops[i]);
+      const mismatch = themes[day] && !isFlexibleTheme(theme) && theme !== themes[day];
+      return distanceKm(points[i], centres[day]) + (mismatch ? THEME_MISMATCH_KM : 0);
+    };
+
+    // Stops with the most to lose from a bad assignment choose first
+    const order = stops.map((_, i) => {
+      const costs = centres.map((_, day) => cost(i, day)).sort((a, b) => a - b);
+      return { i, regret: (costs[1] ?? costs[0]) - costs[0] };
+    }).sort((a, b) => b.regret - a.regret || a.i - b.i);
+
+    const next = new Array(stops.length);
+    const sizes = new Array(days).fill(0);
+    for (const { i } of order) {
+      let bestDay = -1;
+      for (let day = 0; day < days; day++) {
+        if (sizes[day] >= capacity) continue;
+        if (bestDay === -1 || cost(i, day) < cost(i, bestDay)) bestDay = day;
+      }
+      next[i] = bestDay;
+      sizes[bestDay]++;
+    }
+
+    // Top up light days with the cheapest stop to move from a fuller day
+    const minimum = Math.floor(stops.length / days);
+    for (let day = 0; day < days; day++) {
+      while (sizes[day] < minimum) {
+        let move = -1;
+        stops.forEach((_, i) => {
+          if (sizes[next[i]] <= minimum) return;
+          const extra = cost(i, day) - cost(i, next[i]);
+          if (move === -1 || extra < cost(move, day) - cost(move, next[move])) move = i;
+        });
+        sizes[next[move]]--;
+        next[move] = day;
+        sizes[day]++;
+      }
+    }
+
+    const stable = assignment && next.every((day, i) => day === assignment[i]);
+    assignment = next;
+    if (stable) break;
+
+    // Move each centre to its stops (and keep it tied to that night's base)
+    centres = centres.map((centre, day) => {
+      const members = points.filter((_, i) => assignment[i] === day);
+      return centroid(anchors[day] ? [...members, anchors[day]] : members) || centre;
+    });
+    themes = centres.map((_, day) => dominantTheme(stops.filter((_, i) => assignment[i] === day)));
+  }
+
+  return centres.map((_, day) => stops.filter((_, i) => assignment[i] === day));
+}
+
+/**
+ * Order days so consecutive days are close to each other, starting nearest
+ * the trip's starting point (only used when no home bases fix the order)
+ */
+function orderDaysByProximity(groups, start) {
+  const remaining = groups.map((stops, index) => ({ stops, index, centre: centroid(stops.map(getCoordinates)) }));
+  const ordered = [];
+  let position = start;
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    if (position) {
+      remaining.forEach((group, i) => {
+        if (group.centre && distanceKm(position, group.centre) < distanceKm(position, remaining[bestIndex].centre || position)) {
+          bestIndex = i;
+        }
+      });
+    }
+    const [group] = remaining.splice(bestIndex, 1);
+    ordered.push(group.stops);
+    position = group.centre || position;
+  }
+  return ordered;
+}
+
+/**
+ * Split selections into days, then route and schedule each day
+ *
+ * @param {Array<Object>} selectedPOIs - Every place chosen for the trip
+ * @param {Object} options
+ * @param {number} options.days - Trip length in days
+ * @param {Array<Object>} [options.homeBases] - Hotel per night ({ name, lat, lng });
+ *   day N starts from the previous night's base and ends at night N's base
+ * @param {Object} [options.userPreferences] - Start time, transport and `startDate` for scheduling
+ * @param {Object} [options.userLocation] - Start of the trip when no home base is known
+ * @returns {{ tripType: 'multi_day', tripDays: number, homeBases: Array<Object|null>,
+ *   days: Array<Object>, locations: Array<Object> }}
+ */
+export function buildMultiDayPlan(selectedPOIs, { days, homeBases = [], userPreferences = {}, userLocation = null } = {}) {
+  const tripDays = Math.min(Math.max(days || 1, 1), MAX_TRIP_DAYS);
+  const bases = normalizeHomeBases(homeBases, tripDays);
+  const stops = uniqueStops(selectedPOIs);
+  const routable = stops.filter(stop => getCoordinates(stop));
+  const unroutable = stops.filter(stop => !getCoordinates(stop));
+
+  let groups = clusterStopsByDay(routable, tripDays, bases);
+  if (!bases.some(base => getCoordinates(base))) {
+    groups = orderDaysByProximity(groups, getCoordinates(userLocation));
+  }
+  // Places we cannot locate go to the lightest days
+  for (const stop of unroutable) {
+    const lightest = groups.reduce((best, group, day) => (group.length < groups[best].length ? day : best), 0);
+    groups[lightest].push(stop);
+  }
+
+  const scheduleOptions = getScheduleOptions(userPreferences);
+  const firstDay = getTripStartDay(userPreferences);
+  const dayPlans = groups.map((dayStops, index) => {
+    const dayOfWeek = (firstDay + index) % 7;
+    const homeBase = bases[index] || null;
+    const startPoint = (index > 0 ? bases[index - 1] : null) || homeBase || userLocation;
+    const sameBase = !homeBase || stopKey(startPoint) === stopKey(homeBase);
+    const { route, stats } = optimizeRoute(dayStops, {
+      startPoint,
+      returnToStart: !!getCoordinates(startPoint) && sameBase,
+      ...scheduleOptions,
+      dayOfWeek,
+      visitMinutes: estimateDwellMinutes
+    });
+    const { locations, timetable } = attachSchedule(route, { ...scheduleOptions, dayOfWeek, startPoint });
+    const theme = dominantTheme(route) || (route.length > 0 ? getStopTheme(route[0]) : null);
+
+    return {
+      day: index + 1,
+      title: `Day ${index + 1}: ${themeLabel(theme)}`,
+      theme,
+      center: centroid(route.map(getCoordinates).filter(Boolean)),
+      homeBase,
+      startPoint: startPoint || null,
+      locations: locations.map(location => ({ ...location, day: index + 1 })),
+      timetable,
+      totalDistanceMeters: stats.totalDistanceMeters
+    };
+  });
+
+  return {
+    tripType: 'multi_day',
+    tripDays,
+    homeBases: bases,
+    days: dayPlans,
+    locations: dayPlans.flatMap(day => day.locations)
+  };
+}
+
+/**
+ * Keep stored plan data consistent: multi-day plans always carry a flat
+ * `locations` list (tagged with their day) for single-day readers
+ * Days are the source of truth; flat locations missing from every day (e.g. added
+ * in open chat) join the day they are tagged with, or the last day.
+ */
+export function normalizeTravelPlanData(planData) {
+  if (!Array.isArray(planData?.days) || planData.days.length === 0) return planData;
+  const days = planData.days.map((day, index) => ({ ...day, day: index + 1, locations: [...(day.locations || [])] }));
+
+  const placed = new Set(days.flatMap(day => day.locations.map(stopKey)));
+  for (const location of planData.locations || []) {
+    if (placed.has(stopKey(location))) continue;
+    const target = days[Math.min(Math.max((parseInt(location.day, 10) || days.length) - 1, 0), days.length - 1)];
+    target.locations.push(location);
+    placed.add(stopKey(location));
+  }
+
+  const tagged = days.map(day => ({ ...day, locations: day.locations.map(location => ({ ...location, day: day.day })) }));
+  return {
+    ...planData,
+    tripType: 'multi_day',
+    tripDays: tagged.length,
+    days: tagged,
+    locations: tagged.flatMap(day => day.locations)
+  };
+}
+
+/**
+ * Re-time one day of a multi-day plan from that day's start point and weekday
+ */
+export function scheduleDay(day, options = {}) {
+  const { locations, timetable } = attachSchedule(day.locations, {
+    ...getScheduleOptions(options),
+    startPoint: day.startPoint || null,
+    ...(Number.isInteger(day.timetable?.dayOfWeek) && { dayOfWeek: day.timetable.dayOfWeek })
+  });
+  return { ...day, locations, timetable };
+}
+
+/**
+ * Stored timetable for a saved plan, computing one for plans saved before scheduling
+ */
+export function getPlanTimetable(planData) {
+  const locations = planData?.locations || [];
+  if (planData?.timetable && locations.every(location => location.schedule)) {
+    return { locations, timetable: planData.timetable };
+  }
+  return attachSchedule(locations, getScheduleOptions({ startTime: planData?.startTime }));
+}
+
+/**
+ * Day sections of a saved plan, each with a timetable; single-day plans come back as one day
+ */
+export function getPlanDays(planData) {
+  if (Array.isArray(planData?.days) && planData.days.length > 0) {
+    return normalizeTravelPlanData(planData).days.map(day => (
+      day.timetable && day.locations.every(location => location.schedule)
+        ? day
+        : scheduleDay(day, { startTime: planData.startTime })
+    ));
+  }
+  return [{ day: 1, title: null, homeBase: null, ...getPlanTimetable(planData) }];
+}
@@ -0,0 +1,163 @@
+/**
+ * Name Matching - Compare place names across Greek and English spellings
+ * The dataset, the LLM and users name the same place in different ways:
+ * "Acropolis of Lindos" / "Lindos Acropolis", "Λίνδος" / "Lindos",
+ * "ΤΟ ΝΟΣΤΙΜΟ" / "To Nostimo". Names are reduced to accent-free Latin word
+ * lists without articles, then compared regardless of word order.
+ */
+
+// Two-letter Greek combinations spelled differently from their letters
+const GREEK_DIGRAPHS = {
+  'ου': 'ou',
+  'αυ': 'av',
+  'ευ': 'ev',
+  'γγ': 'ng',
+  'γκ': 'g',
+  'μπ': 'b',
+  'ντ': 'd'
+};
+
+// Inside a word "μπ"/"ντ"/"γκ" keep their nasal: Kolymbia, Afandou
+const MID_WORD_DIGRAPHS = { 'μπ': 'mb', 'ντ': 'nd', 'γκ': 'ng' };
+
+// "αυ"/"ευ" sound as af/ef before these: Πεύκοι -> Pefkoi
+const VOICELESS = new Set(['θ', 'κ', 'ξ', 'π', 'σ', 'ς', 'τ', 'φ', 'χ', 'ψ']);
+
+const GREEK_LETTERS = {
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+  'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+  'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+};
+
+// English and (transliterated) Greek articles, plus "of" so word order stops mattering
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'of',
+  'o', 'i', 'to', 'oi', 'ta', 'tou', 'tis', 'ton', 'tin', 'tous'
+]);
+
+// Scores at or above this are the same place under another spelling
+export const SAME_NAME_THRESHOLD = 0.9;
+
+/**
+ * Greek script to Latin letters (close to the ELOT 743 road-sign spelling)
+ * Expects lowercase text without accents; other characters pass through.
+ */
+export function transliterateGreek(text) {
+  let result = '';
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    if (GREEK_DIGRAPHS[pair]) {
+      const midWord = i > 0 && /\p{L}/u.test(text[i - 1]);
+      let letters = (midWord && MID_WORD_DIGRAPHS[pair]) || GREEK_DIGRAPHS[pair];
+      if (letters.endsWith('v') && VOICELESS.has(text[i + 2])) {
+        letters = `${letters[0]}f`;
+      }
+      result += letters;
+      i++;
+    } else {
+      result += GREEK_LETTERS[text[i]] ?? text[i];
+    }
+  }
+  return result;
+}
+
+/**
+ * Comparable form of a name: Latin letters, no accents, apostrophes, punctuation or articles
+ * "Η Ακρόπολη της Λίνδου" -> "akropoli lindou", "St. Paul's Bay" -> "st pauls bay".
+ * A name made only of articles keeps them ("To").
+ */
+export function normalizeName(name) {
+  const words = transliterateGreek(
+    String(name || '')
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+  )
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  const meaningful = words.filter(word => !STOP_WORDS.has(word));
+  return (meaningful.length > 0 ? meaningful : words).join(' ');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Edit-distance similarity of two strings, 0..1
+ */
+export function ratio(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+/**
+ * Token-set ratio of two normalized names, 0..1
+ * Shared words are moved to the front of both names before comparing, so word
+ * order does not matter. Unlike the classic version, the shared words alone are
+ * not compared: "lindos" would otherwise be a perfect match for "lindos acropolis".
+ */
+export function tokenSetRatio(a, b) {
+  const wordsA = new Set(a.split(' ').filter(Boolean));
+  const wordsB = new Set(b.split(' ').filter(Boolean));
+  const shared = [...wordsA].filter(word => wordsB.has(word)).sort();
+  const onlyA = [...wordsA].filter(word => !wordsB.has(word)).sort();
+  const onlyB = [...wordsB].filter(word => !wordsA.has(word)).sort();
+  return ratio([...shared, ...onlyA].join(' '), [...shared, ...onlyB].join(' '));
+}
+
+/**
+ * How alike two place names are, 0..1, across scripts, accents, articles and word order
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  return tokenSetRatio(left, right);
+}
+
+/**
+ * Whether two names are the same place spelled differently
+ */
+export function isSameName(a, b, threshold = SAME_NAME_THRESHOLD) {
+  return nameSimilarity(a, b) >= threshold;
+}
+
+/**
+ * Candidate whose name best matches, or null when none reaches the threshold
+ * Ties keep the earlier candidate, so pass them nearest first.
+ * @template T
+ * @param {string} name
+ * @param {T[]} candidates
+ * @param {Object} [options]
+ * @param {number} [options.threshold]
+ * @param {(candidate: T) => string} [options.getName]
+ * @returns {{ candidate: T, score: number }|null}
+ */
+export function findBestNameMatch(name, candidates, { threshold = SAME_NAME_THRESHOLD, getName = candidate => candidate.name } = {}) {
+  let best = null;
+  for (const candidate of candidates) {
+    const score = nameSimilarity(name, getName(candidate));
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { candidate, score };
+    }
+  }
+  return best;
+}
@@ -0,0 +1,228 @@
+/**
+ * Opening Hours Engine - "Is this POI open at time T on day D?"
+ * Works on Google-style `operating_hours.periods` (also stored as
+ * `opening_hours` in kb_poi_master). Times are minutes since midnight in
+ * Rhodes local time; days are 0 = Sunday … 6 = Saturday, as in Google's data.
+ */
+
+export const RHODES_TIME_ZONE = 'Europe/Athens';
+
+const MINUTES_PER_DAY = 24 * 60;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Representative visit start for each planning slot
+const TIME_OF_DAY_MINUTES = {
+  morning: 10 * 60,
+  afternoon: 14 * 60,
+  sunset: 19 * 60 + 30,
+  evening: 20 * 60,
+  night: 22 * 60
+};
+
+/**
+ * Parse "HH:MM", "HHMM" (Google) or a minute count into minutes since midnight
+ */
+export function parseClock(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const match = /^(\d{1,2}):?(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Format minutes since midnight as "HH:MM" (wraps past midnight)
+ */
+export function formatClock(minutes) {
+  const wrapped = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Day and time in Rhodes for a Date
+ * @returns {{ day: number, minutes: number }}
+ */
+export function getRhodesClock(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: RHODES_TIME_ZONE
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type)?.value;
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+/**
+ * Calendar date in Rhodes as YYYY-MM-DD
+ */
+export function getRhodesDate(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: RHODES_TIME_ZONE }).format(date);
+}
+
+/**
+ * Clock for a planning slot ('morning', 'afternoon', 'evening', …) or an
+ * explicit "HH:MM" start time on a day
+ * Unknown slots fall back to the current Rhodes time.
+ */
+export function getTimeOfDayClock(timeOfDay, date = new Date()) {
+  const now = getRhodesClock(date);
+  const minutes = TIME_OF_DAY_MINUTES[timeOfDay] ?? parseClock(timeOfDay);
+  return minutes === null || minutes === undefined ? now : { day: now.day, minutes };
+}
+
+function getPeriods(poi) {
+  const hours = poi?.operating_hours || poi?.opening_hours || poi?.details?.openingHours;
+  const parsed = typeof hours === 'string' ? safeParse(hours) : hours;
+  return Array.isArray(parsed?.periods) && parsed.periods.length > 0 ? parsed.periods : null;
+}
+
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Opening windows for a weekday as sorted [openMinute, closeMinute] pairs
+ * Windows that run past midnight end after 1440; the tail of the previous
+ * day's late window is included from 0. Returns null when the POI has no
+ * usable hours and [] when it is closed all day.
+ */
+export function getOpeningWindows(poi, dayOfWeek) {
+  const periods = getPeriods(poi);
+  if (!periods) return null;
+
+  // Google encodes "open 24 hours" as a single period without a close time
+  if (periods.length === 1 && !periods[0].close) return [[0, MINUTES_PER_DAY]];
+
+  const previousDay = (dayOfWeek + 6) % 7;
+  const windows = [];
+
+  for (const period of periods) {
+    const open = parseClock(period.open?.time);
+    if (open === null) continue;
+    let close = period.close ? parseClock(period.close.time) : MINUTES_PER_DAY;
+    if (close === null) continue;
+    const spansMidnight = period.close && period.close.day !== period.open.day;
+    if (spansMidnight) close += MINUTES_PER_DAY;
+
+    if (period.open.day === dayOfWeek) {
+      windows.push([open, close]);
+    } else if (period.open.day === previousDay && spansMidnight && close > MINUTES_PER_DAY) {
+      windows.push([0, close - MINUTES_PER_DAY]);
+    }
+  }
+
+  return windows
+    .filter(([open, close]) => close > open)
+    .sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Human-readable hours for one weekday, e.g. "09:00–15:00, 18:00–23:00"
+ * @returns {string|null} null when the POI has no opening hours
+ */
+export function formatOpeningHours(poi, dayOfWeek) {
+  const windows = getOpeningWindows(poi, dayOfWeek);
+  if (windows === null) return null;
+  if (windows.length === 0) return 'Closed';
+  if (windows.length === 1 && windows[0][0] === 0 && windows[0][1] >= MINUTES_PER_DAY) return 'Open 24 hours';
+  return windows.map(([open, close]) => `${formatClock(open)}–${formatClock(close)}`).join(', ');
+}
+
+/**
+ * Whether the POI is open at a time (for the whole visit when a duration is given)
+ * @param {{ day: number, minutes: number }} at
+ * @returns {boolean|null} null when the POI has no opening hours
+ */
+export function isOpenAt(poi, at, durationMinutes = 0) {
+  const windows = getOpeningWindows(poi, at.day);
+  if (windows === null) return null;
+  return windows.some(([open, close]) => at.minutes >= open && at.minutes + durationMinutes <= close);
+}
+
+/**
+ * Open/closed status with the next relevant opening or closing time
+ * @returns {{ status: 'open'|'closed'|'unknown', opensAt?: string, closesAt?: string }}
+ */
+export function getOpeningStatus(poi, at, durationMinutes = 0) {
+  const windows = getOpeningWindows(poi, at.day);
+  if (windows === null) return { status: 'unknown' };
+
+  const current = windows.find(([open, close]) => at.minutes >= open && at.minutes + durationMinutes <= close);
+  if (current) {
+    return { status: 'open', closesAt: formatClock(current[1]) };
+  }
+
+  const later = windows.find(([open, close]) => open > at.minutes && open + durationMinutes <= close);
+  return later
+    ? { status: 'closed', opensAt: formatClock(later[0]) }
+    : { status: 'closed' };
+}
+
+/**
+ * Annotate POIs with `openingStatus` and filter or demote closed ones
+ * Demoting keeps the relative order of open/unknown and closed POIs.
+ *
+ * @param {Array<Object>} pois
+ * @param {{ day: number, minutes: number }} at
+ * @param {Object} [options]
+ * @param {'demote'|'filter'} [options.mode='demote']
+ * @param {number} [options.durationMinutes=0] - Require the POI to stay open this long
+ */
+export function applyOpeningHours(pois, at, { mode = 'demote', durationMinutes = 0 } = {}) {
+  if (!Array.isArray(pois) || !at) return pois;
+
+  const annotated = pois.map(poi => ({
+    ...poi,
+    openingStatus: getOpeningStatus(poi, at, durationMinutes)
+  }));
+
+  const isClosed = poi => poi.openingStatus.status === 'closed';
+  if (mode === 'filter') {
+    return annotated.filter(poi => !isClosed(poi));
+  }
+  return [...annotated.filter(poi => !isClosed(poi)), ...annotated.filter(isClosed)];
+}
+
+/**
+ * Find plan stops whose scheduled visit falls outside their opening hours
+ * @param {Array<{ poi: Object, arrivalMinutes: number, departureMinutes: number }>} stops
+ * @param {number} dayOfWeek
+ * @returns {Array<{ index: number, name: string, arrival: string, departure: string, message: string }>}
+ */
+export function flagStopsOutsideHours(stops, dayOfWeek) {
+  const warnings = [];
+  stops.forEach(({ poi, arrivalMinutes, departureMinutes }, index) => {
+    const at = { day: dayOfWeek, minutes: arrivalMinutes };
+    if (isOpenAt(poi, at, departureMinutes - arrivalMinutes) !== false) return;
+
+    const status = getOpeningStatus(poi, at);
+    const arrival = formatClock(arrivalMinutes);
+    let message;
+    if (getOpeningWindows(poi, dayOfWeek).length === 0) {
+      message = `${poi.name} is closed on ${WEEKDAYS[dayOfWeek]}`;
+    } else if (status.status === 'open') {
+      message = `${poi.name} closes at ${status.closesAt}, before the planned visit ends`;
+    } else if (status.opensAt) {
+      message = `${poi.name} opens at ${status.opensAt}, after the planned ${arrival} arrival`;
+    } else {
+      message = `${poi.name} is closed by the planned ${arrival} arrival`;
+    }
+
+    warnings.push({
+      index,
+      name: poi.name,
+      arrival,
+      departure: formatClock(departureMinutes),
+      message
+    });
+  });
+  return warnings;
+}
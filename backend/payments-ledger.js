@@ -0,0 +1,110 @@
+/**
+ * Payments Ledger
+ * One row per Stripe PaymentIntent with its current state, and the rule that
+ * turns those rows into access: a user has paid while at least one of their
+ * payments is `paid` or `partially_refunded`. Full refunds and open or lost
+ * disputes take access away; a dispute that is won (or an inquiry closed
+ * without a chargeback) gives it back.
+ * Functions take a `store` (db-adapter or db-neon); Stripe objects arrive
+ * already verified by the webhook in routes/payments.js.
+ */
+
+export const ENTITLED_STATUSES = ['paid', 'partially_refunded'];
+
+// Stripe dispute statuses that end in the customer's favour (funds stay with us)
+const DISPUTE_RESOLVED = ['won', 'warning_closed'];
+
+/**
+ * Status of a payment that is not under dispute, from how much was refunded
+ */
+export function refundStatus(amount, amountRefunded) {
+  if (amountRefunded <= 0) return 'paid';
+  return amountRefunded >= amount ? 'refunded' : 'partially_refunded';
+}
+
+/**
+ * Status of a payment after a dispute event
+ */
+export function disputeStatus(dispute, payment) {
+  if (dispute.status === 'lost') return 'dispute_lost';
+  if (DISPUTE_RESOLVED.includes(dispute.status)) return refundStatus(payment.amount, payment.amount_refunded);
+  return 'disputed';
+}
+
+/**
+ * Ledger row for a charge: by PaymentIntent first, then by charge id
+ */
+export async function findPayment(store, { paymentIntentId, chargeId }) {
+  return (paymentIntentId && await store.getPaymentByIntent(paymentIntentId))
+    || (chargeId && await store.getPaymentByCharge(chargeId))
+    || null;
+}
+
+/**
+ * Record a successful payment. Repeated or late events fill in missing ids
+ * but never overwrite a refund or dispute already on the row.
+ */
+export async function recordPayment(store, { email, paymentIntentId, checkoutSessionId, chargeId, amount, currency }) {
+  if (!paymentIntentId) {
+    throw new Error('A payment needs a PaymentIntent id');
+  }
+  return store.savePayment({ email, paymentIntentId, checkoutSessionId, chargeId, amount, currency: currency?.toLowerCase() });
+}
+
+/**
+ * Apply a `charge.refunded` charge. Creates the row when the refund arrives
+ * before (or without) the payment event; `email` is only used then.
+ * @returns {Promise<Object|null>} The updated row, or null without a PaymentIntent or an email to file it under
+ */
+export async function applyRefund(store, charge, email) {
+  const existing = await findPayment(store, { paymentIntentId: charge.payment_intent, chargeId: charge.id });
+  const paymentIntentId = existing?.payment_intent_id || charge.payment_intent;
+  if (!paymentIntentId || !(existing?.email || email)) return null;
+
+  // Also fills in the charge id on rows created from a checkout
+  const payment = await recordPayment(store, {
+    email: existing?.email || email,
+    paymentIntentId,
+    chargeId: charge.id,
+    amount: charge.amount,
+    currency: charge.currency
+  });
+
+  // A dispute decides the outcome on its own; the refunded amount is still kept
+  const status = ['disputed', 'dispute_lost'].includes(payment.status)
+    ? payment.status
+    : refundStatus(charge.amount, charge.amount_refunded);
+  await store.updatePaymentStatus(paymentIntentId, status, charge.amount_refunded);
+  return store.getPaymentByIntent(paymentIntentId);
+}
+
+/**
+ * Apply any `charge.dispute.*` event to the disputed payment
+ * @returns {Promise<Object|null>} The updated row, or null for a payment the ledger has never seen
+ */
+export async function applyDispute(store, dispute) {
+  const payment = await findPayment(store, { paymentIntentId: dispute.payment_intent, chargeId: dispute.charge });
+  if (!payment) return null;
+
+  await store.updatePaymentStatus(payment.payment_intent_id, disputeStatus(dispute, payment), payment.amount_refunded);
+  return store.getPaymentByIntent(payment.payment_intent_id);
+}
+
+/**
+ * Set `has_paid` from the user's ledger rows.
+ * Emails without rows (paid before the ledger existed) are left as they are.
+ * @returns {Promise<{hasPaid: boolean, changed: boolean}|null>}
+ */
+export async function recalculateEntitlement(store, email) {
+  const payments = await store.getPaymentsByEmail(email);
+  if (payments.length === 0) return null;
+
+  const hasPaid = payments.some(payment => ENTITLED_STATUSES.includes(payment.status));
+  const user = await store.getUserByEmail(email);
+  const changed = Boolean(user) && Boolean(user.has_paid) !== hasPaid;
+  if (changed) {
+    await store.setUserPaid(email, hasPaid);
+    console.log(`${hasPaid ? '✅ Access restored' : '⛔ Access revoked'} for ${email} from the payments ledger`);
+  }
+  return { hasPaid, changed };
+}
@@ -0,0 +1,389 @@
+/**
+ * Plan Export - Saved plans as files for other apps
+ * GPX and KML carry the stops plus each day's driving route, ICS has one
+ * calendar event per scheduled stop, and the printable HTML itinerary is
+ * what browsers turn into a PDF from the print dialog.
+ * Formatting is pure; the route fetcher is injected so exports still work
+ * (with straight lines between stops) when Mapbox is unavailable.
+ */
+
+import { getPlanDays } from './multi-day-planner.js';
+import { getCoordinates } from './route-optimizer.js';
+import { getRhodesClock, parseClock, RHODES_TIME_ZONE } from './opening-hours.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ICS_LINE_OCTETS = 75;
+
+export const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml; charset=utf-8', extension: 'gpx', disposition: 'attachment' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8', extension: 'kml', disposition: 'attachment' },
+  ics: { contentType: 'text/calendar; charset=utf-8', extension: 'ics', disposition: 'attachment' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', disposition: 'attachment' },
+  // Opens in the browser and brings up the print dialog ("Save as PDF")
+  pdf: { contentType: 'text/html; charset=utf-8', extension: 'html', disposition: 'inline' }
+};
+
+// Standard EU daylight-saving rules for Europe/Athens (in force since 1996)
+const ATHENS_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${RHODES_TIME_ZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0200',
+  'TZOFFSETTO:+0300',
+  'TZNAME:EEST',
+  'DTSTART:19700329T030000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0300',
+  'TZOFFSETTO:+0200',
+  'TZNAME:EET',
+  'DTSTART:19701025T040000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeHtml = value => escapeXml(value).replace(/&apos;/g, '&#39;');
+
+const escapeIcsText = value => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const fixed = value => Number(value).toFixed(6);
+
+/**
+ * Plan days reduced to what the exporters need: named, located, timed stops
+ */
+export function getExportDays(planData) {
+  return getPlanDays(planData).map(day => ({
+    day: day.day,
+    title: day.title || null,
+    homeBase: day.homeBase || null,
+    timetable: day.timetable || null,
+    stops: (day.locations || []).map((location, index) => ({
+      index,
+      name: location.name || `Stop ${index + 1}`,
+      coords: getCoordinates(location),
+      address: location.location?.address || location.address || location.formatted_address || null,
+      type: location.primary_type || location.type || null,
+      description: location.description || null,
+      schedule: location.schedule || null,
+      travel: location.travel || null,
+      warning: location.openingHoursWarning || null
+    }))
+  }));
+}
+
+/**
+ * Route line per day: the driving route when `fetchRoute` finds one,
+ * otherwise straight lines between the stops
+ */
+export async function getDayRoutes(days, fetchRoute = null) {
+  const routes = [];
+  for (const day of days) {
+    const points = day.stops.map(stop => stop.coords).filter(Boolean);
+    let route = points;
+    if (fetchRoute && points.length > 1) {
+      try {
+        const fetched = await fetchRoute(points);
+        if (Array.isArray(fetched) && fetched.length > 1) route = fetched;
+      } catch (error) {
+        console.warn(`⚠️ [EXPORT] Route lookup failed for day ${day.day}, using straight lines: ${error.message}`);
+      }
+    }
+    routes.push(route);
+  }
+  return routes;
+}
+
+const dayLabel = day => day.title || `Day ${day.day}`;
+const stopTimes = stop => stop.schedule ? `${stop.schedule.arrival}–${stop.schedule.departure}` : '';
+
+/**
+ * GPX 1.1: a waypoint per stop and a track per day
+ */
+export function toGPX(plan, days, routes) {
+  const multiDay = days.length > 1;
+  const waypoints = days.flatMap(day => day.stops.filter(stop => stop.coords).map(stop => [
+    `  <wpt lat="${fixed(stop.coords.lat)}" lon="${fixed(stop.coords.lng)}">`,
+    `    <name>${escapeXml(stop.name)}</name>`,
+    `    <desc>${escapeXml([multiDay && dayLabel(day), stopTimes(stop), stop.address].filter(Boolean).join(' · '))}</desc>`,
+    ...(stop.type ? [`    <type>${escapeXml(stop.type)}</type>`] : []),
+    '  </wpt>'
+  ].join('\n')));
+  const tracks = days.map((day, index) => routes[index]?.length > 1 ? [
+    '  <trk>',
+    `    <name>${escapeXml(multiDay ? dayLabel(day) : plan.name)}</name>`,
+    '    <trkseg>',
+    ...routes[index].map(point => `      <trkpt lat="${fixed(point.lat)}" lon="${fixed(point.lng)}"/>`),
+    '    </trkseg>',
+    '  </trk>'
+  ].join('\n') : null).filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="WanderRhodes" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(plan.name)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    ...waypoints,
+    ...tracks,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * KML 2.2: a folder per day with the numbered stops and the route line
+ */
+export function toKML(plan, days, routes) {
+  const folders = days.map((day, index) => {
+    const placemarks = day.stops.filter(stop => stop.coords).map(stop => [
+      '      <Placemark>',
+      `        <name>${stop.index + 1}. ${escapeXml(stop.name)}</name>`,
+      `        <description>${escapeXml([stopTimes(stop), stop.address, stop.description].filter(Boolean).join('\n'))}</description>`,
+      `        <Point><coordinates>${fixed(stop.coords.lng)},${fixed(stop.coords.lat)},0</coordinates></Point>`,
+      '      </Placemark>'
+    ].join('\n'));
+    const route = routes[index]?.length > 1 ? [
+      '      <Placemark>',
+      '        <name>Route</name>',
+      '        <styleUrl>#route</styleUrl>',
+      '        <LineString>',
+      '          <tessellate>1</tessellate>',
+      `          <coordinates>${routes[index].map(point => `${fixed(point.lng)},${fixed(point.lat)},0`).join(' ')}</coordinates>`,
+      '        </LineString>',
+      '      </Placemark>'
+    ].join('\n') : null;
+    return [
+      '    <Folder>',
+      `      <name>${escapeXml(dayLabel(day))}</name>`,
+      ...placemarks,
+      ...(route ? [route] : []),
+      '    </Folder>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(plan.name)}</name>`,
+    // KML colours are aabbggrr - the app's sand colour #E8D5A4
+    '    <Style id="route"><LineStyle><color>ffa4d5e8</color><width>4</width></LineStyle></Style>',
+    ...folders,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Today's date in Rhodes as YYYY-MM-DD
+ */
+function rhodesDate(date) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: RHODES_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+const addDays = (isoDate, days) => new Date(Date.parse(`${isoDate}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * First calendar day of the trip: the requested date, the plan's `startDate`,
+ * or the next date falling on the weekday the plan was scheduled for
+ */
+export function resolveTripStartDate(planData, days, requestedDate = null, now = new Date()) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(requestedDate || '') && !Number.isNaN(Date.parse(requestedDate))) {
+    return requestedDate;
+  }
+  const stored = planData?.startDate ? new Date(planData.startDate) : null;
+  if (stored && !Number.isNaN(stored.getTime())) {
+    return rhodesDate(stored);
+  }
+  const today = rhodesDate(now);
+  const dayOfWeek = days[0]?.timetable?.dayOfWeek;
+  if (!Number.isInteger(dayOfWeek)) return today;
+  return addDays(today, (dayOfWeek - getRhodesClock(now).day + 7) % 7);
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 §3.1) without splitting characters
+ */
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+const icsLocalTime = (isoDate, minutes) => {
+  const date = addDays(isoDate, Math.floor(minutes / (24 * 60))).replace(/-/g, '');
+  const clock = ((minutes % (24 * 60)) + 24 * 60) % (24 * 60);
+  return `${date}T${String(Math.floor(clock / 60)).padStart(2, '0')}${String(clock % 60).padStart(2, '0')}00`;
+};
+
+/**
+ * iCalendar: one event per scheduled stop, in Rhodes local time
+ * @param {string} startDate - First trip day (YYYY-MM-DD); later days follow on
+ */
+export function toICS(plan, days, startDate, now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const uidBase = plan.id ?? plan.name.replace(/\W+/g, '-').toLowerCase();
+  const events = days.flatMap((day, dayIndex) => day.stops.filter(stop => stop.schedule).map(stop => {
+    const date = addDays(startDate, dayIndex);
+    const start = parseClock(stop.schedule.arrival);
+    let end = parseClock(stop.schedule.departure);
+    if (end <= start) end += 24 * 60; // visit runs past midnight
+    const details = [
+      days.length > 1 && dayLabel(day),
+      stop.description,
+      stop.warning && `⚠️ ${stop.warning}`
+    ].filter(Boolean).join('\n');
+    return [
+      'BEGIN:VEVENT',
+      `UID:plan-${uidBase}-day${day.day}-stop${stop.index + 1}@wanderrhodes`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${RHODES_TIME_ZONE}:${icsLocalTime(date, start)}`,
+      `DTEND;TZID=${RHODES_TIME_ZONE}:${icsLocalTime(date, end)}`,
+      `SUMMARY:${escapeIcsText(stop.name)}`,
+      ...(stop.address ? [`LOCATION:${escapeIcsText(stop.address)}`] : []),
+      ...(stop.coords ? [`GEO:${fixed(stop.coords.lat)};${fixed(stop.coords.lng)}`] : []),
+      ...(details ? [`DESCRIPTION:${escapeIcsText(details)}`] : []),
+      'END:VEVENT'
+    ];
+  }));
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//WanderRhodes//Travel Plan Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(plan.name)}`,
+    ...ATHENS_VTIMEZONE,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Print-friendly itinerary page; `autoPrint` opens the print dialog on load
+ */
+export function toPrintableHTML(plan, days, { autoPrint = false } = {}) {
+  const planData = plan.data || {};
+  const stopCount = days.reduce((sum, day) => sum + day.stops.length, 0);
+  const summary = [
+    `${stopCount} stops`,
+    days.length > 1 && `${days.length} days`,
+    planData.companions && `${planData.companions} trip`
+  ].filter(Boolean).join(' • ');
+
+  const sections = days.map(day => {
+    const rows = day.stops.map(stop => `
+        <tr>
+          <td class="time">${escapeHtml(stopTimes(stop))}</td>
+          <td>
+            <strong>${stop.index + 1}. ${escapeHtml(stop.name)}</strong>
+            ${stop.address ? `<div class="muted">${escapeHtml(stop.address)}</div>` : ''}
+            ${stop.description ? `<div>${escapeHtml(stop.description)}</div>` : ''}
+            ${stop.warning ? `<div class="warning">⚠️ ${escapeHtml(stop.warning)}</div>` : ''}
+          </td>
+          <td class="travel">${stop.schedule?.travelMinutes ? `${stop.schedule.travelMinutes} min` : ''}</td>
+        </tr>`).join('');
+    return `
+    <section>
+      ${days.length > 1 ? `<h2>${escapeHtml(dayLabel(day))}</h2>` : ''}
+      ${day.homeBase?.name ? `<p class="muted">Night at ${escapeHtml(day.homeBase.name)}</p>` : ''}
+      ${day.timetable?.startTime ? `<p class="muted">${escapeHtml(day.timetable.startTime)}–${escapeHtml(day.timetable.endTime)}</p>` : ''}
+      <table>
+        <thead><tr><th>Time</th><th>Stop</th><th>Travel</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(plan.name)}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; color: #242b50; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { border-bottom: 2px solid #E8D5A4; padding-bottom: 0.25rem; margin-top: 2rem; }
+    table { width: 100%; border-collapse: collapse; margin-top: 0.5rem; }
+    th, td { text-align: left; vertical-align: top; padding: 0.5rem; border-bottom: 1px solid #ddd; }
+    .time, .travel { white-space: nowrap; font-family: monospace; }
+    .muted { color: #666; font-size: 0.9em; margin: 0.25rem 0; }
+    .warning { color: #a15c00; font-size: 0.9em; }
+    section { page-break-inside: avoid; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(plan.name)}</h1>
+  <p class="muted">${escapeHtml(summary)}</p>${sections}
+  <p class="muted">Planned with WanderRhodes. Times are Rhodes local time and include travel estimates.</p>${autoPrint ? `
+  <script>window.addEventListener('load', () => window.print());</script>` : ''}
+</body>
+</html>
+`;
+}
+
+function exportFilename(plan, extension) {
+  const slug = String(plan.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug || `rhodes-plan-${plan.id ?? 'export'}`}.${extension}`;
+}
+
+/**
+ * Build an export file for a saved plan
+ * @param {{ id?: number, name: string, data: Object }} plan - Saved plan (API shape)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} [options]
+ * @param {Function} [options.fetchRoute] - async (points) => route points, for GPX/KML
+ * @param {string} [options.startDate] - First trip day (YYYY-MM-DD) for ICS
+ * @returns {Promise<{ body: string, contentType: string, filename: string, disposition: string }>}
+ */
+export async function buildPlanExport(plan, format, { fetchRoute = null, startDate = null, now = new Date() } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unsupported export format: ${format}. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const named = { ...plan, name: plan.name || plan.data?.title || 'Rhodes Travel Plan' };
+  const days = getExportDays(named.data);
+  let body;
+  if (format === 'gpx' || format === 'kml') {
+    const routes = await getDayRoutes(days, fetchRoute);
+    body = format === 'gpx' ? toGPX(named, days, routes) : toKML(named, days, routes);
+  } else if (format === 'ics') {
+    body = toICS(named, days, resolveTripStartDate(named.data, days, startDate, now), now);
+  } else {
+    body = toPrintableHTML(named, days, { autoPrint: format === 'pdf' });
+  }
+
+  return { body, contentType: spec.contentType, filename: exportFilename(named, spec.extension), disposition: spec.disposition };
+}
@@ -0,0 +1,383 @@
+/**
+ * Plan Import - Draft plans from GPX, KML and GeoJSON files
+ * Reads the named points of a file exported from another app (GPX waypoints
+ * and route points, KML placemarks, GeoJSON points including Google Maps
+ * "Saved Places" takeouts), matches each one to a kb_poi_master entry and
+ * keeps the rest as custom locations the user can fix up in the plan editor.
+ * Tracks and lines are ignored - they are recorded paths, not places to visit.
+ */
+
+const debugLog = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  console.log(`📥 [PLAN-IMPORT ${timestamp}] ${message}`);
+  if (data) {
+    console.log(`📥 [PLAN-IMPORT DATA]`, JSON.stringify(data, null, 2));
+  }
+};
+
+export const IMPORT_FORMATS = ['gpx', 'kml', 'geojson'];
+export const MAX_IMPORT_BYTES = 900 * 1024; // stays under the 1mb request body limit
+export const MAX_IMPORT_POINTS = 100;
+// Saved places sit on the POI itself; anything further away is a different place
+export const MATCH_RADIUS_METERS = 300;
+// GPX and KML rarely nest beyond ~10 levels; deeper input is rejected, not walked
+export const MAX_XML_DEPTH = 64;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlText(value) {
+  return String(value ?? '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+      }
+      return XML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+// Google My Maps and GPX descriptions often carry HTML
+function toPlainText(value) {
+  return decodeXmlText(value)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^<>]*>/g, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+}
+
+// Tag name without its namespace prefix, lowercased ("kml:Placemark" -> "placemark")
+function localName(qualifiedName) {
+  return qualifiedName.slice(qualifiedName.indexOf(':') + 1).toLowerCase();
+}
+
+// End of a construct that starts at index, or -1 when it is never closed
+function skipPast(xml, index, terminator) {
+  const end = xml.indexOf(terminator, index);
+  return end === -1 ? -1 : end + terminator.length;
+}
+
+/**
+ * Element tree of an XML document, built in one left-to-right pass
+ * Elements keep the offsets of their raw inner XML; comments, CDATA sections,
+ * processing instructions and doctypes are skipped whole. A close tag also
+ * closes any elements left open inside it (stray HTML like <br> in a
+ * description). Parsing stops at the first comment, CDATA section or tag that
+ * is never closed; elements still open then are dropped (their closed children
+ * are kept), so malformed input costs linear time.
+ * @param {string} xml
+ * @returns {Object} Document node ({ children })
+ */
+function parseXmlTree(xml) {
+  const root = { name: '#document', attributes: '', children: [], innerStart: 0, innerEnd: xml.length };
+  const stack = [root];
+  let index = 0;
+
+  while ((index = xml.indexOf('<', index)) !== -1) {
+    if (xml.startsWith('<!--', index)) {
+      index = skipPast(xml, index + 4, '-->');
+    } else if (xml.startsWith('<![CDATA[', index)) {
+      index = skipPast(xml, index + 9, ']]>');
+    } else if (xml[index + 1] === '?' || xml[index + 1] === '!') {
+      index = skipPast(xml, index + 2, '>');
+    } else {
+      const end = xml.indexOf('>', index + 1);
+      if (end === -1) break;
+      const tag = xml.slice(index + 1, end);
+
+      if (tag.startsWith('/')) {
+        const name = localName(tag.slice(1).trim());
+        const open = stack.findLastIndex(element => element.name === name);
+        if (open > 0) {
+          for (const element of stack.splice(open)) {
+            element.innerEnd = index;
+          }
+        }
+      } else {
+        const [qualifiedName = ''] = tag.match(/^[^\s/]+/) || [];
+        const selfClosing = tag.endsWith('/');
+        const element = {
+          name: localName(qualifiedName),
+          attributes: tag.slice(qualifiedName.length, selfClosing ? -1 : undefined),
+          children: [],
+          innerStart: end + 1,
+          innerEnd: selfClosing ? end + 1 : null
+        };
+        stack[stack.length - 1].children.push(element);
+        if (!selfClosing) {
+          if (stack.length > MAX_XML_DEPTH) {
+            throw new Error('elements are nested too deeply');
+          }
+          stack.push(element);
+        }
+      }
+      index = end + 1;
+    }
+    if (index === -1) break;
+  }
+
+  return root;
+}
+
+// Direct children with a tag name, skipping elements that were never closed
+function childElements(element, name) {
+  return element.children.filter(child => child.name === name && child.innerEnd !== null);
+}
+
+// Closed elements with one of the tag names anywhere below, in document order (not searched inside matches)
+function findElements(element, names, found = []) {
+  for (const child of element.children) {
+    if (child.innerEnd !== null && names.includes(child.name)) {
+      found.push(child);
+    } else {
+      findElements(child, names, found);
+    }
+  }
+  return found;
+}
+
+// Raw inner XML of an element's first child with a tag name
+function readChild(xml, element, name) {
+  const [child] = element ? childElements(element, name) : [];
+  return child ? xml.slice(child.innerStart, child.innerEnd) : null;
+}
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeXmlText(match[2] ?? match[3]) : null;
+}
+
+function toPoint({ name, description, address, lat, lng }) {
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  // Takeouts write 0,0 for places Google could not locate
+  if (latitude === 0 && longitude === 0) return null;
+  return {
+    name: name ? toPlainText(name) : '',
+    description: description ? toPlainText(description) : '',
+    address: address ? toPlainText(address) : '',
+    lat: latitude,
+    lng: longitude
+  };
+}
+
+/**
+ * Named points of a GPX file: waypoints first, then route points
+ * @param {string} xml - GPX document
+ * @returns {{title: string|null, points: Array<Object>}}
+ */
+export function parseGPX(xml) {
+  const tree = parseXmlTree(xml);
+  const [gpx] = findElements(tree, ['gpx']);
+  const [metadata] = gpx ? childElements(gpx, 'metadata') : [];
+  const title = readChild(xml, metadata || gpx, 'name');
+  const points = findElements(tree, ['wpt', 'rtept']).map(point => toPoint({
+    name: readChild(xml, point, 'name'),
+    description: readChild(xml, point, 'desc') || readChild(xml, point, 'cmt'),
+    lat: readAttribute(point.attributes, 'lat'),
+    lng: readAttribute(point.attributes, 'lon')
+  }));
+  return { title: title ? toPlainText(title) : null, points: points.filter(Boolean) };
+}
+
+/**
+ * Placemarks with a Point geometry from a KML file (coordinates are lng,lat[,alt])
+ * @param {string} xml - KML document
+ * @returns {{title: string|null, points: Array<Object>}}
+ */
+export function parseKML(xml) {
+  const tree = parseXmlTree(xml);
+  const [documentElement] = findElements(tree, ['document']);
+  const [kml] = findElements(tree, ['kml']);
+  const title = readChild(xml, documentElement || kml, 'name');
+  const points = [];
+  for (const placemark of findElements(tree, ['placemark'])) {
+    const [point] = findElements(placemark, ['point']);
+    const coordinates = readChild(xml, point, 'coordinates');
+    if (!coordinates) continue;
+    const [lng, lat] = decodeXmlText(coordinates).trim().split(/\s+/)[0].split(',');
+    points.push(toPoint({
+      name: readChild(xml, placemark, 'name'),
+      description: readChild(xml, placemark, 'description'),
+      address: readChild(xml, placemark, 'address'),
+      lat,
+      lng
+    }));
+  }
+  return { title: title ? toPlainText(title) : null, points: points.filter(Boolean) };
+}
+
+/**
+ * Point features from GeoJSON, including Google Takeout "Saved Places.json"
+ * where the name and address live under properties.location
+ * @param {string|Object} input - GeoJSON text or parsed object
+ * @returns {{title: string|null, points: Array<Object>}}
+ */
+export function parseGeoJSON(input) {
+  const geojson = typeof input === 'string' ? JSON.parse(input) : input;
+  const features = geojson?.type === 'FeatureCollection' ? geojson.features || []
+    : geojson?.type === 'Feature' ? [geojson]
+      : [];
+
+  const points = features.map(feature => {
+    if (feature?.geometry?.type !== 'Point') return null;
+    const [lng, lat] = feature.geometry.coordinates || [];
+    const props = feature.properties || {};
+    const place = props.location || props.Location || {};
+    return toPoint({
+      name: props.name || props.title || props.Title || place.name || place.Name || place['Business Name'],
+      description: props.description || props.Comment || props.comment,
+      address: props.address || place.address || place.Address,
+      lat,
+      lng
+    });
+  });
+  return { title: geojson?.name || geojson?.properties?.name || null, points: points.filter(Boolean) };
+}
+
+/**
+ * Import format from the file extension, falling back to sniffing the content
+ * @param {string} filename
+ * @param {string} content
+ * @returns {'gpx'|'kml'|'geojson'|null}
+ */
+export function detectFormat(filename, content) {
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  if (extension === 'gpx' || extension === 'kml') return extension;
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+
+  const head = String(content || '').slice(0, 2000).trimStart();
+  if (head.startsWith('{')) return 'geojson';
+  if (/<gpx\b/i.test(head)) return 'gpx';
+  if (/<kml\b/i.test(head)) return 'kml';
+  return null;
+}
+
+const PARSERS = { gpx: parseGPX, kml: parseKML, geojson: parseGeoJSON };
+
+// Same place twice (e.g. a waypoint that is also a route point) is imported once
+function dedupePoints(points) {
+  const seen = new Set();
+  return points.filter(point => {
+    const key = `${point.name.toLowerCase()}|${point.lat.toFixed(5)}|${point.lng.toFixed(5)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function toMatchedLocation(poi, point) {
+  return {
+    name: poi.name,
+    type: poi.primary_type || poi.type,
+    description: poi.description || point.description,
+    place_id: poi.place_id || poi.id,
+    rating: poi.rating ? parseFloat(poi.rating) : null,
+    location: {
+      address: poi.address || point.address,
+      coordinates: { lat: parseFloat(poi.latitude), lng: parseFloat(poi.longitude) }
+    },
+    travel: { distanceMeters: 0, durationMinutes: 0 },
+    imported: { name: point.name, matched: true }
+  };
+}
+
+// Same shape as the plan editor's "Add custom location"
+function toCustomLocation(point, index) {
+  return {
+    name: point.name || `Imported place ${index + 1}`,
+    type: 'Custom',
+    description: point.description || 'Imported place - not found in our Rhodes guide',
+    location: {
+      address: point.address || `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`,
+      coordinates: { lat: point.lat, lng: point.lng }
+    },
+    travel: { distanceMeters: 0, durationMinutes: 0 },
+    isCustom: true,
+    imported: { name: point.name, matched: false }
+  };
+}
+
+/**
+ * Match imported points to kb_poi_master entries, keeping misses as custom locations
+ * @param {Array<Object>} points - Parsed points
+ * @param {Function|null} findPOI - findPOIByNameAndLocation(name, lat, lng, maxDistance)
+ * @returns {Promise<Array<Object>>} Locations in the app's plan shape, in file order
+ */
+export async function matchImportedPoints(points, findPOI) {
+  const locations = [];
+  for (const [index, point] of points.entries()) {
+    let poi = null;
+    if (findPOI && point.name) {
+      try {
+        poi = await findPOI(point.name, point.lat, point.lng, MATCH_RADIUS_METERS);
+      } catch (error) {
+        debugLog(`POI lookup failed for "${point.name}": ${error.message}`);
+      }
+    }
+    locations.push(poi ? toMatchedLocation(poi, point) : toCustomLocation(point, index));
+  }
+  return locations;
+}
+
+/**
+ * Parse an uploaded file into a draft plan for the plan editor
+ * @param {{filename?: string, content?: string}} file - Uploaded file as text
+ * @param {Function|null} findPOI - findPOIByNameAndLocation, or null when POI data is unavailable
+ * @param {number} [now] - Timestamp for the draft
+ * @returns {Promise<{status: number, body: Object}>} Response status and JSON body
+ */
+export async function importPlanFile({ filename, content } = {}, findPOI, now = Date.now()) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { status: 400, body: { error: 'File content is required' } };
+  }
+  if (Buffer.byteLength(content) > MAX_IMPORT_BYTES) {
+    return { status: 413, body: { error: `File is too large (max ${Math.floor(MAX_IMPORT_BYTES / 1024)} KB)` } };
+  }
+
+  const format = detectFormat(filename, content);
+  if (!format) {
+    return { status: 400, body: { error: `Unsupported file. Use one of: ${IMPORT_FORMATS.join(', ')}` } };
+  }
+
+  let parsed;
+  try {
+    parsed = PARSERS[format](content);
+  } catch (error) {
+    return { status: 400, body: { error: `Could not read ${format.toUpperCase()} file: ${error.message}` } };
+  }
+
+  const points = dedupePoints(parsed.points);
+  if (points.length === 0) {
+    return { status: 422, body: { error: 'No places with coordinates found in this file' } };
+  }
+
+  const kept = points.slice(0, MAX_IMPORT_POINTS);
+  const locations = await matchImportedPoints(kept, findPOI);
+  const matched = locations.filter(location => !location.isCustom).length;
+  const summary = {
+    format,
+    total: kept.length,
+    matched,
+    unmatched: kept.length - matched,
+    truncated: points.length > kept.length
+  };
+  debugLog(`Imported ${filename || format} file`, summary);
+
+  const baseName = String(filename || '').replace(/\.[^.]+$/, '').trim();
+  return {
+    status: 200,
+    body: {
+      plan: {
+        title: parsed.title || (baseName ? `Imported: ${baseName}` : 'Imported plan'),
+        locations,
+        timestamp: now,
+        importedFrom: { format, filename: filename || null }
+      },
+      summary
+    }
+  };
+}
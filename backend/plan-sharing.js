@@ -0,0 +1,76 @@
+/**
+ * Plan Sharing
+ * Share tokens for read-only public links to a saved travel plan. Tokens are
+ * random and only their SHA-256 is stored, like magic-link tokens; each plan
+ * has at most one live link, and re-sharing replaces (revokes) the old one.
+ */
+
+import crypto from 'crypto';
+
+const TOKEN_BYTES = 32;
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_SHARE_TTL_DAYS = 30;
+export const MAX_SHARE_TTL_DAYS = 365;
+
+export function hashShareToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * New token for a plan; `expiresInDays` is clamped to 1..MAX_SHARE_TTL_DAYS
+ */
+export function generateShareToken(expiresInDays = DEFAULT_SHARE_TTL_DAYS, now = Date.now()) {
+  const days = Math.min(Math.max(Math.round(Number(expiresInDays) || DEFAULT_SHARE_TTL_DAYS), 1), MAX_SHARE_TTL_DAYS);
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+  return { token, hash: hashShareToken(token), expiresAt: now + days * DAY_MS };
+}
+
+/**
+ * Share state of a stored plan row, for the owner's plan list
+ */
+export function getShareStatus(plan, now = Date.now()) {
+  if (!plan?.share_token_hash) {
+    return { shared: false, shareExpiresAt: null };
+  }
+  const expiresAt = plan.share_expires_at === null ? null : Number(plan.share_expires_at);
+  if (expiresAt !== null && expiresAt <= now) {
+    return { shared: false, shareExpiresAt: null };
+  }
+  return { shared: true, shareExpiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Resolve a public share token to the response the API sends back.
+ * Expired links are told apart from unknown/revoked ones so the viewer can say so.
+ * @param {string} token - Token from the share URL
+ * @param {Function} getTravelPlanByShareToken - DB lookup by token hash (sync or async)
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+export async function resolveSharedPlan(token, getTravelPlanByShareToken, now = Date.now()) {
+  if (typeof token !== 'string' || !/^[0-9a-f]{64}$/.test(token)) {
+    return { status: 404, body: { error: 'Shared plan not found' } };
+  }
+
+  const plan = await getTravelPlanByShareToken(hashShareToken(token));
+  if (!plan) {
+    return { status: 404, body: { error: 'Shared plan not found' } };
+  }
+  if (!getShareStatus(plan, now).shared) {
+    return { status: 410, body: { error: 'This share link has expired' } };
+  }
+
+  // Only the itinerary itself - never the owner's account details
+  return {
+    status: 200,
+    body: {
+      success: true,
+      plan: {
+        name: plan.plan_name,
+        data: plan.plan_data,
+        createdAt: new Date(plan.created_at * 1000).toISOString(),
+        updatedAt: new Date(plan.updated_at * 1000).toISOString(),
+        shareExpiresAt: getShareStatus(plan, now).shareExpiresAt
+      }
+    }
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * POI Dataset Files
+ * Locates and loads the curated Rhodes POI dataset and its spatial relationships.
+ * Shared by the JSON knowledge-base queries and the SQLite POI database seed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Cache for loaded datasets
+let poiDataset = null;
+let spatialRelationships = null;
+
+// Debug logging
+const debugLog = (message, data = null) => {
+  const timestamp = new Date().toISOString();
+  const prefix = process.env.NODE_ENV === 'production' ? '🚀 PROD_KB' : '🔍 DEV_KB';
+  console.log(`${prefix} [${timestamp}] ${message}`);
+  if (data) {
+    const maxLength = process.env.NODE_ENV === 'production' ? 500 : 2000;
+    const dataStr = JSON.stringify(data, null, process.env.NODE_ENV === 'production' ? 0 : 2);
+    const truncatedData = dataStr.length > maxLength ? dataStr.substring(0, maxLength) + '...[TRUNCATED]' : dataStr;
+    console.log(`${prefix} [${timestamp}] DATA:`, truncatedData);
+  }
+};
+
+/**
+ * Resolve a data file: explicit env override first, then the pipeline output,
+ * then the bootstrap test dataset when the output has not been generated
+ */
+export function resolveDataFile(envVar, primary, fallback) {
+  if (process.env[envVar]) {
+    return path.resolve(process.env[envVar]);
+  }
+  const primaryPath = path.join(__dirname, primary);
+  if (fs.existsSync(primaryPath)) {
+    return primaryPath;
+  }
+  const fallbackPath = path.join(__dirname, fallback);
+  if (fs.existsSync(fallbackPath)) {
+    debugLog(`${primary} not found, using bootstrap dataset ${fallback}`);
+    return fallbackPath;
+  }
+  return primaryPath;
+}
+
+/**
+ * Load POI dataset from enhanced_pois_with_beaches.json
+ */
+export async function loadPOIDataset() {
+  if (poiDataset) {
+    return poiDataset;
+  }
+
+  try {
+    const datasetPath = resolveDataFile(
+      'POI_DATASET_PATH',
+      '../output/enhanced_pois_with_beaches.json',
+      '../data/bootstrap_test/google_maps_pois.json'
+    );
+    const fileContent = fs.readFileSync(datasetPath, 'utf8');
+    const parsed = JSON.parse(fileContent);
+    // The bootstrap dataset is a bare array of POIs
+    poiDataset = Array.isArray(parsed) ? { pois: parsed } : parsed;
+
+    debugLog(`POI dataset loaded successfully`, {
+      totalPOIs: poiDataset.pois?.length || 0,
+      filePath: datasetPath
+    });
+
+    return poiDataset;
+  } catch (error) {
+    debugLog(`Failed to load POI dataset: ${error.message}`);
+    throw new Error(`Failed to load POI dataset: ${error.message}`);
+  }
+}
+
+/**
+ * Load spatial relationships from spatial_relationships.json
+ */
+export async function loadSpatialRelationships() {
+  if (spatialRelationships) {
+    return spatialRelationships;
+  }
+
+  try {
+    const relationshipsPath = resolveDataFile(
+      'SPATIAL_RELATIONSHIPS_PATH',
+      '../output/spatial_relationships.json',
+      '../data/bootstrap_test/spatial_relationships.json'
+    );
+    const fileContent = fs.readFileSync(relationshipsPath, 'utf8');
+    spatialRelationships = JSON.parse(fileContent);
+
+    debugLog(`Spatial relationships loaded successfully`, {
+      totalRelationships: spatialRelationships.spatial_relationships?.length || 0,
+      filePath: relationshipsPath
+    });
+
+    return spatialRelationships;
+  } catch (error) {
+    debugLog(`Failed to load spatial relationships: ${error.message}`);
+    throw new Error(`Failed to load spatial relationships: ${error.message}`);
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * BM25 Provider - Local keyword retrieval over the knowledge corpus
+ * Needs no network or API key; the index is built in memory on first search.
+ */
+
+import { loadKnowledgeCorpus, selectTopPassages } from './knowledgeCorpus.js';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+  'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the',
+  'their', 'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will',
+  'with', 'you', 'your'
+]);
+
+// Fold simple English plurals so "beaches" finds "beach" and "museums" finds "museum"
+function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into index terms: lowercase, accents removed (Latin and Greek),
+ * stopwords dropped, plurals folded
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Build a BM25 index
+ * @param {import('./knowledgeCorpus.js').Passage[]} passages
+ * @param {{ k1?: number, b?: number }} [options]
+ */
+export function buildBM25Index(passages, { k1 = 1.2, b = 0.75 } = {}) {
+  const postings = new Map();
+  const lengths = passages.map((passage, index) => {
+    const terms = tokenize(`${passage.title} ${passage.section} ${passage.text}`);
+    const counts = new Map();
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+    for (const [term, count] of counts) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([index, count]);
+    }
+    return terms.length;
+  });
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+
+  return {
+    passages,
+    /**
+     * Score every passage against a query (0 for passages sharing no term)
+     * @param {string} query
+     * @returns {number[]}
+     */
+    score(query) {
+      const scores = new Array(passages.length).fill(0);
+      for (const term of new Set(tokenize(query))) {
+        const matches = postings.get(term);
+        if (!matches) continue;
+        const idf = Math.log(1 + (passages.length - matches.length + 0.5) / (matches.length + 0.5));
+        for (const [index, count] of matches) {
+          const norm = k1 * (1 - b + b * lengths[index] / averageLength);
+          scores[index] += idf * (count * (k1 + 1)) / (count + norm);
+        }
+      }
+      return scores;
+    }
+  };
+}
+
+/**
+ * Create the BM25 retrieval provider
+ * @param {Object} [options]
+ * @param {() => Promise<import('./knowledgeCorpus.js').Passage[]>} [options.loadPassages] -
+ *   Corpus to index (defaults to the knowledge base and POI descriptions)
+ * @param {number} [options.k1]
+ * @param {number} [options.b]
+ * @returns {import('./retrievalProvider.js').RetrievalProvider}
+ */
+export function createBM25Provider({ loadPassages = loadKnowledgeCorpus, k1, b } = {}) {
+  let indexPromise = null;
+
+  const getIndex = () => {
+    if (!indexPromise) {
+      indexPromise = loadPassages().then(passages => buildBM25Index(passages, { k1, b }));
+      // Let a failed load be retried on the next search
+      indexPromise.catch(() => { indexPromise = null; });
+    }
+    return indexPromise;
+  };
+
+  return {
+    name: 'bm25',
+    isAvailable: () => true,
+    async search(query, options) {
+      const index = await getIndex();
+      return selectTopPassages(index.passages, index.score(query), options);
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Embeddings Provider - Semantic retrieval with OpenAI embeddings
+ * Passages are embedded once per process on the first search and ranked by
+ * cosine similarity. Falls back to another provider (normally BM25) when no
+ * API key is configured or the embeddings API fails.
+ */
+
+import { OpenAI } from 'openai';
+import { loadKnowledgeCorpus, selectTopPassages } from './knowledgeCorpus.js';
+
+const BATCH_SIZE = 96;
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Create the embeddings retrieval provider
+ * @param {Object} options
+ * @param {string} options.model - Embedding model (e.g. 'text-embedding-3-small')
+ * @param {Object} [options.client] - OpenAI client (defaults to one using OPENAI_API_KEY)
+ * @param {() => Promise<import('./knowledgeCorpus.js').Passage[]>} [options.loadPassages]
+ * @param {import('./retrievalProvider.js').RetrievalProvider} [options.fallback] -
+ *   Answers instead when embeddings are unavailable or fail
+ * @returns {import('./retrievalProvider.js').RetrievalProvider}
+ */
+export function createEmbeddingsProvider({ model, client = null, loadPassages = loadKnowledgeCorpus, fallback = null }) {
+  let openai = client;
+  let indexPromise = null;
+
+  const hasClient = () => Boolean(openai || process.env.OPENAI_API_KEY);
+
+  async function embed(texts) {
+    if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    const response = await openai.embeddings.create({ model, input: texts });
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => normalize(item.embedding));
+  }
+
+  async function buildIndex() {
+    const passages = await loadPassages();
+    const vectors = [];
+    for (let start = 0; start < passages.length; start += BATCH_SIZE) {
+      const batch = passages.slice(start, start + BATCH_SIZE);
+      vectors.push(...await embed(batch.map(passage => `${passage.title}\n${passage.section}\n${passage.text}`)));
+    }
+    console.log(`🧮 [Retrieval] Embedded ${passages.length} passages with ${model}`);
+    return { passages, vectors };
+  }
+
+  const getIndex = () => {
+    if (!indexPromise) {
+      indexPromise = buildIndex();
+      indexPromise.catch(() => { indexPromise = null; });
+    }
+    return indexPromise;
+  };
+
+  return {
+    name: 'embeddings',
+    isAvailable: () => hasClient() || Boolean(fallback?.isAvailable()),
+    async search(query, options) {
+      if (!hasClient()) {
+        if (fallback) return fallback.search(query, options);
+        throw new Error('OPENAI_API_KEY is required for embeddings retrieval');
+      }
+
+      try {
+        const [index, [queryVector]] = await Promise.all([getIndex(), embed([query])]);
+        const scores = index.vectors.map(vector => dot(vector, queryVector));
+        return selectTopPassages(index.passages, scores, options);
+      } catch (error) {
+        if (!fallback) throw error;
+        console.warn(`⚠️ [Retrieval] Embeddings search failed, using ${fallback.name}: ${error.message}`);
+        return fallback.search(query, options);
+      }
+    }
+  };
+}
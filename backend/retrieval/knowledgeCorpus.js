@@ -0,0 +1,138 @@
+/**
+ * Knowledge Corpus - The passages every retrieval provider searches
+ * Article sections from rhodes_knowledge_base_clean.xml plus one passage per
+ * POI description from the curated dataset.
+ */
+
+import fs from 'fs';
+import { loadPOIDataset, resolveDataFile } from '../poi-dataset.js';
+
+/**
+ * @typedef {Object} Passage
+ * @property {string} id - Stable identifier (document source + section, or poi:<id>)
+ * @property {'article'|'poi'} source
+ * @property {string} title - Article title or POI name
+ * @property {string} section - Article section name or POI type
+ * @property {string} text
+ * @property {string|null} url
+ * @property {string} [poiId] - Dataset id of the POI a 'poi' passage describes
+ */
+
+let corpus = null;
+
+const XML_ENTITIES = { '&amp;': '&', '&quot;': '"', '&apos;': "'", '&lt;': '<', '&gt;': '>' };
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&(amp|quot|apos|lt|gt);/g, entity => XML_ENTITIES[entity]);
+}
+
+// The scraper escaped page text that was already HTML-escaped ("&amp;amp;")
+function decodeXml(text) {
+  return decodeEntities(decodeEntities(text));
+}
+
+/**
+ * Parse the scraped knowledge base export
+ * (<corpus><document source><title/><section name>text</section>...</document></corpus>)
+ * @param {string} xml
+ * @returns {Passage[]}
+ */
+export function parseKnowledgeBaseXml(xml) {
+  const passages = [];
+  const documentPattern = /<document\b([^>]*)>([\s\S]*?)<\/document>/g;
+
+  for (const [, attributes, body] of xml.matchAll(documentPattern)) {
+    const source = decodeXml(attributes.match(/\bsource="([^"]*)"/)?.[1] || '');
+    // Page titles end with the site separator ("... -")
+    const title = decodeXml(body.match(/<title>([\s\S]*?)<\/title>/)?.[1] || '').replace(/\s*-\s*$/, '').trim();
+
+    let index = 0;
+    for (const [, name, text] of body.matchAll(/<section\b[^>]*?name="([^"]*)"[^>]*>([\s\S]*?)<\/section>/g)) {
+      const cleaned = decodeXml(text).replace(/\s+/g, ' ').trim();
+      if (!cleaned) continue;
+      passages.push({
+        id: `${source}#${index++}`,
+        source: 'article',
+        title,
+        // Listing pages tag their main section with the site's "Verified listing" badge
+        section: decodeXml(name).replace(/Verified listing$/, '').trim(),
+        text: cleaned,
+        url: source || null
+      });
+    }
+  }
+
+  return passages;
+}
+
+/**
+ * One passage per POI that has a description
+ * @param {Object[]} pois - Dataset POIs (place_id or id, name, description)
+ * @returns {Passage[]}
+ */
+export function poiPassages(pois) {
+  return pois
+    .filter(poi => poi.name && poi.description)
+    .map(poi => {
+      const poiId = String(poi.place_id || poi.id);
+      return {
+        id: `poi:${poiId}`,
+        source: 'poi',
+        title: poi.name,
+        section: poi.primary_type || '',
+        text: poi.description,
+        url: poi.website || poi.google_url || null,
+        poiId
+      };
+    });
+}
+
+/**
+ * Load and cache the whole corpus
+ * A missing POI dataset only drops the POI passages; a missing XML export is an error.
+ * @returns {Promise<Passage[]>}
+ */
+export async function loadKnowledgeCorpus() {
+  if (corpus) {
+    return corpus;
+  }
+
+  const xmlPath = resolveDataFile(
+    'RAG_CORPUS_PATH',
+    '../rhodes_knowledge_base_clean.xml',
+    '../rhodes_knowledge_base_first.xml'
+  );
+  const articles = parseKnowledgeBaseXml(fs.readFileSync(xmlPath, 'utf8'));
+
+  let pois = [];
+  try {
+    const dataset = await loadPOIDataset();
+    pois = poiPassages(dataset.pois || []);
+  } catch (error) {
+    console.warn(`⚠️ [Retrieval] POI descriptions unavailable, indexing articles only: ${error.message}`);
+  }
+
+  corpus = [...articles, ...pois];
+  console.log(`📚 [Retrieval] Loaded ${articles.length} article sections and ${pois.length} POI descriptions`);
+  return corpus;
+}
+
+/**
+ * Pick the best-scoring passages for a search
+ * @param {Passage[]} passages
+ * @param {number[]} scores - One score per passage (higher is better)
+ * @param {Object} options
+ * @param {number} options.limit
+ * @param {Array<'article'|'poi'>} [options.sources] - Only return these passage kinds
+ * @param {number} [options.minScore] - Drop weaker matches
+ * @returns {Array<Passage & { score: number }>}
+ */
+export function selectTopPassages(passages, scores, { limit, sources = null, minScore = 0 }) {
+  return passages
+    .map((passage, index) => ({ ...passage, score: scores[index] }))
+    .filter(passage => passage.score > minScore && (!sources || sources.includes(passage.source)))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
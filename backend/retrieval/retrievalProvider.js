@@ -0,0 +1,94 @@
+/**
+ * Retrieval Provider - Single entry point for knowledge-base search
+ * Lets the chat, the agent tools and the planners ground answers in the Rhodes
+ * articles and POI descriptions, with a local BM25 index or OpenAI embeddings.
+ */
+
+import { AgentConfig } from '../config/agentConfig.js';
+import { createBM25Provider } from './bm25Provider.js';
+import { createEmbeddingsProvider } from './embeddingsProvider.js';
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {number} [limit] - Maximum passages to return (default AgentConfig.ragDocumentLimit)
+ * @property {Array<'article'|'poi'>} [sources] - Only return these passage kinds
+ * @property {number} [minScore] - Drop weaker matches (provider-specific scale)
+ */
+
+/**
+ * @typedef {Object} RetrievalProvider
+ * @property {string} name
+ * @property {() => boolean} isAvailable - Whether the provider can serve searches
+ * @property {(query: string, options: SearchOptions) => Promise<Array<import('./knowledgeCorpus.js').Passage & { score: number }>>} search -
+ *   Best passages first
+ */
+
+let activeProvider = null;
+
+/**
+ * Build a provider by name
+ */
+export function createRetrievalProvider(name = AgentConfig.ragProvider, options = {}) {
+  switch (name) {
+    case 'bm25':
+      return createBM25Provider(options);
+    case 'embeddings':
+      return createEmbeddingsProvider({
+        model: AgentConfig.ragEmbedModel,
+        fallback: createBM25Provider(options),
+        ...options
+      });
+    default:
+      throw new Error(`Unknown retrieval provider: ${name}`);
+  }
+}
+
+/**
+ * Get the process-wide provider (created lazily from AgentConfig)
+ */
+export function getRetrievalProvider() {
+  if (!activeProvider) {
+    activeProvider = createRetrievalProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the process-wide provider (tests and scripts)
+ * Pass null to go back to the configured default.
+ */
+export function setRetrievalProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Search the knowledge base through the active provider
+ * Grounding is best-effort: when retrieval is disabled or fails this resolves to [].
+ * @param {string} query
+ * @param {SearchOptions} [options]
+ */
+export async function searchKnowledgeBase(query, options = {}) {
+  if (!AgentConfig.ragEnabled || !query?.trim()) {
+    return [];
+  }
+
+  try {
+    return await getRetrievalProvider().search(query, { limit: AgentConfig.ragDocumentLimit, ...options });
+  } catch (error) {
+    console.warn(`⚠️ [Retrieval] Knowledge base search failed: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Render passages as prompt context, one block per passage with its source
+ * @param {Array<import('./knowledgeCorpus.js').Passage>} passages
+ * @param {{ maxLength?: number }} [options] - Truncate each passage's text
+ */
+export function formatPassages(passages, { maxLength = 1500 } = {}) {
+  return passages.map(passage => {
+    const text = passage.text.length > maxLength ? `${passage.text.slice(0, maxLength)}...` : passage.text;
+    const heading = passage.section && passage.section !== passage.title ? `${passage.title} - ${passage.section}` : passage.title;
+    return `[${heading}]\n${text}${passage.url ? `\n(Source: ${passage.url})` : ''}`;
+  }).join('\n---\n');
+}
@@ -0,0 +1,278 @@
+/**
+ * Route Optimizer - Orders a day's stops to minimise travel
+ * Nearest neighbour construction improved with 2-opt and Or-opt, with optional
+ * time windows taken from the POIs' Google `operating_hours`.
+ * Pure and synchronous: no database or network access.
+ */
+
+import { getOpeningWindows, getRhodesClock, parseClock, flagStopsOutsideHours } from './opening-hours.js';
+
+// Straight-line distance undercounts Rhodes' winding roads
+const ROAD_DETOUR_FACTOR = 1.3;
+const DEFAULT_SPEED_KMH = 30;
+const DEFAULT_VISIT_MINUTES = 60;
+const DEFAULT_START_TIME = '09:00';
+
+// Cost weights (minutes): waiting outside a closed POI is cheap, arriving
+// too late to finish the visit is very expensive
+const WAIT_WEIGHT = 0.5;
+const LATE_WEIGHT = 10;
+
+const MAX_IMPROVEMENT_PASSES = 50;
+const OR_OPT_MAX_SEGMENT = 3;
+
+/**
+ * Extract { lat, lng } from any of the POI shapes used across the app
+ */
+export function getCoordinates(point) {
+  if (!point) return null;
+  const lat = parseFloat(point.latitude ?? point.lat ?? point.location?.coordinates?.lat ?? point.coordinates?.lat);
+  const lng = parseFloat(point.longitude ?? point.lng ?? point.location?.coordinates?.lng ?? point.coordinates?.lng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+function haversineMeters(a, b) {
+  const R = 6371000;
+  const dLat = (b.lat - a.lat) * Math.PI / 180;
+  const dLng = (b.lng - a.lng) * Math.PI / 180;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Estimated road travel time between two points in minutes (null without coordinates)
+ */
+export function estimateTravelMinutes(from, to, speedKmh = DEFAULT_SPEED_KMH) {
+  const a = getCoordinates(from);
+  const b = getCoordinates(to);
+  if (!a || !b) return null;
+  return haversineMeters(a, b) * ROAD_DETOUR_FACTOR / (speedKmh * 1000 / 60);
+}
+
+/**
+ * Build a route evaluator over a fixed set of stops
+ * Stops are referenced by index; -1 is the start point.
+ */
+function createEvaluator(coords, startCoords, { returnToStart, speedMetersPerMinute, windows, visitMinutes, startMinutes }) {
+  // Distances are reused heavily by the local search – precompute them
+  const points = startCoords ? [...coords, startCoords] : coords;
+  const matrix = points.map(a => points.map(b => haversineMeters(a, b) * ROAD_DETOUR_FACTOR));
+  const startIndex = coords.length;
+  const dist = (i, j) => matrix[i === -1 ? startIndex : i][j === -1 ? startIndex : j];
+
+  const useWindows = windows.some(w => w !== null);
+
+  return function evaluate(order, { withTimeline = false } = {}) {
+    let meters = 0;
+    let prev = startCoords ? -1 : null;
+    let clock = startMinutes;
+    let waitMinutes = 0;
+    let lateMinutes = 0;
+    const timeline = [];
+
+    for (const stop of order) {
+      if (prev !== null) {
+        const leg = dist(prev, stop);
+        meters += leg;
+        clock += leg / speedMetersPerMinute;
+      }
+
+      const visit = visitMinutes[stop];
+      const stopWindows = useWindows ? windows[stop] : null;
+      if (stopWindows) {
+        const usable = stopWindows.find(([, close]) => clock + visit <= close);
+        if (!usable) {
+          // Closed all day or already past the last window
+          lateMinutes += visit;
+        } else if (clock < usable[0]) {
+          waitMinutes += usable[0] - clock;
+          clock = usable[0];
+        }
+      }
+      if (withTimeline) {
+        timeline.push({ stop, arrivalMinutes: clock, departureMinutes: clock + visit });
+      }
+      clock += visit;
+
+      prev = stop;
+    }
+
+    if (returnToStart && startCoords && prev !== null && prev !== -1) {
+      meters += dist(prev, -1);
+    }
+
+    const travelMinutes = meters / speedMetersPerMinute;
+    return {
+      cost: travelMinutes + WAIT_WEIGHT * waitMinutes + LATE_WEIGHT * lateMinutes,
+      meters,
+      travelMinutes,
+      waitMinutes,
+      lateMinutes,
+      timeline
+    };
+  };
+}
+
+function nearestNeighbour(first, count, evaluate) {
+  const remaining = new Set(Array.from({ length: count }, (_, i) => i));
+  const order = [];
+  if (first !== null) {
+    order.push(first);
+    remaining.delete(first);
+  }
+  while (remaining.size > 0) {
+    let best = null;
+    let bestCost = Infinity;
+    for (const candidate of remaining) {
+      // Incremental cost of appending; includes time-window effects so far
+      const { cost } = evaluate([...order, candidate]);
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = candidate;
+      }
+    }
+    order.push(best);
+    remaining.delete(best);
+  }
+  return order;
+}
+
+function twoOpt(order, evaluate) {
+  let best = order;
+  let bestCost = evaluate(order).cost;
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+        const cost = evaluate(candidate).cost;
+        if (cost < bestCost - 1e-9) {
+          best = candidate;
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+function orOpt(order, evaluate) {
+  let best = order;
+  let bestCost = evaluate(order).cost;
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let length = 1; length <= OR_OPT_MAX_SEGMENT && length < best.length; length++) {
+      for (let i = 0; i + length <= best.length; i++) {
+        const segment = best.slice(i, i + length);
+        const rest = [...best.slice(0, i), ...best.slice(i + length)];
+        for (let j = 0; j <= rest.length; j++) {
+          if (j === i) continue;
+          for (const piece of length > 1 ? [segment, [...segment].reverse()] : [segment]) {
+            const candidate = [...rest.slice(0, j), ...piece, ...rest.slice(j)];
+            const cost = evaluate(candidate).cost;
+            if (cost < bestCost - 1e-9) {
+              best = candidate;
+              bestCost = cost;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Optimise the visiting order of a set of locations
+ *
+ * @param {Array<Object>} locations - POIs in any of the app's coordinate shapes
+ * @param {Object} [options]
+ * @param {Object} [options.startPoint] - Where the day starts (hotel / user location)
+ * @param {boolean} [options.returnToStart] - Count the leg back to the start point
+ *   (defaults to true when a start point is given)
+ * @param {boolean} [options.useTimeWindows=true] - Respect `operating_hours`
+ * @param {string} [options.startTime='09:00'] - Departure time (HH:MM, Rhodes time)
+ * @param {number} [options.dayOfWeek] - 0 = Sunday; defaults to today in Rhodes
+ * @param {number} [options.speedKmh=30] - Average travel speed
+ * @param {(poi: Object) => number} [options.visitMinutes] - Time spent at each stop
+ * @returns {{ route: Array<Object>, stats: Object }} Stops without coordinates are
+ *   appended in their original order
+ */
+export function optimizeRoute(locations, options = {}) {
+  const {
+    startPoint = null,
+    useTimeWindows = true,
+    startTime = DEFAULT_START_TIME,
+    dayOfWeek = getRhodesClock().day,
+    speedKmh = DEFAULT_SPEED_KMH,
+    visitMinutes = () => DEFAULT_VISIT_MINUTES
+  } = options;
+
+  const startCoords = getCoordinates(startPoint);
+  const returnToStart = options.returnToStart ?? !!startCoords;
+
+  const routable = [];
+  const unroutable = [];
+  for (const location of locations || []) {
+    (getCoordinates(location) ? routable : unroutable).push(location);
+  }
+
+  const coords = routable.map(getCoordinates);
+  const evaluate = createEvaluator(coords, startCoords, {
+    returnToStart,
+    speedMetersPerMinute: speedKmh * 1000 / 60,
+    windows: routable.map(poi => useTimeWindows ? getOpeningWindows(poi, dayOfWeek) : null),
+    visitMinutes: routable.map(poi => visitMinutes(poi) ?? DEFAULT_VISIT_MINUTES),
+    startMinutes: parseClock(startTime) ?? parseClock(DEFAULT_START_TIME)
+  });
+
+  const identity = routable.map((_, i) => i);
+  const before = evaluate(identity);
+
+  let bestOrder = identity;
+  let bestCost = before.cost;
+
+  if (routable.length > 1) {
+    // With a fixed start point nearest neighbour begins there; an open route
+    // may begin anywhere, so try every stop as the first one
+    const seeds = startCoords ? [null] : identity;
+    for (const seed of seeds) {
+      let order = nearestNeighbour(seed, routable.length, evaluate);
+      for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+        const costBefore = evaluate(order).cost;
+        order = orOpt(twoOpt(order, evaluate), evaluate);
+        if (evaluate(order).cost >= costBefore - 1e-9) break;
+      }
+      const { cost } = evaluate(order);
+      if (cost < bestCost - 1e-9) {
+        bestOrder = order;
+        bestCost = cost;
+      }
+    }
+  }
+
+  const after = evaluate(bestOrder, { withTimeline: true });
+  const hoursWarnings = useTimeWindows
+    ? flagStopsOutsideHours(after.timeline.map(entry => ({ ...entry, poi: routable[entry.stop] })), dayOfWeek)
+    : [];
+
+  return {
+    route: [...bestOrder.map(i => routable[i]), ...unroutable],
+    stats: {
+      totalDistanceMeters: Math.round(after.meters),
+      totalTravelMinutes: Math.round(after.travelMinutes),
+      waitMinutes: Math.round(after.waitMinutes),
+      lateMinutes: Math.round(after.lateMinutes),
+      originalDistanceMeters: Math.round(before.meters),
+      includesReturnLeg: returnToStart && !!startCoords,
+      timeWindowsApplied: useTimeWindows && routable.some(poi => getOpeningWindows(poi, dayOfWeek) !== null),
+      unroutableCount: unroutable.length,
+      hoursWarnings
+    }
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Admin routes: user management, reports, cache metrics and the audit log.
+ * Every route here is registered with `auth: 'required'` and requireRole('admin');
+ * destructive actions are written to admin_audit_log.
+ */
+
+import * as store from '../db-adapter.js';
+import { getAdminReport } from '../admin-analytics.js';
+import { getCacheMetrics } from '../cache.js';
+
+const MAX_AUDIT_ENTRIES = 500;
+
+// Account fields an admin may see (no login token hashes)
+function publicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    has_paid: user.has_paid,
+    free_chats_used: user.free_chats_used,
+    created_at: user.created_at,
+    updated_at: user.updated_at
+  };
+}
+
+// GET /api/dev/users
+export async function listUsers() {
+  const users = await store.getAllUsers();
+  return { status: 200, body: { users: users.map(publicUser) } };
+}
+
+// GET /api/debug/user/:email
+export async function getUserStatus({ params }) {
+  const user = await store.getUserByEmail(params.email);
+  if (!user) return { status: 404, body: { error: 'User not found' } };
+  return { status: 200, body: publicUser(user) };
+}
+
+// POST /api/admin/delete-user { email }
+export async function deleteUser({ body, user: admin }) {
+  const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!email) return { status: 400, body: { error: 'Email is required' } };
+  if (email === admin.email.toLowerCase()) {
+    return { status: 400, body: { error: 'Admins cannot delete their own account' } };
+  }
+
+  const target = await store.getUserByEmail(email);
+  if (!target) return { status: 404, body: { error: 'User not found' } };
+
+  // Audit first: if the entry cannot be written, the account must not be deleted unrecorded
+  await store.recordAdminAction({
+    actorEmail: admin.email,
+    action: 'delete_user',
+    target: email,
+    details: { role: target.role, has_paid: Boolean(target.has_paid) }
+  });
+  await store.deleteUserByEmail(email);
+  console.log(`🗑️ [Admin] ${admin.email} deleted user ${email}`);
+  return { status: 200, body: { success: true } };
+}
+
+// GET /api/admin/audit-log?limit=
+export async function getAuditLog({ query }) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 100, 1), MAX_AUDIT_ENTRIES);
+  return { status: 200, body: { entries: await store.getAdminAuditLog(limit) } };
+}
+
+// GET /api/admin/analytics/:report
+export function getAnalyticsReport({ params, query }) {
+  return getAdminReport(store, params.report, query);
+}
+
+// GET /api/admin/cache-stats
+export function getCacheStats() {
+  return { status: 200, body: getCacheMetrics() };
+}
@@ -0,0 +1,184 @@
+/**
+ * API Routes
+ * The single list of endpoints. backend/server.js mounts all of them;
+ * each api/*.js Vercel function serves the routes under one path.
+ * See ./registry.js for the route fields and the handler contract.
+ */
+
+import * as store from '../db-adapter.js';
+import { chatGuard } from '../middleware/chatGuard.js';
+import { requireRole } from '../middleware/auth.js';
+import { peekUsage, setUsageHeaders } from '../metering.js';
+import { createEventStream } from '../event-stream.js';
+import { resolveSharedPlan } from '../plan-sharing.js';
+import { buildPlanExport, EXPORT_FORMATS } from '../plan-export.js';
+import { importPlanFile } from '../plan-import.js';
+import { listSessions, createSession, getSession, renameSession, deleteSession } from '../chat-sessions.js';
+import { fetchMapboxRoute, mapboxDirections } from '../tools/mapboxDirectionsProxy.js';
+import {
+  handleUserDataAction,
+  listPlans,
+  createPlan,
+  getPlan,
+  updatePlan,
+  deletePlan,
+  sharePlan,
+  revokePlanShare,
+  getPreferences,
+  putPreferences,
+  getSessionMessages,
+  appendSessionMessage,
+  clearSessionMessages
+} from '../user-data-api.js';
+import { handleAuthAction, getMe } from './login.js';
+import { listUsers, getUserStatus, deleteUser, getAuditLog, getAnalyticsReport, getCacheStats } from './admin.js';
+import { createCheckoutSession, getSessionStatus, paymentSuccess, stripeWebhook } from './payments.js';
+import { handlePhotosAction } from './photos.js';
+import { createVercelHandler } from './registry.js';
+
+// Configuration flag for enabling the LangChain agent
+const USE_LANGCHAIN_AGENT = process.env.USE_LANGCHAIN_AGENT === 'true';
+
+// The LLM handlers are loaded on first use to keep the other functions' cold starts small
+const chatHandlers = {
+  chat: () => import('../chatHandler.js'),
+  agent: () => import('../agentHandler.js'),
+  step: () => import('../stepHandler.js'),
+  guided: () => import('../guidedChatHandler.js')
+};
+
+const streamingHandler = load => async ({ req, res }) => {
+  const { default: handler } = await load();
+  await handler(req, res);
+};
+
+// POST /api/chat - `action: 'agent'` (or USE_LANGCHAIN_AGENT) routes to the LangChain agent
+async function chat({ req, res, body }) {
+  const action = body?.action || 'chat';
+  if (!['chat', 'send-prompt', 'agent'].includes(action)) {
+    return { status: 400, body: { error: 'Invalid action' } };
+  }
+
+  try {
+    const load = action === 'agent' || USE_LANGCHAIN_AGENT ? chatHandlers.agent : chatHandlers.chat;
+    await streamingHandler(load)({ req, res });
+  } catch (error) {
+    console.error('Error in chat handler:', error.message);
+    // The handler may already be streaming; respond() sends an error event then
+    createEventStream(req, res).respond(500, {
+      error: 'Internal server error',
+      fallback: true,
+      reply: "I apologize, but I'm experiencing technical difficulties. Please try your request again.",
+      structuredData: { locations: [], metadata: { error: error.message } }
+    });
+  }
+}
+
+// GET /api/usage - current quota for the caller (does not consume usage)
+async function usage({ req, res }) {
+  try {
+    const snapshot = await peekUsage(req);
+    setUsageHeaders(res, snapshot);
+    return { status: 200, body: { usage: snapshot } };
+  } catch (err) {
+    console.error('❌ Error reading usage:', err.message);
+    return { status: 500, body: { error: 'Unable to read usage' } };
+  }
+}
+
+// GET /api/plans/:id/export?format=gpx|kml|ics|html|pdf
+async function exportPlan({ params, query, user }) {
+  const format = String(query.format || '').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return { status: 400, body: { error: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` } };
+  }
+
+  const plan = await store.getTravelPlan(user.id, Number(params.id));
+  if (!plan) {
+    return { status: 404, body: { error: 'Plan not found' } };
+  }
+
+  const file = await buildPlanExport(
+    { id: plan.id, name: plan.plan_name, data: plan.plan_data },
+    format,
+    { fetchRoute: fetchMapboxRoute, startDate: query.startDate }
+  );
+  console.log(`📤 Exported travel plan ${plan.id} as ${format} for user ${user.email}`);
+  return {
+    status: 200,
+    headers: {
+      'Content-Type': file.contentType,
+      'Content-Disposition': `${file.disposition}; filename="${file.filename}"`
+    },
+    body: file.body
+  };
+}
+
+// Handlers from user-data-api.js take (store, user, request)
+const userData = operation => ({ user, params, body, headers }) => operation(store, user, { params, body, headers });
+
+// Admin routes: signed in with the admin role
+const admin = { auth: 'required', use: [requireRole('admin')] };
+
+export const routes = [
+  // Chat and planning (metered)
+  { method: 'POST', path: '/api/chat', auth: 'optional', use: [chatGuard], handler: chat },
+  { method: 'POST', path: '/api/agent', auth: 'optional', use: [chatGuard], handler: streamingHandler(chatHandlers.agent) },
+  { method: 'POST', path: '/api/poi-step', auth: 'optional', use: [chatGuard], handler: streamingHandler(chatHandlers.step) },
+  { method: 'POST', path: '/api/guided-chat', auth: 'optional', use: [chatGuard], handler: streamingHandler(chatHandlers.guided) },
+  { method: 'GET', path: '/api/usage', auth: 'optional', handler: usage },
+
+  // Login and account
+  { method: 'POST', path: '/api/auth', handler: handleAuthAction },
+  { method: 'GET', path: '/api/me', auth: 'optional', handler: getMe },
+
+  // Payments
+  { method: 'POST', path: '/api/create-checkout-session', auth: 'optional', handler: createCheckoutSession },
+  { method: 'GET', path: '/api/session-status', handler: getSessionStatus },
+  { method: 'GET', path: '/api/payment-success', handler: paymentSuccess },
+  { method: 'POST', path: '/api/stripe-webhook', body: 'raw', handler: stripeWebhook },
+
+  // Maps and photos
+  { method: 'GET', path: '/api/photos', handler: handlePhotosAction },
+  { method: 'POST', path: '/api/mapbox-directions', handler: mapboxDirections },
+
+  // Travel plans
+  { method: 'GET', path: '/api/plans', auth: 'required', handler: userData(listPlans) },
+  { method: 'POST', path: '/api/plans', auth: 'required', handler: userData(createPlan) },
+  { method: 'POST', path: '/api/plans/import', auth: 'required', bodyLimit: '1mb', handler: ({ body }) => importPlanFile(body || {}, store.findPOIByNameAndLocation) },
+  { method: 'GET', path: '/api/plans/:id', auth: 'required', handler: userData(getPlan) },
+  { method: 'PUT', path: '/api/plans/:id', auth: 'required', handler: userData(updatePlan) },
+  { method: 'DELETE', path: '/api/plans/:id', auth: 'required', handler: userData(deletePlan) },
+  { method: 'GET', path: '/api/plans/:id/export', auth: 'required', handler: exportPlan },
+  { method: 'POST', path: '/api/plans/:id/share', auth: 'required', handler: userData(sharePlan) },
+  { method: 'DELETE', path: '/api/plans/:id/share', auth: 'required', handler: userData(revokePlanShare) },
+  { method: 'GET', path: '/api/shared-plan', handler: ({ query }) => resolveSharedPlan(query.token, store.getTravelPlanByShareToken) },
+
+  // Preferences and chat sessions
+  { method: 'GET', path: '/api/preferences', auth: 'required', handler: userData(getPreferences) },
+  { method: 'PUT', path: '/api/preferences', auth: 'required', handler: userData(putPreferences) },
+  { method: 'GET', path: '/api/sessions', auth: 'required', handler: ({ user }) => listSessions(store, user.id) },
+  { method: 'POST', path: '/api/sessions', auth: 'required', handler: ({ user, body }) => createSession(store, user.id, body || {}) },
+  { method: 'GET', path: '/api/sessions/:id', auth: 'required', handler: ({ user, params }) => getSession(store, user.id, params.id) },
+  { method: 'PATCH', path: '/api/sessions/:id', auth: 'required', handler: ({ user, params, body }) => renameSession(store, user.id, params.id, body || {}) },
+  { method: 'DELETE', path: '/api/sessions/:id', auth: 'required', handler: ({ user, params }) => deleteSession(store, user.id, params.id) },
+  { method: 'GET', path: '/api/sessions/:id/messages', auth: 'required', handler: userData(getSessionMessages) },
+  { method: 'POST', path: '/api/sessions/:id/messages', auth: 'required', handler: userData(appendSessionMessage) },
+  { method: 'DELETE', path: '/api/sessions/:id/messages', auth: 'required', handler: userData(clearSessionMessages) },
+  { method: 'POST', path: '/api/user-data', auth: 'required', handler: ({ user, body }) => handleUserDataAction(store, user, body || {}) },
+
+  // Administration
+  { method: 'GET', path: '/api/dev/users', ...admin, handler: listUsers },
+  { method: 'GET', path: '/api/debug/user/:email', ...admin, handler: getUserStatus },
+  { method: 'POST', path: '/api/admin/delete-user', ...admin, handler: deleteUser },
+  { method: 'GET', path: '/api/admin/audit-log', ...admin, handler: getAuditLog },
+  { method: 'GET', path: '/api/admin/analytics/:report', ...admin, handler: getAnalyticsReport },
+  { method: 'GET', path: '/api/admin/cache-stats', ...admin, handler: getCacheStats }
+];
+
+/**
+ * Vercel function for one path, e.g. `export default vercelHandler('/api/plans/:id')`
+ */
+export function vercelHandler(path) {
+  return createVercelHandler(path, routes);
+}
@@ -0,0 +1,104 @@
+/**
+ * Magic-link login, logout and the signed-in user's profile
+ */
+
+import crypto from 'crypto';
+import { createJWT, generateMagicToken, sessionCookie, clearedSessionCookie } from '../auth.js';
+import { upsertUser, setMagicToken, getUserByMagicToken, clearMagicToken } from '../db-adapter.js';
+import { sendMagicLink, sendSignupConfirmation } from '../email.js';
+
+const IS_PROD = process.env.NODE_ENV === 'production';
+
+// POST /api/auth { action: 'request-login', email }
+export async function requestLogin({ body }) {
+  const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!email) return { status: 400, body: { error: 'Email is required' } };
+
+  const { token, hash, expires } = generateMagicToken();
+  console.log('[Signup] Attempting to upsert user:', email);
+  const user = await upsertUser(email);
+  await setMagicToken(email, hash, expires);
+
+  // Send signup confirmation if this is a new user
+  if (user && user.created_at && user.created_at === user.updated_at) {
+    console.log('[Signup] Sending signup confirmation email to:', email);
+    try {
+      await sendSignupConfirmation(email);
+      console.log('[Signup] Signup confirmation email sent to:', email);
+    } catch (err) {
+      console.error('[Signup] Error sending signup confirmation:', err);
+    }
+  }
+
+  // Generate magic link URL (using HashRouter format)
+  const frontendDomain = IS_PROD ? process.env.DOMAIN : 'http://localhost:5173';
+  const link = `${frontendDomain}/#/login?token=${token}`;
+
+  console.log(`🔗 [Login] Generated magic link: ${link}`);
+  await sendMagicLink(email, link);
+  return { status: 200, body: { success: true } };
+}
+
+// POST /api/auth { action: 'verify-login', token }
+export async function verifyLogin({ body }) {
+  const token = body?.token;
+  console.log('🔍 [Login] Received token verification request');
+  if (!token) {
+    return { status: 400, body: { error: 'Token is required' } };
+  }
+
+  const hash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  const user = await getUserByMagicToken(hash);
+
+  // Postgres returns the BIGINT expiry as a string
+  const expires = Number(user?.magic_token_expires);
+  if (!user || !expires || expires < Date.now()) {
+    console.log('❌ [Login] Invalid or expired token');
+    return { status: 401, body: { error: 'Invalid or expired token' } };
+  }
+
+  await clearMagicToken(user.email);
+  const jwt = createJWT({ email: user.email });
+
+  console.log(`✅ [Login] Login successful for ${user.email}`);
+  return { status: 200, cookies: [sessionCookie(jwt)], body: { success: true, jwt } };
+}
+
+// POST /api/auth { action: 'logout' }
+export function logout() {
+  return { status: 200, cookies: [clearedSessionCookie()], body: { success: true } };
+}
+
+const AUTH_ACTIONS = {
+  'request-login': requestLogin,
+  'verify-login': verifyLogin,
+  logout
+};
+
+// POST /api/auth - one function for the three login steps
+export async function handleAuthAction(request) {
+  const action = request.body?.action || request.query.action;
+  if (!action) return { status: 400, body: { error: 'Missing action parameter' } };
+
+  const handler = AUTH_ACTIONS[action];
+  if (!handler) return { status: 400, body: { error: 'Invalid action' } };
+  return handler(request);
+}
+
+// GET /api/me
+export function getMe({ user }) {
+  if (!user) return { status: 401, body: { error: 'Not authenticated' } };
+  return {
+    status: 200,
+    body: {
+      user: {
+        email: user.email,
+        role: user.role || 'user',
+        has_paid: user.has_paid,
+        free_chats_used: user.free_chats_used,
+        created_at: user.created_at,
+        updated_at: user.updated_at
+      }
+    }
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * Stripe checkout, payment confirmation and the webhook that keeps the
+ * payments ledger (and with it `has_paid`) in step with Stripe
+ */
+
+import Stripe from 'stripe';
+import { createJWT, sessionCookie } from '../auth.js';
+import * as store from '../db-adapter.js';
+import { recordPayment, findPayment, applyRefund, applyDispute, recalculateEntitlement } from '../payments-ledger.js';
+import { sendSignupConfirmation } from '../email.js';
+import { StripeConfig } from '../config/stripeConfig.js';
+
+let stripeClient = null;
+
+/**
+ * Stripe client, created on first use so routes without payments work without keys
+ */
+export function getStripe() {
+  if (!stripeClient) {
+    if (!StripeConfig.secretKey) {
+      throw new Error('Missing STRIPE_SECRET_KEY_TEST environment variable');
+    }
+    stripeClient = new Stripe(StripeConfig.secretKey, { apiVersion: StripeConfig.apiVersion });
+  }
+  return stripeClient;
+}
+
+function sanitizeDomain(input) {
+  if (!input) return null;
+  let url = input.trim();
+  // Prepend https:// if protocol is missing
+  if (!/^https?:\/\//i.test(url)) {
+    url = `https://${url}`;
+  }
+  return url.replace(/\/+$/, '');
+}
+
+// DOMAIN, or the origin of the request when it is not configured
+function baseUrlFor(headers) {
+  return sanitizeDomain(process.env.DOMAIN) || sanitizeDomain(headers.origin || (headers.host && `https://${headers.host}`));
+}
+
+async function resolveCustomerEmail(stripe, { email, customer }) {
+  if (email) return email;
+  if (!customer) return null;
+  try {
+    const record = await (stripe || getStripe()).customers.retrieve(customer);
+    return record.email || null;
+  } catch (error) {
+    console.error('❌ Failed to fetch customer from Stripe:', error.message);
+    return null;
+  }
+}
+
+// POST /api/create-checkout-session { email? }
+export async function createCheckoutSession({ body, headers, user }) {
+  const email = user?.email || body?.email || null;
+  const baseUrl = baseUrlFor(headers);
+  if (!baseUrl) {
+    return { status: 500, body: { error: 'Unable to determine base URL for success/cancel redirect' } };
+  }
+
+  try {
+    const session = await getStripe().checkout.sessions.create({
+      mode: 'payment',
+      payment_method_types: ['card'],
+      line_items: [{ price: StripeConfig.priceId, quantity: 1 }],
+      success_url: `${baseUrl}/api/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${baseUrl}/paywall`,
+      customer_creation: 'always',
+      billing_address_collection: 'required',
+      ...(email && { customer_email: email }),
+      metadata: {
+        source: 'wanderrhodes_paywall',
+        customer_email: email || 'collected_at_checkout'
+      },
+      payment_intent_data: {
+        ...(email && { receipt_email: email }),
+        metadata: {
+          source: 'wanderrhodes_paywall',
+          customer_email: email || 'collected_at_checkout'
+        }
+      }
+    });
+    console.log('✅ Checkout session created:', session.id);
+    return { status: 200, body: { url: session.url } };
+  } catch (error) {
+    console.error('❌ Error creating session:', error.message);
+    return { status: 500, body: { error: error.message || 'Stripe session failed' } };
+  }
+}
+
+// GET /api/session-status?session_id=
+export async function getSessionStatus({ query }) {
+  if (!query.session_id) return { status: 400, body: { error: 'Missing session_id' } };
+
+  try {
+    // 🔒 Always verify with Stripe; paid status itself only changes through the webhook
+    const session = await getStripe().checkout.sessions.retrieve(query.session_id);
+    return {
+      status: 200,
+      body: {
+        status: session.status,
+        customer_email: session.customer_details?.email || session.customer_email || null,
+        payment_status: session.payment_status || null
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching session:', error.message);
+    return { status: 500, body: { error: error.message || 'Unable to retrieve session' } };
+  }
+}
+
+// GET /api/payment-success?session_id= - Stripe redirects here after checkout
+export async function paymentSuccess({ query }) {
+  const sessionId = query.session_id;
+  if (!sessionId) return { status: 400, body: { error: 'Missing session_id' } };
+
+  try {
+    const stripe = getStripe();
+    const session = await stripe.checkout.sessions.retrieve(sessionId);
+    const email = session.status === 'complete'
+      ? await resolveCustomerEmail(stripe, { email: session.customer_email || session.customer_details?.email, customer: session.customer })
+      : null;
+
+    if (!email) {
+      console.warn('⚠️ Payment success: session not complete or no email found, status:', session.status);
+      return { redirect: '/paywall' };
+    }
+
+    // 🔒 Only the webhook marks users as paid; here we just sign them in once it has
+    let user = await store.getUserByEmail(email);
+    if (!user?.has_paid && query.manual_fix === 'true' && session.payment_status === 'paid') {
+      // Recovery for a webhook that never arrived - Stripe has confirmed the payment above
+      console.log(`🔧 Manual fix triggered for user: ${email}`);
+      user = await markPaid(email, checkoutPayment(session));
+    }
+
+    if (!user?.has_paid) {
+      console.warn(`⚠️ Session complete but user ${email} not marked as paid - webhook may not have processed yet`);
+      return { redirect: `/payment-processing?session_id=${encodeURIComponent(sessionId)}` };
+    }
+
+    return { redirect: '/', cookies: [sessionCookie(createJWT({ email }))] };
+  } catch (error) {
+    console.error('❌ Payment success error:', error.message);
+    return { redirect: '/paywall' };
+  }
+}
+
+function checkoutPayment(session) {
+  return { paymentIntentId: session.payment_intent, checkoutSessionId: session.id, amount: session.amount_total, currency: session.currency };
+}
+
+/**
+ * Record a successful payment and grant access, sending the welcome email the first time only.
+ * The ledger has the last word: a payment refunded before this event arrived grants nothing.
+ */
+async function markPaid(email, payment) {
+  const before = await store.getUserByEmail(email);
+  await store.upsertUser(email);
+
+  if (payment.paymentIntentId) {
+    await recordPayment(store, { email, ...payment });
+    await recalculateEntitlement(store, email);
+  } else {
+    console.warn(`⚠️ Payment for ${email} has no PaymentIntent - not recorded in the ledger`);
+    await store.markUserPaid(email);
+  }
+
+  const user = await store.getUserByEmail(email);
+  if (user.has_paid) console.log(`✅ User marked as paid: ${email}`);
+
+  if (user.has_paid && !before?.has_paid) {
+    try {
+      await sendSignupConfirmation(email);
+      console.log(`📧 Welcome email sent to: ${email}`);
+    } catch (error) {
+      console.error('❌ Failed to send welcome email:', error.message);
+    }
+  }
+  return user;
+}
+
+/**
+ * Apply a verified Stripe event
+ * @returns {Promise<string>} What was done, for logs and tests
+ */
+export async function handleStripeEvent(event, stripe = null) {
+  const object = event.data?.object || {};
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+    case 'checkout.session.async_payment_succeeded': {
+      if (object.payment_status !== 'paid') {
+        console.warn('⚠️ Session completed but payment_status is not "paid":', object.payment_status);
+        return 'ignored_unpaid';
+      }
+      const email = await resolveCustomerEmail(stripe, { email: object.customer_email || object.customer_details?.email, customer: object.customer });
+      if (!email) {
+        console.warn(`❌ No customer email found in ${event.type} event`);
+        return 'no_email';
+      }
+      await markPaid(email, checkoutPayment(object));
+      console.log(`💰 Payment amount: ${object.amount_total / 100} ${object.currency?.toUpperCase()}`);
+      return 'marked_paid';
+    }
+
+    case 'payment_intent.succeeded': {
+      const email = await resolveCustomerEmail(stripe, { customer: object.customer }) || object.receipt_email;
+      if (!email) {
+        console.warn('❌ No customer email found in payment_intent.succeeded event');
+        return 'no_email';
+      }
+      await markPaid(email, {
+        paymentIntentId: object.id,
+        chargeId: object.latest_charge,
+        amount: object.amount_received ?? object.amount,
+        currency: object.currency
+      });
+      return 'marked_paid';
+    }
+
+    case 'charge.refunded': {
+      const known = await findPayment(store, { paymentIntentId: object.payment_intent, chargeId: object.id });
+      const email = known?.email
+        || object.billing_details?.email
+        || object.receipt_email
+        || await resolveCustomerEmail(stripe, { customer: object.customer });
+      const payment = await applyRefund(store, object, email);
+      if (!payment) {
+        console.warn(`⚠️ Refund for ${object.id} has no PaymentIntent or customer email - ledger unchanged`);
+        return 'unknown_payment';
+      }
+      await recalculateEntitlement(store, payment.email);
+      console.log(`↩️ Refunded ${object.amount_refunded / 100} ${object.currency?.toUpperCase()} of ${payment.payment_intent_id}: ${payment.status}`);
+      return payment.status;
+    }
+
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+    case 'charge.dispute.funds_withdrawn':
+    case 'charge.dispute.funds_reinstated': {
+      const payment = await applyDispute(store, object);
+      if (!payment) {
+        console.warn(`⚠️ ${event.type} for a charge the ledger has never seen: ${object.charge}`);
+        return 'unknown_payment';
+      }
+      await recalculateEntitlement(store, payment.email);
+      console.log(`⚖️ ${event.type} (${object.status}) on ${payment.payment_intent_id}: ${payment.status}`);
+      return payment.status;
+    }
+
+    case 'checkout.session.async_payment_failed':
+    case 'payment_intent.payment_failed': {
+      // Nothing to undo - users are only marked as paid once a payment succeeds - but the admin dashboard reports failures
+      const isSession = event.type.startsWith('checkout.session');
+      const reason = object.last_payment_error?.message || object.last_payment_error?.code || object.payment_status || null;
+      await store.recordPaymentFailure({
+        eventId: event.id,
+        email: await resolveCustomerEmail(stripe, { email: object.customer_email || object.customer_details?.email || object.receipt_email, customer: object.customer }),
+        paymentIntentId: isSession ? object.payment_intent : object.id,
+        checkoutSessionId: isSession ? object.id : null,
+        amount: object.amount_total ?? object.amount ?? 0,
+        currency: object.currency?.toLowerCase() ?? null,
+        reason,
+        createdAt: event.created ?? null
+      });
+      console.log(`⚠️ ${event.type} for ${object.id}:`, reason);
+      return 'recorded_failure';
+    }
+
+    case 'payment_intent.canceled':
+      // Abandoned checkouts cancel their PaymentIntent too, so these are not reported as failures
+      console.log(`⚠️ ${event.type} for ${object.id}:`, object.cancellation_reason);
+      return 'logged';
+
+    default:
+      console.log(`ℹ️ Ignoring webhook event type: ${event.type}`);
+      return 'ignored';
+  }
+}
+
+// POST /api/stripe-webhook - raw body, signed by Stripe
+export async function stripeWebhook({ body, headers }) {
+  const signature = headers['stripe-signature'];
+  const secret = StripeConfig.webhookSecret;
+  let event;
+
+  try {
+    if (secret) {
+      event = getStripe().webhooks.constructEvent(body, signature, secret);
+    } else if (process.env.NODE_ENV !== 'production') {
+      console.warn('⚠️ STRIPE_WEBHOOK_SECRET not set - webhook signature verification disabled');
+      event = JSON.parse(body.toString());
+    } else {
+      throw new Error('Webhook secret not configured');
+    }
+  } catch (error) {
+    console.error('❌ Webhook signature verification failed:', error.message);
+    return { status: 400, body: `Webhook Error: ${error.message}` };
+  }
+
+  if (!event.id) {
+    return { status: 400, body: 'Webhook Error: event has no id' };
+  }
+  console.log('✅ Verified Stripe webhook event:', event.type, event.id);
+
+  // Stripe delivers at least once; each event id is applied once
+  if (!await store.recordStripeEvent(event.id, event.type)) {
+    console.log(`🔁 Stripe event ${event.id} already processed`);
+    return { status: 200, body: { received: true, duplicate: true } };
+  }
+
+  try {
+    const outcome = await handleStripeEvent(event);
+    return { status: 200, body: { received: true, outcome } };
+  } catch (error) {
+    // Forget the event so Stripe's retry gets another chance
+    await store.releaseStripeEvent(event.id);
+    console.error(`❌ Failed to process Stripe event ${event.id}:`, error.message);
+    return { status: 500, body: { error: 'Webhook processing failed' } };
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Place photos: Google Places lookups and an image proxy for remote photo URLs
+ */
+
+import axios from 'axios';
+import { fetchPlacePhoto } from '../tools/googlePlaces.js';
+
+// GET /api/photos?action=proxy&url=
+export async function photoProxy({ query }) {
+  if (!query.url) return { status: 400, body: 'Missing url parameter' };
+
+  try {
+    const resp = await axios.get(query.url, {
+      responseType: 'arraybuffer',
+      timeout: 10000,
+      headers: { 'User-Agent': 'WanderRhodes/1.0 (https://wanderrhodes.com)' }
+    });
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': resp.headers['content-type'] || 'image/jpeg',
+        'Cache-Control': 'public,max-age=86400' // Cache for 24 hours
+      },
+      body: Buffer.from(resp.data)
+    };
+  } catch (error) {
+    console.error('Photo proxy error:', error.message);
+    return { status: 500, body: 'Failed to fetch image' };
+  }
+}
+
+// GET /api/photos?action=place&query=
+export async function placePhoto({ query }) {
+  if (!query.query) return { status: 400, body: { error: 'Missing query parameter' } };
+
+  try {
+    const { photoUrl, placeId } = await fetchPlacePhoto(query.query);
+    if (!photoUrl && !placeId) {
+      return { status: 404, body: { error: 'No photo or place found' } };
+    }
+    return { status: 200, body: { photoUrl, placeId } };
+  } catch (error) {
+    console.error('Error in place photo handler:', error.message);
+    return { status: 500, body: { error: 'Failed to fetch photo' } };
+  }
+}
+
+const PHOTO_ACTIONS = { proxy: photoProxy, place: placePhoto };
+
+// GET /api/photos?action=proxy|place
+export function handlePhotosAction(request) {
+  const { action } = request.query;
+  if (!action) return { status: 400, body: { error: 'Missing action parameter' } };
+
+  const handler = PHOTO_ACTIONS[action];
+  if (!handler) return { status: 400, body: { error: 'Invalid action' } };
+  return handler(request);
+}
@@ -0,0 +1,180 @@
+/**
+ * Route Registry
+ * One route table served by both deployments: the Express dev server mounts
+ * it with mountExpressRoutes(), and every api/*.js Vercel function is
+ * createVercelHandler('<path>') for one of its paths.
+ *
+ * A route is { method, path, handler } plus optional:
+ *   auth     - 'optional' attaches req.user when signed in, 'required' answers 401 otherwise
+ *   use      - Express-style middleware run after auth, e.g. chatGuard or requireRole('admin')
+ *   body     - 'raw' hands the handler the unparsed Buffer (webhook signatures)
+ *   bodyLimit - JSON size limit when larger than the default
+ *
+ * Handlers get { req, res, method, params, query, body, headers, user } and
+ * return { status, body, headers, cookies, redirect }. A handler that writes
+ * the response itself (streaming chat, SSE) returns nothing.
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import { USAGE_HEADERS } from '../metering.js';
+
+// Response headers the browser may read (Express cors() and the Vercel adapter)
+export const CORS_EXPOSED_HEADERS = [...USAGE_HEADERS, 'ETag'];
+
+const AUTH_REQUIRED = { status: 401, body: { error: 'Authentication required' } };
+
+// -------------------------
+// Requests
+// -------------------------
+
+async function readRawBody(req) {
+  if (Buffer.isBuffer(req.body)) return req.body;
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Express-style middleware (chatGuard); false when it answered instead of calling next()
+async function runMiddleware(middleware, req, res) {
+  let proceed = false;
+  await middleware(req, res, error => {
+    if (error) throw error;
+    proceed = true;
+  });
+  return proceed;
+}
+
+// -------------------------
+// Responses
+// -------------------------
+
+/**
+ * Write a handler result with plain Node response methods
+ */
+export function writeResult(res, { status = 200, body, headers = {}, cookies = [], redirect } = {}) {
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+  if (cookies.length > 0) {
+    res.setHeader('Set-Cookie', cookies);
+  }
+
+  if (redirect) {
+    res.statusCode = status === 200 ? 302 : status;
+    res.setHeader('Location', redirect);
+    return res.end();
+  }
+
+  res.statusCode = status;
+  if (body === undefined || status === 204 || status === 304) {
+    return res.end();
+  }
+  if (Buffer.isBuffer(body) || typeof body === 'string') {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    return res.end(body);
+  }
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  return res.end(JSON.stringify(body));
+}
+
+/**
+ * Run one route for a request whose path params are already known
+ */
+export async function runRoute(route, req, res, params = {}) {
+  try {
+    if (route.auth) {
+      req.user = (await authenticate(req)) || undefined;
+      if (route.auth === 'required' && !req.user) {
+        return writeResult(res, AUTH_REQUIRED);
+      }
+    }
+
+    for (const middleware of route.use || []) {
+      if (!await runMiddleware(middleware, req, res)) return;
+    }
+
+    const body = route.body === 'raw' ? await readRawBody(req) : req.body;
+    const result = await route.handler({
+      req,
+      res,
+      method: req.method,
+      params,
+      query: req.query || {},
+      body,
+      headers: req.headers || {},
+      user: req.user || null
+    });
+
+    if (result && !res.headersSent) {
+      writeResult(res, result);
+    }
+  } catch (error) {
+    console.error(`🚨 ${route.method} ${route.path} error:`, error.message);
+    if (!res.headersSent) {
+      writeResult(res, { status: 500, body: { error: 'Internal server error' } });
+    }
+  }
+}
+
+// -------------------------
+// Express
+// -------------------------
+
+/**
+ * Mount every route on an Express app, body parsers included
+ */
+export function mountExpressRoutes(app, routes) {
+  // Route-specific parsers go first; express.json() skips bodies already read
+  for (const route of routes) {
+    if (route.body === 'raw') {
+      app.use(route.path, express.raw({ type: '*/*' }));
+    } else if (route.bodyLimit) {
+      app.use(route.path, express.json({ limit: route.bodyLimit }));
+    }
+  }
+  app.use(express.json());
+
+  for (const route of routes) {
+    app[route.method.toLowerCase()](route.path, (req, res) => runRoute(route, req, res, req.params));
+  }
+}
+
+// -------------------------
+// Vercel
+// -------------------------
+
+const paramNames = path => path.split('/').filter(part => part.startsWith(':')).map(part => part.slice(1));
+
+/**
+ * Vercel function for every route registered under `path`.
+ * Dynamic segments (/api/plans/:id) come from the file name (api/plans/[id]) via req.query.
+ */
+export function createVercelHandler(path, routes) {
+  const methods = routes.filter(route => route.path === path);
+  if (methods.length === 0) {
+    throw new Error(`No routes registered for ${path}`);
+  }
+  const allow = methods.map(route => route.method).join(', ');
+
+  return async function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS.join(', '));
+
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', allow);
+      res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type');
+      return writeResult(res, { status: 204 });
+    }
+
+    const route = methods.find(candidate => candidate.method === req.method);
+    if (!route) {
+      return writeResult(res, { status: 405, headers: { Allow: allow }, body: { error: 'Method not allowed' } });
+    }
+
+    const params = Object.fromEntries(paramNames(path).map(name => [name, String(req.query?.[name] ?? '')]));
+    return runRoute(route, req, res, params);
+  };
+}
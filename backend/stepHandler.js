@@ -5,8 +5,15 @@
  */
 
 import { OpenAI } from 'openai';
-import { hasEnhancedFeatures, getContextualRecommendations, getEnhancedNearbyPlaces } from './enhanced-chat-tools.js';
+import { hasEnhancedFeatures, getContextualRecommendations, getEnhancedNearbyPlaces, getOptimizedRoute } from './enhanced-chat-tools.js';
 import { executeAIRoundWorkflow } from './strict-workflow-controller.js';
+import { applyOpeningHours, getTimeOfDayClock } from './opening-hours.js';
+import { attachSchedule, getScheduleOptions } from './itinerary-scheduler.js';
+import { getTripDays, getDayForStep, locateHomeBases, buildMultiDayPlan } from './multi-day-planner.js';
+import { geocodeLocation } from './tools/geocoding.js';
+import { getTripForecast, forecastForDay, toWeatherCards } from './weather/weatherProvider.js';
+import { generatePOIReasoning } from './ai-response-processor.js';
+import { isSameName } from './name-matching.js';
 import { 
   getStepPlannerWorkflow, 
   getFallbackWorkflow, 
@@ -36,9 +43,10 @@ const debugLog = (message, data = null) => {
 
 /**
  * Comprehensive POI deduplication function
- * Removes duplicates by place_id, name similarity, and spatial proximity
+ * Removes duplicates by place_id, name similarity, and spatial proximity.
+ * Names match across Greek/English spellings, articles and word order (see name-matching.js).
  */
-function deduplicatePOIs(pois, selectedPOIs = []) {
+export function deduplicatePOIs(pois, selectedPOIs = []) {
   if (!Array.isArray(pois)) return [];
   
   debugLog(`Starting deduplication`, { 
@@ -48,14 +56,14 @@ function deduplicatePOIs(pois, selectedPOIs = []) {
   
   // Create comprehensive exclusion sets
   const excludePlaceIds = new Set();
-  const excludeNames = new Set();
+  const excludeNames = [];
   const excludeCoordinates = new Set();
   
   // Add selected POIs to exclusion sets
   selectedPOIs.forEach(poi => {
     if (poi.place_id) excludePlaceIds.add(poi.place_id);
     if (poi.id) excludePlaceIds.add(poi.id);
-    if (poi.name) excludeNames.add(poi.name.toLowerCase().trim());
+    if (poi.name) excludeNames.push(poi.name);
     if (poi.latitude && poi.longitude) {
       // Round to ~100m precision for spatial deduplication
       const coordKey = `${Math.round(poi.latitude * 1000)}:${Math.round(poi.longitude * 1000)}`;
@@ -65,7 +73,7 @@ function deduplicatePOIs(pois, selectedPOIs = []) {
   
   const deduplicatedPOIs = [];
   const seenPlaceIds = new Set(excludePlaceIds);
-  const seenNames = new Set(excludeNames);
+  const seenNames = [...excludeNames];
   const seenCoordinates = new Set(excludeCoordinates);
   
   for (const poi of pois) {
@@ -78,9 +86,9 @@ function deduplicatePOIs(pois, selectedPOIs = []) {
       isDuplicate = true;
     }
     
-    // Check name duplication (case-insensitive)
-    const poiName = poi.name?.toLowerCase().trim();
-    if (!isDuplicate && poiName && seenNames.has(poiName)) {
+    // Check name duplication
+    const poiName = poi.name?.trim();
+    if (!isDuplicate && poiName && seenNames.some(name => isSameName(name, poiName))) {
       debugLog(`Excluded duplicate name: ${poi.name}`);
       isDuplicate = true;
     }
@@ -99,7 +107,7 @@ function deduplicatePOIs(pois, selectedPOIs = []) {
     if (!isDuplicate) {
       deduplicatedPOIs.push(poi);
       if (poiPlaceId) seenPlaceIds.add(poiPlaceId);
-      if (poiName) seenNames.add(poiName);
+      if (poiName) seenNames.push(poiName);
     }
   }
   
@@ -323,7 +331,7 @@ async function executeStrictInitialRecommendations({ userLocation, userPreferenc
   // Use multi-round strict AI workflow to get multiple POIs
   const multiRoundResult = await executeMultiRoundWorkflow({
     startRound: 1,
-    endRound: Math.min(userPreferences.numberOfPOIs || 5, 5), // Get up to 5 POIs
+    endRound: Math.min(userPreferences.numberOfPOIs || 5, 5), // Get up to 5 POIs (the first day's worth)
     userPreferences,
     userLocation,
     initialSelectedPOIs: selectedPOIs
@@ -334,7 +342,7 @@ async function executeStrictInitialRecommendations({ userLocation, userPreferenc
     const recommendations = multiRoundResult.rounds.map(round => round.selectedPOI);
     
     // Apply comprehensive deduplication
-    const deduplicatedRecommendations = deduplicatePOIs(recommendations, selectedPOIs);
+    const deduplicatedRecommendations = demoteClosedPOIs(deduplicatePOIs(recommendations, selectedPOIs));
     
     debugLog(`Strict AI multi-round workflow successful`, {
       totalRounds: multiRoundResult.rounds.length,
@@ -389,7 +397,7 @@ async function executeEnhancedInitialRecommendations({ userLocation, userPrefere
 
   if (recommendations && recommendations.length > 0) {
     // Apply comprehensive deduplication
-    const deduplicatedRecommendations = deduplicatePOIs(recommendations, selectedPOIs);
+    const deduplicatedRecommendations = demoteClosedPOIs(deduplicatePOIs(recommendations, selectedPOIs));
     
     debugLog(`Enhanced POI workflow successful`, { 
       totalFound: recommendations.length,
@@ -419,13 +427,13 @@ async function executeBasicInitialRecommendations({ userLocation, userPreference
   
   // Filter default POIs
   const fallbackRecommendations = DEFAULT_FALLBACK_POIS.filter(poi => {
-    const nameExcluded = excludeNames && excludeNames.includes(poi.name);
+    const nameExcluded = excludeNames.some(name => isSameName(name, poi.name));
     const idExcluded = excludeIds && (poi.place_id && excludeIds.includes(poi.place_id) || poi.id && excludeIds.includes(poi.id));
     return !nameExcluded && !idExcluded;
   });
 
   // Apply comprehensive deduplication
-  const deduplicatedRecommendations = deduplicatePOIs(fallbackRecommendations, selectedPOIs);
+  const deduplicatedRecommendations = demoteClosedPOIs(deduplicatePOIs(fallbackRecommendations, selectedPOIs));
   
   return {
     success: true,
@@ -450,13 +458,19 @@ export async function getNextRecommendations({ userLocation, userPreferences = {
   
   debugLog(`Getting next recommendations using ${workflow} workflow`, context.metadata);
 
+  // On multi-day trips each day's picks start again in the morning
+  const { day, step: stepInDay } = getDayForStep(currentStep, userPreferences);
+  // That day's forecast, so wind or rain can swap the beach for sheltered sights
+  const weather = forecastForDay(await getTripForecast({ userPreferences, userLocation }), day);
+
   try {
     // Route to appropriate workflow
     const result = await executeWorkflowForNextRecommendations(workflow, {
       userLocation,
       userPreferences,
       selectedPOIs,
-      currentStep,
+      currentStep: stepInDay,
+      weather,
       context
     });
     
@@ -479,7 +493,8 @@ export async function getNextRecommendations({ userLocation, userPreferences = {
           userLocation,
           userPreferences,
           selectedPOIs,
-          currentStep,
+          currentStep: stepInDay,
+          weather,
           context: createWorkflowContext(fallbackInfo.fallbackWorkflow, 'getNextRecommendations-fallback')
         });
         
@@ -497,20 +512,20 @@ export async function getNextRecommendations({ userLocation, userPreferences = {
     }
     
     // Ultimate fallback to basic system
-    return await executeBasicNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep });
+    return await executeBasicNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep: stepInDay });
   }
 }
 
 /**
  * Execute workflow-specific logic for next recommendations
  */
-async function executeWorkflowForNextRecommendations(workflow, { userLocation, userPreferences, selectedPOIs, currentStep, context }) {
+async function executeWorkflowForNextRecommendations(workflow, { userLocation, userPreferences, selectedPOIs, currentStep, weather, context }) {
   switch (workflow) {
     case 'strict':
-      return await executeStrictNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep });
+      return await executeStrictNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep, weather });
     
     case 'enhanced':
-      return await executeEnhancedNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep });
+      return await executeEnhancedNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep, weather });
     
     case 'basic':
     default:
@@ -522,7 +537,7 @@ async function executeWorkflowForNextRecommendations(workflow, { userLocation, u
  * Execute strict AI workflow for next recommendations
  * Uses contextual recommendations with comprehensive deduplication
  */
-async function executeStrictNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep }) {
+async function executeStrictNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep, weather = null }) {
   // Check if enhanced features (PostgreSQL) are available
   const hasEnhanced = await hasEnhancedFeatures();
   
@@ -542,15 +557,19 @@ async function executeStrictNextRecommendations({ userLocation, userPreferences,
     lng: searchLocation.lng,
     userPreferences,
     timeOfDay: determineTimeOfDay(currentStep),
-    activityType: determineActivityType(currentStep, userPreferences, selectedPOIs),
+    activityType: determineActivityType(currentStep, userPreferences, selectedPOIs, weather),
     excludeNames: selectedPOIs.map(poi => poi.name),
     excludeIds: selectedPOIs.map(poi => poi.place_id || poi.id).filter(Boolean),
-    selectedPOIs
+    selectedPOIs,
+    weather
   });
   
   if (recommendations && recommendations.length > 0) {
     // Apply comprehensive deduplication
-    const deduplicatedRecommendations = deduplicatePOIs(recommendations, selectedPOIs);
+    const deduplicatedRecommendations = withReasoning(
+      demoteClosedPOIs(deduplicatePOIs(recommendations, selectedPOIs), currentStep),
+      { stepNumber: currentStep, selectedPOIs, userPreferences, weather }
+    );
     
     debugLog(`Strict AI contextual workflow successful for step ${currentStep}`, {
       totalFound: recommendations.length,
@@ -579,7 +598,7 @@ async function executeStrictNextRecommendations({ userLocation, userPreferences,
 /**
  * Execute enhanced POI system for next recommendations
  */
-async function executeEnhancedNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep }) {
+async function executeEnhancedNextRecommendations({ userLocation, userPreferences, selectedPOIs, currentStep, weather = null }) {
   // Check if enhanced features are available
   const hasEnhanced = await hasEnhancedFeatures();
   
@@ -594,7 +613,7 @@ async function executeEnhancedNextRecommendations({ userLocation, userPreference
   const excludeNames = selectedPOIs.map(poi => poi.name);
   const excludeIds = selectedPOIs.map(poi => poi.place_id || poi.id).filter(Boolean);
   
-  const activityType = determineActivityType(currentStep, userPreferences, selectedPOIs);
+  const activityType = determineActivityType(currentStep, userPreferences, selectedPOIs, weather);
   const timeOfDay = determineTimeOfDay(currentStep);
 
   debugLog(`Enhanced search parameters`, { 
@@ -609,12 +628,16 @@ async function executeEnhancedNextRecommendations({ userLocation, userPreference
     activityType,
     excludeNames,
     excludeIds,
-    selectedPOIs
+    selectedPOIs,
+    weather
   });
 
   if (recommendations && recommendations.length > 0) {
     // Apply comprehensive deduplication
-    const deduplicatedRecommendations = deduplicatePOIs(recommendations, selectedPOIs);
+    const deduplicatedRecommendations = withReasoning(
+      demoteClosedPOIs(deduplicatePOIs(recommendations, selectedPOIs), currentStep),
+      { stepNumber: currentStep, selectedPOIs, userPreferences, weather }
+    );
     
     debugLog(`Enhanced POI workflow successful`, { 
       totalFound: recommendations.length,
@@ -648,14 +671,13 @@ async function executeBasicNextRecommendations({ userLocation, userPreferences,
   
   // Filter default POIs
   const fallbackRecommendations = DEFAULT_FALLBACK_POIS.filter(poi => {
-    const nameExcluded = excludeNames && excludeNames.includes(poi.name);
+    const nameExcluded = excludeNames.some(name => isSameName(name, poi.name));
     const idExcluded = excludeIds && (poi.place_id && excludeIds.includes(poi.place_id) || poi.id && excludeIds.includes(poi.id));
-    const selectedExcluded = selectedPOIs && selectedPOIs.some(selected => selected.name === poi.name);
-    return !nameExcluded && !idExcluded && !selectedExcluded;
+    return !nameExcluded && !idExcluded;
   });
 
   // Apply comprehensive deduplication
-  const deduplicatedRecommendations = deduplicatePOIs(fallbackRecommendations, selectedPOIs);
+  const deduplicatedRecommendations = demoteClosedPOIs(deduplicatePOIs(fallbackRecommendations, selectedPOIs), currentStep);
   
   return {
     success: true,
@@ -687,25 +709,54 @@ export async function addPOIToPlan({ selectedPOI, currentPlan = [] }) {
 /**
  * Finalize travel plan with route optimization
  */
-export async function finalizePlan({ selectedPOIs, userPreferences = {} }) {
+export async function finalizePlan({ selectedPOIs, userPreferences = {}, userLocation = null }) {
   debugLog(`Finalizing travel plan`, { 
     totalPOIs: selectedPOIs.length,
-    preferences: Object.keys(userPreferences) 
+    preferences: Object.keys(userPreferences),
+    hasLocation: !!userLocation
   });
 
-  // TODO: Implement route optimization logic
-  // For now, return the plan as-is
+  const days = getTripDays(userPreferences);
+  const weather = toWeatherCards(await getTripForecast({ userPreferences, userLocation }));
+  if (days > 1) {
+    const homeBases = await locateHomeBases(userPreferences.homeBases, geocodeLocation);
+    const multiDayPlan = buildMultiDayPlan(selectedPOIs, { days, homeBases, userPreferences, userLocation });
+    return {
+      success: true,
+      finalizedPlan: multiDayPlan.locations,
+      multiDayPlan,
+      weather,
+      message: `Your ${days}-day travel plan is ready with ${multiDayPlan.locations.length} locations!`
+    };
+  }
+
+  // Start (and end) the day at the user's location when we know it
+  const scheduleOptions = { ...getScheduleOptions(userPreferences), startPoint: userLocation };
+  const route = await getOptimizedRoute(selectedPOIs, userLocation, { startTime: scheduleOptions.startTime });
+  const { locations: finalizedPlan, timetable } = attachSchedule(route, scheduleOptions);
+
   return {
     success: true,
-    finalizedPlan: selectedPOIs,
+    finalizedPlan,
+    timetable,
+    weather,
     message: `Your travel plan is ready with ${selectedPOIs.length} locations!`
   };
 }
 
 /**
  * Determine activity type based on step and context
+ * With `weather` (one day from getTripForecast) a beach pick becomes culture on
+ * windy or rainy days, and a nature pick becomes culture in rain or great heat.
  */
-function determineActivityType(currentStep, userPreferences, selectedPOIs) {
+export function determineActivityType(currentStep, userPreferences, selectedPOIs, weather = null) {
+  const activityType = plannedActivityType(currentStep, userPreferences, selectedPOIs);
+  if (activityType === 'beach' && weather && !weather.assessment.beachFriendly) return 'culture';
+  if (activityType === 'nature' && weather && !weather.assessment.outdoorFriendly) return 'culture';
+  return activityType;
+}
+
+function plannedActivityType(currentStep, userPreferences, selectedPOIs) {
   // Step 1: Usually sightseeing/attractions
   if (currentStep === 1) {
     return 'sightseeing';
@@ -741,12 +792,26 @@ function determineActivityType(currentStep, userPreferences, selectedPOIs) {
 /**
  * Determine time of day based on step
  */
-function determineTimeOfDay(currentStep) {
+export function determineTimeOfDay(currentStep) {
   if (currentStep <= 2) return 'morning';
   if (currentStep <= 4) return 'afternoon';
   return 'evening';
 }
 
+/**
+ * Move POIs that are closed during the step's time slot to the end
+ */
+export function demoteClosedPOIs(pois, currentStep = 1) {
+  return applyOpeningHours(pois, getTimeOfDayClock(determineTimeOfDay(currentStep)));
+}
+
+/**
+ * Explain each pick that the AI did not already explain (why this beach today, etc.)
+ */
+function withReasoning(pois, context) {
+  return pois.map(poi => (poi.aiReasoning ? poi : { ...poi, aiReasoning: generatePOIReasoning(poi, context) }));
+}
+
 /**
  * Main step handler endpoint
  */
@@ -790,7 +855,7 @@ export default async function stepHandler(req, res) {
         break;
 
       case 'FINALIZE_PLAN':
-        result = await finalizePlan({ selectedPOIs, userPreferences });
+        result = await finalizePlan({ selectedPOIs, userPreferences, userLocation });
         break;
 
       default:
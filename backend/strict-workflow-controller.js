@@ -3,7 +3,7 @@
  * Orchestrates the two-step workflow with validation and error handling
  */
 
-import { OpenAI } from 'openai';
+import { createChatCompletion, isLLMAvailable } from './llm/llmProvider.js';
 import { 
   validateAIRoundDecision, 
   validateAISelectionDecision, 
@@ -24,14 +24,7 @@ import {
   getMustSeeRhodesPOIs,
   getNearbyPOIsFromAnchors
 } from './knowledge-base-queries.js';
-
-// Initialize OpenAI
-let openai;
-try {
-  openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-} catch (error) {
-  console.error('Failed to initialize OpenAI:', error.message);
-}
+import { applyOpeningHours, getTimeOfDayClock } from './opening-hours.js';
 
 // Debug logging
 const debugLog = (message, data = null) => {
@@ -66,8 +59,8 @@ export async function executeAIRoundWorkflow({
   });
 
   try {
-    // Validate OpenAI is available
-    if (!openai) {
+    // Validate an LLM provider is available
+    if (!isLLMAvailable()) {
       throw new Error('OpenAI client not initialized - check API key');
     }
 
@@ -216,15 +209,19 @@ async function getAIRoundDecision({
     // Call OpenAI with strict formatting requirements
     let response;
     try {
-      response = await openai.chat.completions.create({
-        model: "gpt-4o-mini", // Use GPT-4o-mini which supports JSON mode
-        messages: [
-          { role: "system", content: promptData.systemPrompt },
-          { role: "user", content: promptData.userPrompt }
-        ],
-        temperature: 0.3, // Lower temperature for more consistent structure
-        max_tokens: 1000,
-        response_format: { type: "json_object" } // Force JSON response
+      response = await createChatCompletion({
+        purpose: 'strict_round_decision',
+        context: { currentRound, userPreferences, selectedPOIs, totalPOIs, userLocation },
+        params: {
+          model: "gpt-4o-mini", // Use GPT-4o-mini which supports JSON mode
+          messages: [
+            { role: "system", content: promptData.systemPrompt },
+            { role: "user", content: promptData.userPrompt }
+          ],
+          temperature: 0.3, // Lower temperature for more consistent structure
+          max_tokens: 1000,
+          response_format: { type: "json_object" } // Force JSON response
+        }
       });
     } catch (openaiError) {
       debugLog(`OpenAI API error: ${openaiError.message}`);
@@ -251,12 +248,16 @@ async function getAIRoundDecision({
       const fallbackPrompt = generateFallbackPrompt(promptData, validationResult.error);
       
       try {
-        const fallbackResponse = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          messages: [{ role: "user", content: fallbackPrompt }],
-          temperature: 0.1,
-          max_tokens: 1000,
-          response_format: { type: "json_object" }
+        const fallbackResponse = await createChatCompletion({
+          purpose: 'strict_round_decision_fallback',
+          context: { currentRound, userPreferences, selectedPOIs, totalPOIs, userLocation },
+          params: {
+            model: "gpt-4o-mini",
+            messages: [{ role: "user", content: fallbackPrompt }],
+            temperature: 0.1,
+            max_tokens: 1000,
+            response_format: { type: "json_object" }
+          }
         });
 
         const fallbackCleaned = cleanAIResponseText(fallbackResponse.choices[0].message.content);
@@ -312,7 +313,11 @@ async function queryKnowledgeBaseWithAIParams({ roundDecision, selectedPOIs, use
         budget: roundDecision.poi_criteria.budget_level
       },
       exclude_poi_ids: selectedPOIs.map(poi => poi.place_id || poi.id).filter(Boolean),
-      max_results: 15 // Get enough candidates for AI to choose from
+      max_results: 15, // Get enough candidates for AI to choose from
+      // Demote places that are closed in this round's time slot
+      open_at: roundDecision.context?.time_progression
+        ? getTimeOfDayClock(roundDecision.context.time_progression)
+        : null
     };
 
     debugLog(`Knowledge base search parameters`, searchParams);
@@ -332,12 +337,12 @@ async function queryKnowledgeBaseWithAIParams({ roundDecision, selectedPOIs, use
       // Subsequent rounds - use spatial relationships from anchors
       const anchorPOIIds = selectedPOIs.map(poi => poi.place_id || poi.id).filter(Boolean);
       if (anchorPOIIds.length > 0) {
-        candidatePOIs = await getNearbyPOIsFromAnchors({
+        candidatePOIs = applyOpeningHours(await getNearbyPOIsFromAnchors({
           anchor_poi_ids: anchorPOIIds,
           max_distance_meters: roundDecision.spatial_strategy.search_radius_meters,
           exclude_poi_ids: searchParams.exclude_poi_ids,
           max_results: searchParams.max_results
-        });
+        }), searchParams.open_at);
       } else {
         // Fallback to location-based search
         candidatePOIs = await searchPOIsByLocation(searchParams);
@@ -434,15 +439,19 @@ async function getAISelectionDecision({
     // Call OpenAI for POI selection
     let response;
     try {
-      response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          { role: "system", content: promptData.systemPrompt },
-          { role: "user", content: promptData.userPrompt }
-        ],
-        temperature: 0.2, // Lower temperature for consistent selection
-        max_tokens: 1000,
-        response_format: { type: "json_object" }
+      response = await createChatCompletion({
+        purpose: 'strict_poi_selection',
+        context: { candidatePOIs, roundNumber, roundDecision, userPreferences, selectedPOIs },
+        params: {
+          model: "gpt-4o-mini",
+          messages: [
+            { role: "system", content: promptData.systemPrompt },
+            { role: "user", content: promptData.userPrompt }
+          ],
+          temperature: 0.2, // Lower temperature for consistent selection
+          max_tokens: 1000,
+          response_format: { type: "json_object" }
+        }
       });
     } catch (openaiError) {
       debugLog(`OpenAI API error in selection: ${openaiError.message}`);
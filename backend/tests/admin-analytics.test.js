@@ -0,0 +1,149 @@
+import './helpers/setup.js';
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db-adapter.js';
+import {
+  parseDateRange,
+  toCsv,
+  buildPaymentReport,
+  buildConversionReport,
+  buildUsageReport,
+  getAdminReport,
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS
+} from '../admin-analytics.js';
+
+const DAY = 24 * 60 * 60;
+const today = new Date().toISOString().slice(0, 10);
+const todayRange = () => parseDateRange({ from: today, to: today });
+
+describe('parseDateRange', () => {
+  const now = Date.parse('2026-03-10T15:00:00Z');
+
+  it('defaults to the last 30 days including today', () => {
+    const range = parseDateRange({}, now);
+    assert.equal(range.to, '2026-03-10');
+    assert.equal(range.from, '2026-02-09');
+    assert.equal((range.end - range.start) / DAY, DEFAULT_RANGE_DAYS);
+  });
+
+  it('includes the whole of the `to` day', () => {
+    const range = parseDateRange({ from: '2026-03-01', to: '2026-03-01' }, now);
+    assert.equal(range.start, Date.parse('2026-03-01T00:00:00Z') / 1000);
+    assert.equal(range.end, Date.parse('2026-03-02T00:00:00Z') / 1000);
+  });
+
+  it('rejects malformed, impossible, reversed and oversized ranges', () => {
+    assert.match(parseDateRange({ from: '10/03/2026' }, now).error, /Invalid date/);
+    assert.match(parseDateRange({ from: '2026-02-30' }, now).error, /Invalid date/);
+    assert.match(parseDateRange({ from: '2026-03-05', to: '2026-03-01' }, now).error, /must not be after/);
+    assert.match(parseDateRange({ from: '2024-01-01', to: '2026-03-01' }, now).error, new RegExp(String(MAX_RANGE_DAYS)));
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes separators and neutralises spreadsheet formulas', () => {
+    const csv = toCsv(['email', 'reason', 'amount'], [
+      { email: 'a@example.com', reason: 'Card declined, "insufficient funds"', amount: 9.99 },
+      { email: '=HYPERLINK("x")', reason: null, amount: -1 }
+    ]);
+    assert.equal(csv, [
+      'email,reason,amount',
+      'a@example.com,"Card declined, ""insufficient funds""",9.99',
+      '"\'=HYPERLINK(""x"")",,-1',
+      ''
+    ].join('\r\n'));
+  });
+
+  it('keeps the header row when there is no data', () => {
+    assert.equal(toCsv(['date', 'signups'], []), 'date,signups\r\n');
+  });
+});
+
+describe('admin reports', () => {
+  before(async () => {
+    for (const [email, paid, chats] of [['convert-a@example.com', true, 2], ['convert-b@example.com', false, 1], ['convert-c@example.com', false, 0]]) {
+      await db.upsertUser(email, paid);
+      await db.setFreeChats(email, chats);
+    }
+
+    await db.savePayment({ email: 'convert-a@example.com', paymentIntentId: 'pi_report_1', amount: 999, currency: 'eur' });
+    await db.savePayment({ email: 'convert-b@example.com', paymentIntentId: 'pi_report_2', amount: 999, currency: 'eur' });
+    await db.updatePaymentStatus('pi_report_2', 'refunded', 999);
+    await db.savePayment({ email: 'convert-c@example.com', paymentIntentId: 'pi_report_3', amount: 999, currency: 'eur' });
+    await db.updatePaymentStatus('pi_report_3', 'dispute_lost', 0);
+    await db.recordPaymentFailure({ eventId: 'evt_report_failed', email: 'convert-b@example.com', paymentIntentId: 'pi_report_4', amount: 999, currency: 'eur', reason: 'Your card was declined.' });
+
+    const now = Math.floor(Date.now() / 1000);
+    await db.recordUsageEvent('user:1', '/api/chat', 1, now);
+    await db.recordUsageEvent('user:1', '/api/chat', 1, now);
+    await db.recordUsageEvent('ip:203.0.113.9', '/api/agent', 2, now);
+    // Outside the range
+    await db.recordUsageEvent('ip:203.0.113.9', '/api/chat', 1, now - 40 * DAY);
+  });
+
+  it('nets refunds and lost disputes out of revenue and counts failed attempts', async () => {
+    const report = await buildPaymentReport(db, todayRange());
+    assert.equal(report.summary.payments, 3);
+    assert.equal(report.summary.refunded, 1);
+    assert.equal(report.summary.disputed, 1);
+    assert.equal(report.summary.failed, 1);
+    assert.equal(report.summary.successRate, 0.75);
+    assert.deepEqual(report.summary.revenue, [{ currency: 'eur', gross: 2997, refunded: 999, lostToDisputes: 999, net: 999 }]);
+
+    assert.equal(report.daily.length, 1);
+    assert.deepEqual(report.daily[0], { date: today, payments: 3, failed: 1, revenue: { eur: 999 } });
+
+    const failure = report.rows.find(row => row.type === 'failure');
+    assert.equal(failure.reason, 'Your card was declined.');
+    assert.equal(failure.amount, 9.99);
+  });
+
+  it('follows signups through free chats to payment', async () => {
+    const { summary, daily } = await buildConversionReport(db, todayRange());
+    assert.equal(summary.signups, 3);
+    assert.equal(summary.triedChat, 2);
+    assert.equal(summary.paid, 1);
+    assert.equal(summary.conversionRate, 0.333);
+    assert.equal(summary.chatToPaidRate, 0.5);
+    assert.equal(summary.avgFreeChatsBeforePaying, 2);
+    assert.deepEqual(daily, [{ date: today, signups: 3, triedChat: 2, paid: 1 }]);
+  });
+
+  it('summarises metered requests by endpoint and caller', async () => {
+    const { summary, daily, rows } = await buildUsageReport(db, todayRange());
+    assert.equal(summary.requests, 3);
+    assert.equal(summary.units, 4);
+    assert.equal(summary.activeCallers, 2);
+    assert.equal(summary.signedInUsers, 1);
+    assert.equal(summary.guests, 1);
+    assert.deepEqual(summary.endpoints.map(e => [e.endpoint, e.requests]), [['/api/chat', 2], ['/api/agent', 1]]);
+    assert.deepEqual(daily, [{ date: today, requests: 3, units: 4 }]);
+    assert.equal(rows.length, 2);
+  });
+
+  it('fills days without activity with zeros', async () => {
+    const { daily } = await buildUsageReport(db, parseDateRange({ to: today }));
+    assert.equal(daily.length, DEFAULT_RANGE_DAYS);
+    assert.equal(daily.filter(day => day.requests > 0).length, 1);
+  });
+
+  it('serves reports as JSON or as a CSV attachment', async () => {
+    const json = await getAdminReport(db, 'conversion', { from: today, to: today });
+    assert.equal(json.status, 200);
+    assert.equal(json.body.report, 'conversion');
+    assert.equal(json.body.summary.signups, 3);
+
+    const csv = await getAdminReport(db, 'payments', { from: today, to: today, format: 'csv' });
+    assert.equal(csv.headers['Content-Type'], 'text/csv; charset=utf-8');
+    assert.match(csv.headers['Content-Disposition'], new RegExp(`attachment; filename="wanderrhodes-payments-${today}-to-${today}.csv"`));
+    const lines = csv.body.trim().split('\r\n');
+    assert.equal(lines[0], 'created_at,type,status,email,payment_intent_id,amount,amount_refunded,currency,reason');
+    assert.equal(lines.length, 5);
+  });
+
+  it('answers 404 for unknown reports and 400 for bad ranges', async () => {
+    assert.equal((await getAdminReport(db, 'secrets', {})).status, 404);
+    assert.equal((await getAdminReport(db, 'usage', { from: 'yesterday' })).status, 400);
+  });
+});
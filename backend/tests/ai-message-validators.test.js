@@ -0,0 +1,214 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  validateAIRoundDecision,
+  validateAISelectionDecision,
+  parseAndValidateAIResponse,
+  createValidationError,
+  sanitizeAIResponse
+} from '../ai-message-validators.js';
+
+function roundDecision(overrides = {}) {
+  return {
+    action: 'PLAN_ROUND',
+    round_number: 1,
+    round_type: 'restaurant',
+    reasoning: 'Start with lunch near the old town.',
+    spatial_strategy: {
+      search_radius_meters: 5000,
+      spatial_reasoning: 'Stay close to the starting point.',
+      center_coordinates: { lat: 36.4341, lng: 28.2176 }
+    },
+    poi_criteria: {
+      required_types: ['restaurant'],
+      quality_threshold: 4,
+      budget_level: 'moderate'
+    },
+    ...overrides
+  };
+}
+
+function selectionDecision(overrides = {}) {
+  return {
+    action: 'SELECT_POIS',
+    round_number: 1,
+    selected_pois: [{ poi_id: 'ChIJXWrwX5JhlRQRxZParoH6Qsc', selection_reasoning: 'Top rated taverna.', fit_score: 9 }],
+    rejected_pois: [{ poi_id: 'ChIJSfcuh5FhlRQRqfVB_w9kuo8', rejection_reason: 'Too casual.' }],
+    round_completion_status: 'COMPLETE',
+    ...overrides
+  };
+}
+
+describe('validateAIRoundDecision', () => {
+  it('accepts a well-formed decision', () => {
+    assert.deepEqual(validateAIRoundDecision(roundDecision()), { valid: true });
+  });
+
+  it('rejects non-objects', () => {
+    const result = validateAIRoundDecision(null);
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Decision must be a valid object');
+  });
+
+  it('reports every missing required field', () => {
+    const { reasoning, poi_criteria, ...partial } = roundDecision();
+    const result = validateAIRoundDecision(partial);
+    assert.equal(result.error, 'Missing required fields');
+    assert.deepEqual(result.details.missingFields, ['reasoning', 'poi_criteria']);
+  });
+
+  it('rejects the wrong action', () => {
+    const result = validateAIRoundDecision(roundDecision({ action: 'SELECT_POIS' }));
+    assert.equal(result.error, 'Invalid action field');
+  });
+
+  it('rejects non-positive or fractional round numbers', () => {
+    assert.equal(validateAIRoundDecision(roundDecision({ round_number: 0 })).valid, false);
+    assert.equal(validateAIRoundDecision(roundDecision({ round_number: 1.5 })).valid, false);
+  });
+
+  it('rejects unknown round types', () => {
+    const result = validateAIRoundDecision(roundDecision({ round_type: 'hotel' }));
+    assert.equal(result.error, 'Invalid round_type field');
+  });
+
+  it('rejects blank reasoning', () => {
+    assert.equal(validateAIRoundDecision(roundDecision({ reasoning: '   ' })).error, 'Invalid reasoning field');
+  });
+
+  it('enforces the 500-50000m search radius', () => {
+    for (const radius of [499, 50001, 1500.5]) {
+      const decision = roundDecision();
+      decision.spatial_strategy.search_radius_meters = radius;
+      assert.equal(validateAIRoundDecision(decision).error, 'Invalid spatial_strategy', `radius ${radius}`);
+    }
+  });
+
+  it('rejects out-of-range center coordinates', () => {
+    const decision = roundDecision();
+    decision.spatial_strategy.center_coordinates = { lat: 95, lng: 28.2 };
+    const result = validateAIRoundDecision(decision);
+    assert.equal(result.error, 'Invalid spatial_strategy');
+    assert.equal(result.details.error, 'lat must be number between -90 and 90');
+  });
+
+  it('validates poi_criteria thresholds and budget', () => {
+    const emptyTypes = roundDecision();
+    emptyTypes.poi_criteria.required_types = [];
+    assert.equal(validateAIRoundDecision(emptyTypes).error, 'Invalid poi_criteria');
+
+    const badThreshold = roundDecision();
+    badThreshold.poi_criteria.quality_threshold = 6;
+    assert.equal(validateAIRoundDecision(badThreshold).error, 'Invalid poi_criteria');
+
+    const badBudget = roundDecision();
+    badBudget.poi_criteria.budget_level = 'cheap';
+    assert.equal(validateAIRoundDecision(badBudget).details.error, 'Invalid budget_level');
+  });
+});
+
+describe('validateAISelectionDecision', () => {
+  it('accepts a well-formed selection', () => {
+    assert.deepEqual(validateAISelectionDecision(selectionDecision()), { valid: true });
+  });
+
+  it('requires at least one selected POI', () => {
+    const result = validateAISelectionDecision(selectionDecision({ selected_pois: [] }));
+    assert.equal(result.error, 'selected_pois must be non-empty array');
+  });
+
+  it('enforces fit_score between 1 and 10', () => {
+    const result = validateAISelectionDecision(selectionDecision({
+      selected_pois: [{ poi_id: 'a', selection_reasoning: 'ok', fit_score: 11 }]
+    }));
+    assert.equal(result.error, 'Invalid selected POI at index 0');
+  });
+
+  it('rejects an empty poi_id', () => {
+    const result = validateAISelectionDecision(selectionDecision({
+      selected_pois: [{ poi_id: ' ', selection_reasoning: 'ok', fit_score: 5 }]
+    }));
+    assert.equal(result.valid, false);
+  });
+
+  it('rejects unknown completion statuses', () => {
+    const result = validateAISelectionDecision(selectionDecision({ round_completion_status: 'DONE' }));
+    assert.equal(result.error, 'Invalid round_completion_status');
+  });
+
+  it('validates rejected POIs when present', () => {
+    const result = validateAISelectionDecision(selectionDecision({
+      rejected_pois: [{ poi_id: 'a' }]
+    }));
+    assert.equal(result.error, 'Invalid rejected POI at index 0');
+  });
+});
+
+describe('parseAndValidateAIResponse', () => {
+  it('parses and validates a round decision', () => {
+    const result = parseAndValidateAIResponse(` ${JSON.stringify(roundDecision())}\n`, 'ROUND_DECISION');
+    assert.equal(result.success, true);
+    assert.equal(result.data.round_type, 'restaurant');
+  });
+
+  it('parses and validates a selection decision', () => {
+    const result = parseAndValidateAIResponse(JSON.stringify(selectionDecision()), 'SELECTION_DECISION');
+    assert.equal(result.success, true);
+  });
+
+  it('fails on invalid JSON', () => {
+    const result = parseAndValidateAIResponse('{"action": ', 'ROUND_DECISION');
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Failed to parse AI response as JSON');
+  });
+
+  it('fails on empty input and unknown types', () => {
+    assert.equal(parseAndValidateAIResponse('', 'ROUND_DECISION').success, false);
+    assert.equal(parseAndValidateAIResponse('{}', 'OTHER').error, 'Unknown expected type');
+  });
+
+  it('surfaces the validation error', () => {
+    const result = parseAndValidateAIResponse(JSON.stringify(roundDecision({ round_type: 'hotel' })), 'ROUND_DECISION');
+    assert.equal(result.success, false);
+    assert.match(result.error, /Invalid round_type field/);
+  });
+});
+
+describe('createValidationError', () => {
+  it('builds the standard error shape', () => {
+    const error = createValidationError('round_planning', 'bad radius', { round: 2 });
+    assert.equal(error.success, false);
+    assert.equal(error.error, 'Validation failed at round_planning: bad radius');
+    assert.equal(error.details.stage, 'round_planning');
+    assert.equal(error.details.round, 2);
+    assert.ok(error.details.timestamp);
+  });
+});
+
+describe('sanitizeAIResponse', () => {
+  it('strips scripts, iframes, javascript: URLs and inline handlers recursively', () => {
+    const input = {
+      reasoning: 'Nice <script>alert(1)</script>place',
+      nested: { link: 'javascript:alert(1)', html: '<img onerror=alert(1)>', frame: '<iframe src="x"></iframe>ok' },
+      count: 3
+    };
+    const output = sanitizeAIResponse(input);
+    assert.equal(output.reasoning, 'Nice place');
+    assert.equal(output.nested.link, 'alert(1)');
+    assert.equal(output.nested.html, '<img alert(1)>');
+    assert.equal(output.nested.frame, 'ok');
+    assert.equal(output.count, 3);
+  });
+
+  it('does not mutate the input', () => {
+    const input = { reasoning: '<script>x</script>' };
+    sanitizeAIResponse(input);
+    assert.equal(input.reasoning, '<script>x</script>');
+  });
+
+  it('passes non-objects through', () => {
+    assert.equal(sanitizeAIResponse('text'), 'text');
+    assert.equal(sanitizeAIResponse(null), null);
+  });
+});
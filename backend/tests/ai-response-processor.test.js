@@ -0,0 +1,107 @@
+import { loadBootstrapPOIs, findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankPOIs, processAndFilterPOIs } from '../ai-response-processor.js';
+
+describe('rankPOIs', () => {
+  it('scores rating, distance, type, description and tips', () => {
+    const [poi] = rankPOIs([{
+      name: 'Full marks',
+      primary_type: 'beach',
+      rating: 5,
+      distance_meters: 50,
+      description: 'x'.repeat(101),
+      highlights: ['Clear water'],
+      local_tips: ['Arrive early']
+    }]);
+    // 30 (rating) + 19.5 (distance) + 15 (type) + 10 (description) + 5 + 5
+    assert.equal(poi.aiScore, 85);
+  });
+
+  it('uses neutral defaults for unrated POIs without distance', () => {
+    const [poi] = rankPOIs([{ name: 'Unknown', primary_type: 'store' }]);
+    assert.equal(poi.aiScore, 25);
+  });
+
+  it('never gives a negative distance score', () => {
+    const [far] = rankPOIs([{ name: 'Far', rating: 5, distance_meters: 50000 }]);
+    assert.equal(far.aiScore, 30);
+  });
+
+  it('sorts bootstrap POIs by descending score', () => {
+    const ranked = rankPOIs(loadBootstrapPOIs());
+    assert.equal(ranked.length, 10);
+    for (let i = 1; i < ranked.length; i++) {
+      assert.ok(ranked[i - 1].aiScore >= ranked[i].aiScore);
+    }
+  });
+
+  it('demotes places closed at the planned time', () => {
+    const sakura = findBootstrapPOI('Sakura Asian Cuisine');
+    const acropolis = findBootstrapPOI('Acropolis of Rhodes');
+    const [first, second] = rankPOIs([sakura, acropolis], { at: { day: 1, minutes: 600 } });
+    assert.equal(first.name, 'Acropolis of Rhodes');
+    assert.deepEqual(second.openingStatus, { status: 'closed', opensAt: '17:00' });
+  });
+
+  it('does not mutate its input', () => {
+    const pois = loadBootstrapPOIs();
+    rankPOIs(pois);
+    assert.equal(pois[0].aiScore, undefined);
+  });
+});
+
+describe('processAndFilterPOIs', () => {
+  it('returns at most five POIs in the frontend shape', async () => {
+    const results = await processAndFilterPOIs(loadBootstrapPOIs());
+    assert.equal(results.length, 5);
+    const [top] = results;
+    assert.equal(typeof top.aiScore, 'number');
+    assert.deepEqual(top.location.coordinates, { lat: top.latitude, lng: top.longitude });
+    assert.ok(top.place_id);
+    assert.ok(top.type);
+  });
+
+  it('describes the opening hours for the day and keeps the raw periods', async () => {
+    const [acropolis] = await processAndFilterPOIs([findBootstrapPOI('Acropolis of Rhodes')], [], [], { at: { day: 1, minutes: 600 } });
+    assert.equal(acropolis.details.openingHours, '09:00–18:00');
+    assert.equal(acropolis.openingStatus.status, 'open');
+    assert.ok(acropolis.opening_hours.periods.length > 0);
+  });
+
+  it('excludes by name case-insensitively and by ID', async () => {
+    const marasia = findBootstrapPOI('Ta Marasia');
+    const acropolis = findBootstrapPOI('Acropolis of Rhodes');
+    const results = await processAndFilterPOIs(
+      loadBootstrapPOIs(),
+      ['TA MARASIA'],
+      [acropolis.place_id]
+    );
+    const names = results.map(p => p.name);
+    assert.ok(!names.includes(marasia.name));
+    assert.ok(!names.includes(acropolis.name));
+  });
+
+  it('excludes names written in another script', async () => {
+    const results = await processAndFilterPOIs(loadBootstrapPOIs(), ['To Nostimo', 'Pizza Fan Rodos']);
+    const names = results.map(p => p.name);
+    assert.ok(!names.includes('ΤΟ ΝΟΣΤΙΜΟ'));
+    assert.ok(!names.includes('Pizza Fan Ρόδος'));
+  });
+
+  it('drops accommodation, nameless and duplicate POIs', async () => {
+    const takis = findBootstrapPOI('Takis Sandwiches & More');
+    const results = await processAndFilterPOIs([
+      takis,
+      { ...takis },
+      { name: 'Sea View Hotel', primary_type: 'hotel', latitude: 36.43, longitude: 28.21 },
+      { primary_type: 'restaurant' },
+      null
+    ]);
+    assert.deepEqual(results.map(p => p.name), ['Takis Sandwiches & More']);
+  });
+
+  it('returns an empty list for no candidates', async () => {
+    assert.deepEqual(await processAndFilterPOIs([]), []);
+  });
+});
@@ -0,0 +1,75 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getCoastOrientation,
+  assessBeachExposure,
+  withCoastOrientation,
+  preferShelteredBeaches
+} from '../beach-exposure.js';
+import { generatePOIReasoning } from '../ai-response-processor.js';
+
+const meltemi = { windSpeedMax: 42, windDirection: 320 };
+const sirocco = { windSpeedMax: 30, windDirection: 160 };
+const calm = { windSpeedMax: 12, windDirection: 320 };
+
+const beaches = [
+  { name: 'Ixia Beach', primary_type: 'beach', rating: 4.6 },
+  { name: 'Ta Marasia', primary_type: 'restaurant', rating: 4.5 },
+  { name: 'Tsambika Beach', primary_type: 'beach', rating: 4.4 }
+];
+
+describe('getCoastOrientation', () => {
+  it('knows the main beaches by their English or Greek name', () => {
+    assert.deepEqual(getCoastOrientation({ name: 'Ixia Beach' }), { coast: 'west', facing: 300 });
+    assert.deepEqual(getCoastOrientation({ name: 'Παραλία Τσαμπίκας' }), { coast: 'east', facing: 110 });
+    assert.deepEqual(getCoastOrientation({ name: "St. Paul's Bay" }), { coast: 'east', facing: 150 });
+    assert.equal(getCoastOrientation({ name: 'Bellini Beach Bar' }), null);
+  });
+
+  it('places other beaches by the side of the island they are on', () => {
+    assert.equal(getCoastOrientation({ name: 'Afantou Golf Beach', latitude: 36.3, longitude: 28.17 }).coast, 'east');
+    assert.equal(getCoastOrientation({ name: 'Glyfada Beach', latitude: 36.29, longitude: 27.87 }).coast, 'west');
+  });
+});
+
+describe('assessBeachExposure', () => {
+  it('keeps the east coast calm in a meltemi', () => {
+    assert.equal(assessBeachExposure({ coast: 'east', facing: 110 }, meltemi).exposure, 'sheltered');
+    assert.deepEqual(assessBeachExposure({ coast: 'west', facing: 300 }, meltemi), {
+      exposure: 'exposed',
+      reason: "Exposed to today's north-westerly wind (42 km/h) on the west coast - expect waves"
+    });
+  });
+
+  it('flips the coasts in a southerly and ignores light winds', () => {
+    assert.equal(assessBeachExposure({ coast: 'east', facing: 150 }, sirocco).exposure, 'exposed');
+    assert.equal(assessBeachExposure({ coast: 'west', facing: 300 }, sirocco).exposure, 'sheltered');
+    assert.equal(assessBeachExposure({ coast: 'north', facing: 30 }, sirocco).exposure, 'sheltered');
+    assert.equal(assessBeachExposure({ coast: 'west', facing: 300 }, calm), null);
+  });
+});
+
+describe('preferShelteredBeaches', () => {
+  it('moves the lee-side beach up and the exposed one down', () => {
+    const ranked = preferShelteredBeaches(beaches, meltemi);
+    assert.deepEqual(ranked.map(poi => poi.name), ['Tsambika Beach', 'Ta Marasia', 'Ixia Beach']);
+    assert.equal(ranked[1], beaches[1]);
+    assert.equal(ranked[2].windExposure.exposure, 'exposed');
+  });
+
+  it('keeps the order and only adds the coast on calm days', () => {
+    const ranked = preferShelteredBeaches(beaches, calm);
+    assert.deepEqual(ranked.map(poi => poi.name), ['Ixia Beach', 'Ta Marasia', 'Tsambika Beach']);
+    assert.deepEqual(ranked[0].coastOrientation, { coast: 'west', facing: 300 });
+    assert.equal(ranked[0].windExposure, undefined);
+  });
+});
+
+describe('generatePOIReasoning', () => {
+  it('says why a beach suits today\'s wind', () => {
+    const reasoning = generatePOIReasoning({ name: 'Tsambika Beach', type: 'beach' }, { stepNumber: 2, weather: meltemi });
+    assert.match(reasoning, /Sheltered from today's north-westerly wind \(42 km\/h\) on the east coast/);
+    assert.doesNotMatch(generatePOIReasoning(withCoastOrientation({ name: 'Ixia Beach', type: 'beach' }), { stepNumber: 2 }), /wind/);
+  });
+});
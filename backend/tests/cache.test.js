@@ -0,0 +1,300 @@
+import './helpers/setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryStore } from '../cache/memoryStore.js';
+import { createSqliteStore } from '../cache/sqliteStore.js';
+import { createRedisStore } from '../cache/redisStore.js';
+import { createCacheStore, setCacheStore } from '../cache/cacheStore.js';
+import { createCache, getCacheMetrics, resetCacheMetrics } from '../cache.js';
+import { createChatCompletion, setLLMProvider } from '../llm/llmProvider.js';
+
+// Clock the stores read instead of Date.now
+function fakeClock(start = 1_000_000) {
+  const clock = () => clock.time;
+  clock.time = start;
+  return clock;
+}
+
+// In-memory stand-in for the Upstash client (string values, seconds TTLs)
+function fakeRedisClient() {
+  const values = new Map();
+  const ttls = new Map();
+  return {
+    values,
+    ttls,
+    async get(key) { return values.has(key) ? values.get(key) : null; },
+    async set(key, value, { ex }) { values.set(key, value); ttls.set(key, ex); },
+    async del(key) { values.delete(key); ttls.delete(key); },
+    async incr(key) {
+      const count = Number(values.get(key) || 0) + 1;
+      values.set(key, String(count));
+      return count;
+    },
+    async expire(key, seconds) { ttls.set(key, seconds); },
+    async ttl(key) { return ttls.get(key) ?? -1; }
+  };
+}
+
+describe('memory store', () => {
+  it('expires entries after their TTL', async () => {
+    const now = fakeClock();
+    const store = createMemoryStore({ now });
+    await store.set('a', { lat: 36.4 }, 60);
+
+    now.time += 59_000;
+    assert.deepEqual(await store.get('a'), { lat: 36.4 });
+    now.time += 1_000;
+    assert.equal(await store.get('a'), undefined);
+    assert.equal(store.size, 0);
+  });
+
+  it('evicts the least recently used entry once full', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('a', 1, 60);
+    await store.set('b', 2, 60);
+    await store.get('a');
+    await store.set('c', 3, 60);
+
+    assert.equal(await store.get('a'), 1);
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await store.get('c'), 3);
+  });
+
+  it('hands out copies, not the cached object', async () => {
+    const store = createMemoryStore();
+    const plan = { stops: ['Lindos'] };
+    await store.set('plan', plan, 60);
+    plan.stops.push('Faliraki');
+    (await store.get('plan')).stops.push('Kallithea');
+
+    assert.deepEqual(await store.get('plan'), { stops: ['Lindos'] });
+  });
+
+  it('counts within a window and starts over when it expires', async () => {
+    const now = fakeClock();
+    const store = createMemoryStore({ now });
+    assert.equal((await store.increment('rate', 60)).count, 1);
+    const second = await store.increment('rate', 60);
+    assert.deepEqual(second, { count: 2, expiresAt: now.time + 60_000 });
+
+    now.time += 60_000;
+    assert.equal((await store.increment('rate', 60)).count, 1);
+  });
+});
+
+describe('sqlite store', () => {
+  const filePath = path.join(os.tmpdir(), `wanderrhodes-cache-test-${process.pid}.sqlite`);
+
+  afterEach(() => {
+    for (const file of [filePath, `${filePath}-wal`, `${filePath}-shm`]) {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  it('keeps entries across store instances until they expire', async () => {
+    const now = fakeClock();
+    await createSqliteStore({ filePath, now }).set('geocode', { lat: 36.09, lng: 28.08 }, 60);
+
+    const reopened = createSqliteStore({ filePath, now });
+    assert.deepEqual(await reopened.get('geocode'), { lat: 36.09, lng: 28.08 });
+    now.time += 60_000;
+    assert.equal(await reopened.get('geocode'), undefined);
+  });
+
+  it('prunes expired and least recently used rows', async () => {
+    const now = fakeClock();
+    const store = createSqliteStore({ filePath, maxEntries: 2, now });
+    await store.set('stale', 0, 1);
+    now.time += 1;
+    await store.set('a', 1, 60);
+    now.time += 1;
+    await store.set('b', 2, 60);
+    now.time += 1;
+    await store.get('a');
+    now.time += 1;
+    await store.set('c', 3, 60);
+    now.time += 1_000;
+    store.prune();
+
+    assert.equal(await store.get('stale'), undefined);
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await store.get('a'), 1);
+    assert.equal(await store.get('c'), 3);
+  });
+
+  it('increments counters and deletes entries', async () => {
+    const store = createSqliteStore({ filePath });
+    await store.increment('rate', 60);
+    assert.equal((await store.increment('rate', 60)).count, 2);
+
+    await store.delete('rate');
+    assert.equal(await store.get('rate'), undefined);
+  });
+});
+
+describe('redis store', () => {
+  it('stores JSON with the TTL in seconds', async () => {
+    const client = fakeRedisClient();
+    const store = createRedisStore({ client });
+    await store.set('wr:place_id:Lindos', 'ChIJ123', 604800);
+
+    assert.equal(client.values.get('wr:place_id:Lindos'), '"ChIJ123"');
+    assert.equal(client.ttls.get('wr:place_id:Lindos'), 604800);
+    assert.equal(await store.get('wr:place_id:Lindos'), 'ChIJ123');
+    assert.equal(await store.get('missing'), undefined);
+    assert.equal(store.shared, true);
+  });
+
+  it('sets the window only on the first increment', async () => {
+    const client = fakeRedisClient();
+    const store = createRedisStore({ client });
+    await store.increment('rate', 60);
+    client.ttls.set('rate', 30);
+
+    assert.equal((await store.increment('rate', 60)).count, 2);
+    assert.equal(client.ttls.get('rate'), 30);
+  });
+
+  it('needs an Upstash URL without an injected client', () => {
+    const url = process.env.UPSTASH_REDIS_REST_URL;
+    delete process.env.UPSTASH_REDIS_REST_URL;
+    try {
+      assert.throws(() => createCacheStore('redis'), /UPSTASH_REDIS_REST_URL is required/);
+      assert.throws(() => createCacheStore('memcached'), /Unknown cache store: memcached/);
+    } finally {
+      if (url !== undefined) process.env.UPSTASH_REDIS_REST_URL = url;
+    }
+  });
+});
+
+describe('createCache', () => {
+  afterEach(() => {
+    setCacheStore(null);
+    resetCacheMetrics();
+  });
+
+  it('namespaces keys and counts hits and misses', async () => {
+    const store = createMemoryStore();
+    setCacheStore(store);
+    const cache = createCache('geocode');
+
+    assert.equal(await cache.get('Lindos'), undefined);
+    await cache.set('Lindos', { lat: 36.09, lng: 28.08 });
+    assert.deepEqual(await cache.get('Lindos'), { lat: 36.09, lng: 28.08 });
+    assert.deepEqual(await store.get('wr:geocode:Lindos'), { lat: 36.09, lng: 28.08 });
+
+    const { store: storeName, namespaces } = getCacheMetrics();
+    assert.equal(storeName, 'memory');
+    assert.deepEqual(namespaces.geocode, { hits: 1, misses: 1, sets: 1, errors: 0, hitRate: 0.5 });
+  });
+
+  it('treats a cached null as a hit', async () => {
+    setCacheStore(createMemoryStore());
+    const cache = createCache('place_photos');
+    await cache.set('ChIJ123', null);
+
+    assert.equal(await cache.get('ChIJ123'), null);
+    assert.equal(getCacheMetrics().namespaces.place_photos.hits, 1);
+  });
+
+  it('loads once with remember', async () => {
+    setCacheStore(createMemoryStore());
+    const cache = createCache('weather');
+    let loads = 0;
+    const load = async () => ++loads;
+
+    assert.equal(await cache.remember('36.43,28.22', load), 1);
+    assert.equal(await cache.remember('36.43,28.22', load), 1);
+    assert.equal(loads, 1);
+  });
+
+  it('lets CACHE_TTL_<NAMESPACE> override the policy', () => {
+    process.env.CACHE_TTL_GEOCODE = '120';
+    try {
+      assert.equal(createCache('geocode').ttl, 120);
+    } finally {
+      delete process.env.CACHE_TTL_GEOCODE;
+    }
+    assert.equal(createCache('geocode').ttl, 30 * 24 * 60 * 60);
+  });
+
+  it('skips per-user namespaces unless the store is shared', async () => {
+    const store = createMemoryStore();
+    setCacheStore(store);
+    const plans = createCache('plans');
+
+    assert.equal(await plans.set('user-1', [{ id: 1 }]), false);
+    assert.equal(store.size, 0);
+
+    setCacheStore(createRedisStore({ client: fakeRedisClient() }));
+    assert.equal(await plans.set('user-1', [{ id: 1 }]), true);
+    assert.deepEqual(await plans.get('user-1'), [{ id: 1 }]);
+  });
+
+  it('counts a failing store as a miss instead of throwing', async () => {
+    const broken = { ...createMemoryStore(), async get() { throw new Error('connection reset'); } };
+    setCacheStore(broken);
+    const cache = createCache('llm');
+
+    assert.equal(await cache.get('key'), undefined);
+    assert.deepEqual(getCacheMetrics().namespaces.llm, { hits: 0, misses: 1, sets: 0, errors: 1, hitRate: 0 });
+  });
+});
+
+describe('LLM response caching', () => {
+  afterEach(() => {
+    setLLMProvider(null);
+    setCacheStore(null);
+    resetCacheMetrics();
+  });
+
+  function countingProvider(name) {
+    const provider = {
+      name,
+      calls: 0,
+      isAvailable: () => true,
+      async createChatCompletion() {
+        provider.calls++;
+        return { choices: [{ message: { role: 'assistant', content: `answer ${provider.calls}` }, finish_reason: 'stop' }] };
+      }
+    };
+    return provider;
+  }
+
+  const params = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Best beach for a windy day?' }] };
+
+  it('answers repeated OpenAI requests from the cache', async () => {
+    setCacheStore(createMemoryStore());
+    const provider = countingProvider('openai');
+    setLLMProvider(provider);
+
+    await createChatCompletion({ purpose: 'test', params });
+    const tokens = [];
+    const cached = await createChatCompletion({ purpose: 'test', params, onToken: t => tokens.push(t) });
+
+    assert.equal(provider.calls, 1);
+    assert.equal(cached.choices[0].message.content, 'answer 1');
+    assert.deepEqual(tokens, ['answer 1']);
+    assert.equal(getCacheMetrics().namespaces.llm.hits, 1);
+  });
+
+  it('asks again for different params, cache: false or offline providers', async () => {
+    setCacheStore(createMemoryStore());
+    const openai = countingProvider('openai');
+    setLLMProvider(openai);
+
+    await createChatCompletion({ purpose: 'test', params });
+    await createChatCompletion({ purpose: 'test', params: { ...params, temperature: 0.2 } });
+    await createChatCompletion({ purpose: 'test', params, cache: false });
+    assert.equal(openai.calls, 3);
+
+    const stub = countingProvider('stub');
+    setLLMProvider(stub);
+    await createChatCompletion({ purpose: 'test', params });
+    await createChatCompletion({ purpose: 'test', params });
+    assert.equal(stub.calls, 2);
+  });
+});
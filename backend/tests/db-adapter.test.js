@@ -0,0 +1,105 @@
+import { loadBootstrapPOIs, findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db-adapter.js';
+
+// setup.js clears the Postgres env, so the adapter must pick SQLite
+describe('db-adapter (SQLite)', () => {
+  it('serves the POI functions from the seeded SQLite knowledge base', async () => {
+    assert.equal(db.hasPOIFeatures(), true);
+    assert.equal(await db.isPOIDataAvailable(), true);
+    for (const fn of ['searchPOIsAdvanced', 'getNearbyPOIs', 'getSpatialRelationships', 'getPOIClustersNear', 'findPOIByNameAndLocation']) {
+      assert.equal(typeof db[fn], 'function', fn);
+    }
+  });
+
+  it('creates, upgrades and deletes users', () => {
+    const user = db.upsertUser('Traveller@Example.com');
+    assert.equal(user.email, 'traveller@example.com');
+    assert.equal(user.has_paid, 0);
+    assert.equal(user.free_chats_used, 0);
+
+    db.incrementFreeChats('traveller@example.com');
+    db.incrementFreeChats('TRAVELLER@example.com');
+    assert.equal(db.getUserByEmail('traveller@example.com').free_chats_used, 2);
+
+    const paid = db.upsertUser('traveller@example.com', true);
+    assert.equal(paid.has_paid, 1);
+    assert.equal(paid.id, user.id);
+
+    db.deleteUserByEmail('traveller@example.com');
+    assert.equal(db.getUserByEmail('traveller@example.com'), undefined);
+  });
+
+  it('sets and clears magic tokens', () => {
+    db.upsertUser('token@example.com');
+    db.setMagicToken('token@example.com', 'hash123', Date.now() + 60000);
+    assert.equal(db.getUserByMagicToken('hash123').email, 'token@example.com');
+    db.clearMagicToken('token@example.com');
+    assert.equal(db.getUserByMagicToken('hash123'), undefined);
+  });
+
+  it('round-trips a travel plan built from bootstrap POIs', () => {
+    const user = db.upsertUser('planner@example.com');
+    const stops = ['Acropolis of Rhodes', 'Ta Marasia'].map(findBootstrapPOI);
+    const planId = db.saveTravelPlan(user.id, { locations: stops }, 'Old Town day');
+
+    let [plan] = db.getUserTravelPlans(user.id);
+    assert.equal(plan.id, Number(planId));
+    assert.equal(plan.plan_name, 'Old Town day');
+    assert.deepEqual(plan.plan_data.locations.map(p => p.place_id), stops.map(p => p.place_id));
+
+    db.updateTravelPlan(user.id, plan.id, { locations: loadBootstrapPOIs().slice(0, 3) }, 'Renamed');
+    [plan] = db.getUserTravelPlans(user.id);
+    assert.equal(plan.plan_name, 'Renamed');
+    assert.equal(plan.plan_data.locations.length, 3);
+
+    db.deleteTravelPlan(user.id, plan.id);
+    assert.deepEqual(db.getUserTravelPlans(user.id), []);
+  });
+
+  it('only lets the owner delete a plan', () => {
+    const owner = db.upsertUser('owner@example.com');
+    const other = db.upsertUser('other@example.com');
+    const planId = db.saveTravelPlan(owner.id, { locations: [] }, 'Mine');
+    db.deleteTravelPlan(other.id, planId);
+    assert.equal(db.getUserTravelPlans(owner.id).length, 1);
+  });
+
+  it('stores chat history per session in order', () => {
+    const user = db.upsertUser('chat@example.com');
+    db.saveChatMessage(user.id, 's1', { role: 'user', content: 'Beaches?' });
+    db.saveChatMessage(user.id, 's1', { role: 'assistant', content: 'Try Elli Beach.' });
+    db.saveChatMessage(user.id, 's2', { role: 'user', content: 'Other session' });
+
+    const history = db.getUserChatHistory(user.id, 's1');
+    assert.deepEqual(history.map(m => m.message_data.role), ['user', 'assistant']);
+
+    db.clearUserChatHistory(user.id, 's1');
+    assert.deepEqual(db.getUserChatHistory(user.id, 's1'), []);
+    assert.equal(db.getUserChatHistory(user.id, 's2').length, 1);
+  });
+
+  it('replaces preferences on save', () => {
+    const user = db.upsertUser('prefs@example.com');
+    assert.equal(db.getUserPreferences(user.id), null);
+    db.saveUserPreferences(user.id, { interests: ['food'] });
+    db.saveUserPreferences(user.id, { interests: ['beaches'], budget: 'moderate' });
+    assert.deepEqual(db.getUserPreferences(user.id).preferences_data, { interests: ['beaches'], budget: 'moderate' });
+  });
+
+  it('sums and prunes usage events by window and endpoint', () => {
+    const now = Math.floor(Date.now() / 1000);
+    db.recordUsageEvent('user:1', '/api/chat', 1, now - 7200);
+    db.recordUsageEvent('user:1', '/api/chat', 1, now - 60);
+    db.recordUsageEvent('user:1', '/api/agent', 2, now - 30);
+    db.recordUsageEvent('user:2', '/api/chat', 1, now - 30);
+
+    assert.deepEqual(db.getUsageSince('user:1', now - 3600), { units: 3, oldest: now - 60 });
+    assert.equal(db.getUsageSince('user:1', 0, '/api/chat').units, 2);
+    assert.deepEqual(db.getUsageSince('user:3', 0), { units: 0, oldest: null });
+
+    db.pruneUsageEvents(now - 3600);
+    assert.equal(db.getUsageSince('user:1', 0).units, 3);
+  });
+});
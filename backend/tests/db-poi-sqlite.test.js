@@ -0,0 +1,112 @@
+import { findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  searchPOIsAdvanced,
+  getNearbyPOIs,
+  getSpatialRelationships,
+  getWalkingDistancePOIs,
+  getPOIClustersNear,
+  getPOIStatistics,
+  findPOIByNameAndLocation
+} from '../db-adapter.js';
+
+const MONDAY = 1;
+const OLD_TOWN = { latitude: 36.4341, longitude: 28.2176 };
+const poiId = async name => (await searchPOIsAdvanced({ searchText: name, limit: 1 }))[0].id;
+
+describe('SQLite POI database', () => {
+  it('is seeded from the bootstrap dataset', async () => {
+    const stats = await getPOIStatistics();
+    assert.equal(stats.totalPOIs, 10);
+    // Only relationships between bootstrap POIs survive the seed
+    assert.equal(stats.totalRelationships, 23);
+    assert.deepEqual(stats.relationshipTypes, [{ relationship_type: 'walking_distance', count: 23 }]);
+  });
+
+  it('returns rows in the PostgreSQL shape', async () => {
+    const [takis] = await searchPOIsAdvanced({ searchText: 'Takis', limit: 1 });
+    assert.equal(takis.place_id, findBootstrapPOI('Takis Sandwiches & More').place_id);
+    assert.deepEqual(takis.amenities, ['seating', 'dining']);
+    assert.ok(Array.isArray(takis.opening_hours.periods));
+  });
+});
+
+describe('searchPOIsAdvanced', () => {
+  it('filters by type, radius and rating, nearest first', async () => {
+    const results = await searchPOIsAdvanced({ types: ['restaurant'], ...OLD_TOWN, radius: 400, minRating: 4.4 });
+    assert.deepEqual(results.map(p => p.name), ['Takis Sandwiches & More', 'ΤΟ ΝΟΣΤΙΜΟ', 'Ta Marasia']);
+    assert.ok(results.every((p, i) => i === 0 || p.distance_meters >= results[i - 1].distance_meters));
+  });
+
+  it('matches array columns and applies exclusions', async () => {
+    const results = await searchPOIsAdvanced({
+      amenities: ['air_conditioning'],
+      excludeTypes: ['restaurant'],
+      excludeNames: ['Rhodes'],
+      limit: 10
+    });
+    assert.deepEqual(results.map(p => p.name), ['Acropolis of Rhodes']);
+  });
+
+  it('drops places closed at the planned time on request', async () => {
+    const results = await searchPOIsAdvanced({
+      types: ['restaurant'],
+      openAt: { day: MONDAY, minutes: 10 * 60 },
+      excludeClosed: true,
+      limit: 10
+    });
+    assert.ok(!results.some(p => p.name === 'Sakura Asian Cuisine'));
+    assert.ok(results.some(p => p.name === 'Takis Sandwiches & More'));
+  });
+});
+
+describe('getNearbyPOIs', () => {
+  it('limits by radius and type', async () => {
+    const monument = findBootstrapPOI('Μνημείο τον γλάρος');
+    const results = await getNearbyPOIs(monument.latitude, monument.longitude, 150, ['attraction'], 10);
+    assert.deepEqual(results.map(p => p.name).sort(), ['Kolymbia Sky', 'Μνημείο τον γλάρος', 'Το βενετσιάνικο συντριβάνι'].sort());
+  });
+});
+
+describe('getSpatialRelationships', () => {
+  it('joins related POIs, most confident first', async () => {
+    const related = await getSpatialRelationships(await poiId('Kolymbia Sky'));
+    assert.deepEqual(related.map(r => r.related_poi_name), ['Rhodes']);
+    assert.equal(related[0].distance_meters, 109);
+  });
+
+  it('filters by relationship type', async () => {
+    const id = await poiId('Takis');
+    assert.equal((await getWalkingDistancePOIs(id)).length, 6);
+    assert.deepEqual(await getSpatialRelationships(id, ['adjacent_to']), []);
+  });
+});
+
+describe('getPOIClustersNear', () => {
+  it('finds clusters around a point', async () => {
+    const [cluster] = await getPOIClustersNear(OLD_TOWN.latitude, OLD_TOWN.longitude, 500);
+    assert.equal(cluster.cluster_name, 'Rhodes Tourist Quarter');
+    assert.equal(cluster.poi_count, 3);
+    assert.deepEqual(await getPOIClustersNear(36.09, 28.09, 2000), []);
+  });
+});
+
+describe('findPOIByNameAndLocation', () => {
+  it('prefers exact names near the point', async () => {
+    const match = await findPOIByNameAndLocation('rhodes', OLD_TOWN.latitude, OLD_TOWN.longitude, 1000);
+    assert.equal(match.name, 'Rhodes');
+    assert.equal(await findPOIByNameAndLocation('Rhodes', 36.09, 28.09, 1000), null);
+  });
+
+  it('matches Greek-script names from their Latin spelling', async () => {
+    const match = await findPOIByNameAndLocation('To Nostimo', OLD_TOWN.latitude, OLD_TOWN.longitude, 1000);
+    assert.equal(match.name, 'ΤΟ ΝΟΣΤΙΜΟ');
+  });
+
+  it('falls back to the nearest name containing the words', async () => {
+    const match = await findPOIByNameAndLocation('Acropolis', OLD_TOWN.latitude, OLD_TOWN.longitude, 1000);
+    assert.equal(match.name, 'Acropolis of Rhodes');
+    assert.equal(await findPOIByNameAndLocation('Acro', OLD_TOWN.latitude, OLD_TOWN.longitude, 1000), null);
+  });
+});
@@ -0,0 +1,157 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { createEventStream, createProseFilter, wantsEventStream } from '../event-stream.js';
+import { collectStreamedCompletion } from '../llm/openaiProvider.js';
+import { createChatCompletion } from '../llm/llmProvider.js';
+import guidedChatHandler from '../guidedChatHandler.js';
+
+// Just enough of an Express response to record what a handler sends
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.chunks = [];
+    this.headersSent = false;
+    this.writableEnded = false;
+  }
+  setHeader(name, value) { this.headers[name.toLowerCase()] = value; }
+  flushHeaders() { this.headersSent = true; }
+  write(chunk) { this.headersSent = true; this.chunks.push(chunk); return true; }
+  status(code) { this.statusCode = code; return this; }
+  json(body) { this.body = body; return this.end(); }
+  end() { this.writableEnded = true; this.emit('close'); return this; }
+
+  get events() {
+    return this.chunks.join('').split('\n\n').filter(Boolean).map(frame => {
+      const [, event] = frame.match(/^event: (.+)$/m);
+      const [, data] = frame.match(/^data: (.+)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+  }
+}
+
+const streamingRequest = (body = {}) => ({ method: 'POST', headers: { accept: 'text/event-stream' }, body });
+
+describe('createEventStream', () => {
+  it('writes status, token and done events for streaming clients', () => {
+    const res = new FakeResponse();
+    const stream = createEventStream(streamingRequest(), res);
+    stream.status('tool_started', 'Searching', { tool: 'getNearbyPlaces' });
+    stream.token('Hello');
+    stream.token('');
+    stream.respond(200, { reply: 'Hello' });
+
+    assert.equal(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+    assert.deepEqual(res.events, [
+      { event: 'status', data: { stage: 'tool_started', message: 'Searching', tool: 'getNearbyPlaces' } },
+      { event: 'token', data: { text: 'Hello' } },
+      { event: 'done', data: { reply: 'Hello' } }
+    ]);
+    assert.equal(res.writableEnded, true);
+  });
+
+  it('reports failures after streaming began as error events', () => {
+    const res = new FakeResponse();
+    createEventStream(streamingRequest(), res).respond(500, { error: 'boom' });
+    assert.deepEqual(res.events, [{ event: 'error', data: { status: 500, error: 'boom' } }]);
+  });
+
+  it('falls back to a JSON response and ignores progress events', () => {
+    const res = new FakeResponse();
+    const stream = createEventStream({ headers: {}, body: {} }, res);
+    stream.status('thinking', 'Thinking');
+    stream.respond(400, { error: 'bad' });
+    assert.equal(res.chunks.length, 0);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, { error: 'bad' });
+  });
+
+  it('is shared by handlers writing to the same response', () => {
+    const res = new FakeResponse();
+    assert.equal(createEventStream(streamingRequest(), res), createEventStream({ headers: {} }, res));
+  });
+
+  it('aborts when the client disconnects first', () => {
+    const res = new FakeResponse();
+    const stream = createEventStream(streamingRequest(), res);
+    res.emit('close');
+    assert.equal(stream.aborted, true);
+    stream.token('late');
+    assert.equal(res.chunks.length, 0);
+  });
+
+  it('can be requested with a body flag', () => {
+    assert.equal(wantsEventStream({ headers: {}, body: { stream: true } }), true);
+    assert.equal(wantsEventStream({ headers: { accept: 'application/json' }, body: {} }), false);
+  });
+});
+
+describe('createProseFilter', () => {
+  it('drops JSON location blocks split across tokens', () => {
+    const show = createProseFilter();
+    const tokens = ['Try these:\n', '{"name": "Ta {', 'Marasia}", "location": {"address"', ': "Rhodes"}}', '\nEnjoy!'];
+    assert.equal(tokens.map(show).join(''), 'Try these:\n\nEnjoy!');
+  });
+});
+
+describe('streamed completions', () => {
+  async function* chunks(deltas) {
+    for (const [delta, finish_reason = null] of deltas) {
+      yield { id: 'chatcmpl-1', model: 'gpt-4o-mini', choices: [{ index: 0, delta, finish_reason }] };
+    }
+  }
+
+  it('rebuild tool calls from their streamed pieces', async () => {
+    const completion = await collectStreamedCompletion(chunks([
+      [{ role: 'assistant', tool_calls: [{ index: 0, id: 'call_1', function: { name: 'getNearbyPlaces', arguments: '' } }] }],
+      [{ tool_calls: [{ index: 0, function: { arguments: '{"lat":36.4,' } }] }],
+      [{ tool_calls: [{ index: 0, function: { arguments: '"lng":28.2}' } }] }, 'tool_calls']
+    ]));
+    const { message, finish_reason } = completion.choices[0];
+    assert.equal(finish_reason, 'tool_calls');
+    assert.equal(message.content, null);
+    assert.deepEqual(message.tool_calls, [{ id: 'call_1', type: 'function', function: { name: 'getNearbyPlaces', arguments: '{"lat":36.4,"lng":28.2}' } }]);
+  });
+
+  it('pass text tokens through as they arrive', async () => {
+    const tokens = [];
+    const completion = await collectStreamedCompletion(chunks([[{ content: 'Kali' }], [{ content: 'mera' }, 'stop']]), text => tokens.push(text));
+    assert.deepEqual(tokens, ['Kali', 'mera']);
+    assert.equal(completion.choices[0].message.content, 'Kalimera');
+  });
+
+  it('send the whole answer as one token when the provider cannot stream', async () => {
+    const tokens = [];
+    const completion = await createChatCompletion({ purpose: 'small_talk', params: { messages: [] }, onToken: text => tokens.push(text) });
+    assert.deepEqual(tokens, [completion.choices[0].message.content]);
+  });
+});
+
+describe('guided chat streaming', () => {
+  it('streams progress for an intelligent round before the result', async () => {
+    const strategyRes = new FakeResponse();
+    await guidedChatHandler(streamingRequest({ action: 'CREATE_PLAN_STRATEGY', userPreferences: { interests: ['food'] } }), strategyRes);
+    const strategyEvents = strategyRes.events;
+    assert.equal(strategyEvents[0].data.stage, 'strategy');
+    const { strategy } = strategyEvents.at(-1).data;
+    assert.equal(strategyEvents.at(-1).event, 'done');
+
+    const roundRes = new FakeResponse();
+    await guidedChatHandler(streamingRequest({ action: 'GET_INTELLIGENT_ROUND', userPreferences: { interests: ['food'] }, currentRound: 1, planStrategy: strategy }), roundRes);
+    const stages = roundRes.events.filter(e => e.event === 'status').map(e => e.data.stage);
+    assert.deepEqual(stages.slice(0, 2), ['round', 'kb_query']);
+    assert.ok(stages.includes('pois_found'));
+    const done = roundRes.events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.success, true);
+  });
+
+  it('reports invalid requests through the stream', async () => {
+    const res = new FakeResponse();
+    await guidedChatHandler(streamingRequest({ action: 'NOPE' }), res);
+    assert.deepEqual(res.events.map(e => [e.event, e.data.status]), [['error', 400]]);
+  });
+});
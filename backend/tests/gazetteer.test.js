@@ -0,0 +1,90 @@
+import './helpers/setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentConfig } from '../config/agentConfig.js';
+import {
+  createGazetteer,
+  getGazetteer,
+  loadCuratedPlaces,
+  lookupPlace,
+  setGazetteer
+} from '../tools/gazetteer.js';
+import { geocodeLocation, validateCoordinates } from '../tools/geocoding.js';
+
+describe('gazetteer lookup', () => {
+  afterEach(() => setGazetteer(null));
+
+  it('finds villages by English, Greek and transliterated names', async () => {
+    for (const name of ['Lindos', 'Λίνδος', 'LINDOS', 'Lindos Village']) {
+      const match = await lookupPlace(name);
+      assert.equal(match?.name, 'Lindos', name);
+    }
+    assert.equal((await lookupPlace('Φαληράκι')).name, 'Faliraki');
+    assert.equal((await lookupPlace('Epta Piges')).name, 'Seven Springs');
+  });
+
+  it('ignores descriptor words but prefers an exact name', async () => {
+    assert.equal((await lookupPlace('Faliraki Beach')).name, 'Faliraki');
+    assert.equal((await lookupPlace('Kolymbia Bay')).name, 'Kolymbia');
+    assert.equal((await lookupPlace('Lindos Beach')).name, 'Lindos Beach');
+  });
+
+  it('tolerates small misspellings', async () => {
+    const match = await lookupPlace('Tsambikka Beach');
+    assert.equal(match.name, 'Tsambika Beach');
+    assert.ok(match.score < 1);
+  });
+
+  it('indexes every POI in the dataset', async () => {
+    const match = await lookupPlace('Takis Sandwiches & More');
+    assert.equal(match.kind, 'poi');
+    assert.equal(match.placeId, 'ChIJSfcuh5FhlRQRqfVB_w9kuo8');
+    assert.equal(match.lat, 36.4343775);
+  });
+
+  it('finds Greek-script POIs by their Latin spelling', async () => {
+    assert.equal((await lookupPlace('To Nostimo')).name, 'ΤΟ ΝΟΣΤΙΜΟ');
+    assert.equal((await lookupPlace('Pizza Fan Rodos')).name, 'Pizza Fan Ρόδος');
+  });
+
+  it('misses names it does not know rather than guessing', async () => {
+    assert.equal(await lookupPlace('Hotel Sunshine Paradise'), null);
+    assert.equal(await lookupPlace('Lind'), null);
+    assert.equal(await lookupPlace(''), null);
+  });
+
+  it('lets earlier places win a shared name', () => {
+    const gazetteer = createGazetteer([
+      { name: 'Acropolis of Rhodes', kind: 'landmark', lat: 36.431, lng: 28.21 },
+      { name: 'Acropolis of Rhodes', kind: 'poi', lat: 36.4, lng: 28.2 }
+    ]);
+    assert.equal(gazetteer.lookup('acropolis of rhodes').kind, 'landmark');
+  });
+
+  it('keeps every curated place inside the Rhodes bounds', () => {
+    for (const place of loadCuratedPlaces()) {
+      assert.ok(validateCoordinates({ lat: place.lat, lng: place.lng }), place.name);
+    }
+  });
+
+  it('is built once per process', async () => {
+    assert.equal(await getGazetteer(), await getGazetteer());
+  });
+});
+
+describe('geocodeLocation', () => {
+  it('resolves gazetteer names offline', async () => {
+    // Tests run without API keys, so a remote lookup would end at the Rhodes center
+    assert.deepEqual(await geocodeLocation('Prasonisi'), { lat: 35.892, lng: 27.766 });
+    assert.deepEqual(await geocodeLocation('Monolithos Castle', 'Monolithos 851 06, Greece'), { lat: 36.1274, lng: 27.7248 });
+  });
+
+  it('falls back to the Rhodes center for unknown names', async () => {
+    assert.deepEqual(await geocodeLocation('Hotel Sunshine Paradise'), AgentConfig.rhodesCenter);
+  });
+
+  it('rejects coordinates outside the configured island bounds', () => {
+    assert.equal(validateCoordinates({ lat: 37.9838, lng: 23.7275 }), null);
+    assert.deepEqual(validateCoordinates({ lat: 35.892, lng: 27.766 }), { lat: 35.892, lng: 27.766 });
+  });
+});
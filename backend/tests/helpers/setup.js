@@ -0,0 +1,66 @@
+/**
+ * Test setup - import this FIRST in every test file
+ * Pins the environment to offline, fixture-backed defaults so the suite
+ * never touches live services, the developer database or generated data.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const REPO_ROOT = path.join(__dirname, '..', '..', '..');
+export const BOOTSTRAP_DIR = path.join(REPO_ROOT, 'data', 'bootstrap_test');
+
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'stub';
+process.env.ENABLE_WEATHER_AWARE = 'true';
+process.env.WEATHER_PROVIDER = 'fixture';
+process.env.WEATHER_FIXTURE = 'sunny';
+process.env.CACHE_STORE = 'memory';
+// Empty rather than deleted so a developer's .env cannot switch remote geocoding back on
+process.env.GOOGLE_MAPS_API_KEY = '';
+process.env.MAPBOX_ACCESS_TOKEN = '';
+process.env.POI_DATASET_PATH = path.join(BOOTSTRAP_DIR, 'google_maps_pois.json');
+process.env.SPATIAL_RELATIONSHIPS_PATH = path.join(BOOTSTRAP_DIR, 'spatial_relationships.json');
+
+// Force the SQLite adapter and give each test process its own database file
+for (const key of Object.keys(process.env)) {
+  if (key === 'DATABASE_URL' || key.startsWith('POSTGRES_')) {
+    delete process.env[key];
+  }
+}
+const dbPath = path.join(os.tmpdir(), `wanderrhodes-test-${process.pid}.sqlite`);
+process.env.SQLITE_DB_PATH = dbPath;
+
+process.on('exit', () => {
+  for (const file of [dbPath, `${dbPath}-wal`, `${dbPath}-shm`]) {
+    fs.rmSync(file, { force: true });
+  }
+});
+
+// The backend logs every step; keep test output readable unless asked for
+if (process.env.TEST_VERBOSE !== 'true') {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+/**
+ * Bootstrap fixtures (fresh copies so tests can't leak mutations)
+ */
+export function loadBootstrapPOIs() {
+  return JSON.parse(fs.readFileSync(process.env.POI_DATASET_PATH, 'utf8'));
+}
+
+export function loadBootstrapRelationships() {
+  return JSON.parse(fs.readFileSync(process.env.SPATIAL_RELATIONSHIPS_PATH, 'utf8'));
+}
+
+export function findBootstrapPOI(name) {
+  const poi = loadBootstrapPOIs().find(p => p.name === name);
+  if (!poi) {
+    throw new Error(`Bootstrap POI not found: ${name}`);
+  }
+  return poi;
+}
@@ -0,0 +1,91 @@
+import { findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateDwellMinutes,
+  resolveStartTime,
+  getScheduleOptions,
+  dropStaleTravel,
+  scheduleItinerary,
+  attachSchedule
+} from '../itinerary-scheduler.js';
+
+const MONDAY = 1;
+const stop = (name, type, travelMinutes) => ({
+  name,
+  type,
+  ...(travelMinutes !== undefined && { travel: { durationMinutes: travelMinutes, distanceMeters: travelMinutes * 500 } })
+});
+
+describe('estimateDwellMinutes', () => {
+  it('estimates by POI type and honours overrides', () => {
+    assert.equal(estimateDwellMinutes({ primary_type: 'beach' }), 180);
+    assert.equal(estimateDwellMinutes({ type: 'Restaurant' }), 90);
+    assert.equal(estimateDwellMinutes({ type: 'unknown' }), 60);
+    assert.equal(estimateDwellMinutes({ type: 'beach', dwellMinutes: 20 }), 20);
+  });
+});
+
+describe('resolveStartTime / getScheduleOptions', () => {
+  it('reads startTime or an HH:MM time of day', () => {
+    assert.equal(resolveStartTime({ startTime: '10:00' }), '10:00');
+    assert.equal(resolveStartTime({ timeOfDay: ['morning', '08:00'] }), '08:00');
+    assert.equal(resolveStartTime({}), '09:00');
+  });
+
+  it('maps transport to a travel speed', () => {
+    assert.deepEqual(getScheduleOptions({ startTime: '11:00', transport: 'public' }), { startTime: '11:00', speedKmh: 20 });
+  });
+});
+
+describe('scheduleItinerary', () => {
+  it('adds travel and dwell time stop by stop', () => {
+    const { stops, endTime, totalMinutes } = scheduleItinerary([
+      stop('Museum', 'museum', 10),
+      stop('Lunch', 'restaurant', 15)
+    ], { startTime: '09:00', dayOfWeek: MONDAY });
+
+    assert.deepEqual(stops.map(s => [s.arrival, s.departure]), [['09:10', '10:40'], ['10:55', '12:25']]);
+    assert.equal(endTime, '12:25');
+    assert.equal(totalMinutes, 205);
+  });
+
+  it('estimates legs without measured travel from coordinates', () => {
+    const a = { name: 'A', latitude: 36.43, longitude: 28.20 };
+    const b = { name: 'B', latitude: 36.43, longitude: 28.30 }; // ~9km east
+    const { stops } = scheduleItinerary([a, b], { dayOfWeek: MONDAY, speedKmh: 30 });
+    assert.equal(stops[0].travelMinutes, 0);
+    assert.ok(stops[1].travelMinutes >= 20 && stops[1].travelMinutes <= 26, String(stops[1].travelMinutes));
+  });
+
+  it('waits for late openers and flags stops outside their hours', () => {
+    const sakura = findBootstrapPOI('Sakura Asian Cuisine');
+    const takis = findBootstrapPOI('Takis Sandwiches & More');
+    const { stops, warnings } = scheduleItinerary([{ ...sakura, travel: { durationMinutes: 5 } }], { startTime: '16:00', dayOfWeek: MONDAY });
+    assert.equal(stops[0].arrival, '17:00');
+    assert.equal(stops[0].waitMinutes, 55);
+    assert.deepEqual(warnings, []);
+
+    const closed = scheduleItinerary([takis], { dayOfWeek: 0 });
+    assert.equal(closed.warnings[0].message, 'Takis Sandwiches & More is closed on Sun');
+  });
+});
+
+describe('attachSchedule', () => {
+  it('stores the schedule on copies of the stops', () => {
+    const input = [stop('Beach', 'beach', 30), { ...stop('Cafe', 'cafe', 10), openingHoursWarning: 'stale' }];
+    const { locations, timetable } = attachSchedule(input, { startTime: '10:00', dayOfWeek: MONDAY });
+    assert.deepEqual(locations[1].schedule, { arrival: '13:40', departure: '14:25', travelMinutes: 10, waitMinutes: 0, dwellMinutes: 45 });
+    assert.equal(locations[1].openingHoursWarning, undefined);
+    assert.deepEqual(timetable, { startTime: '10:00', endTime: '14:25', totalMinutes: 265, dayOfWeek: MONDAY });
+    assert.equal(input[0].schedule, undefined);
+  });
+
+  it('re-times the day after a reorder', () => {
+    const measured = [stop('A', 'museum', 10), stop('B', 'cafe', 5), stop('C', 'beach', 20)];
+    const reordered = dropStaleTravel(measured, [measured[0], measured[2], measured[1]]);
+    assert.equal(reordered[0].travel.durationMinutes, 10);
+    assert.equal(reordered[1].travel, undefined);
+    assert.equal(reordered[2].travel, undefined);
+  });
+});
@@ -0,0 +1,161 @@
+import { loadBootstrapRelationships, findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  loadPOIDataset,
+  calculateDistance,
+  matchesUserPreferences,
+  searchPOIsByLocation,
+  getMustSeeRhodesPOIs,
+  getNearbyPOIsFromAnchors,
+  analyzeTravelPlanContext
+} from '../knowledge-base-queries.js';
+
+const OLD_TOWN = { latitude: 36.4341, longitude: 28.2176 };
+
+describe('loadPOIDataset', () => {
+  it('wraps the bootstrap array as { pois }', async () => {
+    const dataset = await loadPOIDataset();
+    assert.equal(dataset.pois.length, 10);
+  });
+});
+
+describe('calculateDistance', () => {
+  it('is zero for the same point and accepts lat/lng or latitude/longitude', () => {
+    const poi = findBootstrapPOI('Ta Marasia');
+    assert.equal(calculateDistance(poi, { lat: poi.latitude, lng: poi.longitude }), 0);
+    assert.equal(calculateDistance(poi, poi), 0);
+  });
+
+  it('matches the haversine distance between two known POIs', () => {
+    const takis = findBootstrapPOI('Takis Sandwiches & More');
+    const marasia = findBootstrapPOI('Ta Marasia');
+    const distance = calculateDistance(takis, marasia);
+    assert.ok(distance > 300 && distance < 350, `got ${distance}`);
+  });
+});
+
+describe('matchesUserPreferences', () => {
+  it('maps interests to POI types', () => {
+    const restaurant = findBootstrapPOI('Ta Marasia');
+    assert.equal(matchesUserPreferences(restaurant, { interests: ['food'] }), true);
+    assert.equal(matchesUserPreferences(restaurant, { interests: ['beaches'] }), false);
+  });
+
+  it('accepts everything without preferences', () => {
+    assert.equal(matchesUserPreferences(findBootstrapPOI('Rhodes'), null), true);
+    assert.equal(matchesUserPreferences(findBootstrapPOI('Rhodes'), {}), true);
+  });
+});
+
+describe('searchPOIsByLocation', () => {
+  it('returns POIs inside the radius sorted by distance', async () => {
+    const results = await searchPOIsByLocation({ ...OLD_TOWN, radius_meters: 500 });
+    assert.ok(results.length > 0);
+    for (const poi of results) {
+      assert.ok(poi.distance_meters <= 500);
+    }
+    for (let i = 1; i < results.length; i++) {
+      assert.ok(results[i - 1].distance_meters <= results[i].distance_meters);
+    }
+    assert.ok(!results.some(p => p.name === 'Acropolis of Rhodes'));
+  });
+
+  it('filters by type, excludes IDs and limits results', async () => {
+    const marasia = findBootstrapPOI('Ta Marasia');
+    const results = await searchPOIsByLocation({
+      ...OLD_TOWN,
+      radius_meters: 5000,
+      poi_types: ['restaurant'],
+      exclude_poi_ids: [marasia.place_id],
+      max_results: 3
+    });
+    assert.equal(results.length, 3);
+    assert.ok(results.every(p => p.primary_type === 'restaurant'));
+    assert.ok(!results.some(p => p.place_id === marasia.place_id));
+  });
+});
+
+describe('opening hours in knowledge base searches', () => {
+  const mondayMorning = { day: 1, minutes: 600 };
+
+  it('demotes places closed at open_at before limiting', async () => {
+    const results = await searchPOIsByLocation({ ...OLD_TOWN, poi_types: ['restaurant'], open_at: mondayMorning });
+    const statuses = results.map(p => p.openingStatus.status);
+    assert.equal(statuses.indexOf('closed'), statuses.length - statuses.filter(s => s === 'closed').length);
+    assert.equal(results[0].name, 'Takis Sandwiches & More');
+  });
+
+  it('applies to must-see searches too', async () => {
+    const results = await getMustSeeRhodesPOIs({ open_at: { day: 1, minutes: 20 * 60 } });
+    assert.notEqual(results[0].name, 'Acropolis of Rhodes');
+    assert.equal(results.at(-1).openingStatus.status, 'closed');
+  });
+});
+
+describe('getMustSeeRhodesPOIs', () => {
+  it('puts must-see POIs first', async () => {
+    const results = await getMustSeeRhodesPOIs({});
+    assert.equal(results[0].is_must_see, true);
+    assert.ok(results.slice(0, 2).some(p => p.name === 'Acropolis of Rhodes'));
+  });
+
+  it('honours exclusions and max_results', async () => {
+    const acropolis = findBootstrapPOI('Acropolis of Rhodes');
+    const results = await getMustSeeRhodesPOIs({ exclude_poi_ids: [acropolis.place_id], max_results: 4 });
+    assert.equal(results.length, 4);
+    assert.ok(!results.some(p => p.place_id === acropolis.place_id));
+  });
+});
+
+describe('getNearbyPOIsFromAnchors', () => {
+  it('follows spatial relationships from the anchors', async () => {
+    const takis = findBootstrapPOI('Takis Sandwiches & More');
+    const expected = new Set(
+      loadBootstrapRelationships().spatial_relationships
+        .filter(rel => rel.poi_from === takis.place_id && rel.distance_meters <= 2000)
+        .map(rel => rel.poi_to)
+    );
+    const results = await getNearbyPOIsFromAnchors({ anchor_poi_ids: [takis.place_id] });
+    assert.ok(results.length > 0);
+    assert.ok(results.every(p => expected.has(p.place_id)));
+  });
+
+  it('respects max_distance_meters', async () => {
+    const takis = findBootstrapPOI('Takis Sandwiches & More');
+    const results = await getNearbyPOIsFromAnchors({
+      anchor_poi_ids: [takis.place_id],
+      max_distance_meters: 1
+    });
+    assert.deepEqual(results, []);
+  });
+
+  it('skips excluded POIs', async () => {
+    const takis = findBootstrapPOI('Takis Sandwiches & More');
+    const all = await getNearbyPOIsFromAnchors({ anchor_poi_ids: [takis.place_id] });
+    const results = await getNearbyPOIsFromAnchors({
+      anchor_poi_ids: [takis.place_id],
+      exclude_poi_ids: [all[0].place_id]
+    });
+    assert.equal(results.length, all.length - 1);
+    assert.ok(!results.some(p => p.place_id === all[0].place_id));
+  });
+});
+
+describe('analyzeTravelPlanContext', () => {
+  it('summarises types, gaps and travel distance', () => {
+    const pois = [findBootstrapPOI('Acropolis of Rhodes'), findBootstrapPOI('Ta Marasia')];
+    const analysis = analyzeTravelPlanContext(pois, {});
+    assert.deepEqual(analysis.poi_type_distribution, { attraction: 1, restaurant: 1 });
+    assert.ok(!analysis.missing_poi_types.includes('restaurant'));
+    assert.ok(analysis.missing_poi_types.includes('beach'));
+    assert.ok(analysis.total_travel_distance > 0);
+    assert.equal(analysis.travel_intensity, 'low');
+    assert.equal(analysis.recommended_next_types.length, 3);
+  });
+
+  it('suggests sights for an empty plan', () => {
+    const analysis = analyzeTravelPlanContext([], {});
+    assert.deepEqual(analysis.recommended_next_types, ['attraction', 'historical_site']);
+  });
+});
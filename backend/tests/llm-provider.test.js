@@ -0,0 +1,148 @@
+import { loadBootstrapPOIs } from './helpers/setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import { ChatOpenAI } from '@langchain/openai';
+import { createStubProvider } from '../llm/stubProvider.js';
+import { createFixtureProvider, getFixtureKey } from '../llm/fixtureProvider.js';
+import { createLangChainChatModel, createLLMProvider, setLLMProvider } from '../llm/llmProvider.js';
+import { validateAIRoundDecision, validateAISelectionDecision } from '../ai-message-validators.js';
+import { executeAIRoundWorkflow } from '../strict-workflow-controller.js';
+
+const LINDOS = { lat: 36.0917, lng: 28.0857 };
+const answerOf = completion => JSON.parse(completion.choices[0].message.content);
+
+describe('stub provider', () => {
+  const stub = createStubProvider();
+
+  it('answers round decisions the validator accepts', async () => {
+    const cases = [
+      { currentRound: 1, userPreferences: { interests: ['beaches', 'food'], budget: 'luxury' } },
+      { currentRound: 1, userLocation: LINDOS },
+      { currentRound: 3, selectedPOIs: [{ name: 'Ta Marasia', roundType: 'restaurant', latitude: 36.44, longitude: 28.22 }] }
+    ];
+    for (const context of cases) {
+      const decision = answerOf(await stub.createChatCompletion({ purpose: 'strict_round_decision', context }));
+      const validation = validateAIRoundDecision(decision);
+      assert.equal(validation.valid, true, validation.error);
+    }
+  });
+
+  it('picks up the first uncovered interest', async () => {
+    const context = { currentRound: 2, userPreferences: { interests: ['food', 'beaches'] }, selectedPOIs: [{ name: 'Ta Marasia', roundType: 'restaurant' }] };
+    const decision = answerOf(await stub.createChatCompletion({ purpose: 'strict_round_decision', context }));
+    assert.equal(decision.round_type, 'beach');
+  });
+
+  it('selects the best-rated candidate in a form the validator accepts', async () => {
+    const candidatePOIs = loadBootstrapPOIs().filter(poi => poi.primary_type === 'restaurant');
+    const context = { candidatePOIs, roundNumber: 1, roundDecision: { round_type: 'restaurant' } };
+    const selection = answerOf(await stub.createChatCompletion({ purpose: 'strict_poi_selection', context }));
+
+    const validation = validateAISelectionDecision(selection);
+    assert.equal(validation.valid, true, validation.error);
+    const chosen = candidatePOIs.find(poi => poi.place_id === selection.selected_pois[0].poi_id);
+    assert.equal(chosen.name, 'Ta Marasia');
+  });
+
+  it('gives the same answer to the same request', async () => {
+    const request = { purpose: 'plan_strategy', context: { userPreferences: { interests: ['history'] } } };
+    assert.deepEqual(await stub.createChatCompletion(request), await stub.createChatCompletion(request));
+  });
+});
+
+describe('fixture provider', () => {
+  const fixtureDir = path.join(os.tmpdir(), `wanderrhodes-llm-fixtures-${process.pid}`);
+  const request = {
+    purpose: 'strict_round_decision',
+    context: { currentRound: 1, userLocation: LINDOS },
+    params: { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Plan round 1 near Lindos' }] }
+  };
+
+  afterEach(() => fs.rmSync(fixtureDir, { recursive: true, force: true }));
+
+  it('replays a recorded response unchanged', async () => {
+    const recorded = await createFixtureProvider({ mode: 'record', fixtureDir, inner: createStubProvider() }).createChatCompletion(request);
+    const [file] = fs.readdirSync(fixtureDir);
+    assert.equal(file, `strict_round_decision-${getFixtureKey(request)}.json`);
+
+    const replay = createFixtureProvider({ mode: 'replay', fixtureDir });
+    assert.deepEqual(await replay.createChatCompletion(request), recorded);
+  });
+
+  it('keys fixtures by the prompt, not the context', () => {
+    assert.equal(getFixtureKey(request), getFixtureKey({ ...request, context: {} }));
+    assert.notEqual(getFixtureKey(request), getFixtureKey({ ...request, params: { ...request.params, model: 'gpt-4o' } }));
+  });
+
+  it('falls back or fails when a fixture is missing', async () => {
+    await assert.rejects(
+      createFixtureProvider({ mode: 'replay', fixtureDir }).createChatCompletion(request),
+      /No LLM fixture for strict_round_decision/
+    );
+    const withFallback = createFixtureProvider({ mode: 'replay', fixtureDir, fallback: createStubProvider() });
+    assert.equal(answerOf(await withFallback.createChatCompletion(request)).action, 'PLAN_ROUND');
+  });
+
+  it('needs a provider to record from', () => {
+    assert.throws(() => createFixtureProvider({ mode: 'record', fixtureDir }), /Record mode requires an inner provider/);
+    assert.throws(() => createLLMProvider('claude'), /Unknown LLM provider: claude/);
+  });
+});
+
+describe('createLangChainChatModel', () => {
+  afterEach(() => setLLMProvider(null));
+
+  it('routes offline providers through createChatCompletion', async () => {
+    const requests = [];
+    setLLMProvider({
+      name: 'stub',
+      isAvailable: () => true,
+      async createChatCompletion(request) {
+        requests.push(request);
+        return { choices: [{ message: { role: 'assistant', content: 'Try Lindos.' }, finish_reason: 'stop' }] };
+      }
+    });
+
+    const model = createLangChainChatModel({ purpose: 'agent', model: 'gpt-4o-mini', temperature: 0.2, maxTokens: 200 });
+    const answer = await model.invoke([new SystemMessage('You plan Rhodes trips.'), new HumanMessage('Where should I go?')]);
+
+    assert.equal(answer.content, 'Try Lindos.');
+    assert.equal(requests[0].purpose, 'agent');
+    assert.deepEqual(requests[0].params, {
+      model: 'gpt-4o-mini',
+      temperature: 0.2,
+      max_tokens: 200,
+      messages: [{ role: 'system', content: 'You plan Rhodes trips.' }, { role: 'user', content: 'Where should I go?' }]
+    });
+  });
+
+  it('keeps the native OpenAI model for the OpenAI provider', () => {
+    setLLMProvider({ name: 'openai', isAvailable: () => true });
+    const apiKey = process.env.OPENAI_API_KEY;
+    process.env.OPENAI_API_KEY = 'sk-test';
+    try {
+      assert.ok(createLangChainChatModel({ purpose: 'agent', model: 'gpt-4o-mini', temperature: 0 }) instanceof ChatOpenAI);
+    } finally {
+      if (apiKey === undefined) delete process.env.OPENAI_API_KEY;
+      else process.env.OPENAI_API_KEY = apiKey;
+    }
+  });
+});
+
+describe('executeAIRoundWorkflow with the stub provider', () => {
+  afterEach(() => setLLMProvider(null));
+
+  it('completes a round from decision to selected POI', async () => {
+    setLLMProvider(createStubProvider());
+    const result = await executeAIRoundWorkflow({ currentRound: 1, userPreferences: { interests: ['food'] } });
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.source, 'ai_workflow_complete');
+    assert.equal(result.aiDecision.round_type, 'restaurant');
+    assert.ok(loadBootstrapPOIs().some(poi => poi.name === result.selectedPOI.name));
+  });
+});
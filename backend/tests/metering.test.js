@@ -0,0 +1,168 @@
+import './helpers/setup.js';
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db-adapter.js';
+import { MeteringConfig, getEndpointCost } from '../config/meteringConfig.js';
+import { consumeUsage, getUsageSnapshot, meterRequest } from '../metering.js';
+import { chatGuard } from '../middleware/chatGuard.js';
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+const FREE_UNITS = MeteringConfig.plans.free.windows[0].units;
+const HOURLY_UNITS = MeteringConfig.plans.paid.windows[0].units;
+
+let subjects = 0;
+const newSubject = () => `test:metering-${process.pid}-${++subjects}`;
+
+function fakeResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { res.headers[name] = value; },
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; }
+  };
+  return res;
+}
+
+// Run chatGuard the way the route registry does; true when the request went through
+async function guard(req) {
+  const res = fakeResponse();
+  let passed = false;
+  await chatGuard({ path: '/api/chat', headers: {}, body: {}, ...req }, res, () => { passed = true; });
+  return { passed, res };
+}
+
+describe('usage snapshots', () => {
+  it('counts only events inside a rolling window and resets when the oldest ages out', async () => {
+    const subjectKey = newSubject();
+    const now = nowSeconds();
+    await db.recordUsageEvent(subjectKey, '/api/chat', 5, now - DAY - 60);
+    await db.recordUsageEvent(subjectKey, '/api/chat', 2, now - 2 * HOUR);
+    await db.recordUsageEvent(subjectKey, '/api/chat', 1, now - 30 * 60);
+
+    const snapshot = await getUsageSnapshot({ subjectKey, planName: 'paid' });
+    const [hourly, daily] = snapshot.windows;
+    assert.deepEqual([hourly.used, daily.used], [1, 3]);
+    assert.equal(hourly.resetAt, now - 30 * 60 + HOUR);
+    assert.equal(daily.resetAt, now - 2 * HOUR + DAY);
+    assert.equal(snapshot.remaining, HOURLY_UNITS - 1);
+  });
+
+  it('applies the legacy counter to lifetime windows only', async () => {
+    const subjectKey = newSubject();
+    await db.recordUsageEvent(subjectKey, '/api/chat', 1);
+
+    const free = await getUsageSnapshot({ subjectKey, planName: 'free', baselineUnits: 3 });
+    assert.deepEqual([free.windows[0].used, free.remaining, free.resetAt], [3, FREE_UNITS - 3, null]);
+    const paid = await getUsageSnapshot({ subjectKey, planName: 'paid', baselineUnits: 3 });
+    assert.equal(paid.windows[0].used, 1);
+  });
+
+  it('falls back to the guest plan for unknown plan names', async () => {
+    const snapshot = await getUsageSnapshot({ subjectKey: newSubject(), planName: 'enterprise' });
+    assert.deepEqual(snapshot.windows.map(w => w.name), ['trial']);
+  });
+});
+
+describe('consumeUsage', () => {
+  it('records each allowed request and blocks once a window is spent', async () => {
+    const subjectKey = newSubject();
+    for (let i = 1; i <= FREE_UNITS; i++) {
+      const result = await consumeUsage({ subjectKey, planName: 'free', endpoint: '/api/chat' });
+      assert.equal(result.allowed, true);
+      assert.equal(result.snapshot.remaining, FREE_UNITS - i);
+    }
+
+    const blocked = await consumeUsage({ subjectKey, planName: 'free', endpoint: '/api/chat' });
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.blockedWindow, 'lifetime');
+    assert.equal((await db.getUsageSince(subjectKey, 0)).units, FREE_UNITS);
+  });
+
+  it('never lets parallel requests overspend a window', async () => {
+    const subjectKey = newSubject();
+    await db.recordUsageEvent(subjectKey, '/api/chat', HOURLY_UNITS - 2, nowSeconds() - 60);
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => consumeUsage({ subjectKey, planName: 'paid', endpoint: '/api/chat' }))
+    );
+    assert.equal(results.filter(result => result.allowed).length, 2);
+    assert.ok(results.filter(result => !result.allowed).every(result => result.blockedWindow === 'hourly'));
+    assert.equal((await db.getUsageSince(subjectKey, 0)).units, HOURLY_UNITS);
+  });
+
+  it('lets free actions through without recording them', async () => {
+    const subjectKey = newSubject();
+    const result = await consumeUsage({ subjectKey, planName: 'free', endpoint: '/api/guided-chat', action: 'COMPLETE_ROUND', baselineUnits: FREE_UNITS });
+    assert.deepEqual([result.allowed, result.cost], [true, 0]);
+    assert.equal((await db.getUsageSince(subjectKey, 0)).units, 0);
+  });
+
+  it('prices endpoints and actions from the config', () => {
+    assert.equal(getEndpointCost('/api/chat'), 1);
+    assert.equal(getEndpointCost('/api/guided-chat', 'COMPLETE_ROUND'), 0);
+    assert.equal(getEndpointCost('/api/guided-chat', 'START'), 1);
+    assert.equal(getEndpointCost('/api/poi-step', 'FINALIZE_PLAN'), 0);
+    assert.equal(getEndpointCost('/api/poi-step', 'GET_NEXT_RECOMMENDATIONS'), 1);
+    assert.equal(getEndpointCost('/api/unknown'), 1);
+  });
+
+  it('does not charge the step planner for finalizing a plan', async () => {
+    const user = { id: `finalize-${process.pid}`, email: `metering-finalize-${process.pid}@example.com`, has_paid: 0, free_chats_used: FREE_UNITS };
+    const finalize = await meterRequest({ path: '/api/poi-step', headers: {}, body: { step: 'FINALIZE_PLAN' }, user });
+    assert.deepEqual([finalize.allowed, finalize.cost], [true, 0]);
+    const next = await meterRequest({ path: '/api/poi-step', headers: {}, body: { step: 'GET_NEXT_RECOMMENDATIONS' }, user });
+    assert.equal(next.allowed, false);
+  });
+
+  it('meters guests by forwarded IP', async () => {
+    const req = { path: '/api/chat', headers: { 'x-forwarded-for': `203.0.113.${process.pid % 250}, 10.0.0.1` }, body: {} };
+    const result = await meterRequest(req);
+    assert.equal(result.snapshot.plan, 'guest');
+    assert.equal((await db.getUsageSince(`ip:203.0.113.${process.pid % 250}`, 0)).units, 1);
+  });
+});
+
+describe('chatGuard', () => {
+  it('answers 402 once a free user has used their chats', async () => {
+    const email = `metering-free-${process.pid}@example.com`;
+    await db.upsertUser(email);
+    for (let i = 1; i <= FREE_UNITS; i++) {
+      const { passed, res } = await guard({ user: await db.getUserByEmail(email) });
+      assert.equal(passed, true);
+      assert.equal(res.headers['X-Usage-Remaining'], String(FREE_UNITS - i));
+    }
+    assert.equal((await db.getUserByEmail(email)).free_chats_used, FREE_UNITS);
+
+    const { passed, res } = await guard({ user: await db.getUserByEmail(email) });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 402);
+    assert.deepEqual(res.body.usage, { plan: 'free', window: 'lifetime', remaining: 0, resetAt: null });
+  });
+
+  it('answers 429 with the reset time once a paid user hits a window', async () => {
+    const user = { id: `paid-${process.pid}`, email: `metering-paid-${process.pid}@example.com`, has_paid: 1 };
+    const oldest = nowSeconds() - 10 * 60;
+    await db.recordUsageEvent(`user:${user.id}`, '/api/chat', HOURLY_UNITS, oldest);
+
+    const { passed, res } = await guard({ user });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 429);
+    assert.deepEqual(res.body.usage, { plan: 'paid', window: 'hourly', remaining: 0, resetAt: oldest + HOUR });
+    assert.equal(res.headers['X-Usage-Reset'], String(oldest + HOUR));
+  });
+
+  it('lets the request through when the legacy counter fails', async () => {
+    const logged = mock.method(console, 'error', () => {});
+    try {
+      const { passed } = await guard({ user: { id: `broken-${process.pid}`, email: null, has_paid: 0 } });
+      assert.equal(passed, true);
+      assert.match(logged.mock.calls[0].arguments.join(' '), /Free chat counter error/);
+    } finally {
+      logged.mock.restore();
+    }
+  });
+});
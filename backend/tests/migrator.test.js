@@ -0,0 +1,128 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import {
+  loadMigrations,
+  migrate,
+  rollback,
+  getMigrationStatus,
+  createSQLiteDriver
+} from '../migrator.js';
+import { migrations } from '../migrations/index.js';
+import { getConnection } from '../db.js';
+
+const step = (version, name, up, down) => ({ version, name, sqlite: { up, down }, postgres: { up, down } });
+const FIXTURES = [
+  step(1, 'create_trips', 'CREATE TABLE trips (id INTEGER PRIMARY KEY);', 'DROP TABLE trips;'),
+  step(2, 'add_trip_name', 'ALTER TABLE trips ADD COLUMN name TEXT;', 'ALTER TABLE trips DROP COLUMN name;'),
+  step(3, 'create_stops', 'CREATE TABLE stops (id INTEGER PRIMARY KEY);', 'DROP TABLE stops;')
+];
+
+const tables = db => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name").all().map(row => row.name);
+const fresh = () => {
+  const db = new Database(':memory:');
+  return { db, driver: createSQLiteDriver(db) };
+};
+
+describe('registered migrations', () => {
+  it('define up and down SQL for both databases', () => {
+    for (const dialect of ['sqlite', 'postgres']) {
+      assert.equal(loadMigrations(dialect).length, migrations.length);
+    }
+  });
+
+  it('are applied to the app database on startup', () => {
+    const applied = getConnection().prepare('SELECT version FROM schema_migrations ORDER BY version').all();
+    assert.deepEqual(applied.map(row => row.version), migrations.map(m => m.version));
+  });
+
+  it('adopt a database created before migrations existed', async () => {
+    const { db, driver } = fresh();
+    db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE NOT NULL, has_paid INTEGER DEFAULT 0, free_chats_used INTEGER DEFAULT 0, magic_token_hash TEXT, magic_token_expires INTEGER, created_at INTEGER, updated_at INTEGER);');
+    db.prepare('INSERT INTO users (email) VALUES (?)').run('old@example.com');
+
+    await migrate(driver);
+    assert.equal(db.prepare('SELECT COUNT(*) AS count FROM users').get().count, 1);
+    assert.ok(tables(db).includes('usage_events'));
+    assert.ok(tables(db).includes('kb_poi_master'));
+  });
+
+  it('add the login columns a pre-migration users table lacks', async () => {
+    const { db, driver } = fresh();
+    db.exec("CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE NOT NULL, has_paid INTEGER DEFAULT 0, free_chats_used INTEGER DEFAULT 0, created_at INTEGER DEFAULT (strftime('%s','now')));");
+    db.prepare('INSERT INTO users (email, free_chats_used) VALUES (?, ?)').run('legacy@example.com', 2);
+
+    await migrate(driver);
+    const columns = db.prepare('PRAGMA table_info(users)').all().map(column => column.name);
+    for (const column of ['magic_token_hash', 'magic_token_expires', 'updated_at']) {
+      assert.ok(columns.includes(column), column);
+    }
+    assert.ok(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'index' AND name = 'idx_users_magic_token'").get());
+    assert.equal(db.prepare('SELECT free_chats_used FROM users WHERE email = ?').get('legacy@example.com').free_chats_used, 2);
+  });
+
+  it('guard the Postgres column upgrades', () => {
+    const [initial] = loadMigrations('postgres');
+    assert.match(initial.up, /ALTER TABLE users ADD COLUMN IF NOT EXISTS magic_token_hash/);
+    assert.doesNotMatch(initial.up, /ADD COLUMN (?!IF NOT EXISTS)/);
+  });
+});
+
+describe('migrate', () => {
+  it('applies pending migrations in order and records them', async () => {
+    const { db, driver } = fresh();
+    const ran = await migrate(driver, { migrations: FIXTURES, to: 2 });
+    assert.deepEqual(ran.map(m => m.label), ['001_create_trips', '002_add_trip_name']);
+    assert.deepEqual(tables(db), ['schema_migrations', 'trips']);
+
+    assert.deepEqual((await migrate(driver, { migrations: FIXTURES })).map(m => m.version), [3]);
+    assert.deepEqual(await migrate(driver, { migrations: FIXTURES }), []);
+  });
+
+  it('only reports on a dry run', async () => {
+    const { db, driver } = fresh();
+    const planned = await migrate(driver, { migrations: FIXTURES, dryRun: true });
+    assert.equal(planned.length, 3);
+    assert.match(planned[0].sql, /CREATE TABLE trips/);
+    assert.deepEqual(tables(db), []);
+  });
+
+  it('rolls a failed migration back as a whole', async () => {
+    const { db, driver } = fresh();
+    const broken = [...FIXTURES.slice(0, 1), step(2, 'broken', 'CREATE TABLE half (id INTEGER); SELECT * FROM missing;', '')];
+    await assert.rejects(migrate(driver, { migrations: broken }), /no such table: missing/);
+    assert.deepEqual(tables(db), ['schema_migrations', 'trips']);
+    assert.deepEqual((await getMigrationStatus(driver, { migrations: broken })).map(m => m.applied), [true, false]);
+  });
+
+  it('refuses to run when an applied migration was edited', async () => {
+    const { driver } = fresh();
+    await migrate(driver, { migrations: FIXTURES });
+    const edited = [step(1, 'create_trips', 'CREATE TABLE trips (id INTEGER PRIMARY KEY, note TEXT);', 'DROP TABLE trips;'), ...FIXTURES.slice(1)];
+    await assert.rejects(migrate(driver, { migrations: edited }), /Checksum mismatch for migration 001_create_trips/);
+    await assert.rejects(migrate(driver, { migrations: FIXTURES.slice(0, 2) }), /Applied migration 3 \(create_stops\) is missing/);
+  });
+
+  it('rejects out-of-order versions', () => {
+    assert.throws(() => loadMigrations('sqlite', [FIXTURES[1], FIXTURES[0]]), /out of order/);
+  });
+});
+
+describe('rollback', () => {
+  it('undoes the latest migrations', async () => {
+    const { db, driver } = fresh();
+    await migrate(driver, { migrations: FIXTURES });
+
+    assert.deepEqual((await rollback(driver, { migrations: FIXTURES })).map(m => m.version), [3]);
+    assert.deepEqual(tables(db), ['schema_migrations', 'trips']);
+
+    const planned = await rollback(driver, { migrations: FIXTURES, to: 0, dryRun: true });
+    assert.deepEqual(planned.map(m => m.version), [2, 1]);
+    assert.deepEqual(tables(db), ['schema_migrations', 'trips']);
+
+    await rollback(driver, { migrations: FIXTURES, to: 0 });
+    assert.deepEqual(tables(db), ['schema_migrations']);
+    assert.ok((await getMigrationStatus(driver, { migrations: FIXTURES })).every(m => !m.applied));
+  });
+});
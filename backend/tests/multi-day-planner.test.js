@@ -0,0 +1,141 @@
+import { findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db-adapter.js';
+import {
+  getTripDays,
+  getTripStopCount,
+  getDayForStep,
+  getStopTheme,
+  normalizeHomeBases,
+  locateHomeBases,
+  uniqueStops,
+  clusterStopsByDay,
+  buildMultiDayPlan,
+  normalizeTravelPlanData
+} from '../multi-day-planner.js';
+
+const place = (name, type, latitude, longitude) => ({ place_id: name, name, primary_type: type, latitude, longitude });
+
+// Two clearly separate areas of the island: Rhodes town in the north, Lindos in the south-east
+const NORTH = [
+  findBootstrapPOI('Acropolis of Rhodes'),
+  findBootstrapPOI('Ta Marasia'),
+  place('Elli Beach', 'beach', 36.4505, 28.2215)
+];
+const SOUTH = [
+  place('Lindos Acropolis', 'attraction', 36.0917, 28.0883),
+  place('St Paul\'s Bay', 'beach', 36.0860, 28.0870),
+  place('Lindos Taverna', 'restaurant', 36.0925, 28.0860)
+];
+const names = stops => stops.map(stop => stop.name).sort();
+const MONDAY_PREFS = { startDate: '2024-07-01T09:00:00+03:00' };
+
+describe('trip length helpers', () => {
+  it('clamps trip days and scales the stop count', () => {
+    assert.equal(getTripDays({}), 1);
+    assert.equal(getTripDays({ tripDays: '3' }), 3);
+    assert.equal(getTripDays({ tripDays: 40 }), 14);
+    assert.equal(getTripStopCount({ tripDays: 3, numberOfPOIs: 4 }), 12);
+  });
+
+  it('maps trip-wide steps onto days', () => {
+    const prefs = { tripDays: 2, numberOfPOIs: 3 };
+    assert.deepEqual(getDayForStep(1, prefs), { day: 1, step: 1 });
+    assert.deepEqual(getDayForStep(4, prefs), { day: 2, step: 1 });
+    assert.deepEqual(getDayForStep(9, prefs), { day: 2, step: 6 });
+  });
+
+  it('reads a theme from the POI type', () => {
+    assert.equal(getStopTheme({ primary_type: 'beach' }), 'beach');
+    assert.equal(getStopTheme({ type: 'museum' }), 'culture');
+    assert.equal(getStopTheme({ type: 'unknown' }), null);
+  });
+});
+
+describe('home bases', () => {
+  it('carries the last hotel forward and back-fills earlier nights', () => {
+    const lindos = { name: 'Lindos Blu' };
+    const town = { name: 'Old Town Inn' };
+    assert.deepEqual(normalizeHomeBases([null, lindos, null, town], 5), [lindos, lindos, lindos, town, town]);
+    assert.deepEqual(normalizeHomeBases([], 2), [null, null]);
+  });
+
+  it('geocodes bases given only by name', async () => {
+    const bases = await locateHomeBases(['Lindos Blu', { name: 'Known', lat: 36.4, lng: 28.2 }, null], async () => ({ lat: 36.1, lng: 28.08 }));
+    assert.deepEqual(bases, [{ name: 'Lindos Blu', lat: 36.1, lng: 28.08 }, { name: 'Known', lat: 36.4, lng: 28.2 }, null]);
+  });
+});
+
+describe('clusterStopsByDay', () => {
+  it('keeps each area on its own day', () => {
+    const groups = clusterStopsByDay([...SOUTH.slice(0, 2), ...NORTH, SOUTH[2]], 2);
+    const byArea = groups.map(names).sort((a, b) => a[0].localeCompare(b[0]));
+    assert.deepEqual(byArea, [names(NORTH), names(SOUTH)]);
+  });
+
+  it('balances the number of stops per day', () => {
+    const groups = clusterStopsByDay([...NORTH, ...SOUTH, place('Faliraki Beach', 'beach', 36.34, 28.21)], 3);
+    assert.deepEqual(groups.map(group => group.length).sort(), [2, 2, 3]);
+  });
+});
+
+describe('buildMultiDayPlan', () => {
+  it('splits, routes and schedules every day without repeats', () => {
+    const plan = buildMultiDayPlan([...NORTH, ...SOUTH, NORTH[0]], { days: 2, userPreferences: MONDAY_PREFS });
+    assert.equal(plan.tripType, 'multi_day');
+    assert.equal(plan.days.length, 2);
+    assert.equal(plan.locations.length, 6);
+    assert.equal(uniqueStops(plan.locations).length, 6);
+    for (const day of plan.days) {
+      assert.ok(day.locations.every(location => location.day === day.day && location.schedule));
+      assert.match(day.title, new RegExp(`^Day ${day.day}: `));
+    }
+    assert.deepEqual(plan.days.map(day => day.timetable.dayOfWeek), [1, 2]);
+  });
+
+  it('starts each day from the previous night\'s hotel', () => {
+    const town = { name: 'Old Town Inn', lat: 36.444, lng: 28.224 };
+    const lindos = { name: 'Lindos Blu', lat: 36.095, lng: 28.085 };
+    const plan = buildMultiDayPlan([...SOUTH, ...NORTH], { days: 2, homeBases: [town, lindos] });
+
+    assert.deepEqual(names(plan.days[0].locations), names(NORTH));
+    assert.deepEqual(names(plan.days[1].locations), names(SOUTH));
+    assert.equal(plan.days[0].startPoint, town);
+    assert.equal(plan.days[1].startPoint, town);
+    assert.equal(plan.days[1].homeBase, lindos);
+  });
+
+  it('orders days from the user\'s location without hotels', () => {
+    const plan = buildMultiDayPlan([...NORTH, ...SOUTH], { days: 2, userLocation: { lat: 36.09, lng: 28.09 } });
+    assert.deepEqual(names(plan.days[0].locations), names(SOUTH));
+  });
+});
+
+describe('normalizeTravelPlanData', () => {
+  it('leaves single-day plans alone', () => {
+    const planData = { locations: NORTH };
+    assert.equal(normalizeTravelPlanData(planData), planData);
+  });
+
+  it('rebuilds the flat list from the days and keeps stops added later', () => {
+    const added = { ...SOUTH[0], day: 1 };
+    const normalized = normalizeTravelPlanData({
+      days: [{ title: 'Day 1', locations: NORTH }, { title: 'Day 2', locations: SOUTH.slice(1) }],
+      locations: [...NORTH, added]
+    });
+    assert.equal(normalized.tripDays, 2);
+    assert.deepEqual(normalized.days[0].locations.map(l => l.name), [...NORTH.map(l => l.name), added.name]);
+    assert.deepEqual(normalized.locations.map(l => l.day), [1, 1, 1, 1, 2, 2]);
+  });
+
+  it('stores as one plan with day sections', () => {
+    const user = db.upsertUser('week@example.com');
+    const plan = buildMultiDayPlan([...NORTH, ...SOUTH], { days: 2 });
+    db.saveTravelPlan(user.id, normalizeTravelPlanData(plan), 'Week on Rhodes');
+
+    const [saved] = db.getUserTravelPlans(user.id);
+    assert.equal(saved.plan_data.days.length, 2);
+    assert.equal(saved.plan_data.locations.length, 6);
+  });
+});
@@ -0,0 +1,75 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findBestNameMatch,
+  isSameName,
+  nameSimilarity,
+  normalizeName,
+  tokenSetRatio,
+  transliterateGreek
+} from '../name-matching.js';
+
+describe('transliterateGreek', () => {
+  it('spells village names the way road signs do', () => {
+    assert.equal(transliterateGreek('λινδοσ'), 'lindos');
+    assert.equal(transliterateGreek('φαληρακι'), 'faliraki');
+    assert.equal(transliterateGreek('κολυμπια'), 'kolymbia');
+    assert.equal(transliterateGreek('αφαντου'), 'afandou');
+    assert.equal(transliterateGreek('πευκοι'), 'pefkoi');
+    assert.equal(transliterateGreek('μπαρ'), 'bar');
+  });
+});
+
+describe('normalizeName', () => {
+  it('drops accents, case, punctuation and articles', () => {
+    assert.equal(normalizeName("St. Paul's Bay"), 'st pauls bay');
+    assert.equal(normalizeName('ΛΊΝΔΟΣ'), 'lindos');
+    assert.equal(normalizeName('Η Ακρόπολη της Λίνδου'), 'akropoli lindou');
+    assert.equal(normalizeName('The Acropolis of Rhodes'), 'acropolis rhodes');
+  });
+
+  it('keeps a name made only of articles', () => {
+    assert.equal(normalizeName('To'), 'to');
+    assert.equal(normalizeName(null), '');
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('ignores word order', () => {
+    assert.equal(tokenSetRatio('acropolis lindos', 'lindos acropolis'), 1);
+    assert.equal(nameSimilarity('Acropolis of Lindos', 'Lindos Acropolis'), 1);
+  });
+
+  it('matches Greek script to its Latin spelling', () => {
+    assert.equal(nameSimilarity('ΤΟ ΝΟΣΤΙΜΟ', 'To Nostimo'), 1);
+    assert.ok(isSameName('Κολύμπια', 'Kolymbia'));
+    assert.ok(isSameName('Valley of the Butterflies', 'Valley of Butterflies'));
+  });
+
+  it('tolerates a typo but not a different place', () => {
+    assert.ok(isSameName('Tsambika Beach', 'Tsambikka Beach'));
+    assert.ok(!isSameName('Lindos', 'Lindos Acropolis'));
+    assert.ok(!isSameName('Ta Marasia', 'Takis Sandwiches & More'));
+    assert.equal(nameSimilarity('', 'Lindos'), 0);
+  });
+});
+
+describe('findBestNameMatch', () => {
+  const candidates = [
+    { name: 'Lindos Beach Bar' },
+    { name: 'Acropolis of Lindos' },
+    { name: 'The Lindos Acropolis' }
+  ];
+
+  it('picks the closest name and the earlier one on a tie', () => {
+    const match = findBestNameMatch('Lindos Acropolis', candidates);
+    assert.equal(match.candidate, candidates[1]);
+    assert.equal(match.score, 1);
+  });
+
+  it('returns null below the threshold', () => {
+    assert.equal(findBestNameMatch('Lindos', candidates), null);
+    assert.equal(findBestNameMatch('Lindos', candidates, { threshold: 0.3 }).candidate, candidates[0]);
+  });
+});
@@ -0,0 +1,138 @@
+import { findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseClock,
+  formatClock,
+  getRhodesClock,
+  getTimeOfDayClock,
+  getOpeningWindows,
+  formatOpeningHours,
+  isOpenAt,
+  getOpeningStatus,
+  applyOpeningHours,
+  flagStopsOutsideHours
+} from '../opening-hours.js';
+
+const MONDAY = 1;
+const at = (day, clock) => ({ day, minutes: parseClock(clock) });
+
+describe('clock helpers', () => {
+  it('parses Google, HH:MM and numeric times', () => {
+    assert.equal(parseClock('0930'), 570);
+    assert.equal(parseClock('17:05'), 1025);
+    assert.equal(parseClock(60), 60);
+    assert.equal(parseClock('noon'), null);
+  });
+
+  it('formats minutes and wraps past midnight', () => {
+    assert.equal(formatClock(570), '09:30');
+    assert.equal(formatClock(1440 + 30), '00:30');
+  });
+
+  it('reads the clock in Rhodes time', () => {
+    // 2024-07-01 was a Monday; Rhodes is UTC+3 in summer
+    assert.deepEqual(getRhodesClock(new Date('2024-07-01T21:30:00Z')), { day: 2, minutes: 30 });
+  });
+
+  it('maps planning slots to representative times', () => {
+    const date = new Date('2024-07-01T06:00:00Z');
+    assert.deepEqual(getTimeOfDayClock('evening', date), { day: MONDAY, minutes: 1200 });
+    assert.deepEqual(getTimeOfDayClock('whenever', date), { day: MONDAY, minutes: 540 });
+    assert.deepEqual(getTimeOfDayClock('10:30', date), { day: MONDAY, minutes: 630 });
+  });
+});
+
+describe('getOpeningWindows', () => {
+  it('returns null without hours and [] when closed', () => {
+    assert.equal(getOpeningWindows({}, 1), null);
+    assert.deepEqual(getOpeningWindows(findBootstrapPOI('Takis Sandwiches & More'), 0), []);
+  });
+
+  it('extends windows that close after midnight', () => {
+    assert.deepEqual(getOpeningWindows(findBootstrapPOI('Sakura Asian Cuisine'), 1), [[17 * 60, 24 * 60]]);
+  });
+
+  it('includes the tail of the previous night', () => {
+    assert.deepEqual(getOpeningWindows(findBootstrapPOI('Pizza Fan Ρόδος'), MONDAY), [[0, 30], [720, 1470]]);
+  });
+
+  it('treats a single open-ended period as 24 hours', () => {
+    const poi = { operating_hours: { periods: [{ open: { day: 0, time: '0000' } }] } };
+    assert.deepEqual(getOpeningWindows(poi, 4), [[0, 1440]]);
+  });
+
+  it('reads hours stored as JSON text', () => {
+    const poi = { opening_hours: JSON.stringify(findBootstrapPOI('Acropolis of Rhodes').operating_hours) };
+    assert.deepEqual(getOpeningWindows(poi, MONDAY), [[540, 1080]]);
+  });
+});
+
+describe('formatOpeningHours', () => {
+  it('describes a day in words', () => {
+    assert.equal(formatOpeningHours(findBootstrapPOI('Acropolis of Rhodes'), MONDAY), '09:00–18:00');
+    assert.equal(formatOpeningHours(findBootstrapPOI('Takis Sandwiches & More'), 0), 'Closed');
+    assert.equal(formatOpeningHours(findBootstrapPOI('Μνημείο τον γλάρος'), MONDAY), 'Open 24 hours');
+    assert.equal(formatOpeningHours(findBootstrapPOI('Rhodes'), MONDAY), null);
+  });
+});
+
+describe('isOpenAt / getOpeningStatus', () => {
+  const sakura = findBootstrapPOI('Sakura Asian Cuisine');
+
+  it('answers open, closed or unknown', () => {
+    assert.equal(isOpenAt(sakura, at(MONDAY, '20:00')), true);
+    assert.equal(isOpenAt(sakura, at(MONDAY, '12:00')), false);
+    assert.equal(isOpenAt(findBootstrapPOI('Rhodes'), at(MONDAY, '12:00')), null);
+  });
+
+  it('requires the whole visit to fit', () => {
+    assert.equal(isOpenAt(sakura, at(MONDAY, '23:30'), 60), false);
+  });
+
+  it('reports when a place opens or closes', () => {
+    assert.deepEqual(getOpeningStatus(sakura, at(MONDAY, '12:00')), { status: 'closed', opensAt: '17:00' });
+    assert.deepEqual(getOpeningStatus(sakura, at(MONDAY, '20:00')), { status: 'open', closesAt: '00:00' });
+    assert.deepEqual(getOpeningStatus({}, at(MONDAY, '20:00')), { status: 'unknown' });
+  });
+});
+
+describe('applyOpeningHours', () => {
+  const pois = ['Sakura Asian Cuisine', 'Rhodes', 'Takis Sandwiches & More'].map(findBootstrapPOI);
+
+  it('demotes closed places and keeps the rest in order', () => {
+    const names = applyOpeningHours(pois, at(MONDAY, '10:00')).map(p => p.name);
+    assert.deepEqual(names, ['Rhodes', 'Takis Sandwiches & More', 'Sakura Asian Cuisine']);
+  });
+
+  it('filters closed places on request', () => {
+    const result = applyOpeningHours(pois, at(0, '10:00'), { mode: 'filter' });
+    assert.deepEqual(result.map(p => p.name), ['Rhodes']);
+    assert.equal(result[0].openingStatus.status, 'unknown');
+  });
+
+  it('passes lists through without a time', () => {
+    assert.equal(applyOpeningHours(pois, null), pois);
+  });
+});
+
+describe('flagStopsOutsideHours', () => {
+  it('explains each stop visited outside its hours', () => {
+    const stops = [
+      { poi: findBootstrapPOI('Acropolis of Rhodes'), arrivalMinutes: 600, departureMinutes: 660 },
+      { poi: findBootstrapPOI('Sakura Asian Cuisine'), arrivalMinutes: 720, departureMinutes: 780 },
+      { poi: findBootstrapPOI('Acropolis of Rhodes'), arrivalMinutes: 1050, departureMinutes: 1110 }
+    ];
+    const warnings = flagStopsOutsideHours(stops, MONDAY);
+    assert.deepEqual(warnings.map(w => w.index), [1, 2]);
+    assert.equal(warnings[0].message, 'Sakura Asian Cuisine opens at 17:00, after the planned 12:00 arrival');
+    assert.equal(warnings[1].message, 'Acropolis of Rhodes closes at 18:00, before the planned visit ends');
+  });
+
+  it('names the weekday when a stop is closed all day', () => {
+    const [warning] = flagStopsOutsideHours([
+      { poi: findBootstrapPOI('Takis Sandwiches & More'), arrivalMinutes: 600, departureMinutes: 660 }
+    ], 0);
+    assert.equal(warning.message, 'Takis Sandwiches & More is closed on Sun');
+  });
+});
@@ -0,0 +1,179 @@
+import { REPO_ROOT } from './helpers/setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import * as db from '../db-adapter.js';
+import { getStripe, stripeWebhook } from '../routes/payments.js';
+import { refundStatus, disputeStatus, recalculateEntitlement } from '../payments-ledger.js';
+
+const FIXTURE_DIR = path.join(REPO_ROOT, 'backend', 'tests', 'fixtures', 'stripe');
+const WEBHOOK_SECRET = 'whsec_ledger_tests';
+
+// A fixture event, optionally under another id with fields of data.object replaced
+function fixture(type, { id, ...changes } = {}) {
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${type}.json`), 'utf8'));
+  Object.assign(event.data.object, changes);
+  if (id) event.id = id;
+  return event;
+}
+
+// Deliver an event the way Stripe does: raw body plus a signature made with the webhook secret
+async function deliver(event, secret = WEBHOOK_SECRET) {
+  const payload = JSON.stringify(event);
+  const signature = getStripe().webhooks.generateTestHeaderString({ payload, secret });
+  return stripeWebhook({ body: Buffer.from(payload), headers: { 'stripe-signature': signature } });
+}
+
+const hasPaid = async email => Boolean((await db.getUserByEmail(email))?.has_paid);
+
+describe('payment statuses', () => {
+  it('derives refund states from the refunded amount', () => {
+    assert.equal(refundStatus(999, 0), 'paid');
+    assert.equal(refundStatus(999, 500), 'partially_refunded');
+    assert.equal(refundStatus(999, 999), 'refunded');
+  });
+
+  it('restores the pre-dispute state when a dispute ends in our favour', () => {
+    const payment = { amount: 999, amount_refunded: 200 };
+    assert.equal(disputeStatus({ status: 'needs_response' }, payment), 'disputed');
+    assert.equal(disputeStatus({ status: 'lost' }, payment), 'dispute_lost');
+    assert.equal(disputeStatus({ status: 'won' }, payment), 'partially_refunded');
+    assert.equal(disputeStatus({ status: 'warning_closed' }, { amount: 999, amount_refunded: 0 }), 'paid');
+  });
+
+  it('leaves users who paid before the ledger alone', async () => {
+    const email = 'legacy@example.com';
+    await db.upsertUser(email, true);
+    assert.equal(await recalculateEntitlement(db, email), null);
+    assert.equal(await hasPaid(email), true);
+  });
+});
+
+describe('Stripe webhook lifecycle', () => {
+  before(() => {
+    process.env.STRIPE_SECRET_KEY_TEST = 'sk_test_ledger';
+    process.env.STRIPE_WEBHOOK_SECRET_TEST = WEBHOOK_SECRET;
+  });
+
+  after(() => {
+    delete process.env.STRIPE_SECRET_KEY_TEST;
+    delete process.env.STRIPE_WEBHOOK_SECRET_TEST;
+  });
+
+  it('rejects events signed with another secret', async () => {
+    const res = await deliver(fixture('checkout.session.completed'), 'whsec_someone_else');
+    assert.equal(res.status, 400);
+    assert.equal(await hasPaid('traveller@example.com'), false);
+    assert.deepEqual(await db.getPaymentsByEmail('traveller@example.com'), []);
+  });
+
+  it('records a checkout in the ledger and applies each event id once', async () => {
+    const res = await deliver(fixture('checkout.session.completed'));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.outcome, 'marked_paid');
+    assert.equal(await hasPaid('traveller@example.com'), true);
+
+    const again = await deliver(fixture('checkout.session.completed'));
+    assert.deepEqual(again.body, { received: true, duplicate: true });
+
+    const payments = await db.getPaymentsByEmail('traveller@example.com');
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].payment_intent_id, 'pi_traveller');
+    assert.equal(payments[0].checkout_session_id, 'cs_test_traveller');
+    assert.equal(payments[0].amount, 999);
+    assert.equal(payments[0].status, 'paid');
+  });
+
+  it('revokes access on a full refund and keeps it on a partial one', async () => {
+    const partial = await deliver(fixture('charge.refunded', { id: 'evt_partial_refund', amount_refunded: 300 }));
+    assert.equal(partial.body.outcome, 'partially_refunded');
+    assert.equal(await hasPaid('traveller@example.com'), true);
+
+    const full = await deliver(fixture('charge.refunded'));
+    assert.equal(full.body.outcome, 'refunded');
+    assert.equal(await hasPaid('traveller@example.com'), false);
+
+    const [payment] = await db.getPaymentsByEmail('traveller@example.com');
+    assert.equal(payment.charge_id, 'ch_traveller');
+    assert.equal(payment.amount_refunded, 999);
+  });
+
+  it('keeps access while another payment is still in good standing', async () => {
+    await deliver(fixture('checkout.session.completed', { id: 'evt_second_checkout', payment_intent: 'pi_traveller_2' }));
+    assert.equal(await hasPaid('traveller@example.com'), true);
+    assert.equal((await db.getPaymentsByEmail('traveller@example.com')).length, 2);
+  });
+
+  it('suspends access during a dispute and restores it when the dispute is won', async () => {
+    await deliver(fixture('payment_intent.succeeded'));
+    assert.equal(await hasPaid('disputer@example.com'), true);
+
+    assert.equal((await deliver(fixture('charge.dispute.created'))).body.outcome, 'disputed');
+    assert.equal(await hasPaid('disputer@example.com'), false);
+
+    assert.equal((await deliver(fixture('charge.dispute.closed'))).body.outcome, 'paid');
+    assert.equal(await hasPaid('disputer@example.com'), true);
+  });
+
+  it('revokes access for good when a dispute is lost', async () => {
+    const res = await deliver(fixture('charge.dispute.closed', { id: 'evt_dispute_lost', status: 'lost' }));
+    assert.equal(res.body.outcome, 'dispute_lost');
+    assert.equal(await hasPaid('disputer@example.com'), false);
+
+    // A refund recorded afterwards does not reopen the lost dispute
+    await deliver(fixture('charge.refunded', {
+      id: 'evt_refund_after_dispute',
+      payment_intent: 'pi_disputer',
+      amount_refunded: 100
+    }));
+    assert.equal((await db.getPaymentByIntent('pi_disputer')).status, 'dispute_lost');
+  });
+
+  it('does not grant access when the refund arrives before the payment', async () => {
+    const email = 'early-refund@example.com';
+    await db.upsertUser(email);
+    const refund = fixture('charge.refunded', { id: 'evt_early_refund', payment_intent: 'pi_early', billing_details: { email }, receipt_email: email });
+    refund.data.object.id = 'ch_early';
+    assert.equal((await deliver(refund)).body.outcome, 'refunded');
+
+    await deliver(fixture('checkout.session.completed', { id: 'evt_late_checkout', payment_intent: 'pi_early', customer_email: email }));
+    assert.equal(await hasPaid(email), false);
+    assert.equal((await db.getPaymentByIntent('pi_early')).checkout_session_id, 'cs_test_traveller');
+  });
+
+  it('ignores disputes on payments the ledger has never seen', async () => {
+    const res = await deliver(fixture('charge.dispute.created', { id: 'evt_unknown_dispute', charge: 'ch_unknown', payment_intent: 'pi_unknown' }));
+    assert.equal(res.body.outcome, 'unknown_payment');
+  });
+
+  it('records failed payment attempts for the admin dashboard', async () => {
+    const failed = fixture('payment_intent.succeeded', {
+      id: 'evt_payment_failed',
+      amount_received: 0,
+      status: 'requires_payment_method',
+      last_payment_error: { code: 'card_declined', message: 'Your card was declined.' }
+    });
+    failed.type = 'payment_intent.payment_failed';
+    failed.data.object.id = 'pi_failed';
+    failed.created = Math.floor(Date.now() / 1000);
+
+    assert.equal((await deliver(failed)).body.outcome, 'recorded_failure');
+    const [failure] = await db.getPaymentFailuresBetween(failed.created - 60, failed.created + 60);
+    assert.equal(failure.payment_intent_id, 'pi_failed');
+    assert.equal(failure.email, 'disputer@example.com');
+    assert.equal(failure.reason, 'Your card was declined.');
+    assert.equal(await db.getPaymentByIntent('pi_failed'), null);
+  });
+
+  it('lets Stripe retry an event whose processing failed', async () => {
+    const email = 'retry@example.com';
+    const broken = await deliver(fixture('checkout.session.completed', { id: 'evt_retry', payment_intent: 'pi_retry', customer_email: email, amount_total: null }));
+    assert.equal(broken.status, 500);
+
+    const retried = await deliver(fixture('checkout.session.completed', { id: 'evt_retry', payment_intent: 'pi_retry', customer_email: email }));
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.outcome, 'marked_paid');
+    assert.equal(await hasPaid(email), true);
+  });
+});
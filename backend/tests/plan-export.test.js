@@ -0,0 +1,112 @@
+import { findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildPlanExport,
+  getExportDays,
+  getDayRoutes,
+  resolveTripStartDate,
+  EXPORT_FORMATS
+} from '../plan-export.js';
+import { buildMultiDayPlan } from '../multi-day-planner.js';
+import { attachSchedule } from '../itinerary-scheduler.js';
+
+// Saved plans store stops in the app's location shape
+const stop = (name, extra = {}) => {
+  const poi = findBootstrapPOI(name);
+  return { name: poi.name, type: poi.primary_type, location: { address: poi.address, coordinates: { lat: poi.latitude, lng: poi.longitude } }, ...extra };
+};
+
+const SINGLE_DAY = {
+  id: 7,
+  name: 'Old Town & "Tavernas"',
+  data: {
+    companions: 'Couple',
+    ...attachSchedule([stop('Acropolis of Rhodes'), stop('Ta Marasia', { description: 'Meze; ouzo, sea view' })], { startTime: '10:00', dayOfWeek: 1 })
+  }
+};
+const NOW = new Date('2024-07-03T08:00:00Z'); // a Wednesday
+
+describe('getExportDays', () => {
+  it('reads located, timed stops from saved plans', () => {
+    const [day] = getExportDays(SINGLE_DAY.data);
+    assert.deepEqual(day.stops.map(s => s.name), ['Acropolis of Rhodes', 'Ta Marasia']);
+    assert.deepEqual(day.stops[0].coords, { lat: 36.4399129, lng: 28.2106839 });
+    assert.equal(day.stops[0].schedule.arrival, '10:00');
+  });
+});
+
+describe('getDayRoutes', () => {
+  it('uses the fetched driving route and falls back to straight lines', async () => {
+    const days = getExportDays(SINGLE_DAY.data);
+    const driving = [{ lat: 36.4399, lng: 28.2107 }, { lat: 36.437, lng: 28.215 }, { lat: 36.44, lng: 28.22 }];
+    assert.deepEqual(await getDayRoutes(days, async () => driving), [driving]);
+
+    const [fallback] = await getDayRoutes(days, async () => { throw new Error('no token'); });
+    assert.deepEqual(fallback, days[0].stops.map(s => s.coords));
+  });
+});
+
+describe('buildPlanExport', () => {
+  it('writes GPX waypoints and a route track', async () => {
+    const file = await buildPlanExport(SINGLE_DAY, 'gpx');
+    assert.equal(file.contentType, EXPORT_FORMATS.gpx.contentType);
+    assert.equal(file.filename, 'old-town-tavernas.gpx');
+    assert.equal(file.body.match(/<wpt /g).length, 2);
+    assert.match(file.body, /<wpt lat="36.439913" lon="28.210684">/);
+    assert.match(file.body, /<name>Old Town &amp; &quot;Tavernas&quot;<\/name>/);
+    assert.equal(file.body.match(/<trkpt /g).length, 2);
+  });
+
+  it('writes KML folders per day with lng,lat coordinates', async () => {
+    const plan = { name: 'Week', data: buildMultiDayPlan([stop('Acropolis of Rhodes'), stop('Ta Marasia'), stop('Takis Sandwiches & More'), stop('Kolymbia Sky')], { days: 2 }) };
+    const file = await buildPlanExport(plan, 'kml');
+    assert.equal(file.body.match(/<Folder>/g).length, 2);
+    assert.match(file.body, /<coordinates>28.210684,36.439913,0<\/coordinates>/);
+    assert.match(file.body, /<name>Day 1: /);
+  });
+
+  it('writes one calendar event per stop on the planned weekday', async () => {
+    const file = await buildPlanExport(SINGLE_DAY, 'ics', { now: NOW });
+    const body = file.body;
+    assert.ok(body.endsWith('\r\n'));
+    assert.equal(body.match(/BEGIN:VEVENT/g).length, 2);
+    // Planned for a Monday, exported on a Wednesday: the next Monday
+    assert.match(body, /DTSTART;TZID=Europe\/Athens:20240708T100000/);
+    assert.match(body, /BEGIN:VTIMEZONE\r\nTZID:Europe\/Athens/);
+    assert.match(body, /DESCRIPTION:Meze\\; ouzo\\, sea view/);
+    assert.ok(body.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  });
+
+  it('numbers calendar days from the requested start date', async () => {
+    const plan = { id: 3, name: 'Week', data: buildMultiDayPlan([stop('Acropolis of Rhodes'), stop('Ta Marasia'), stop('Kolymbia Sky')], { days: 2 }) };
+    const { body } = await buildPlanExport(plan, 'ics', { startDate: '2024-09-14', now: NOW });
+    const dates = [...body.matchAll(/DTSTART;TZID=Europe\/Athens:(\d{8})/g)].map(match => match[1]);
+    assert.deepEqual([...new Set(dates)], ['20240914', '20240915']);
+    assert.match(body, /UID:plan-3-day2-stop1@wanderrhodes/);
+  });
+
+  it('prints an escaped itinerary page', async () => {
+    const html = await buildPlanExport(SINGLE_DAY, 'html');
+    assert.equal(html.disposition, 'attachment');
+    assert.match(html.body, /<h1>Old Town &amp; &quot;Tavernas&quot;<\/h1>/);
+    assert.match(html.body, /10:00–/);
+    assert.doesNotMatch(html.body, /window\.print/);
+
+    const pdf = await buildPlanExport(SINGLE_DAY, 'pdf');
+    assert.equal(pdf.disposition, 'inline');
+    assert.match(pdf.body, /window\.print\(\)/);
+  });
+
+  it('rejects unknown formats', async () => {
+    await assert.rejects(buildPlanExport(SINGLE_DAY, 'docx'), /Unsupported export format/);
+  });
+});
+
+describe('resolveTripStartDate', () => {
+  it('prefers the requested date, then the stored start date', () => {
+    const days = getExportDays(SINGLE_DAY.data);
+    assert.equal(resolveTripStartDate(SINGLE_DAY.data, days, '2024-10-01', NOW), '2024-10-01');
+    assert.equal(resolveTripStartDate({ startDate: '2024-08-20T22:30:00Z' }, days, 'soon', NOW), '2024-08-21');
+  });
+});
@@ -0,0 +1,148 @@
+import { findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { findPOIByNameAndLocation } from '../db-adapter.js';
+import {
+  importPlanFile,
+  parseGPX,
+  parseKML,
+  parseGeoJSON,
+  detectFormat,
+  MAX_IMPORT_BYTES,
+  MAX_IMPORT_POINTS
+} from '../plan-import.js';
+
+const acropolis = findBootstrapPOI('Acropolis of Rhodes');
+const marasia = findBootstrapPOI('Ta Marasia');
+const NOW = Date.parse('2024-07-01T09:00:00Z');
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="OsmAnd" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Old Town &amp; beaches</name></metadata>
+  <wpt lat="${acropolis.latitude}" lon="${acropolis.longitude}"><name>Acropolis of Rhodes</name><desc><![CDATA[Go <b>early</b>]]></desc></wpt>
+  <wpt lat="36.1" lon="27.9"><name>Friend&apos;s villa</name></wpt>
+  <rte><rtept lat="${acropolis.latitude}" lon="${acropolis.longitude}"><name>Acropolis of Rhodes</name></rtept></rte>
+  <trk><trkseg><trkpt lat="36.2" lon="28.0"></trkpt></trkseg></trk>
+</gpx>`;
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Rhodes list</name>
+  <Placemark><name>Ta Marasia</name><Point><coordinates>${marasia.longitude},${marasia.latitude},0</coordinates></Point></Placemark>
+  <Placemark><name>Coast walk</name><LineString><coordinates>28.2,36.4 28.3,36.5</coordinates></LineString></Placemark>
+</Document></kml>`;
+
+describe('parsers', () => {
+  it('read GPX waypoints and route points but not tracks', () => {
+    const { title, points } = parseGPX(GPX);
+    assert.equal(title, 'Old Town & beaches');
+    assert.deepEqual(points.map(p => p.name), ['Acropolis of Rhodes', "Friend's villa", 'Acropolis of Rhodes']);
+    assert.equal(points[0].description, 'Go early');
+  });
+
+  it('read KML point placemarks as lng,lat', () => {
+    const { title, points } = parseKML(KML);
+    assert.equal(title, 'Rhodes list');
+    assert.equal(points.length, 1);
+    assert.equal(points[0].lat, marasia.latitude);
+    assert.equal(points[0].lng, marasia.longitude);
+  });
+
+  it('read Google Maps saved places and skip unlocated ones', () => {
+    const takeout = {
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [28.22, 36.44] }, properties: { location: { name: 'Cafe', address: 'Sokratous 1, Rhodes' } } },
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] }, properties: { location: { name: 'Unknown' } } }
+      ]
+    };
+    const { points } = parseGeoJSON(JSON.stringify(takeout));
+    assert.deepEqual(points, [{ name: 'Cafe', description: '', address: 'Sokratous 1, Rhodes', lat: 36.44, lng: 28.22 }]);
+  });
+
+  it('keep closed waypoints and drop one cut off at the end of the file', () => {
+    const truncated = `<gpx><wpt lat="36.1" lon="27.9"><name>Kept</name><desc>Line one<br>line two</desc></wpt><wpt lat="36.2" lon="28"><name>Cut off`;
+    assert.deepEqual(parseGPX(truncated).points.map(p => [p.name, p.description]), [['Kept', 'Line one\nline two']]);
+  });
+
+  it('read malformed files of the maximum size in linear time', () => {
+    const fill = unit => unit.repeat(Math.floor((MAX_IMPORT_BYTES - 100) / unit.length));
+    const files = [
+      ['<gpx>' + fill('<wpt>'), parseGPX],
+      ['<gpx>' + fill('<wpt lat="1" lon="1"><name>x</name></wpt><!--'), parseGPX],
+      ['<gpx>' + fill('<![CDATA['), parseGPX],
+      ['<gpx>' + fill('<wpt lat="1" '), parseGPX],
+      ['<gpx><wpt lat="36.1" lon="27.9"><name>' + fill('<<b'), parseGPX],
+      ['<kml><Document>' + fill('<Placemark><Point>'), parseKML],
+      ['<kml><Document>' + fill('</Placemark>'), parseKML]
+    ];
+    for (const [content, parse] of files) {
+      const started = process.hrtime.bigint();
+      try {
+        parse(content);
+      } catch (error) {
+        assert.match(error.message, /nested too deeply/);
+      }
+      const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+      assert.ok(elapsedMs < 500, `${content.slice(0, 30)}... took ${elapsedMs.toFixed(0)} ms`);
+    }
+  });
+
+  it('detect the format from the extension or content', () => {
+    assert.equal(detectFormat('Saved Places.json', ''), 'geojson');
+    assert.equal(detectFormat('trip.GPX', ''), 'gpx');
+    assert.equal(detectFormat('upload', KML), 'kml');
+    assert.equal(detectFormat('notes.txt', 'hello'), null);
+  });
+});
+
+describe('importPlanFile', () => {
+  it('matches known POIs and keeps the rest as custom locations', async () => {
+    const { status, body } = await importPlanFile({ filename: 'trip.gpx', content: GPX }, findPOIByNameAndLocation, NOW);
+    assert.equal(status, 200);
+    assert.deepEqual(body.summary, { format: 'gpx', total: 2, matched: 1, unmatched: 1, truncated: false });
+
+    const [matched, custom] = body.plan.locations;
+    assert.equal(matched.name, acropolis.name);
+    assert.equal(matched.type, acropolis.primary_type);
+    assert.deepEqual(matched.location.coordinates, { lat: acropolis.latitude, lng: acropolis.longitude });
+    assert.equal(matched.isCustom, undefined);
+
+    assert.equal(custom.name, "Friend's villa");
+    assert.equal(custom.type, 'Custom');
+    assert.equal(custom.isCustom, true);
+    assert.deepEqual(custom.location.coordinates, { lat: 36.1, lng: 27.9 });
+
+    assert.equal(body.plan.title, 'Old Town & beaches');
+    assert.equal(body.plan.timestamp, NOW);
+    assert.deepEqual(body.plan.importedFrom, { format: 'gpx', filename: 'trip.gpx' });
+  });
+
+  it('does not match a same-named place far away', async () => {
+    const farAway = `<gpx><wpt lat="36.09" lon="28.08"><name>Acropolis of Rhodes</name></wpt></gpx>`;
+    const { body } = await importPlanFile({ filename: 'far.gpx', content: farAway }, findPOIByNameAndLocation);
+    assert.equal(body.plan.locations[0].isCustom, true);
+  });
+
+  it('keeps every point custom when POI data is unavailable', async () => {
+    const { body } = await importPlanFile({ filename: 'list.kml', content: KML }, null);
+    assert.equal(body.summary.matched, 0);
+    assert.equal(body.plan.locations[0].name, 'Ta Marasia');
+  });
+
+  it('caps the number of imported places', async () => {
+    const features = Array.from({ length: MAX_IMPORT_POINTS + 5 }, (_, i) => ({
+      type: 'Feature', geometry: { type: 'Point', coordinates: [28 + i / 1000, 36] }, properties: { name: `Spot ${i}` }
+    }));
+    const { body } = await importPlanFile({ filename: 'many.geojson', content: JSON.stringify({ type: 'FeatureCollection', features }) }, null);
+    assert.equal(body.plan.locations.length, MAX_IMPORT_POINTS);
+    assert.equal(body.summary.truncated, true);
+  });
+
+  it('rejects empty, unreadable and placeless files', async () => {
+    assert.equal((await importPlanFile({ filename: 'a.gpx', content: '' }, null)).status, 400);
+    assert.equal((await importPlanFile({ filename: 'a.txt', content: 'hello' }, null)).status, 400);
+    assert.match((await importPlanFile({ filename: 'a.json', content: '{oops' }, null)).body.error, /Could not read GEOJSON/);
+    assert.equal((await importPlanFile({ filename: 'a.kml', content: KML.replace(/<Placemark>[\s\S]*?Ta Marasia[\s\S]*?<\/Placemark>/, '') }, null)).status, 422);
+    assert.match((await importPlanFile({ filename: 'deep.gpx', content: '<gpx>' + '<wpt>'.repeat(100) }, null)).body.error, /nested too deeply/);
+  });
+});
@@ -0,0 +1,99 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db-adapter.js';
+import {
+  generateShareToken,
+  hashShareToken,
+  getShareStatus,
+  resolveSharedPlan,
+  MAX_SHARE_TTL_DAYS
+} from '../plan-sharing.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-07-01T09:00:00Z');
+const PLAN = { locations: [{ name: 'Acropolis of Rhodes' }], companions: 'Couple' };
+
+function savePlanFor(email) {
+  const user = db.upsertUser(email);
+  const planId = Number(db.saveTravelPlan(user.id, PLAN, 'Lindos day'));
+  return { user, planId };
+}
+
+describe('generateShareToken', () => {
+  it('returns a random token with its hash and an expiry', () => {
+    const first = generateShareToken(7, NOW);
+    const second = generateShareToken(7, NOW);
+    assert.match(first.token, /^[0-9a-f]{64}$/);
+    assert.notEqual(first.token, second.token);
+    assert.equal(first.hash, hashShareToken(first.token));
+    assert.equal(first.expiresAt, NOW + 7 * DAY_MS);
+  });
+
+  it('clamps the lifetime', () => {
+    assert.equal(generateShareToken(0, NOW).expiresAt, NOW + 30 * DAY_MS);
+    assert.equal(generateShareToken(5000, NOW).expiresAt, NOW + MAX_SHARE_TTL_DAYS * DAY_MS);
+  });
+});
+
+describe('getShareStatus', () => {
+  it('reports live links only', () => {
+    assert.deepEqual(getShareStatus({ share_token_hash: null }), { shared: false, shareExpiresAt: null });
+    assert.equal(getShareStatus({ share_token_hash: 'h', share_expires_at: String(NOW + 1) }, NOW).shared, true);
+    assert.equal(getShareStatus({ share_token_hash: 'h', share_expires_at: NOW }, NOW).shared, false);
+  });
+});
+
+describe('shared plan links', () => {
+  it('serve the plan by token without owner details', async () => {
+    const { user, planId } = savePlanFor('sharer@example.com');
+    const share = generateShareToken();
+    assert.equal(db.setTravelPlanShare(user.id, planId, share.hash, share.expiresAt).changes, 1);
+
+    const { status, body } = await resolveSharedPlan(share.token, db.getTravelPlanByShareToken);
+    assert.equal(status, 200);
+    assert.equal(body.plan.name, 'Lindos day');
+    assert.deepEqual(body.plan.data, PLAN);
+    assert.equal(JSON.stringify(body).includes('sharer@example.com'), false);
+    assert.equal('user_id' in body.plan, false);
+
+    const [listed] = db.getUserTravelPlans(user.id);
+    assert.equal(getShareStatus(listed).shared, true);
+  });
+
+  it('stop working when revoked or replaced', async () => {
+    const { user, planId } = savePlanFor('revoker@example.com');
+    const first = generateShareToken();
+    db.setTravelPlanShare(user.id, planId, first.hash, first.expiresAt);
+    const second = generateShareToken();
+    db.setTravelPlanShare(user.id, planId, second.hash, second.expiresAt);
+
+    assert.equal((await resolveSharedPlan(first.token, db.getTravelPlanByShareToken)).status, 404);
+    assert.equal((await resolveSharedPlan(second.token, db.getTravelPlanByShareToken)).status, 200);
+
+    db.clearTravelPlanShare(user.id, planId);
+    assert.equal((await resolveSharedPlan(second.token, db.getTravelPlanByShareToken)).status, 404);
+  });
+
+  it('report expired links as gone', async () => {
+    const { user, planId } = savePlanFor('expired@example.com');
+    const share = generateShareToken(1, NOW);
+    db.setTravelPlanShare(user.id, planId, share.hash, share.expiresAt);
+
+    const { status, body } = await resolveSharedPlan(share.token, db.getTravelPlanByShareToken, NOW + 2 * DAY_MS);
+    assert.equal(status, 410);
+    assert.match(body.error, /expired/);
+  });
+
+  it('can only be created by the plan owner', () => {
+    const { planId } = savePlanFor('owner@example.com');
+    const stranger = db.upsertUser('stranger@example.com');
+    assert.equal(db.setTravelPlanShare(stranger.id, planId, generateShareToken().hash, NOW).changes, 0);
+  });
+
+  it('reject malformed tokens without a lookup', async () => {
+    const lookup = () => assert.fail('should not query');
+    assert.equal((await resolveSharedPlan('../../etc', lookup)).status, 404);
+    assert.equal((await resolveSharedPlan(undefined, lookup)).status, 404);
+  });
+});
@@ -0,0 +1,132 @@
+import './helpers/setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKnowledgeBaseXml, poiPassages, loadKnowledgeCorpus } from '../retrieval/knowledgeCorpus.js';
+import { tokenize, createBM25Provider } from '../retrieval/bm25Provider.js';
+import { createEmbeddingsProvider } from '../retrieval/embeddingsProvider.js';
+import {
+  searchKnowledgeBase,
+  setRetrievalProvider,
+  formatPassages,
+  createRetrievalProvider
+} from '../retrieval/retrievalProvider.js';
+
+const XML = `<?xml version='1.0' encoding='utf-8'?>
+<corpus>
+  <document id="/lindos/" source="/lindos/">
+    <title>Lindos Village -</title>
+    <section name="The Acropolis">The Acropolis of Lindos rises above the whitewashed village &amp;amp; the bay.</section>
+    <section name="Beaches">St Paul's Bay is a sheltered swimming cove below the acropolis.</section>
+  </document>
+  <document id="/valley/" source="/valley/">
+    <title>Butterflies Valley -</title>
+    <section name="Butterflies ValleyVerified listing">Thousands of Jersey tiger moths rest in the shaded valley every summer.</section>
+  </document>
+</corpus>`;
+
+const passages = [
+  ...parseKnowledgeBaseXml(XML),
+  ...poiPassages([{ place_id: 'p1', name: 'Ta Marasia', primary_type: 'restaurant', description: 'Greek taverna with a garden courtyard.' }])
+];
+const fixtureCorpus = async () => passages;
+
+describe('knowledge corpus', () => {
+  it('reads one passage per section, decoding the double-escaped text', () => {
+    const articles = parseKnowledgeBaseXml(XML);
+    assert.equal(articles.length, 3);
+    assert.deepEqual(articles[0], {
+      id: '/lindos/#0',
+      source: 'article',
+      title: 'Lindos Village',
+      section: 'The Acropolis',
+      text: 'The Acropolis of Lindos rises above the whitewashed village & the bay.',
+      url: '/lindos/'
+    });
+    assert.equal(articles[2].section, 'Butterflies Valley');
+  });
+
+  it('adds the POI descriptions to the article sections', async () => {
+    const corpus = await loadKnowledgeCorpus();
+    assert.ok(corpus.filter(passage => passage.source === 'article').length > 300);
+    assert.equal(corpus.filter(passage => passage.source === 'poi').length, 10);
+  });
+});
+
+describe('BM25 provider', () => {
+  it('tokenizes without accents, stopwords or plurals', () => {
+    assert.deepEqual(tokenize('The Beaches of Líndos'), ['beach', 'lindo']);
+    assert.deepEqual(tokenize('Ακρόπολη Λίνδου'), ['ακροπολη', 'λινδου']);
+  });
+
+  it('ranks the passage that covers the query terms first', async () => {
+    const provider = createBM25Provider({ loadPassages: fixtureCorpus });
+    const results = await provider.search('acropolis of lindos', { limit: 2 });
+    assert.deepEqual(results.map(passage => passage.section), ['The Acropolis', 'Beaches']);
+    assert.ok(results[0].score > results[1].score);
+  });
+
+  it('filters by source and drops passages that share no term', async () => {
+    const provider = createBM25Provider({ loadPassages: fixtureCorpus });
+    assert.deepEqual((await provider.search('garden taverna', { limit: 5 })).map(p => p.title), ['Ta Marasia']);
+    assert.deepEqual(await provider.search('garden taverna', { limit: 5, sources: ['article'] }), []);
+  });
+
+  it('finds listings in the real knowledge base', async () => {
+    const [top] = await createBM25Provider().search('butterflies valley', { limit: 1 });
+    assert.match(top.title, /Butterflies/);
+  });
+});
+
+describe('embeddings provider', () => {
+  // One dimension per keyword: enough to check the cosine ranking without the API
+  const KEYWORDS = ['acropolis', 'beach', 'bay', 'moth', 'taverna'];
+  const fakeClient = {
+    calls: 0,
+    embeddings: {
+      async create({ input }) {
+        fakeClient.calls++;
+        return {
+          data: input.map((text, index) => ({
+            index,
+            embedding: KEYWORDS.map(word => (text.toLowerCase().includes(word) ? 1 : 0.01))
+          }))
+        };
+      }
+    }
+  };
+
+  it('ranks passages by similarity and embeds the corpus only once', async () => {
+    const provider = createEmbeddingsProvider({ model: 'test', client: fakeClient, loadPassages: fixtureCorpus });
+    const [first] = await provider.search('moths', { limit: 1 });
+    assert.equal(first.title, 'Butterflies Valley');
+    await provider.search('a taverna', { limit: 1 });
+    assert.equal(fakeClient.calls, 3);
+  });
+
+  it('falls back to BM25 without an API key', async () => {
+    const saved = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    try {
+      const provider = createRetrievalProvider('embeddings', { loadPassages: fixtureCorpus });
+      const [first] = await provider.search('acropolis', { limit: 1 });
+      assert.equal(first.section, 'The Acropolis');
+    } finally {
+      if (saved !== undefined) process.env.OPENAI_API_KEY = saved;
+    }
+  });
+});
+
+describe('searchKnowledgeBase', () => {
+  afterEach(() => setRetrievalProvider(null));
+
+  it('searches the active provider and formats passages for prompts', async () => {
+    setRetrievalProvider(createBM25Provider({ loadPassages: fixtureCorpus }));
+    const results = await searchKnowledgeBase('tiger moths', { limit: 1 });
+    assert.equal(formatPassages(results), '[Butterflies Valley]\nThousands of Jersey tiger moths rest in the shaded valley every summer.\n(Source: /valley/)');
+  });
+
+  it('treats a failing provider as no grounding', async () => {
+    setRetrievalProvider({ name: 'broken', isAvailable: () => true, search: async () => { throw new Error('offline'); } });
+    assert.deepEqual(await searchKnowledgeBase('lindos'), []);
+  });
+});
@@ -0,0 +1,106 @@
+import { loadBootstrapPOIs, findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { optimizeRoute, getCoordinates } from '../route-optimizer.js';
+import { getOptimizedRoute } from '../enhanced-chat-tools.js';
+
+// Stops along a west–east line through Rhodes town, ~550m apart
+const line = ['A', 'B', 'C', 'D', 'E', 'F'].map((name, i) => ({
+  name,
+  latitude: 36.43,
+  longitude: 28.20 + i * 0.006
+}));
+const names = route => route.map(p => p.name);
+
+function hours(periods) {
+  return { operating_hours: { periods } };
+}
+
+const everyDay = (open, close) => hours(
+  [0, 1, 2, 3, 4, 5, 6].map(day => ({ open: { day, time: open }, close: { day, time: close } }))
+);
+
+describe('optimizeRoute', () => {
+  it('untangles a zig-zag route', () => {
+    const zigzag = [line[0], line[4], line[1], line[5], line[2], line[3]];
+    const { route, stats } = optimizeRoute(zigzag, { useTimeWindows: false });
+    const order = names(route).join('');
+    assert.ok(order === 'ABCDEF' || order === 'FEDCBA', order);
+    assert.ok(stats.totalDistanceMeters < stats.originalDistanceMeters);
+  });
+
+  it('counts the return leg to the start point', () => {
+    const start = { lat: 36.43, lng: 28.20 + 2 * 0.006 }; // at C
+    const { stats } = optimizeRoute(line, { startPoint: start, useTimeWindows: false });
+    const span = optimizeRoute([line[0], line[5]], { useTimeWindows: false }).stats.totalDistanceMeters;
+    assert.equal(stats.includesReturnLeg, true);
+    // Best loop from C covers the line out and back exactly once
+    assert.ok(Math.abs(stats.totalDistanceMeters - 2 * span) <= 2, `${stats.totalDistanceMeters} vs ${2 * span}`);
+  });
+
+  it('can leave the return leg out', () => {
+    const start = { lat: 36.43, lng: 28.20 };
+    const { route, stats } = optimizeRoute([...line].reverse(), { startPoint: start, returnToStart: false, useTimeWindows: false });
+    assert.equal(names(route).join(''), 'ABCDEF');
+    assert.equal(stats.includesReturnLeg, false);
+  });
+
+  it('visits places before they close and waits for late openers', () => {
+    const dinner = { ...line[0], name: 'Dinner', ...everyDay('1800', '2300') };
+    const museum = { ...line[5], name: 'Museum', ...everyDay('0900', '1500') };
+    const { route, stats } = optimizeRoute([dinner, museum], { startTime: '09:00', dayOfWeek: 3 });
+    assert.deepEqual(names(route), ['Museum', 'Dinner']);
+    assert.equal(stats.lateMinutes, 0);
+    assert.ok(stats.waitMinutes > 0);
+    assert.equal(stats.timeWindowsApplied, true);
+  });
+
+  it('reports stops that are closed on the chosen day', () => {
+    const poi = findBootstrapPOI('Takis Sandwiches & More'); // closed on Sundays
+    const { stats } = optimizeRoute([poi, findBootstrapPOI('Ta Marasia')], { dayOfWeek: 0, startTime: '12:00' });
+    assert.ok(stats.lateMinutes > 0);
+    assert.deepEqual(stats.hoursWarnings.map(w => w.name), ['Takis Sandwiches & More']);
+  });
+
+  it('appends stops without coordinates in their original order', () => {
+    const { route, stats } = optimizeRoute([{ name: 'X' }, line[1], { name: 'Y' }, line[0]], { useTimeWindows: false });
+    assert.deepEqual(names(route).slice(2), ['X', 'Y']);
+    assert.equal(stats.unroutableCount, 2);
+  });
+
+  it('never makes the bootstrap route longer', () => {
+    const pois = loadBootstrapPOIs();
+    const { route, stats } = optimizeRoute(pois, { useTimeWindows: false });
+    assert.equal(route.length, pois.length);
+    assert.equal(new Set(route.map(p => p.place_id)).size, pois.length);
+    assert.ok(stats.totalDistanceMeters <= stats.originalDistanceMeters);
+  });
+});
+
+describe('getCoordinates', () => {
+  it('reads every POI shape used in the app', () => {
+    assert.deepEqual(getCoordinates({ latitude: '36.1', longitude: '28.1' }), { lat: 36.1, lng: 28.1 });
+    assert.deepEqual(getCoordinates({ lat: 36.2, lng: 28.2 }), { lat: 36.2, lng: 28.2 });
+    assert.deepEqual(getCoordinates({ location: { coordinates: { lat: 36.3, lng: 28.3 } } }), { lat: 36.3, lng: 28.3 });
+    assert.equal(getCoordinates({ name: 'nowhere' }), null);
+  });
+});
+
+describe('getOptimizedRoute', () => {
+  it('returns only the locations, reordered', async () => {
+    const route = await getOptimizedRoute([line[2], line[0], line[1]], { lat: 36.43, lng: 28.19 }, { useTimeWindows: false, returnToStart: false });
+    assert.deepEqual(names(route), ['A', 'B', 'C']);
+  });
+
+  it('flags stops scheduled outside their opening hours', async () => {
+    const dinner = { ...line[0], name: 'Dinner', ...hours([{ open: { day: 1, time: '1800' }, close: { day: 1, time: '2300' } }]) };
+    const route = await getOptimizedRoute([dinner, { ...line[1], openingHoursWarning: 'stale' }], null, { startTime: '09:00', dayOfWeek: 3 });
+    const byName = Object.fromEntries(route.map(p => [p.name, p.openingHoursWarning]));
+    assert.equal(byName.B, undefined);
+    assert.equal(byName.Dinner, 'Dinner is closed on Wed');
+  });
+
+  it('passes short lists through', async () => {
+    assert.deepEqual(await getOptimizedRoute([line[0]]), [line[0]]);
+  });
+});
@@ -0,0 +1,230 @@
+import { REPO_ROOT } from './helpers/setup.js';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import * as db from '../db-adapter.js';
+import { getConnection } from '../db.js';
+import { createJWT } from '../auth.js';
+import { routes } from '../routes/index.js';
+import { mountExpressRoutes, writeResult } from '../routes/registry.js';
+
+const API_DIR = path.join(REPO_ROOT, 'api');
+
+// api/plans/[id]/index.js → /api/plans/:id
+function vercelPathFor(file) {
+  return '/' + path.relative(REPO_ROOT, file)
+    .replace(/\\/g, '/')
+    .replace(/\.js$/, '')
+    .replace(/\/index$/, '')
+    .replace(/\[(\w+)\]/g, ':$1');
+}
+
+function listFunctions(dir = API_DIR) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFunctions(file) : entry.name.endsWith('.js') ? [file] : [];
+  });
+}
+
+function patternFor(routePath) {
+  return new RegExp('^' + routePath.replace(/:(\w+)/g, '(?<$1>[^/]+)') + '$');
+}
+
+// Enough of the Vercel runtime to call the real api/ files: file routing, req.query, JSON bodies
+// and the res.status()/res.json() helpers middleware answers with
+async function startVercel() {
+  const functions = await Promise.all(listFunctions().map(async file => ({
+    pattern: patternFor(vercelPathFor(file)),
+    module: await import(pathToFileURL(file).href)
+  })));
+  // Static files win over dynamic segments, as on Vercel
+  functions.sort((a, b) => a.pattern.source.includes('?<') - b.pattern.source.includes('?<'));
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const fn = functions.find(candidate => candidate.pattern.test(url.pathname));
+    if (!fn) return writeResult(res, { status: 404, body: { error: 'No function' } });
+
+    req.query = { ...Object.fromEntries(url.searchParams), ...url.pathname.match(fn.pattern).groups };
+    if (fn.module.config?.api?.bodyParser !== false && req.headers['content-type']?.includes('json')) {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      req.body = raw ? JSON.parse(raw) : undefined;
+    }
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => writeResult(res, { status: res.statusCode, body });
+    await fn.module.default(req, res);
+  });
+}
+
+function startExpress() {
+  const app = express();
+  app.use(cookieParser());
+  mountExpressRoutes(app, routes);
+  return http.createServer(app);
+}
+
+let nextUser = 0;
+function signedInUser() {
+  const user = db.upsertUser(`routes-${process.pid}-${++nextUser}@example.com`);
+  return { user, cookie: `jwt=${createJWT({ email: user.email })}` };
+}
+
+describe('route registry', () => {
+  it('registers each method and path once', () => {
+    const keys = routes.map(route => `${route.method} ${route.path}`);
+    assert.equal(new Set(keys).size, keys.length);
+  });
+
+  it('has a Vercel function for every path, and no function outside the registry', () => {
+    const registered = new Set(routes.map(route => route.path));
+    const served = new Map(listFunctions().map(file => [vercelPathFor(file), file]));
+
+    assert.deepEqual([...registered].filter(p => !served.has(p)), []);
+    for (const [routePath, file] of served) {
+      assert.ok(registered.has(routePath), `${routePath} is not registered`);
+      assert.ok(fs.readFileSync(file, 'utf8').includes(`vercelHandler('${routePath}')`), `${file} serves another path`);
+    }
+  });
+});
+
+for (const [name, start] of [['Express', startExpress], ['Vercel', startVercel]]) {
+  describe(`${name} deployment`, () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      server = await start();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const call = (urlPath, { method = 'GET', cookie, body, headers = {} } = {}) => fetch(baseUrl + urlPath, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(cookie && { Cookie: cookie }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    it('identifies the user from the jwt cookie', async () => {
+      assert.equal((await call('/api/me')).status, 401);
+
+      const { user, cookie } = signedInUser();
+      const res = await call('/api/me', { cookie });
+      assert.equal(res.status, 200);
+      assert.equal((await res.json()).user.email, user.email);
+    });
+
+    it('rejects unknown login tokens', async () => {
+      const res = await call('/api/auth', { method: 'POST', body: { action: 'verify-login', token: 'nope' } });
+      assert.equal(res.status, 401);
+      assert.equal((await call('/api/auth', { method: 'POST', body: { action: 'nope' } })).status, 400);
+    });
+
+    it('serves plans with ETags behind authentication', async () => {
+      assert.equal((await call('/api/plans')).status, 401);
+
+      const { cookie } = signedInUser();
+      const created = await call('/api/plans', { method: 'POST', cookie, body: { name: 'Old Town', data: { locations: [] } } });
+      assert.equal(created.status, 201);
+      const etag = created.headers.get('etag');
+      const { planId } = await created.json();
+
+      assert.equal((await call(`/api/plans/${planId}`, { cookie, headers: { 'If-None-Match': etag } })).status, 304);
+      await call(`/api/plans/${planId}`, { method: 'PUT', cookie, body: { name: 'Old Town walk', data: {} } });
+      const stale = await call(`/api/plans/${planId}`, { method: 'PUT', cookie, body: { name: 'x', data: {} }, headers: { 'If-Match': etag } });
+      assert.equal(stale.status, 412);
+      const importFile = { filename: 'trip.txt', content: '' };
+      assert.equal((await call('/api/plans/import', { method: 'POST', body: importFile })).status, 401);
+      assert.equal((await call('/api/plans/import', { method: 'POST', cookie, body: importFile })).status, 400);
+    });
+
+    it('marks the customer as paid from a checkout webhook', async () => {
+      const email = `webhook-${name.toLowerCase()}-${process.pid}@example.com`;
+      const event = {
+        id: `evt_${name}`,
+        type: 'checkout.session.completed',
+        data: { object: { id: 'cs_test', payment_status: 'paid', payment_intent: `pi_${name}`, customer_email: email, amount_total: 999, currency: 'eur' } }
+      };
+      const res = await call('/api/stripe-webhook', { method: 'POST', body: JSON.stringify(event) });
+      assert.equal(res.status, 200);
+      assert.ok(db.getUserByEmail(email).has_paid);
+    });
+
+    it('refuses unsigned webhooks once a signing secret is configured', async () => {
+      process.env.STRIPE_SECRET_KEY_TEST = 'sk_test_routes';
+      process.env.STRIPE_WEBHOOK_SECRET_TEST = 'whsec_routes';
+      try {
+        const res = await call('/api/stripe-webhook', { method: 'POST', body: JSON.stringify({ type: 'checkout.session.completed' }) });
+        assert.equal(res.status, 400);
+      } finally {
+        delete process.env.STRIPE_SECRET_KEY_TEST;
+        delete process.env.STRIPE_WEBHOOK_SECRET_TEST;
+      }
+    });
+
+    it('restricts admin routes to the admin role and audits deletions', async () => {
+      assert.equal((await call('/api/dev/users')).status, 401);
+      const { cookie } = signedInUser();
+      assert.equal((await call('/api/dev/users', { cookie })).status, 403);
+
+      const { user: admin, cookie: adminCookie } = signedInUser();
+      db.setUserRole(admin.email, 'admin');
+      const list = await call('/api/dev/users', { cookie: adminCookie });
+      assert.equal(list.status, 200);
+      assert.ok((await list.json()).users.every(user => !('magic_token_hash' in user)));
+
+      const { user: doomed } = signedInUser();
+      const deleted = await call('/api/admin/delete-user', { method: 'POST', cookie: adminCookie, body: { email: doomed.email } });
+      assert.equal(deleted.status, 200);
+      assert.equal(db.getUserByEmail(doomed.email), undefined);
+
+      const log = await (await call('/api/admin/audit-log', { cookie: adminCookie })).json();
+      const entry = log.entries.find(candidate => candidate.target === doomed.email);
+      assert.equal(entry.actor_email, admin.email);
+      assert.equal(entry.action, 'delete_user');
+      assert.deepEqual(entry.details, { role: 'user', has_paid: false });
+    });
+
+    it('keeps the account when the deletion cannot be audited', async () => {
+      const { user: admin, cookie: adminCookie } = signedInUser();
+      db.setUserRole(admin.email, 'admin');
+      const { user: target } = signedInUser();
+
+      // Without its table the audit insert throws
+      getConnection().exec('ALTER TABLE admin_audit_log RENAME TO admin_audit_log_hidden');
+      try {
+        const res = await call('/api/admin/delete-user', { method: 'POST', cookie: adminCookie, body: { email: target.email } });
+        assert.equal(res.status, 500);
+      } finally {
+        getConnection().exec('ALTER TABLE admin_audit_log_hidden RENAME TO admin_audit_log');
+      }
+      assert.ok(db.getUserByEmail(target.email));
+    });
+  });
+}
+
+describe('Vercel adapter', () => {
+  it('answers 405 with Allow for methods a path does not serve', async () => {
+    const server = await startVercel();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/api/plans/1`, { method: 'PATCH' });
+      assert.equal(res.status, 405);
+      assert.equal(res.headers.get('allow'), 'GET, PUT, DELETE');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,93 @@
+import { loadBootstrapPOIs, findBootstrapPOI } from './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { deduplicatePOIs, determineActivityType, demoteClosedPOIs } from '../stepHandler.js';
+
+describe('deduplicatePOIs', () => {
+  it('returns an empty list for non-array input', () => {
+    assert.deepEqual(deduplicatePOIs(null), []);
+  });
+
+  it('removes repeated place_ids', () => {
+    const takis = findBootstrapPOI('Takis Sandwiches & More');
+    const result = deduplicatePOIs([takis, { ...takis, name: 'Takis (copy)', latitude: 36.5, longitude: 28.3 }]);
+    assert.equal(result.length, 1);
+  });
+
+  it('removes names that differ only in case and whitespace', () => {
+    const result = deduplicatePOIs([
+      { place_id: 'a', name: 'Elli Beach', latitude: 36.45, longitude: 28.22 },
+      { place_id: 'b', name: '  elli beach ', latitude: 36.46, longitude: 28.23 }
+    ]);
+    assert.deepEqual(result.map(p => p.place_id), ['a']);
+  });
+
+  it('removes the same place spelled another way', () => {
+    const result = deduplicatePOIs([
+      { place_id: 'a', name: 'Acropolis of Lindos', latitude: 36.0910, longitude: 28.0880 },
+      { place_id: 'b', name: 'Lindos Acropolis', latitude: 36.0920, longitude: 28.0870 },
+      { place_id: 'c', name: 'The Acropolis of Lindos', latitude: 36.0930, longitude: 28.0890 },
+      { place_id: 'd', name: 'Lindos', latitude: 36.0940, longitude: 28.0860 }
+    ], [{ place_id: 'x', name: 'Φαληράκι' }]);
+    assert.deepEqual(result.map(p => p.place_id), ['a', 'd']);
+    assert.equal(deduplicatePOIs([{ place_id: 'f', name: 'Faliraki' }], [{ place_id: 'x', name: 'Φαληράκι' }]).length, 0);
+  });
+
+  it('removes POIs that share a ~100m coordinate cell', () => {
+    // Both bootstrap monuments sit on the same coordinates
+    const monument = findBootstrapPOI('Μνημείο τον γλάρος');
+    const fountain = findBootstrapPOI('Το βενετσιάνικο συντριβάνι');
+    const result = deduplicatePOIs([monument, fountain]);
+    assert.deepEqual(result.map(p => p.name), [monument.name]);
+  });
+
+  it('excludes POIs that are already selected', () => {
+    const pois = loadBootstrapPOIs();
+    const selected = [findBootstrapPOI('Ta Marasia')];
+    const result = deduplicatePOIs(pois, selected);
+    assert.ok(!result.some(p => p.place_id === selected[0].place_id));
+  });
+
+  it('keeps every distinct bootstrap POI', () => {
+    const pois = loadBootstrapPOIs();
+    const cells = new Set(pois.map(p => `${Math.round(p.latitude * 1000)}:${Math.round(p.longitude * 1000)}`));
+    assert.equal(deduplicatePOIs(pois).length, cells.size);
+  });
+});
+
+describe('determineActivityType', () => {
+  it('starts with sightseeing', () => {
+    assert.equal(determineActivityType(1, { interests: ['food'] }, []), 'sightseeing');
+  });
+
+  it('follows the first matching interest after step one', () => {
+    assert.equal(determineActivityType(2, { interests: ['history', 'beaches'] }, []), 'beach');
+    assert.equal(determineActivityType(2, { interests: ['food'] }, []), 'dining');
+    assert.equal(determineActivityType(2, { interests: ['history'] }, []), 'culture');
+    assert.equal(determineActivityType(2, { interests: ['nature'] }, []), 'nature');
+  });
+
+  it('fills gaps in the selected POI types', () => {
+    assert.equal(determineActivityType(2, {}, [{ type: 'attraction' }]), 'beach');
+    assert.equal(determineActivityType(3, {}, [{ type: 'beach' }]), 'dining');
+    assert.equal(determineActivityType(2, {}, [{ type: 'beach' }]), 'sightseeing');
+  });
+
+  it('falls back to the default progression', () => {
+    const all = [{ type: 'attraction' }, { type: 'beach' }, { type: 'restaurant' }];
+    assert.equal(determineActivityType(2, {}, all), 'sightseeing');
+    assert.equal(determineActivityType(3, {}, all), 'beach');
+    assert.equal(determineActivityType(4, {}, all), 'dining');
+    assert.equal(determineActivityType(5, {}, all), 'sightseeing');
+  });
+});
+
+describe('demoteClosedPOIs', () => {
+  const sakura = findBootstrapPOI('Sakura Asian Cuisine'); // evenings only
+  const acropolis = findBootstrapPOI('Acropolis of Rhodes'); // daytime only
+
+  it('checks hours for the time slot of the step', () => {
+    assert.deepEqual(demoteClosedPOIs([sakura, acropolis], 1).map(p => p.name), ['Acropolis of Rhodes', 'Sakura Asian Cuisine']);
+    assert.deepEqual(demoteClosedPOIs([acropolis, sakura], 5).map(p => p.name), ['Sakura Asian Cuisine', 'Acropolis of Rhodes']);
+  });
+});
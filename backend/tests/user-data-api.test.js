@@ -0,0 +1,181 @@
+import './helpers/setup.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as db from '../db-adapter.js';
+import {
+  etagMatches,
+  listPlans,
+  createPlan,
+  getPlan,
+  updatePlan,
+  deletePlan,
+  sharePlan,
+  revokePlanShare,
+  getPreferences,
+  putPreferences,
+  getSessionMessages,
+  appendSessionMessage,
+  clearSessionMessages,
+  handleUserDataAction
+} from '../user-data-api.js';
+
+let nextUser = 0;
+const newUser = () => db.upsertUser(`user-data-${process.pid}-${++nextUser}@example.com`);
+const PLAN = { name: 'Lindos day', data: { locations: [{ name: 'Acropolis of Lindos', lat: 36.09, lng: 28.09 }] } };
+
+describe('etagMatches', () => {
+  it('accepts lists, weak tags and *', () => {
+    assert.ok(etagMatches('"a", "plan-1-v2"', '"plan-1-v2"'));
+    assert.ok(etagMatches('W/"plan-1-v2"', '"plan-1-v2"'));
+    assert.ok(etagMatches('*', '"plan-1-v2"'));
+    assert.ok(!etagMatches('"plan-1-v1"', '"plan-1-v2"'));
+    assert.ok(!etagMatches(undefined, '"plan-1-v2"'));
+  });
+});
+
+describe('plans', () => {
+  it('create, read, update and delete with versioned ETags', async () => {
+    const user = newUser();
+    const created = await createPlan(db, user, { body: PLAN });
+    assert.equal(created.status, 201);
+    const { planId } = created.body;
+    assert.equal(created.headers.Location, `/api/plans/${planId}`);
+    assert.equal(created.headers.ETag, `"plan-${planId}-v1"`);
+
+    const read = await getPlan(db, user, { params: { id: String(planId) } });
+    assert.equal(read.body.plan.name, 'Lindos day');
+    assert.equal(read.body.plan.version, 1);
+    assert.equal((await getPlan(db, user, { params: { id: String(planId) }, headers: { 'if-none-match': read.headers.ETag } })).status, 304);
+
+    const updated = await updatePlan(db, user, {
+      params: { id: String(planId) },
+      body: { ...PLAN, name: 'Lindos and Pefkos' },
+      headers: { 'if-match': read.headers.ETag }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.headers.ETag, `"plan-${planId}-v2"`);
+    assert.equal(updated.body.plan.name, 'Lindos and Pefkos');
+
+    const listed = await listPlans(db, user);
+    assert.deepEqual(listed.body.plans.map(p => [p.id, p.version]), [[planId, 2]]);
+    assert.equal((await listPlans(db, user, { headers: { 'if-none-match': listed.headers.ETag } })).status, 304);
+
+    assert.equal((await deletePlan(db, user, { params: { id: String(planId) } })).status, 200);
+    assert.equal((await getPlan(db, user, { params: { id: String(planId) } })).status, 404);
+  });
+
+  it('refuse writes based on a stale ETag', async () => {
+    const user = newUser();
+    const { planId } = (await createPlan(db, user, { body: PLAN })).body;
+    const params = { id: String(planId) };
+    const stale = `"plan-${planId}-v1"`;
+    await updatePlan(db, user, { params, body: { ...PLAN, name: 'Edited elsewhere' } });
+
+    const conflict = await updatePlan(db, user, { params, body: PLAN, headers: { 'if-match': stale } });
+    assert.equal(conflict.status, 412);
+    assert.equal(conflict.headers.ETag, `"plan-${planId}-v2"`);
+    assert.equal((await deletePlan(db, user, { params, headers: { 'if-match': stale } })).status, 412);
+    assert.equal((await getPlan(db, user, { params })).body.plan.name, 'Edited elsewhere');
+  });
+
+  it('keep the stored version check when the plan changes mid-request', async () => {
+    const user = newUser();
+    const { planId } = (await createPlan(db, user, { body: PLAN })).body;
+    db.updateTravelPlan(user.id, planId, PLAN.data, 'Newer', null);
+    assert.equal(db.updateTravelPlan(user.id, planId, PLAN.data, 'Older', 1).changes, 0);
+    assert.equal(db.deleteTravelPlan(user.id, planId, 1).changes, 0);
+  });
+
+  it('validate request bodies', async () => {
+    const user = newUser();
+    const missingName = await createPlan(db, user, { body: { data: {} } });
+    assert.equal(missingName.status, 400);
+    assert.equal(missingName.body.details[0].path, 'name');
+
+    const badLocations = await createPlan(db, user, { body: { name: 'x', data: { locations: 'Lindos' } } });
+    assert.equal(badLocations.status, 400);
+    assert.equal(badLocations.body.details[0].path, 'data.locations');
+  });
+
+  it('keep plans private to their owner', async () => {
+    const owner = newUser();
+    const other = newUser();
+    const { planId } = (await createPlan(db, owner, { body: PLAN })).body;
+    const params = { id: String(planId) };
+    assert.equal((await getPlan(db, other, { params })).status, 404);
+    assert.equal((await updatePlan(db, other, { params, body: PLAN })).status, 404);
+    assert.equal((await deletePlan(db, other, { params })).status, 404);
+    assert.equal((await sharePlan(db, other, { params, body: {} })).status, 404);
+  });
+
+  it('share and revoke a plan, bumping its version', async () => {
+    const user = newUser();
+    const { planId } = (await createPlan(db, user, { body: PLAN })).body;
+    const params = { id: String(planId) };
+
+    const shared = await sharePlan(db, user, { params, body: { expiresInDays: 7 } });
+    assert.match(shared.body.shareToken, /^[0-9a-f]{64}$/);
+    const plan = (await getPlan(db, user, { params })).body.plan;
+    assert.equal(plan.shared, true);
+    assert.equal(plan.version, 2);
+
+    assert.equal((await revokePlanShare(db, user, { params })).status, 200);
+    assert.equal((await getPlan(db, user, { params })).body.plan.shared, false);
+  });
+});
+
+describe('preferences', () => {
+  it('start empty, then version every save', async () => {
+    const user = newUser();
+    const empty = await getPreferences(db, user);
+    assert.equal(empty.body.preferences, null);
+    assert.equal(empty.headers, undefined);
+
+    const first = await putPreferences(db, user, { body: { preferences: { pace: 'relaxed' } } });
+    assert.equal(first.headers.ETag, '"preferences-v1"');
+    const second = await putPreferences(db, user, { body: { preferences: { pace: 'busy' } }, headers: { 'if-match': '"preferences-v1"' } });
+    assert.equal(second.headers.ETag, '"preferences-v2"');
+
+    const stale = await putPreferences(db, user, { body: { preferences: { pace: 'slow' } }, headers: { 'if-match': '"preferences-v1"' } });
+    assert.equal(stale.status, 412);
+    assert.deepEqual((await getPreferences(db, user)).body.preferences, { pace: 'busy' });
+    assert.equal((await putPreferences(db, user, { body: { preferences: 'busy' } })).status, 400);
+  });
+});
+
+describe('session messages', () => {
+  it('append, read and clear a conversation', async () => {
+    const user = newUser();
+    const params = { id: 'rest-chat' };
+    assert.equal((await getSessionMessages(db, user, { params })).status, 404);
+
+    assert.equal((await appendSessionMessage(db, user, { params, body: { role: 'user', content: 'Quiet beaches?' } })).status, 201);
+    await appendSessionMessage(db, user, { params, body: { sender: 'ai', type: 'location', locationData: { name: 'Glystra' } } });
+    assert.equal(db.getChatSession(user.id, 'rest-chat').title, 'Quiet beaches?');
+
+    const read = await getSessionMessages(db, user, { params });
+    assert.deepEqual(read.body.messages.map(m => m.content ?? m.locationData.name), ['Quiet beaches?', 'Glystra']);
+    assert.equal((await getSessionMessages(db, user, { params, headers: { 'if-none-match': read.headers.ETag } })).status, 304);
+
+    assert.equal((await appendSessionMessage(db, user, { params, body: { role: 'system', content: 'x' } })).status, 400);
+    assert.equal((await appendSessionMessage(db, user, { params: { id: '../etc' }, body: { role: 'user', content: 'x' } })).status, 404);
+
+    await clearSessionMessages(db, user, { params });
+    assert.deepEqual((await getSessionMessages(db, user, { params })).body.messages, []);
+  });
+});
+
+describe('handleUserDataAction', () => {
+  it('runs the old actions through the resource handlers', async () => {
+    const user = newUser();
+    const saved = await handleUserDataAction(db, user, { action: 'save_travel_plan', data: { planName: 'Old client', planData: PLAN.data } });
+    assert.equal(saved.status, 200);
+    assert.equal(typeof saved.body.planId, 'number');
+
+    const listed = await handleUserDataAction(db, user, { action: 'get_travel_plans' });
+    assert.deepEqual(listed.body.plans.map(p => p.name), ['Old client']);
+    assert.equal((await handleUserDataAction(db, user, { action: 'get_chat_history', data: { sessionId: 'never-used' } })).body.messages.length, 0);
+    assert.equal((await handleUserDataAction(db, user, { action: 'delete_travel_plan', data: { planId: saved.body.planId } })).status, 200);
+    assert.deepEqual(await handleUserDataAction(db, user, { action: 'nope' }), { status: 400, body: { error: 'Invalid action' } });
+  });
+});
@@ -0,0 +1,175 @@
+import './helpers/setup.js';
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assessWeather,
+  getTripForecast,
+  setWeatherProvider,
+  toWeatherCards
+} from '../weather/weatherProvider.js';
+import { AgentConfig } from '../config/agentConfig.js';
+import { createFixtureWeatherProvider } from '../weather/fixtureProvider.js';
+import { createOpenMeteoProvider, describeWeatherCode } from '../weather/openMeteoProvider.js';
+import { applyWeatherToRounds, createIntelligentPlanStrategy } from '../intelligentRoundPlanner.js';
+import { determineActivityType } from '../stepHandler.js';
+
+const forecastFrom = async (fixture, userPreferences = {}) => {
+  setWeatherProvider(createFixtureWeatherProvider({ fixture }));
+  return getTripForecast({ userPreferences: { startDate: '2026-07-01', ...userPreferences } });
+};
+
+describe('assessWeather', () => {
+  afterEach(() => setWeatherProvider(null));
+
+  it('calls a calm summer day beach weather', async () => {
+    const { days: [day] } = await forecastFrom('sunny');
+    assert.deepEqual(day.assessment.reasons, []);
+    assert.equal(day.assessment.beachFriendly, true);
+    assert.equal(day.assessment.outdoorFriendly, true);
+  });
+
+  it('keeps the beach off the plan on a meltemi day but not the walks', async () => {
+    const { days: [day] } = await forecastFrom('windy');
+    assert.deepEqual(day.assessment.reasons, ['strong wind (42 km/h)']);
+    assert.equal(day.assessment.beachFriendly, false);
+    assert.equal(day.assessment.outdoorFriendly, true);
+  });
+
+  it('rules out the beach and outdoor plans in rain and thunderstorms', () => {
+    const storm = assessWeather({ weatherCode: 95, tempMax: 20, precipitationProbability: 40, precipitationMm: 1, windSpeedMax: 20 });
+    assert.deepEqual(storm.reasons, ['thunderstorms', 'cool (20°C)']);
+    assert.equal(storm.beachFriendly, false);
+    assert.equal(storm.outdoorFriendly, false);
+    assert.match(storm.advice, /museums/);
+  });
+});
+
+describe('weather providers', () => {
+  afterEach(() => setWeatherProvider(null));
+
+  it('repeats fixture days over the whole trip', async () => {
+    const forecast = await forecastFrom('rainy', { tripDays: 3 });
+    assert.equal(forecast.source, 'fixture');
+    assert.deepEqual(forecast.days.map(day => [day.date, day.condition]), [
+      ['2026-07-01', 'Rain showers'],
+      ['2026-07-02', 'Thunderstorm'],
+      ['2026-07-03', 'Rain showers']
+    ]);
+  });
+
+  it('reads Open-Meteo daily forecasts, clamped to the forecast horizon', async () => {
+    const requests = [];
+    const http = {
+      async get(url, { params }) {
+        requests.push(params);
+        return {
+          data: {
+            daily: {
+              time: ['2026-07-15', '2026-07-16'],
+              weather_code: [2, 61],
+              temperature_2m_max: [29.4, 24.1],
+              temperature_2m_min: [22.2, 19.8],
+              precipitation_probability_max: [10, 70],
+              precipitation_sum: [0, 4.2],
+              wind_speed_10m_max: [22.5, 30.1],
+              wind_gusts_10m_max: [35, 52],
+              wind_direction_10m_dominant: [310, 190]
+            }
+          }
+        };
+      }
+    };
+    const provider = createOpenMeteoProvider({ http, today: () => '2026-07-01' });
+    const request = { lat: 36.4, lng: 28.2, startDate: '2026-07-15', days: 5 };
+
+    const days = await provider.getDailyForecast(request);
+    assert.equal(requests[0].end_date, '2026-07-16');
+    assert.deepEqual(days[1], {
+      date: '2026-07-16',
+      condition: 'Rain',
+      weatherCode: 61,
+      tempMax: 24.1,
+      tempMin: 19.8,
+      precipitationProbability: 70,
+      precipitationMm: 4.2,
+      windSpeedMax: 30.1,
+      windGustsMax: 52,
+      windDirection: 190
+    });
+
+    await provider.getDailyForecast(request);
+    assert.equal(requests.length, 1);
+    assert.deepEqual(await provider.getDailyForecast({ ...request, startDate: '2026-07-20' }), []);
+  });
+
+  it('names WMO weather codes', () => {
+    assert.equal(describeWeatherCode(0), 'Clear sky');
+    assert.equal(describeWeatherCode(45), 'Fog');
+    assert.equal(describeWeatherCode(96), 'Thunderstorm');
+  });
+
+  it('treats a failing provider as no forecast', async () => {
+    setWeatherProvider({ name: 'broken', getDailyForecast: async () => { throw new Error('offline'); } });
+    assert.equal(await getTripForecast(), null);
+  });
+
+  it('asks for no forecast unless weather-aware planning is switched on', async () => {
+    let calls = 0;
+    setWeatherProvider({ name: 'counting', getDailyForecast: async () => { calls++; return []; } });
+    AgentConfig.enableWeatherAware = false;
+    try {
+      assert.equal(await getTripForecast(), null);
+      assert.equal(calls, 0);
+    } finally {
+      AgentConfig.enableWeatherAware = true;
+    }
+  });
+
+  it('shapes forecasts as weather cards', async () => {
+    const [card] = toWeatherCards(await forecastFrom('windy'));
+    assert.deepEqual(card.forecast, { condition: 'Clear sky', temp_max: '28°C', temp_min: '22°C', wind: '42 km/h' });
+    assert.equal(card.date, '2026-07-01');
+    assert.match(card.advice, /sheltered/);
+  });
+});
+
+describe('weather-aware planning', () => {
+  afterEach(() => setWeatherProvider(null));
+
+  const rounds = [
+    { roundNumber: 1, poiType: 'attraction', title: 'Sights', expectedSelections: 3, searchCriteria: { filters: [] } },
+    { roundNumber: 2, poiType: 'beach', title: 'Beaches', expectedSelections: 3, searchCriteria: { filters: [] } }
+  ];
+
+  it('turns the beach round into sheltered sights when no day is beach weather', async () => {
+    const adjusted = applyWeatherToRounds(rounds, await forecastFrom('rainy'), 1);
+    assert.equal(adjusted[0], rounds[0]);
+    assert.equal(adjusted[1].poiType, 'cultural');
+    assert.equal(adjusted[1].weatherAdjusted, true);
+    assert.match(adjusted[1].reasoning, /thunderstorms|chance of rain/);
+  });
+
+  it('collects one beach per beach day', async () => {
+    const forecast = await forecastFrom('sunny', { tripDays: 3 });
+    forecast.days[1] = { ...forecast.days[1], assessment: { ...forecast.days[1].assessment, beachFriendly: false } };
+    assert.equal(applyWeatherToRounds(rounds, forecast, 3)[1].expectedSelections, 2);
+    assert.equal(applyWeatherToRounds(rounds, null, 3), rounds);
+  });
+
+  it('plans around a rainy forecast', async () => {
+    const result = await createIntelligentPlanStrategy({ interests: ['beaches'] }, null, await forecastFrom('rainy'));
+    assert.equal(result.success, true);
+    assert.equal(result.weather.days[0].condition, 'Rain showers');
+    assert.ok(!result.strategy.rounds.some(round => round.poiType === 'beach'));
+    assert.ok(result.strategy.rounds.some(round => round.weatherAdjusted));
+  });
+
+  it('suggests culture instead of the beach or nature on a bad day', async () => {
+    const { days: [windy] } = await forecastFrom('windy');
+    const { days: [rainy] } = await forecastFrom('rainy');
+    assert.equal(determineActivityType(2, { interests: ['beaches'] }, [], windy), 'culture');
+    assert.equal(determineActivityType(2, { interests: ['nature'] }, [], windy), 'nature');
+    assert.equal(determineActivityType(2, { interests: ['nature'] }, [], rainy), 'culture');
+    assert.equal(determineActivityType(3, {}, [{ type: 'beach' }], rainy), 'dining');
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Gazetteer - Offline coordinates for Rhodes place names
+ * Curated villages, beaches and landmarks (rhodes-gazetteer.json, with Greek
+ * and transliterated aliases) plus every POI in the curated dataset that
+ * kb_poi_master is seeded from. geocodeLocation asks here first and only goes
+ * to Google or Mapbox for names the gazetteer does not know.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadPOIDataset } from '../poi-dataset.js';
+import { normalizeName, tokenSetRatio } from '../name-matching.js';
+
+const PLACES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rhodes-gazetteer.json');
+
+// Fuzzy matches below this score are misses; ~one typo in a seven-letter name still passes
+export const MIN_FUZZY_SCORE = 0.85;
+// Shorter names are too easy to confuse ("Lindos" is not "Lindo")
+const MIN_FUZZY_LENGTH = 5;
+
+// Words that describe a place rather than name it ("Faliraki Beach" is Faliraki)
+const DESCRIPTOR_WORDS = new Set(['beach', 'bay', 'village', 'paralia', 'ormos']);
+
+/**
+ * @typedef {Object} GazetteerPlace
+ * @property {string} name
+ * @property {'village'|'beach'|'landmark'|'poi'} kind
+ * @property {number} lat
+ * @property {number} lng
+ * @property {string[]} [aliases]
+ * @property {string} [placeId] - Dataset place_id of a 'poi' entry
+ */
+
+let gazetteer = null;
+
+function looseKey(normalized) {
+  const words = normalized.split(' ').filter(word => !DESCRIPTOR_WORDS.has(word));
+  return words.length > 0 ? words.join(' ') : normalized;
+}
+
+/**
+ * Gazetteer entries for dataset POIs (name and coordinates only)
+ * @param {Object[]} pois
+ * @returns {GazetteerPlace[]}
+ */
+export function poiPlaces(pois) {
+  return pois
+    .filter(poi => poi?.name && Number.isFinite(poi.latitude) && Number.isFinite(poi.longitude))
+    .map(poi => ({ name: poi.name, kind: 'poi', lat: poi.latitude, lng: poi.longitude, placeId: poi.place_id }));
+}
+
+/**
+ * Build a gazetteer over a list of places
+ * Earlier places win when two share a name, so curated entries go first.
+ * @param {GazetteerPlace[]} places
+ */
+export function createGazetteer(places) {
+  const exact = new Map();
+  const loose = new Map();
+
+  for (const place of places) {
+    for (const alias of [place.name, ...(place.aliases || [])]) {
+      const key = normalizeName(alias);
+      if (!key) continue;
+      if (!exact.has(key)) exact.set(key, { place, alias });
+      const relaxed = looseKey(key);
+      if (!loose.has(relaxed)) loose.set(relaxed, { place, alias });
+    }
+  }
+
+  const toMatch = ({ place, alias }, score) => ({
+    name: place.name,
+    kind: place.kind,
+    lat: place.lat,
+    lng: place.lng,
+    ...(place.placeId ? { placeId: place.placeId } : {}),
+    matchedAlias: alias,
+    score
+  });
+
+  return {
+    size: places.length,
+
+    /**
+     * Best entry for a name: exact, then ignoring descriptor words, then fuzzy
+     * Names are compared in their normalized Latin form, so Greek and English spellings meet.
+     * @param {string} name
+     * @returns {(Omit<GazetteerPlace, 'aliases'> & { matchedAlias: string, score: number })|null}
+     */
+    lookup(name) {
+      const key = normalizeName(name);
+      if (!key) return null;
+      if (exact.has(key)) return toMatch(exact.get(key), 1);
+
+      const relaxed = looseKey(key);
+      if (loose.has(relaxed)) return toMatch(loose.get(relaxed), 0.95);
+      if (relaxed.length < MIN_FUZZY_LENGTH) return null;
+
+      let best = null;
+      let bestScore = MIN_FUZZY_SCORE;
+      for (const [candidate, entry] of loose) {
+        // Lengths this far apart cannot reach the score; skip the edit distance
+        if (candidate.length < MIN_FUZZY_LENGTH || Math.abs(candidate.length - relaxed.length) > relaxed.length / 2) continue;
+        const score = tokenSetRatio(relaxed, candidate);
+        // Ties keep the earlier (curated) entry
+        if (score > bestScore || (!best && score === bestScore)) {
+          best = entry;
+          bestScore = score;
+        }
+      }
+      return best ? toMatch(best, Number(bestScore.toFixed(3))) : null;
+    }
+  };
+}
+
+/**
+ * Curated villages, beaches and landmarks
+ * @returns {GazetteerPlace[]}
+ */
+export function loadCuratedPlaces() {
+  return JSON.parse(fs.readFileSync(PLACES_FILE, 'utf8')).places;
+}
+
+/**
+ * Get the process-wide gazetteer (built lazily from the curated places and the POI dataset)
+ */
+export async function getGazetteer() {
+  if (!gazetteer) {
+    let pois = [];
+    try {
+      const dataset = await loadPOIDataset();
+      pois = poiPlaces(dataset.pois || []);
+    } catch (error) {
+      console.warn(`⚠️ [Gazetteer] POI names unavailable, using curated places only: ${error.message}`);
+    }
+    gazetteer = createGazetteer([...loadCuratedPlaces(), ...pois]);
+    console.log(`📖 [Gazetteer] Indexed ${gazetteer.size} places`);
+  }
+  return gazetteer;
+}
+
+/**
+ * Replace the process-wide gazetteer (tests and scripts)
+ * Pass null to rebuild it from the data files on next use.
+ */
+export function setGazetteer(instance) {
+  gazetteer = instance;
+}
+
+/**
+ * Look a name up in the process-wide gazetteer
+ * @param {string} name
+ */
+export async function lookupPlace(name) {
+  return (await getGazetteer()).lookup(name);
+}
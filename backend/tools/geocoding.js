@@ -1,39 +1,17 @@
 import axios from 'axios';
+import { createCache } from '../cache.js';
+import { AgentConfig } from '../config/agentConfig.js';
+import { lookupPlace } from './gazetteer.js';
 
-// Rhodes bounds for validation
-const RHODES_BOUNDS = {
-  north: 36.5,
-  south: 36.0,
-  east: 28.4,
-  west: 27.8
-};
-
-// Simple in-memory cache
-const geocodeCache = new Map();
-const CACHE_EXPIRY = 24 * 60 * 60 * 1000; // 24 hours
-
-function getCachedCoordinates(locationName) {
-  const cached = geocodeCache.get(locationName);
-  if (cached && (Date.now() - cached.timestamp) < CACHE_EXPIRY) {
-    console.log(`🗺️ Cache hit for geocoding: ${locationName}`);
-    return cached.coordinates;
-  }
-  return null;
-}
-
-function setCachedCoordinates(locationName, coordinates) {
-  geocodeCache.set(locationName, {
-    coordinates,
-    timestamp: Date.now()
-  });
-}
+const geocodeCache = createCache('geocode');
 
 // Validate coordinates are within Rhodes bounds
 function isValidRhodesCoordinates(lat, lng) {
-  return lat >= RHODES_BOUNDS.south && 
-         lat <= RHODES_BOUNDS.north && 
-         lng >= RHODES_BOUNDS.west && 
-         lng <= RHODES_BOUNDS.east;
+  const bounds = AgentConfig.rhodesBounds;
+  return lat >= bounds.south && 
+         lat <= bounds.north && 
+         lng >= bounds.west && 
+         lng <= bounds.east;
 }
 
 /**
@@ -54,7 +32,7 @@ async function geocodeWithGoogle(locationName) {
         textQuery: locationName,
         locationBias: {
           circle: {
-            center: { latitude: 36.4341, longitude: 28.2176 }, // Rhodes center
+            center: { latitude: AgentConfig.rhodesCenter.lat, longitude: AgentConfig.rhodesCenter.lng },
             radius: 50000 // 50km radius
           }
         },
@@ -106,13 +84,14 @@ async function geocodeWithMapbox(locationName) {
     // Add Rhodes context to improve accuracy
     const query = `${locationName}, Rhodes, Greece`;
     const encodedQuery = encodeURIComponent(query);
+    const bounds = AgentConfig.rhodesBounds;
     
     const response = await axios.get(
       `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodedQuery}.json`,
       {
         params: {
           access_token: process.env.MAPBOX_ACCESS_TOKEN,
-          bbox: `${RHODES_BOUNDS.west},${RHODES_BOUNDS.south},${RHODES_BOUNDS.east},${RHODES_BOUNDS.north}`, // Limit to Rhodes
+          bbox: [bounds.west, bounds.south, bounds.east, bounds.north].join(','), // Limit to Rhodes
           limit: 1,
           types: 'poi,address,place'
         },
@@ -153,11 +132,19 @@ export async function geocodeLocation(locationName, fullAddress = null) {
     return null;
   }
 
+  // Known villages, beaches, landmarks and dataset POIs need no remote lookup
+  const known = await lookupPlace(locationName);
+  if (known) {
+    console.log(`📖 Gazetteer hit for geocoding: ${locationName} -> ${known.name} (${known.score})`);
+    return { lat: known.lat, lng: known.lng };
+  }
+
   const searchQuery = fullAddress || locationName;
   
   // Check cache first
-  const cached = getCachedCoordinates(searchQuery);
+  const cached = await geocodeCache.get(searchQuery);
   if (cached) {
+    console.log(`🗺️ Cache hit for geocoding: ${searchQuery}`);
     return cached;
   }
 
@@ -172,14 +159,14 @@ export async function geocodeLocation(locationName, fullAddress = null) {
     coordinates = await geocodeWithMapbox(searchQuery);
   }
 
-  // Final fallback to Rhodes center if all else fails
+  // Final fallback to Rhodes center if all else fails (not cached, so the next call retries)
   if (!coordinates) {
     console.log(`⚠️ All geocoding failed for: ${searchQuery}, using Rhodes center`);
-    coordinates = { lat: 36.4341, lng: 28.2176 };
+    return { lat: AgentConfig.rhodesCenter.lat, lng: AgentConfig.rhodesCenter.lng };
   }
 
   // Cache the result
-  setCachedCoordinates(searchQuery, coordinates);
+  await geocodeCache.set(searchQuery, coordinates);
   
   return coordinates;
 }
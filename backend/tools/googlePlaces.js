@@ -3,29 +3,15 @@
 // Returns null if no suitable image is found.
 
 import axios from 'axios';
+import { createCache } from '../cache.js';
 
-// Simple in-memory cache for the session
-const photoCache = new Map();
-const placeDetailsCache = new Map();
-const CACHE_EXPIRY = 60 * 60 * 1000; // 1 hour in milliseconds
-
-// Cache entry structure: { data: any, timestamp: number }
-function getCachedData(cache, key) {
-  const cached = cache.get(key);
-  if (cached && (Date.now() - cached.timestamp) < CACHE_EXPIRY) {
-    return cached.data;
-  }
-  return undefined;
-}
-
-function setCachedData(cache, key, data) {
-  cache.set(key, { data, timestamp: Date.now() });
-}
+// Lookups that found nothing are cached too (as null), so misses aren't re-queried
+const placeIdCache = createCache('place_id');
+const photoCache = createCache('place_photos');
 
 // Find place using Text Search to get place_id
 async function findPlaceId(query) {
-  const cacheKey = `place_id:${query}`;
-  const cached = getCachedData(placeDetailsCache, cacheKey);
+  const cached = await placeIdCache.get(query);
   if (cached !== undefined) {
     console.log(`📍 Cache hit for place search: ${query}`);
     return cached;
@@ -59,12 +45,12 @@ async function findPlaceId(query) {
     const place = response.data?.places?.[0];
     if (!place) {
       console.log(`📍 No place found for: ${query}`);
-      setCachedData(placeDetailsCache, cacheKey, null);
+      await placeIdCache.set(query, null);
       return null;
     }
 
     console.log(`📍 Found place: ${place.displayName?.text} (${place.id})`);
-    setCachedData(placeDetailsCache, cacheKey, place.id);
+    await placeIdCache.set(query, place.id);
     return place.id;
   } catch (err) {
     console.error('📍 Google Places search error:', err.message);
@@ -74,8 +60,7 @@ async function findPlaceId(query) {
 
 // Get place photos using place_id
 async function getPlacePhotos(placeId) {
-  const cacheKey = `photos:${placeId}`;
-  const cached = getCachedData(photoCache, cacheKey);
+  const cached = await photoCache.get(placeId);
   if (cached !== undefined) {
     console.log(`📸 Cache hit for place photos: ${placeId}`);
     return cached;
@@ -98,14 +83,14 @@ async function getPlacePhotos(placeId) {
     const photos = response.data?.photos;
     if (!photos || photos.length === 0) {
       console.log(`📸 No photos found for place: ${placeId}`);
-      setCachedData(photoCache, cacheKey, null);
+      await photoCache.set(placeId, null);
       return null;
     }
 
     // Return the first photo name (highest quality)
     const photoName = photos[0].name;
     console.log(`📸 Found ${photos.length} photos, using: ${photoName}`);
-    setCachedData(photoCache, cacheKey, photoName);
+    await photoCache.set(placeId, photoName);
     return photoName;
   } catch (err) {
     console.error('📸 Google Places photos error:', err.message);
@@ -1,28 +1,37 @@
-import express from 'express';
-const router = express.Router();
-
-const MAPBOX_ACCESS_TOKEN = process.env.MAPBOX_ACCESS_TOKEN;
+/**
+ * Driving route through the given points from the Mapbox Directions API
+ * @param {Array<{lat: number, lng: number}>} coords - At least two points, in visiting order
+ * @returns {Promise<Array<{lat: number, lng: number}>>} Route geometry, or [] when no route was found
+ */
+export async function fetchMapboxRoute(coords) {
+  const accessToken = process.env.MAPBOX_ACCESS_TOKEN;
+  if (!coords || coords.length < 2 || !accessToken) {
+    throw new Error('Missing coordinates or Mapbox access token');
+  }
+  const coordinates = coords.map(c => `${c.lng},${c.lat}`).join(';');
+  const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${coordinates}?geometries=geojson&access_token=${accessToken}`;
+  const response = await fetch(url);
+  const data = await response.json();
+  if (!data.routes || data.routes.length === 0) {
+    return [];
+  }
+  // Return the route geometry as an array of {lat, lng}
+  return data.routes[0].geometry.coordinates.map(([lng, lat]) => ({ lng, lat }));
+}
 
-// POST /api/mapbox-directions
-router.post('/mapbox-directions', async (req, res) => {
+// POST /api/mapbox-directions { coords }
+export async function mapboxDirections({ body }) {
+  const coords = body?.coords;
+  if (!coords || coords.length < 2 || !process.env.MAPBOX_ACCESS_TOKEN) {
+    return { status: 400, body: { error: 'Missing coordinates or Mapbox access token' } };
+  }
   try {
-    const { coords } = req.body;
-    if (!coords || coords.length < 2 || !MAPBOX_ACCESS_TOKEN) {
-      return res.status(400).json({ error: 'Missing coordinates or Mapbox access token' });
-    }
-    const coordinates = coords.map(c => `${c.lng},${c.lat}`).join(';');
-    const url = `https://api.mapbox.com/directions/v5/mapbox/driving/${coordinates}?geometries=geojson&access_token=${MAPBOX_ACCESS_TOKEN}`;
-    const response = await fetch(url);
-    const data = await response.json();
-    if (!data.routes || data.routes.length === 0) {
-      return res.status(404).json({ error: 'No route found' });
+    const route = await fetchMapboxRoute(coords);
+    if (route.length === 0) {
+      return { status: 404, body: { error: 'No route found' } };
     }
-    // Return the route geometry as an array of {lat, lng}
-    const route = data.routes[0].geometry.coordinates.map(([lng, lat]) => ({ lng, lat }));
-    res.json({ route });
+    return { status: 200, body: { route } };
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    return { status: 500, body: { error: err.message } };
   }
-});
-
-export default router; 
\ No newline at end of file
+}
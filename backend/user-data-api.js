@@ -0,0 +1,407 @@
+/**
+ * User Data API
+ * Resource handlers behind /api/plans, /api/preferences and
+ * /api/sessions/:id/messages, plus the older action-based /api/user-data
+ * endpoint (routes/index.js registers them for both deployments).
+ * Every handler takes the database `store` (db-adapter or db-neon), the
+ * signed-in user and { params, body, headers }, and returns
+ * { status, body, headers }.
+ *
+ * Plans and preferences carry an ETag built from their version counter:
+ * GET answers 304 to a matching If-None-Match, and PUT/DELETE with an
+ * If-Match that no longer matches get 412 instead of overwriting a newer copy.
+ */
+
+import crypto from 'crypto';
+import { z } from 'zod';
+import { normalizeTravelPlanData } from './multi-day-planner.js';
+import { generateShareToken, getShareStatus } from './plan-sharing.js';
+import { deriveSessionTitle, isValidSessionId } from './chat-sessions.js';
+import { getCachedTravelPlans, cacheTravelPlans, clearTravelPlansCache } from './cache.js';
+
+const MAX_PLAN_LOCATIONS = 200;
+const MAX_MESSAGE_LENGTH = 20000;
+
+// -------------------------
+// Request bodies
+// -------------------------
+
+const planBodySchema = z.object({
+  name: z.string().trim().min(1).max(255),
+  data: z.object({
+    locations: z.array(z.object({}).passthrough()).max(MAX_PLAN_LOCATIONS).optional()
+  }).passthrough()
+});
+
+// generateShareToken clamps the lifetime, so any number will do
+const shareBodySchema = z.object({
+  expiresInDays: z.number().optional()
+});
+
+const preferencesBodySchema = z.object({
+  preferences: z.record(z.unknown())
+});
+
+// Turns stored by the chat handlers, or messages in the chat UI's own shape
+const messageBodySchema = z.union([
+  z.object({
+    role: z.enum(['user', 'assistant']),
+    content: z.string().max(MAX_MESSAGE_LENGTH),
+    structuredData: z.object({
+      locations: z.array(z.object({}).passthrough()).max(MAX_PLAN_LOCATIONS).optional()
+    }).passthrough().optional()
+  }),
+  z.object({
+    sender: z.enum(['user', 'ai']),
+    type: z.string().max(40),
+    message: z.string().max(MAX_MESSAGE_LENGTH).optional(),
+    locationData: z.object({}).passthrough().optional()
+  }).passthrough()
+]);
+
+function parseBody(schema, body) {
+  const result = schema.safeParse(body ?? {});
+  if (result.success) return { data: result.data };
+  return {
+    error: {
+      status: 400,
+      body: {
+        error: 'Invalid request body',
+        details: result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }))
+      }
+    }
+  };
+}
+
+function parsePlanId(id) {
+  const planId = Number(id);
+  return Number.isInteger(planId) && planId > 0 ? planId : null;
+}
+
+const PLAN_NOT_FOUND = { status: 404, body: { error: 'Plan not found' } };
+const SESSION_NOT_FOUND = { status: 404, body: { error: 'Session not found' } };
+
+// -------------------------
+// ETags
+// -------------------------
+
+export function planETag(plan) {
+  return `"plan-${plan.id}-v${plan.version ?? 1}"`;
+}
+
+export function preferencesETag(preferences) {
+  return `"preferences-v${preferences.version ?? 1}"`;
+}
+
+// Collections change when any member is added, removed or rewritten
+function collectionETag(prefix, parts) {
+  const digest = crypto.createHash('sha1').update(parts.join('|')).digest('hex').slice(0, 20);
+  return `"${prefix}-${digest}"`;
+}
+
+/**
+ * Whether an If-Match / If-None-Match header names this ETag ("*" matches anything)
+ */
+export function etagMatches(header, etag) {
+  if (!header) return false;
+  return String(header).split(',').some(candidate => {
+    const value = candidate.trim().replace(/^W\//, '');
+    return value === '*' || value === etag;
+  });
+}
+
+function notModified(headers, etag) {
+  return etagMatches(headers?.['if-none-match'], etag) ? { status: 304, headers: { ETag: etag } } : null;
+}
+
+function preconditionFailed(what, etag) {
+  return {
+    status: 412,
+    headers: etag ? { ETag: etag } : {},
+    body: { error: `The ${what} was changed by another request. Reload it and try again.` }
+  };
+}
+
+// -------------------------
+// Travel plans
+// -------------------------
+
+export function formatPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.plan_name,
+    data: plan.plan_data,
+    timestamp: plan.created_at * 1000, // Convert to milliseconds for compatibility
+    createdAt: new Date(plan.created_at * 1000).toISOString(),
+    updatedAt: new Date(plan.updated_at * 1000).toISOString(),
+    version: plan.version ?? 1,
+    ...getShareStatus(plan)
+  };
+}
+
+// GET /api/plans
+export async function listPlans(store, user, { headers } = {}) {
+  let plans = await getCachedTravelPlans(user.id);
+  if (!plans) {
+    plans = await store.getUserTravelPlans(user.id);
+    await cacheTravelPlans(user.id, plans);
+  }
+
+  const etag = collectionETag('plans', plans.map(plan => `${plan.id}:${plan.version ?? 1}`));
+  const cached = notModified(headers, etag);
+  if (cached) return cached;
+
+  console.log(`📋 Retrieved ${plans.length} travel plans for user ${user.email}`);
+  return { status: 200, headers: { ETag: etag }, body: { success: true, plans: plans.map(formatPlan) } };
+}
+
+// POST /api/plans { name, data }
+export async function createPlan(store, user, { body } = {}) {
+  const { data, error } = parseBody(planBodySchema, body);
+  if (error) return error;
+
+  const planId = Number(await store.saveTravelPlan(user.id, normalizeTravelPlanData(data.data), data.name));
+  await clearTravelPlansCache(user.id);
+  const plan = await store.getTravelPlan(user.id, planId);
+  console.log(`💾 Saved travel plan for user ${user.email}: ${data.name}`);
+
+  return {
+    status: 201,
+    headers: { ETag: planETag(plan), Location: `/api/plans/${planId}` },
+    body: { success: true, planId, plan: formatPlan(plan), message: 'Travel plan saved successfully' }
+  };
+}
+
+// GET /api/plans/:id
+export async function getPlan(store, user, { params = {}, headers } = {}) {
+  const planId = parsePlanId(params.id);
+  const plan = planId && await store.getTravelPlan(user.id, planId);
+  if (!plan) return PLAN_NOT_FOUND;
+
+  const etag = planETag(plan);
+  return notModified(headers, etag) || { status: 200, headers: { ETag: etag }, body: { success: true, plan: formatPlan(plan) } };
+}
+
+// PUT /api/plans/:id { name, data } - If-Match optional
+export async function updatePlan(store, user, { params = {}, body, headers = {} } = {}) {
+  const planId = parsePlanId(params.id);
+  if (!planId) return PLAN_NOT_FOUND;
+  const { data, error } = parseBody(planBodySchema, body);
+  if (error) return error;
+
+  const current = await store.getTravelPlan(user.id, planId);
+  if (!current) return PLAN_NOT_FOUND;
+  const ifMatch = headers['if-match'];
+  if (ifMatch && !etagMatches(ifMatch, planETag(current))) {
+    return preconditionFailed('plan', planETag(current));
+  }
+
+  // The version check repeats inside the UPDATE, so a write that lands in between still loses
+  const result = await store.updateTravelPlan(user.id, planId, normalizeTravelPlanData(data.data), data.name, ifMatch ? current.version : null);
+  if (result.changes === 0) {
+    return ifMatch ? preconditionFailed('plan') : PLAN_NOT_FOUND;
+  }
+
+  await clearTravelPlansCache(user.id);
+  const plan = await store.getTravelPlan(user.id, planId);
+  console.log(`✏️ Updated travel plan ${planId} for user ${user.email}`);
+  return {
+    status: 200,
+    headers: { ETag: planETag(plan) },
+    body: { success: true, plan: formatPlan(plan), message: 'Plan updated successfully' }
+  };
+}
+
+// DELETE /api/plans/:id - If-Match optional
+export async function deletePlan(store, user, { params = {}, headers = {} } = {}) {
+  const planId = parsePlanId(params.id);
+  if (!planId) return PLAN_NOT_FOUND;
+
+  let expectedVersion = null;
+  const ifMatch = headers['if-match'];
+  if (ifMatch) {
+    const current = await store.getTravelPlan(user.id, planId);
+    if (!current) return PLAN_NOT_FOUND;
+    if (!etagMatches(ifMatch, planETag(current))) return preconditionFailed('plan', planETag(current));
+    expectedVersion = current.version;
+  }
+
+  const result = await store.deleteTravelPlan(user.id, planId, expectedVersion);
+  if (result.changes === 0) {
+    return ifMatch ? preconditionFailed('plan') : PLAN_NOT_FOUND;
+  }
+
+  await clearTravelPlansCache(user.id);
+  console.log(`🗑️ Deleted travel plan ${planId} for user ${user.email}`);
+  return { status: 200, body: { success: true, message: 'Plan deleted successfully' } };
+}
+
+// POST /api/plans/:id/share { expiresInDays? } - a new token replaces any earlier link
+export async function sharePlan(store, user, { params = {}, body } = {}) {
+  const planId = parsePlanId(params.id);
+  if (!planId) return PLAN_NOT_FOUND;
+  const { data, error } = parseBody(shareBodySchema, body);
+  if (error) return error;
+
+  const share = generateShareToken(data.expiresInDays);
+  const result = await store.setTravelPlanShare(user.id, planId, share.hash, share.expiresAt);
+  if (result.changes === 0) return PLAN_NOT_FOUND;
+
+  await clearTravelPlansCache(user.id);
+  console.log(`🔗 Shared travel plan ${planId} for user ${user.email}`);
+  return {
+    status: 200,
+    body: { success: true, shareToken: share.token, shareExpiresAt: new Date(share.expiresAt).toISOString() }
+  };
+}
+
+// DELETE /api/plans/:id/share
+export async function revokePlanShare(store, user, { params = {} } = {}) {
+  const planId = parsePlanId(params.id);
+  if (!planId) return PLAN_NOT_FOUND;
+
+  const result = await store.clearTravelPlanShare(user.id, planId);
+  if (result.changes === 0) return PLAN_NOT_FOUND;
+
+  await clearTravelPlansCache(user.id);
+  console.log(`🔒 Revoked share link for travel plan ${planId} for user ${user.email}`);
+  return { status: 200, body: { success: true, message: 'Share link revoked' } };
+}
+
+// -------------------------
+// Preferences
+// -------------------------
+
+// GET /api/preferences - `preferences` is null until the user saves some
+export async function getPreferences(store, user, { headers } = {}) {
+  const prefs = await store.getUserPreferences(user.id);
+  console.log(`⚙️ Retrieved preferences for user ${user.email}`);
+  if (!prefs) {
+    return { status: 200, body: { success: true, preferences: null } };
+  }
+
+  const etag = preferencesETag(prefs);
+  return notModified(headers, etag) || {
+    status: 200,
+    headers: { ETag: etag },
+    body: { success: true, preferences: prefs.preferences_data }
+  };
+}
+
+// PUT /api/preferences { preferences } - If-Match optional
+export async function putPreferences(store, user, { body, headers = {} } = {}) {
+  const { data, error } = parseBody(preferencesBodySchema, body);
+  if (error) return error;
+
+  const ifMatch = headers['if-match'];
+  let expectedVersion = null;
+  if (ifMatch) {
+    const current = await store.getUserPreferences(user.id);
+    if (!current || !etagMatches(ifMatch, preferencesETag(current))) {
+      return preconditionFailed('preferences', current ? preferencesETag(current) : null);
+    }
+    expectedVersion = current.version;
+  }
+
+  const result = await store.saveUserPreferences(user.id, data.preferences, expectedVersion);
+  if (result?.changes === 0) return preconditionFailed('preferences');
+
+  const saved = await store.getUserPreferences(user.id);
+  console.log(`⚙️ Saved preferences for user ${user.email}`);
+  return {
+    status: 200,
+    headers: { ETag: preferencesETag(saved) },
+    body: { success: true, preferences: saved.preferences_data, message: 'Preferences saved' }
+  };
+}
+
+// -------------------------
+// Chat session messages
+// -------------------------
+
+// GET /api/sessions/:id/messages
+export async function getSessionMessages(store, user, { params = {}, headers } = {}) {
+  if (!isValidSessionId(params.id)) return SESSION_NOT_FOUND;
+
+  const [session, rows] = await Promise.all([
+    store.getChatSession(user.id, params.id),
+    store.getUserChatHistory(user.id, params.id)
+  ]);
+  if (!session && rows.length === 0) return SESSION_NOT_FOUND;
+
+  const etag = collectionETag('messages', [params.id, rows.length, rows.at(-1)?.id ?? 0]);
+  const cached = notModified(headers, etag);
+  if (cached) return cached;
+
+  console.log(`💬 Retrieved ${rows.length} chat messages for user ${user.email}, session ${params.id}`);
+  return {
+    status: 200,
+    headers: { ETag: etag },
+    body: {
+      success: true,
+      messages: rows.map(row => ({ ...row.message_data, timestamp: row.created_at * 1000 }))
+    }
+  };
+}
+
+// POST /api/sessions/:id/messages - starts the session if it does not exist yet
+export async function appendSessionMessage(store, user, { params = {}, body } = {}) {
+  if (!isValidSessionId(params.id)) return SESSION_NOT_FOUND;
+  const { data, error } = parseBody(messageBodySchema, body);
+  if (error) return error;
+
+  if (!await store.getChatSession(user.id, params.id)) {
+    await store.createChatSession(user.id, params.id, deriveSessionTitle(data.content ?? data.message));
+  }
+  await store.saveChatMessage(user.id, params.id, data);
+  await store.touchChatSession(user.id, params.id);
+  console.log(`💬 Saved chat message for user ${user.email}, session ${params.id}`);
+
+  return { status: 201, body: { success: true, message: 'Chat message saved' } };
+}
+
+// DELETE /api/sessions/:id/messages - empties the session but keeps it in the list
+export async function clearSessionMessages(store, user, { params = {} } = {}) {
+  if (!isValidSessionId(params.id)) return SESSION_NOT_FOUND;
+
+  await store.clearUserChatHistory(user.id, params.id);
+  await store.updateChatSessionSummary(user.id, params.id, null, 0);
+  console.log(`🧹 Cleared chat history for user ${user.email}, session ${params.id}`);
+  return { status: 200, body: { success: true, message: 'Chat history cleared' } };
+}
+
+// -------------------------
+// Legacy POST /api/user-data { action, data }
+// -------------------------
+
+const LEGACY_ACTIONS = {
+  save_travel_plan: data => [createPlan, { body: { name: data.planName, data: data.planData } }],
+  get_travel_plans: () => [listPlans, {}],
+  delete_travel_plan: data => [deletePlan, { params: { id: data.planId } }],
+  update_travel_plan: data => [updatePlan, { params: { id: data.planId }, body: { name: data.planName, data: data.planData } }],
+  share_travel_plan: data => [sharePlan, { params: { id: data.planId }, body: { expiresInDays: data.expiresInDays } }],
+  revoke_travel_plan_share: data => [revokePlanShare, { params: { id: data.planId } }],
+  save_chat_message: data => [appendSessionMessage, { params: { id: data.sessionId }, body: data.messageData }],
+  get_chat_history: data => [getSessionMessages, { params: { id: data.sessionId } }],
+  clear_chat_history: data => [clearSessionMessages, { params: { id: data.sessionId } }],
+  save_preferences: data => [putPreferences, { body: { preferences: data.preferences } }],
+  get_preferences: () => [getPreferences, {}]
+};
+
+/**
+ * Run an old-style action through the resource handlers. Kept for clients
+ * that still post actions; answers keep the old 200s and body fields.
+ */
+export async function handleUserDataAction(store, user, { action, data } = {}) {
+  const route = LEGACY_ACTIONS[action];
+  if (!route) {
+    return { status: 400, body: { error: 'Invalid action' } };
+  }
+
+  const [operation, request] = route(data || {});
+  const result = await operation(store, user, request);
+  if (result.status === 404 && operation === getSessionMessages) {
+    return { status: 200, body: { success: true, messages: [] } }; // unknown sessions used to read as empty
+  }
+  return { status: result.status === 201 ? 200 : result.status, body: result.body };
+}
@@ -0,0 +1,45 @@
+/**
+ * Fixture Provider - Canned forecasts for tests and offline development
+ * A fixture lists one or more template days (backend/weather/fixtures/<name>.json);
+ * they are repeated over the requested dates, so any trip length works.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Create the fixture weather provider
+ * @param {Object} [options]
+ * @param {string} [options.fixture] - Fixture name ('sunny', 'windy', 'rainy')
+ * @param {Object[]} [options.days] - Template days to use instead of a fixture file
+ * @returns {import('./weatherProvider.js').WeatherProvider}
+ */
+export function createFixtureWeatherProvider({ fixture = 'sunny', days = null } = {}) {
+  let templates = days;
+
+  return {
+    name: 'fixture',
+    async getDailyForecast({ startDate, days: count }) {
+      if (!templates) {
+        const file = path.join(FIXTURE_DIR, `${fixture}.json`);
+        if (!fs.existsSync(file)) {
+          throw new Error(`Weather fixture not found: ${fixture}`);
+        }
+        templates = JSON.parse(fs.readFileSync(file, 'utf8')).days;
+      }
+      return Array.from({ length: count }, (_, i) => ({
+        ...templates[i % templates.length],
+        date: addDays(startDate, i)
+      }));
+    }
+  };
+}
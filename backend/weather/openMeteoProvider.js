@@ -0,0 +1,107 @@
+/**
+ * Open-Meteo Provider - Daily forecasts from api.open-meteo.com (no API key)
+ * Answers are cached per location and dates in the 'weather' cache namespace.
+ */
+
+import axios from 'axios';
+import { RHODES_TIME_ZONE, getRhodesDate } from '../opening-hours.js';
+import { createCache } from '../cache.js';
+
+const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+const FORECAST_HORIZON_DAYS = 16;
+
+const DAILY_FIELDS = [
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_probability_max',
+  'precipitation_sum',
+  'wind_speed_10m_max',
+  'wind_gusts_10m_max',
+  'wind_direction_10m_dominant'
+];
+
+// WMO weather interpretation codes (https://open-meteo.com/en/docs)
+const CONDITIONS = [
+  [0, 'Clear sky'],
+  [1, 'Mainly clear'],
+  [2, 'Partly cloudy'],
+  [3, 'Overcast'],
+  [48, 'Fog'],
+  [57, 'Drizzle'],
+  [67, 'Rain'],
+  [77, 'Snow'],
+  [82, 'Rain showers'],
+  [86, 'Snow showers'],
+  [99, 'Thunderstorm']
+];
+
+export function describeWeatherCode(code) {
+  return CONDITIONS.find(([max]) => code <= max)?.[1] || 'Unknown';
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Create the Open-Meteo weather provider
+ * @param {Object} [options]
+ * @param {Object} [options.http] - axios-compatible client (tests)
+ * @param {() => string} [options.today] - Today's Rhodes date, for the forecast horizon
+ * @returns {import('./weatherProvider.js').WeatherProvider}
+ */
+export function createOpenMeteoProvider({ http = axios, today = () => getRhodesDate() } = {}) {
+  const cache = createCache('weather');
+
+  return {
+    name: 'open-meteo',
+    async getDailyForecast({ lat, lng, startDate, days }) {
+      const lastForecastDate = addDays(today(), FORECAST_HORIZON_DAYS - 1);
+      if (startDate > lastForecastDate) return [];
+      const endDate = [addDays(startDate, days - 1), lastForecastDate].sort()[0];
+
+      const key = `${lat.toFixed(2)},${lng.toFixed(2)}:${startDate}:${endDate}`;
+      const cached = await cache.get(key);
+      if (cached) {
+        return cached;
+      }
+
+      const response = await http.get(FORECAST_URL, {
+        params: {
+          latitude: lat,
+          longitude: lng,
+          daily: DAILY_FIELDS.join(','),
+          timezone: RHODES_TIME_ZONE,
+          wind_speed_unit: 'kmh',
+          start_date: startDate,
+          end_date: endDate
+        },
+        timeout: 8000
+      });
+
+      const daily = response.data?.daily;
+      if (!daily?.time) {
+        throw new Error('Open-Meteo returned no daily forecast');
+      }
+      const forecast = daily.time.map((date, i) => ({
+        date,
+        condition: describeWeatherCode(daily.weather_code[i]),
+        weatherCode: daily.weather_code[i],
+        tempMax: daily.temperature_2m_max[i],
+        tempMin: daily.temperature_2m_min[i],
+        precipitationProbability: daily.precipitation_probability_max[i] ?? 0,
+        precipitationMm: daily.precipitation_sum[i] ?? 0,
+        windSpeedMax: daily.wind_speed_10m_max[i],
+        windGustsMax: daily.wind_gusts_10m_max[i],
+        windDirection: daily.wind_direction_10m_dominant[i]
+      }));
+
+      await cache.set(key, forecast);
+      console.log(`🌤️ [Weather] Open-Meteo forecast for ${startDate}..${endDate}`);
+      return forecast;
+    }
+  };
+}
@@ -0,0 +1,178 @@
+/**
+ * Weather Provider - Daily forecasts for weather-aware planning
+ * Lets the planners swap beaches for museums and the Old Town on windy or
+ * rainy days, against Open-Meteo or a local fixture forecast (tests, offline).
+ */
+
+import { AgentConfig } from '../config/agentConfig.js';
+import { getRhodesDate } from '../opening-hours.js';
+import { getTripDays } from '../multi-day-planner.js';
+import { createOpenMeteoProvider } from './openMeteoProvider.js';
+import { createFixtureWeatherProvider } from './fixtureProvider.js';
+
+/**
+ * @typedef {Object} DailyForecast
+ * @property {string} date - YYYY-MM-DD (Rhodes time)
+ * @property {string} condition - Human-readable summary ("Partly cloudy", "Rain showers")
+ * @property {number} weatherCode - WMO weather interpretation code
+ * @property {number} tempMax - °C
+ * @property {number} tempMin - °C
+ * @property {number} precipitationProbability - Highest chance of rain in the day, %
+ * @property {number} precipitationMm - Total rain, mm
+ * @property {number} windSpeedMax - Highest sustained wind at 10 m, km/h
+ * @property {number} windGustsMax - km/h
+ * @property {number} windDirection - Dominant direction the wind blows from, degrees
+ */
+
+/**
+ * @typedef {Object} WeatherProvider
+ * @property {string} name
+ * @property {(request: { lat: number, lng: number, startDate: string, days: number }) => Promise<DailyForecast[]>} getDailyForecast -
+ *   One entry per day from startDate; days past the forecast horizon are left out
+ */
+
+// Beyond these a day is not a beach day (the meltemi regularly blows 30-40 km/h)
+export const WEATHER_LIMITS = {
+  windyKmh: 35,
+  rainProbability: 60,
+  rainMm: 2,
+  coolBeachC: 22,
+  hotC: 36
+};
+
+let activeProvider = null;
+
+/**
+ * Build a provider by name
+ */
+export function createWeatherProvider(name = AgentConfig.weatherProvider, options = {}) {
+  switch (name) {
+    case 'open-meteo':
+      return createOpenMeteoProvider(options);
+    case 'fixture':
+      return createFixtureWeatherProvider({ fixture: AgentConfig.weatherFixture, ...options });
+    default:
+      throw new Error(`Unknown weather provider: ${name}`);
+  }
+}
+
+/**
+ * Get the process-wide provider (created lazily from AgentConfig)
+ */
+export function getWeatherProvider() {
+  if (!activeProvider) {
+    activeProvider = createWeatherProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the process-wide provider (tests and scripts)
+ * Pass null to go back to the configured default.
+ */
+export function setWeatherProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * What a day's weather means for the plan
+ * @param {DailyForecast} day
+ * @returns {{ beachFriendly: boolean, outdoorFriendly: boolean, reasons: string[], advice: string }}
+ */
+export function assessWeather(day) {
+  const stormy = day.weatherCode >= 95;
+  const rainy = stormy
+    || day.precipitationProbability >= WEATHER_LIMITS.rainProbability
+    || day.precipitationMm >= WEATHER_LIMITS.rainMm;
+  const windy = day.windSpeedMax >= WEATHER_LIMITS.windyKmh;
+  const cool = day.tempMax < WEATHER_LIMITS.coolBeachC;
+  const hot = day.tempMax >= WEATHER_LIMITS.hotC;
+
+  const reasons = [];
+  if (stormy) reasons.push('thunderstorms');
+  else if (rainy) reasons.push(`${day.precipitationProbability}% chance of rain`);
+  if (windy) reasons.push(`strong wind (${Math.round(day.windSpeedMax)} km/h)`);
+  if (cool) reasons.push(`cool (${Math.round(day.tempMax)}°C)`);
+  if (hot) reasons.push(`very hot (${Math.round(day.tempMax)}°C)`);
+
+  let advice;
+  if (rainy) advice = 'Rain is likely - a good day for museums, the Old Town and long taverna lunches.';
+  else if (windy) advice = 'Windy on the coast - swap the beach for sheltered sights, or pick a beach on the lee side.';
+  else if (hot) advice = 'A scorcher - keep walking tours for the morning and head for the sea in the afternoon.';
+  else if (cool) advice = 'Too cool for swimming - perfect weather for sightseeing and hikes.';
+  else advice = 'Great beach weather - bring sunscreen and plenty of water.';
+
+  return {
+    beachFriendly: !rainy && !windy && !cool,
+    outdoorFriendly: !rainy && !hot,
+    reasons,
+    advice
+  };
+}
+
+/**
+ * Forecast for the days of a trip, each with its assessment
+ * Starts today unless preferences carry a `startDate` (YYYY-MM-DD). Weather is
+ * best-effort: resolves to null when disabled, unavailable or failing.
+ * @returns {Promise<{ source: string, days: Array<DailyForecast & { assessment: Object }> }|null>}
+ */
+export async function getTripForecast({ userPreferences = {}, userLocation = null } = {}) {
+  if (!AgentConfig.enableWeatherAware) {
+    return null;
+  }
+
+  const startDate = /^\d{4}-\d{2}-\d{2}$/.test(userPreferences?.startDate || '')
+    ? userPreferences.startDate
+    : getRhodesDate();
+  const location = userLocation?.lat && userLocation?.lng ? userLocation : AgentConfig.rhodesCenter;
+  const provider = getWeatherProvider();
+
+  try {
+    const days = await provider.getDailyForecast({
+      lat: location.lat,
+      lng: location.lng,
+      startDate,
+      days: getTripDays(userPreferences)
+    });
+    if (days.length === 0) return null;
+    return {
+      source: provider.name,
+      days: days.map(day => ({ ...day, assessment: assessWeather(day) }))
+    };
+  } catch (error) {
+    console.warn(`⚠️ [Weather] Forecast unavailable from ${provider.name}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Forecast for one day of the trip (1-based), or null
+ */
+export function forecastForDay(forecast, day = 1) {
+  return forecast?.days[day - 1] || null;
+}
+
+/**
+ * The trip day with the strongest wind, or null
+ * Beach rounds collect beaches for the whole stay, so they plan for the worst day.
+ */
+export function windiestDay(forecast) {
+  return forecast?.days.reduce((windiest, day) => (day.windSpeedMax > windiest.windSpeedMax ? day : windiest)) || null;
+}
+
+/**
+ * WeatherCard props ({ date, forecast: { condition, temp_max, temp_min, wind }, advice }),
+ * one per forecast day
+ */
+export function toWeatherCards(forecast) {
+  return (forecast?.days || []).map(day => ({
+    date: day.date,
+    forecast: {
+      condition: day.condition,
+      temp_max: `${Math.round(day.tempMax)}°C`,
+      temp_min: `${Math.round(day.tempMin)}°C`,
+      wind: `${Math.round(day.windSpeedMax)} km/h`
+    },
+    advice: day.assessment.advice
+  }));
+}
@@ -1,9 +1,9 @@
 // MultiStepPlanner.js - Advanced workflow orchestrator for complex travel planning
-import { ChatOpenAI } from '@langchain/openai';
 import { StateGraph } from '@langchain/langgraph';
 import { HumanMessage, AIMessage, SystemMessage } from '@langchain/core/messages';
 import { getNearbyPlaces, getTravelTime } from '../tools/mapbox.js';
 import { geocodeLocation, batchGeocode, validateCoordinates } from '../tools/geocoding.js';
+import { createLangChainChatModel } from '../llm/llmProvider.js';
 
 /**
  * Multi-step workflow states for travel planning
@@ -65,8 +65,9 @@ class PlannerState {
  */
 export class MultiStepPlanner {
   constructor(options = {}) {
-    this.llm = new ChatOpenAI({
-      modelName: options.model || "gpt-4-1106-preview",
+    this.llm = createLangChainChatModel({
+      purpose: 'multi_step_planner',
+      model: options.model || "gpt-4-1106-preview",
       temperature: options.temperature || 0.7,
       maxTokens: options.maxTokens || 2000,
     });
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Schema Migration CLI
+ * Applies, rolls back or lists the migrations in backend/migrations against the
+ * database the app would use (Neon when Postgres variables are set, SQLite otherwise).
+ *
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js up [--to=<version>] [--dry-run]
+ *   node scripts/migrate.js down [--steps=<n> | --to=<version>] [--dry-run]
+ *
+ * Pass --sqlite or --postgres to pick the database explicitly.
+ */
+
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  migrate,
+  rollback,
+  getMigrationStatus,
+  createSQLiteDriver,
+  createPostgresDriver
+} from '../backend/migrator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Function to get DATABASE_URL from individual components or use the direct URL
+function getDatabaseUrl() {
+  if (process.env.POSTGRES_POSTGRES_URL) {
+    return process.env.POSTGRES_POSTGRES_URL;
+  }
+  if (process.env.DATABASE_URL) {
+    return process.env.DATABASE_URL;
+  }
+  const host = process.env.POSTGRES_POSTGRES_HOST;
+  const user = process.env.POSTGRES_POSTGRES_USER;
+  const password = process.env.POSTGRES_POSTGRES_PASSWORD;
+  const database = process.env.POSTGRES_POSTGRES_DATABASE;
+  if (host && user && password && database) {
+    return `postgresql://${user}:${password}@${host}/${database}?sslmode=require`;
+  }
+  return null;
+}
+
+function parseArgs(argv) {
+  const options = { command: 'status', dryRun: false, to: undefined, steps: undefined, target: null };
+  for (const arg of argv) {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--sqlite') options.target = 'sqlite';
+    else if (arg === '--postgres') options.target = 'postgres';
+    else if (arg.startsWith('--to=')) options.to = parseInt(arg.slice(5), 10);
+    else if (arg.startsWith('--steps=')) options.steps = parseInt(arg.slice(8), 10);
+    else if (!arg.startsWith('--')) options.command = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  if (!['status', 'up', 'down'].includes(options.command)) {
+    throw new Error(`Unknown command: ${options.command} (expected status, up or down)`);
+  }
+  if ([options.to, options.steps].some(value => Number.isNaN(value))) {
+    throw new Error('--to and --steps take a number');
+  }
+  return options;
+}
+
+// Own connection rather than backend/db.js, which migrates to latest on import
+async function openDriver(target) {
+  const databaseUrl = getDatabaseUrl();
+  if (target === 'postgres' || (!target && databaseUrl)) {
+    if (!databaseUrl) {
+      throw new Error('PostgreSQL connection environment variables are required for --postgres');
+    }
+    const { default: pkg } = await import('pg');
+    const pool = new pkg.Pool({
+      connectionString: databaseUrl,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+    console.log('🐘 Migrating Neon PostgreSQL');
+    return { driver: createPostgresDriver(pool), close: () => pool.end() };
+  }
+
+  const { default: Database } = await import('better-sqlite3');
+  const dbPath = process.env.SQLITE_DB_PATH || path.join(__dirname, '..', 'database.sqlite');
+  const db = new Database(dbPath);
+  console.log(`🗄️ Migrating SQLite database at ${dbPath}`);
+  return { driver: createSQLiteDriver(db), close: () => db.close() };
+}
+
+function printSteps(steps, dryRun) {
+  if (steps.length === 0) {
+    console.log('✅ Nothing to do');
+    return;
+  }
+  for (const step of steps) {
+    console.log(`${dryRun ? '📝 Would run' : '✅ Ran'} ${step.direction} ${step.label}`);
+    if (dryRun) {
+      console.log(step.sql.trim().split('\n').map(line => `    ${line.trim()}`).join('\n'));
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { driver, close } = await openDriver(options.target);
+
+  try {
+    if (options.command === 'status') {
+      const status = await getMigrationStatus(driver);
+      for (const migration of status) {
+        console.log(`${migration.applied ? '✅' : '⏳'} ${migration.label} - ${migration.description}`);
+      }
+      console.log(`📊 ${status.filter(m => m.applied).length}/${status.length} applied`);
+    } else if (options.command === 'up') {
+      printSteps(await migrate(driver, { to: options.to, dryRun: options.dryRun }), options.dryRun);
+    } else {
+      printSteps(await rollback(driver, { steps: options.steps, to: options.to ?? null, dryRun: options.dryRun }), options.dryRun);
+    }
+  } finally {
+    await close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -192,7 +192,8 @@ function transformPOIForDB(poi) {
     price_level: poi.price_level ? parseInt(poi.price_level) : null,
     phone: poi.phone || null,
     website: poi.website || null,
-    opening_hours: poi.opening_hours ? JSON.stringify(poi.opening_hours) : null,
+    // Google POIs carry their hours as operating_hours
+    opening_hours: (poi.opening_hours || poi.operating_hours) ? JSON.stringify(poi.opening_hours || poi.operating_hours) : null,
     amenities: poi.amenities || [],
     tags: poi.tags || [],
     description: poi.description || null,
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * User Role CLI
+ * Grants or revokes the admin role. The first admin has to be created this way,
+ * since only admins can reach the admin routes.
+ *
+ *   node scripts/set-user-role.js <email> <admin|user>
+ *
+ * Creates the account if the email has never signed in. Changes are written to
+ * the admin audit log with the actor "cli".
+ */
+
+import 'dotenv/config';
+import * as store from '../backend/db-adapter.js';
+import { ROLES } from '../backend/middleware/auth.js';
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/set-user-role.js <email> <${ROLES.join('|')}>`);
+  }
+
+  const user = await store.upsertUser(email);
+  const previousRole = user.role || 'user';
+  await store.setUserRole(email, role);
+  await store.recordAdminAction({
+    actorEmail: 'cli',
+    action: 'set_role',
+    target: email.toLowerCase(),
+    details: { from: previousRole, to: role }
+  });
+  console.log(`✅ ${email} is now ${role === 'admin' ? 'an admin' : 'a regular user'} (was ${previousRole})`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Could not set role:', error.message);
+    process.exit(1);
+  });
@@ -1,7 +1,7 @@
 import React from 'react';
 import { HashRouter as Router, Routes, Route, useLocation, Navigate } from 'react-router-dom';
 import { AnimatePresence, motion } from 'framer-motion';
-import { lazy } from 'react';
+import { lazy, Suspense } from 'react';
 
 import HomePage       from './pages/HomePage';
 import FeaturesPage   from './pages/FeaturesPage';
@@ -14,6 +14,7 @@ import TravelPlanViewPage from './pages/TravelPlanViewPage';
 import LoginPage from './pages/LoginPage';
 import ProtectedRoute from './components/ProtectedRoute';
 const AdminUsersPage = lazy(() => import('./pages/AdminUsersPage'));
+const AdminDashboardPage = lazy(() => import('./pages/AdminDashboardPage'));
 
 // Wrapper components for protected routes
 const ProtectedChatPage = () => (
@@ -34,6 +35,18 @@ const ProtectedTravelPlanViewPage = () => (
   </ProtectedRoute>
 );
 
+const ProtectedAdminUsersPage = () => (
+  <ProtectedRoute requireAuth={true} requireRole="admin">
+    <AdminUsersPage />
+  </ProtectedRoute>
+);
+
+const ProtectedAdminDashboardPage = () => (
+  <ProtectedRoute requireAuth={true} requireRole="admin">
+    <AdminDashboardPage />
+  </ProtectedRoute>
+);
+
 // iOS-style depth transition
 const pageVariants = {
   initial: { opacity: 0, scale: 0.96 },
@@ -47,7 +60,7 @@ const pageTransition = {
   damping: 25,
 };
 
-// 404 component for production
+// 404 component
 const NotFoundPage = () => (
   <div className="min-h-screen flex items-center justify-center text-white">
     <div className="text-center">
@@ -80,11 +93,9 @@ function AnimatedRoutes() {
     { path: '/login', element: LoginPage },
     { path: '/plans', element: ProtectedTravelPlansPage },
     { path: '/plans/:id', element: ProtectedTravelPlanViewPage },
-    ...(import.meta.env.DEV ? [
-      { path: '/admin/users', element: AdminUsersPage }
-    ] : [
-      { path: '/admin/users', element: NotFoundPage }
-    ]),
+    { path: '/shared/:token', element: TravelPlanViewPage }, // public read-only link
+    { path: '/admin/users', element: ProtectedAdminUsersPage },
+    { path: '/admin/dashboard', element: ProtectedAdminDashboardPage },
   ];
 
   console.log('Available routes:', routes.map(r => r.path));
@@ -105,7 +116,10 @@ function AnimatedRoutes() {
                 exit="out"
                 transition={pageTransition}
               >
-                <Component />
+                {/* The admin pages are lazy-loaded */}
+                <Suspense fallback={null}>
+                  <Component />
+                </Suspense>
               </motion.div>
             }
           />
@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Edit, Trash2, Check, X } from 'lucide-react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { toast } from '@/components/ui/use-toast';
+import { listChatSessions, renameChatSession, deleteChatSession } from '@/utils/chatSessions';
+
+/**
+ * Conversations stored on the server for the signed-in user.
+ * Picking one resumes it; the open conversation is highlighted.
+ */
+export default function ChatSessionsPanel({ open, onOpenChange, currentSessionId, onResume, onNewChat, onDeleted }) {
+  const [sessions, setSessions] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    setSessions(null);
+    listChatSessions()
+      .then((list) => { if (!cancelled) setSessions(list); })
+      .catch((error) => {
+        console.error('Failed to load chat sessions:', error.message);
+        if (!cancelled) setSessions([]);
+        toast({ title: 'Could not load your conversations', variant: 'destructive' });
+      });
+    return () => { cancelled = true; };
+  }, [open]);
+
+  const saveTitle = async (sessionId) => {
+    const title = draftTitle.trim();
+    setEditingId(null);
+    if (!title) return;
+    try {
+      const updated = await renameChatSession(sessionId, title);
+      setSessions((list) => list.map((s) => (s.id === sessionId ? { ...s, ...updated } : s)));
+    } catch (error) {
+      toast({ title: 'Could not rename the conversation', variant: 'destructive' });
+    }
+  };
+
+  const remove = async (session) => {
+    if (!window.confirm(`Delete "${session.title}"? This cannot be undone.`)) return;
+    try {
+      await deleteChatSession(session.id);
+      setSessions((list) => list.filter((s) => s.id !== session.id));
+      onDeleted?.(session.id);
+    } catch (error) {
+      toast({ title: 'Could not delete the conversation', variant: 'destructive' });
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-[#181c2c] text-[#F4E1C1] border border-yellow-400/20 shadow-2xl rounded-2xl p-0 overflow-hidden max-w-md">
+        <div className="px-6 py-6">
+          <DialogHeader className="mb-4">
+            <DialogTitle className="text-xl font-extrabold text-yellow-400">Your conversations</DialogTitle>
+          </DialogHeader>
+
+          <button
+            onClick={onNewChat}
+            className="w-full mb-4 flex items-center justify-center gap-2 px-4 py-2 rounded-full bg-gradient-to-r from-yellow-400 to-orange-400 text-[#242b50] font-bold text-sm hover:from-orange-400 hover:to-yellow-400 transition"
+          >
+            <Plus size={16} /> New conversation
+          </button>
+
+          <div className="space-y-2 max-h-[55vh] overflow-y-auto">
+            {sessions === null && <p className="text-sm text-white/60 text-center py-4">Loading…</p>}
+            {sessions?.length === 0 && (
+              <p className="text-sm text-white/60 text-center py-4">No saved conversations yet.</p>
+            )}
+            {sessions?.map((session) => (
+              <div
+                key={session.id}
+                onClick={() => editingId !== session.id && onResume(session.id)}
+                className={`flex items-center gap-2 rounded-xl px-3 py-2 cursor-pointer border transition ${
+                  session.id === currentSessionId
+                    ? 'bg-yellow-400/10 border-yellow-400/30'
+                    : 'bg-white/5 border-white/10 hover:bg-white/10'
+                }`}
+              >
+                <div className="flex-1 min-w-0">
+                  {editingId === session.id ? (
+                    <input
+                      value={draftTitle}
+                      onChange={(e) => setDraftTitle(e.target.value)}
+                      onClick={(e) => e.stopPropagation()}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter') saveTitle(session.id);
+                        if (e.key === 'Escape') setEditingId(null);
+                      }}
+                      maxLength={80}
+                      autoFocus
+                      className="w-full bg-black/30 border border-white/15 rounded-lg px-2 py-1 text-sm text-white outline-none"
+                      aria-label="Conversation title"
+                    />
+                  ) : (
+                    <p className="text-sm font-semibold truncate">{session.title}</p>
+                  )}
+                  <p className="text-[11px] text-white/60">
+                    {new Date(session.updatedAt).toLocaleString()} • {session.messageCount} messages
+                  </p>
+                </div>
+                <div className="flex gap-1" onClick={(e) => e.stopPropagation()}>
+                  {editingId === session.id ? (
+                    <>
+                      <button onClick={() => saveTitle(session.id)} className="p-1.5 rounded-full hover:bg-white/10" title="Save title">
+                        <Check size={14} />
+                      </button>
+                      <button onClick={() => setEditingId(null)} className="p-1.5 rounded-full hover:bg-white/10" title="Cancel">
+                        <X size={14} />
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => { setEditingId(session.id); setDraftTitle(session.title); }}
+                        className="p-1.5 rounded-full hover:bg-white/10"
+                        title="Rename"
+                      >
+                        <Edit size={14} />
+                      </button>
+                      <button onClick={() => remove(session)} className="p-1.5 rounded-full text-red-300 hover:bg-red-500/20" title="Delete">
+                        <Trash2 size={14} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
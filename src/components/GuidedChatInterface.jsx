@@ -1,8 +1,10 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import LocationCard from './LocationCard';
+import AgentStatusIndicator from './ui/AgentStatusIndicator';
 import { ArrowRight, CheckCircle, MapPin, Send, Sparkles } from 'lucide-react';
 import { toast } from "@/components/ui/use-toast";
+import { postEventStream, addStatusEvent } from '@/utils/eventStream';
 
 /**
  * Guided Chat Interface - Three-phase travel planning
@@ -14,10 +16,12 @@ const GuidedChatInterface = ({
   userPreferences, 
   userLocation, 
   onPlanComplete,
-  onPlanUpdate 
+  onPlanUpdate,
+  onRequestStart
 }) => {
   const chatEndRef = useRef(null);
   const inputRef = useRef(null);
+  const abortControllerRef = useRef(null);
 
   // Phase management
   const [currentPhase, setCurrentPhase] = useState('strategy'); // 'strategy' | 'guided' | 'open'
@@ -34,6 +38,13 @@ const GuidedChatInterface = ({
   const [currentRecommendations, setCurrentRecommendations] = useState([]);
   const [roundData, setRoundData] = useState(null);
 
+  // Live progress from the streamed response
+  const [streamSteps, setStreamSteps] = useState([]);
+  const [streamingText, setStreamingText] = useState('');
+
+  // Stop any running request when leaving the guided flow
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
   // Initialize with AI strategy creation
   useEffect(() => {
     const welcomeMessage = {
@@ -53,6 +64,38 @@ const GuidedChatInterface = ({
     chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [messages, currentRecommendations]);
 
+  /**
+   * POST to the guided chat endpoint, streaming progress into the loading indicator.
+   * A new request cancels the one still running; the controller is handed to the
+   * parent so it can cancel too (e.g. when the page unmounts).
+   */
+  const requestGuidedChat = async (body) => {
+    abortControllerRef.current?.abort();
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    onRequestStart?.(controller);
+    setStreamSteps([]);
+    setStreamingText('');
+
+    try {
+      const { data } = await postEventStream('/api/guided-chat', body, {
+        signal: controller.signal,
+        onEvent: (event, eventData) => {
+          if (event === 'status') setStreamSteps(steps => addStatusEvent(steps, eventData));
+          else if (event === 'token') setStreamingText(text => text + eventData.text);
+          else if (event === 'reset') setStreamingText('');
+        }
+      });
+      return data;
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+        setStreamSteps([]);
+        setStreamingText('');
+      }
+    }
+  };
+
   /**
    * Create AI-driven plan strategy
    */
@@ -60,18 +103,12 @@ const GuidedChatInterface = ({
     setIsLoading(true);
 
     try {
-      const response = await fetch('/api/guided-chat', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: 'CREATE_PLAN_STRATEGY',
-          userPreferences,
-          userLocation
-        })
+      const data = await requestGuidedChat({
+        action: 'CREATE_PLAN_STRATEGY',
+        userPreferences,
+        userLocation
       });
 
-      const data = await response.json();
-
       if (data.success) {
         setPlanStrategy(data.strategy);
 
@@ -97,6 +134,7 @@ const GuidedChatInterface = ({
         throw new Error(data.error || 'Failed to create strategy');
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Strategy creation error:', error);
       toast({
         title: "Error creating strategy",
@@ -121,21 +159,15 @@ const GuidedChatInterface = ({
     console.log('📤 Sending planStrategy:', activeStrategy);
 
     try {
-      const response = await fetch('/api/guided-chat', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: 'GET_INTELLIGENT_ROUND',
-          userPreferences,
-          userLocation,
-          selectedPOIs,
-          currentRound: roundNumber,
-          planStrategy: activeStrategy
-        })
+      const data = await requestGuidedChat({
+        action: 'GET_INTELLIGENT_ROUND',
+        userPreferences,
+        userLocation,
+        selectedPOIs,
+        currentRound: roundNumber,
+        planStrategy: activeStrategy
       });
 
-      const data = await response.json();
-
       if (data.success) {
         console.log('✅ Round data received:', data.recommendations?.length || 0, 'recommendations');
         setRoundData(data.round);
@@ -156,6 +188,7 @@ const GuidedChatInterface = ({
         throw new Error(data.error || 'Failed to get intelligent recommendations');
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Intelligent round start error:', error);
       toast({
         title: "Error starting intelligent round",
@@ -202,21 +235,15 @@ const GuidedChatInterface = ({
     setIsLoading(true);
 
     try {
-      const response = await fetch('/api/guided-chat', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: 'COMPLETE_ROUND',
-          userPreferences,
-          userLocation,
-          selectedPOIs,
-          currentRound,
-          planStrategy
-        })
+      const data = await requestGuidedChat({
+        action: 'COMPLETE_ROUND',
+        userPreferences,
+        userLocation,
+        selectedPOIs,
+        currentRound,
+        planStrategy
       });
 
-      const data = await response.json();
-
       if (data.success) {
         // Add round completion message
         const completionMessage = {
@@ -240,12 +267,14 @@ const GuidedChatInterface = ({
           
           case 'PLAN_COMPLETE':
             setCurrentPhase('open');
-            onPlanComplete(selectedPOIs);
+            // The final plan comes back routed and scheduled (and split into days for multi-day trips)
+            onPlanComplete(data.finalPlan || selectedPOIs, data.multiDayPlan || null, data.weather || []);
             addOpenChatWelcome();
             break;
         }
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Round completion error:', error);
       toast({
         title: "Error completing round",
@@ -289,21 +318,15 @@ const GuidedChatInterface = ({
     setMessages(prev => [...prev, userMessage]);
 
     try {
-      const response = await fetch('/api/guided-chat', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: 'OPEN_CHAT',
-          userPreferences,
-          userLocation,
-          selectedPOIs,
-          chatHistory: messages.filter(m => m.type === 'user_message' || m.type === 'ai_message'),
-          userMessage: message
-        })
+      const data = await requestGuidedChat({
+        action: 'OPEN_CHAT',
+        userPreferences,
+        userLocation,
+        selectedPOIs,
+        chatHistory: messages.filter(m => m.type === 'user_message' || m.type === 'ai_message'),
+        userMessage: message
       });
 
-      const data = await response.json();
-
       if (data.reply) {
         // Parse AI response and add to messages
         const aiMessage = {
@@ -322,6 +345,7 @@ const GuidedChatInterface = ({
         }
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Open chat error:', error);
       const errorMessage = {
         id: Date.now(),
@@ -410,7 +434,7 @@ const GuidedChatInterface = ({
           </motion.div>
         )}
 
-        {isLoading && <LoadingIndicator />}
+        {isLoading && <LoadingIndicator steps={streamSteps} text={streamingText} />}
         <div ref={chatEndRef} />
       </div>
 
@@ -596,20 +620,27 @@ const ChatMessage = ({ message, onPOISelect, onStartRound, onCompleteRound }) =>
 };
 
 /**
- * Loading indicator component
+ * Loading indicator component - shows streamed progress steps and text when available
  */
-const LoadingIndicator = () => (
+const LoadingIndicator = ({ steps = [], text = '' }) => (
   <motion.div
     initial={{ opacity: 0 }}
     animate={{ opacity: 1 }}
-    className="flex justify-start"
+    className="flex flex-col items-start gap-2"
   >
-    <div className="px-4 py-3 rounded-3xl bg-black/50 backdrop-blur-md border border-white/10">
-      <div className="flex items-center gap-2 text-[#F4E1C1]">
-        <Sparkles className="animate-spin" size={16} />
-        <span className="text-sm">Finding the perfect spots for you...</span>
+    {steps.length > 0 && <AgentStatusIndicator liveSteps={steps} />}
+    {text.split('|||')[0].trim() ? (
+      <div className="px-4 py-3 max-w-[80%] rounded-3xl bg-black/50 backdrop-blur-md border border-white/10 text-[#F4E1C1]">
+        <p className="text-sm whitespace-pre-wrap">{text.split('|||')[0].trim()}</p>
       </div>
-    </div>
+    ) : steps.length === 0 && (
+      <div className="px-4 py-3 rounded-3xl bg-black/50 backdrop-blur-md border border-white/10">
+        <div className="flex items-center gap-2 text-[#F4E1C1]">
+          <Sparkles className="animate-spin" size={16} />
+          <span className="text-sm">Finding the perfect spots for you...</span>
+        </div>
+      </div>
+    )}
   </motion.div>
 );
 
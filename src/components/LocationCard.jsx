@@ -109,6 +109,9 @@ const LocationCard = ({ location }) => {
         )}
 
         <p className="text-[#F4E1C1]/90 mt-2 text-sm">{location.description}</p>
+        {location.aiReasoning && (
+          <p className="text-[#E8D5A4]/80 mt-2 text-xs italic">{location.aiReasoning}</p>
+        )}
       </motion.div>
       
       {!isExpanded && (
@@ -2,7 +2,7 @@ import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useUser } from '@/components/ThemeProvider';
 
-export default function ProtectedRoute({ children, requirePaid = false, requireAuth = false }) {
+export default function ProtectedRoute({ children, requirePaid = false, requireAuth = false, requireRole = null }) {
   const { user, loading } = useUser();
 
   // Show loading spinner while fetching user data
@@ -27,6 +27,11 @@ export default function ProtectedRoute({ children, requirePaid = false, requireA
     return <Navigate to="/paywall" replace />;
   }
 
+  // If route requires a role (e.g. admin pages), send everyone else home
+  if (requireRole && user?.role !== requireRole) {
+    return <Navigate to={user ? '/' : '/paywall'} replace />;
+  }
+
   // User meets requirements, render the protected content
   return <>{children}</>;
 } 
\ No newline at end of file
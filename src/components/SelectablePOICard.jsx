@@ -135,6 +135,14 @@ const SelectablePOICard = ({ poi, onSelect, isSelected = false, isLoading = fals
           </div>
         )}
 
+        {/* Closed at the planned time */}
+        {poi.openingStatus?.status === 'closed' && (
+          <div className="flex items-center gap-1 text-xs text-red-300">
+            <Clock size={12} />
+            <span>Closed then{poi.openingStatus.opensAt ? ` · opens ${poi.openingStatus.opensAt}` : ''}</span>
+          </div>
+        )}
+
         {/* Location */}
         {poi.location?.address && (
           <div className="flex items-center gap-1 text-xs text-[#F4E1C1]/70">
@@ -38,7 +38,8 @@ const StepByStepPlanner = ({
   const [error, setError] = useState(null);
   const [planCompleted, setPlanCompleted] = useState(persistedState.planCompleted);
   
-  const maxPOIs = userPreferences.numberOfPOIs || 5;
+  // numberOfPOIs is per day, so multi-day trips collect places for every day
+  const maxPOIs = (userPreferences.numberOfPOIs || 5) * (userPreferences.tripDays || 1);
 
   // Persist state to sessionStorage with preferences hash
   const persistState = (step, pois, completed) => {
@@ -188,6 +189,36 @@ const StepByStepPlanner = ({
     }
   };
 
+  // Ask the server for the optimised visiting order (split into days for multi-day trips);
+  // keep the selection order if it fails
+  const finalizePlan = async (pois) => {
+    try {
+      const response = await fetch('/api/poi-step', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          step: 'FINALIZE_PLAN',
+          userLocation,
+          userPreferences,
+          selectedPOIs: pois
+        })
+      });
+      const data = await response.json();
+      if (data.success && Array.isArray(data.finalizedPlan)) {
+        return { locations: data.finalizedPlan, multiDayPlan: data.multiDayPlan || null, weather: data.weather || [] };
+      }
+    } catch (err) {
+      console.error('Error finalizing plan:', err);
+    }
+    return { locations: pois, multiDayPlan: null, weather: [] };
+  };
+
+  const completePlan = async (pois) => {
+    const { locations, multiDayPlan, weather } = await finalizePlan(pois);
+    setSelectedPOIs(locations);
+    onPlanComplete(locations, multiDayPlan, weather);
+  };
+
   const selectPOI = async (poi) => {
     const newSelectedPOIs = [...selectedPOIs, poi];
     setSelectedPOIs(newSelectedPOIs);
@@ -206,7 +237,7 @@ const StepByStepPlanner = ({
       // Persist completed state
       persistState(nextStep, newSelectedPOIs, true);
       
-      onPlanComplete(newSelectedPOIs);
+      await completePlan(newSelectedPOIs);
       
       // Clear persisted state after completion
       setTimeout(() => clearPersistedState(), 1000);
@@ -268,7 +299,7 @@ const StepByStepPlanner = ({
       <div className="mb-8">
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-2xl font-bold text-[#E8D5A4]">
-            Build Your Perfect Day
+            {userPreferences.tripDays > 1 ? `Build Your ${userPreferences.tripDays}-Day Trip` : 'Build Your Perfect Day'}
           </h2>
           <div className="flex items-center gap-4">
             {/* Resume indicator */}
@@ -312,7 +343,8 @@ const StepByStepPlanner = ({
           />
         </div>
         
-        <div className="flex justify-between text-xs text-[#F4E1C1]/50">
+        {/* Step dots only fit a single day's worth of places */}
+        {maxPOIs <= 10 && <div className="flex justify-between text-xs text-[#F4E1C1]/50">
           {Array.from({ length: maxPOIs }, (_, i) => (
             <div key={i} className="flex flex-col items-center">
               <div className={`w-3 h-3 rounded-full ${
@@ -325,7 +357,7 @@ const StepByStepPlanner = ({
               <span className="mt-1">Step {i + 1}</span>
             </div>
           ))}
-        </div>
+        </div>}
       </div>
 
       {/* Selected POIs */}
@@ -496,7 +528,7 @@ const StepByStepPlanner = ({
               Add More Places
             </button>
             <button
-              onClick={() => onPlanComplete(selectedPOIs)}
+              onClick={() => completePlan(selectedPOIs)}
               className="px-6 py-3 bg-[#E8D5A4] text-black rounded-lg hover:bg-[#CAB17B] transition font-semibold"
             >
               Save & Continue
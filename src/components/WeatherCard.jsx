@@ -39,6 +39,7 @@ const WeatherCard = ({ weatherData }) => {
           <div className="flex gap-4 text-sm text-[#F4E1C1]/80 mt-1">
             <span>High: {forecast.temp_max}</span>
             <span>Low: {forecast.temp_min}</span>
+            {forecast.wind && <span>Wind: {forecast.wind}</span>}
           </div>
         </div>
       </div>
@@ -0,0 +1,83 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Download } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { adminReportCsvUrl, lastDays } from '@/utils/adminAnalytics';
+
+const PRESETS = [7, 30, 90, 365];
+
+/**
+ * From/to date pickers plus quick ranges; dates are UTC days
+ */
+export const DateRangeFilter = ({ range, onChange }) => {
+  const setDate = (key) => (event) => {
+    if (event.target.value) onChange({ ...range, [key]: event.target.value });
+  };
+
+  return (
+    <div className="flex flex-wrap items-end gap-3">
+      <div className="space-y-1">
+        <Label htmlFor="report-from">From</Label>
+        <Input id="report-from" type="date" value={range.from} max={range.to} onChange={setDate('from')} className="w-40" />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="report-to">To</Label>
+        <Input id="report-to" type="date" value={range.to} min={range.from} onChange={setDate('to')} className="w-40" />
+      </div>
+      <div className="flex gap-2">
+        {PRESETS.map((days) => (
+          <Button key={days} variant="outline" size="sm" onClick={() => onChange(lastDays(days))}>
+            {days}d
+          </Button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Download the report for the current range as CSV
+ */
+export const ExportCsvButton = ({ report, range, disabled }) => {
+  if (disabled) {
+    return (
+      <Button variant="outline" size="sm" disabled>
+        <Download className="h-4 w-4 mr-2" />Export CSV
+      </Button>
+    );
+  }
+  return (
+    <Button asChild variant="outline" size="sm">
+      <a href={adminReportCsvUrl(report, range)} download>
+        <Download className="h-4 w-4 mr-2" />Export CSV
+      </a>
+    </Button>
+  );
+};
+
+/**
+ * One bar per day, scaled to the busiest day
+ */
+export const DailyBarChart = ({ days, value, format = (v) => v, emptyText = 'No data in this range.' }) => {
+  const max = Math.max(0, ...days.map(value));
+  if (max === 0) {
+    return <p className="text-sm text-muted-foreground">{emptyText}</p>;
+  }
+
+  return (
+    <div className="flex items-end gap-px h-32" role="img" aria-label="Daily chart">
+      {days.map((day, index) => (
+        <div key={day.date} className="flex-1 h-full flex items-end" title={`${day.date}: ${format(value(day))}`}>
+          <motion.div
+            className="w-full bg-gradient-to-t from-secondary to-primary rounded-t-sm"
+            initial={{ height: 0 }}
+            animate={{ height: `${(value(day) / max) * 100}%` }}
+            transition={{ duration: 0.4, delay: Math.min(index * 0.01, 0.3) }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
@@ -1,58 +1,31 @@
-
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
-import { DollarSign, TrendingUp, Users, AlertCircle } from 'lucide-react';
+import { DollarSign, TrendingUp, AlertCircle, RotateCcw } from 'lucide-react';
 import { Skeleton } from '@/components/ui/skeleton';
 import { motion } from 'framer-motion';
-import { Button } from '@/components/ui/button';
-import { useToast } from '@/components/ui/use-toast';
-
-const initialPayments = [
-  { id: 'pay_1', userId: 'user_abc', amount: 3.49, currency: 'EUR', date: '2025-05-15', status: 'Succeeded' },
-  { id: 'pay_2', userId: 'user_def', amount: 3.49, currency: 'EUR', date: '2025-05-14', status: 'Succeeded' },
-  { id: 'pay_3', userId: 'user_ghi', amount: 3.49, currency: 'EUR', date: '2025-05-14', status: 'Failed' },
-  { id: 'pay_4', userId: 'user_jkl', amount: 3.49, currency: 'EUR', date: '2025-05-13', status: 'Succeeded' },
-  { id: 'pay_5', userId: 'user_mno', amount: 3.49, currency: 'EUR', date: '2025-05-12', status: 'Succeeded' },
-];
+import { DailyBarChart, ExportCsvButton } from '@/components/admin/ReportControls';
+import useAdminReport from '@/hooks/useAdminReport';
+import { formatMoney, formatPercent } from '@/utils/adminAnalytics';
 
-const PaymentTrackingSection = () => {
-  const [payments, setPayments] = useState([]);
-  const [stats, setStats] = useState({ totalRevenue: 0, successfulPayments: 0, failedPayments: 0 });
-  const [isLoading, setIsLoading] = useState(true);
-  const { toast } = useToast();
+const RECENT_TRANSACTIONS = 10;
 
-  useEffect(() => {
-    // Simulate API call for payments and stats
-    setTimeout(() => {
-      const storedPayments = localStorage.getItem('rhodesPayments');
-      const currentPayments = storedPayments ? JSON.parse(storedPayments) : initialPayments;
-      setPayments(currentPayments);
-      
-      const successful = currentPayments.filter(p => p.status === 'Succeeded');
-      const failed = currentPayments.filter(p => p.status === 'Failed');
-      const totalRev = successful.reduce((sum, p) => sum + p.amount, 0);
+const STATUS_COLOURS = {
+  paid: 'text-green-500',
+  partially_refunded: 'text-yellow-500',
+  refunded: 'text-orange-500',
+  disputed: 'text-red-400',
+  dispute_lost: 'text-red-500',
+  failed: 'text-red-500',
+};
 
-      setStats({
-        totalRevenue: totalRev,
-        successfulPayments: successful.length,
-        failedPayments: failed.length,
-      });
-      setIsLoading(false);
-      if(!storedPayments) {
-        localStorage.setItem('rhodesPayments', JSON.stringify(initialPayments));
-      }
-    }, 1200);
-  }, []);
+const PaymentTrackingSection = ({ range }) => {
+  const { data, isLoading, error } = useAdminReport('payments', range);
+  const summary = data?.summary;
+  // The dashboard charts the currency with the most sales; others are listed in the card
+  const primary = summary?.revenue[0] || { currency: 'eur', net: 0, refunded: 0, lostToDisputes: 0 };
+  const otherCurrencies = summary?.revenue.slice(1) || [];
 
-  const handleStripeSetup = () => {
-    toast({
-      title: "Stripe Integration",
-      description: "Please follow the Stripe setup guide to enable payment processing.",
-    });
-    // Here you would guide the user through Stripe setup steps as per requirements
-  };
-  
-  const StatCard = ({ title, value, icon, currency, isLoading }) => (
+  const StatCard = ({ title, value, icon, detail, isLoading }) => (
      <Card className="bg-card/80 backdrop-blur-sm hover:shadow-primary/10 hover:shadow-lg transition-shadow">
       <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
         <CardTitle className="text-sm font-medium text-muted-foreground">{title}</CardTitle>
@@ -60,9 +33,10 @@ const PaymentTrackingSection = () => {
       </CardHeader>
       <CardContent>
       {isLoading ? <Skeleton className="h-8 w-3/4" /> : (
-        <div className="text-2xl font-bold text-foreground">
-          {currency && `${currency} `}{value}
-        </div>
+        <>
+          <div className="text-2xl font-bold text-foreground">{value}</div>
+          {detail && <p className="text-xs text-muted-foreground mt-1">{detail}</p>}
+        </>
       )}
       </CardContent>
     </Card>
@@ -80,7 +54,7 @@ const PaymentTrackingSection = () => {
       },
     }),
   };
-  
+
   const cardVariants = {
     hidden: { opacity: 0, y: 20 },
     visible: (i) => ({
@@ -94,50 +68,101 @@ const PaymentTrackingSection = () => {
     }),
   };
 
+  if (error) {
+    return (
+      <div className="p-4 border border-red-500/50 bg-red-500/10 rounded-lg text-red-300 flex items-center">
+        <AlertCircle className="h-5 w-5 mr-2 text-red-400" />
+        Could not load payment data: {error}
+      </div>
+    );
+  }
 
   return (
     <div className="space-y-6">
-       <div className="p-4 border border-yellow-500/50 bg-yellow-500/10 rounded-lg text-yellow-300">
-        <div className="flex items-center">
-          <AlertCircle className="h-5 w-5 mr-2 text-yellow-400" />
-          <h3 className="font-semibold">Payment Processing Setup Required</h3>
-        </div>
-        <p className="text-sm mt-1">
-          To enable real-time payment tracking and processing for "Wander Rhodes", you need to integrate a payment provider like Stripe.
-        </p>
-        <Button onClick={handleStripeSetup} size="sm" className="mt-3 bg-yellow-500 hover:bg-yellow-600 text-black">
-          Setup Stripe Payments
-        </Button>
-        <p className="text-xs mt-2 opacity-80">The data shown below is currently sample data for demonstration purposes.</p>
+      <div className="flex justify-end">
+        <ExportCsvButton report="payments" range={range} disabled={isLoading} />
       </div>
 
-      <motion.div 
-        className="grid gap-4 md:grid-cols-3"
+      <motion.div
+        className="grid gap-4 md:grid-cols-2 lg:grid-cols-4"
         initial="hidden"
         animate="visible"
         variants={{ visible: { transition: { staggerChildren: 0.1 } } }}
       >
-        <motion.div variants={cardVariants} custom={0}><StatCard title="Total Revenue" value={stats.totalRevenue.toFixed(2)} currency="€" icon={<DollarSign className="h-5 w-5 text-green-500" />} isLoading={isLoading}/></motion.div>
-        <motion.div variants={cardVariants} custom={1}><StatCard title="Successful Payments" value={stats.successfulPayments} icon={<TrendingUp className="h-5 w-5 text-blue-500" />} isLoading={isLoading}/></motion.div>
-        <motion.div variants={cardVariants} custom={2}><StatCard title="Failed Payments" value={stats.failedPayments} icon={<Users className="h-5 w-5 text-red-500" />} isLoading={isLoading}/></motion.div>
+        <motion.div variants={cardVariants} custom={0}>
+          <StatCard
+            title="Net Revenue"
+            value={formatMoney(primary.net, primary.currency)}
+            detail={otherCurrencies.map(total => formatMoney(total.net, total.currency)).join(' + ') || null}
+            icon={<DollarSign className="h-5 w-5 text-green-500" />}
+            isLoading={isLoading}
+          />
+        </motion.div>
+        <motion.div variants={cardVariants} custom={1}>
+          <StatCard
+            title="Successful Payments"
+            value={summary?.payments}
+            detail={summary && `${formatPercent(summary.successRate)} of attempts`}
+            icon={<TrendingUp className="h-5 w-5 text-blue-500" />}
+            isLoading={isLoading}
+          />
+        </motion.div>
+        <motion.div variants={cardVariants} custom={2}>
+          <StatCard
+            title="Refunds & Disputes"
+            value={summary && summary.refunded + summary.disputed}
+            detail={summary && `${formatMoney(primary.refunded, primary.currency)} refunded, ${formatMoney(primary.lostToDisputes, primary.currency)} lost to disputes`}
+            icon={<RotateCcw className="h-5 w-5 text-orange-500" />}
+            isLoading={isLoading}
+          />
+        </motion.div>
+        <motion.div variants={cardVariants} custom={3}>
+          <StatCard
+            title="Failed Payments"
+            value={summary?.failed}
+            icon={<AlertCircle className="h-5 w-5 text-red-500" />}
+            isLoading={isLoading}
+          />
+        </motion.div>
+      </motion.div>
+
+      <motion.div variants={cardVariants} custom={4} initial="hidden" animate="visible">
+        <Card className="bg-card/80 backdrop-blur-sm">
+          <CardHeader>
+            <CardTitle>Revenue Over Time</CardTitle>
+            <CardDescription>Net {primary.currency.toUpperCase()} revenue per day, {range.from} to {range.to} (UTC).</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {isLoading ? <Skeleton className="h-32 w-full" /> : (
+              <DailyBarChart
+                days={data.daily}
+                value={(day) => day.revenue[primary.currency] || 0}
+                format={(value) => formatMoney(value, primary.currency)}
+                emptyText="No payments in this range."
+              />
+            )}
+          </CardContent>
+        </Card>
       </motion.div>
 
-      <motion.div variants={cardVariants} custom={3} initial="hidden" animate="visible">
+      <motion.div variants={cardVariants} custom={5} initial="hidden" animate="visible">
         <Card className="bg-card/80 backdrop-blur-sm">
           <CardHeader>
             <CardTitle>Recent Transactions</CardTitle>
-            <CardDescription>Showing the last 5 transactions.</CardDescription>
+            <CardDescription>The latest {RECENT_TRANSACTIONS} payments and failed attempts in this range.</CardDescription>
           </CardHeader>
           <CardContent>
             {isLoading ? (
               <div className="space-y-4">
                 {[...Array(5)].map((_, i) => <Skeleton key={i} className="h-10 w-full" />)}
               </div>
+            ) : data.rows.length === 0 ? (
+              <p className="text-sm text-muted-foreground">No transactions in this range.</p>
             ) : (
               <ul className="space-y-3">
-                {payments.slice(0, 5).map((payment, index) => (
-                  <motion.li 
-                    key={payment.id}
+                {data.rows.slice(0, RECENT_TRANSACTIONS).map((row, index) => (
+                  <motion.li
+                    key={`${row.type}-${row.payment_intent_id}-${row.created_at}`}
                     className="flex justify-between items-center p-3 rounded-md bg-muted/50 hover:bg-muted transition-colors"
                     variants={listItemVariants}
                     custom={index}
@@ -145,15 +170,17 @@ const PaymentTrackingSection = () => {
                     animate="visible"
                   >
                     <div>
-                      <p className="font-medium text-foreground">Payment ID: {payment.id}</p>
-                      <p className="text-xs text-muted-foreground">User: {payment.userId} - Date: {payment.date}</p>
+                      <p className="font-medium text-foreground">{row.email || 'Unknown customer'}</p>
+                      <p className="text-xs text-muted-foreground">
+                        {new Date(row.created_at).toLocaleString()}{row.reason && ` - ${row.reason}`}
+                      </p>
                     </div>
                     <div className="text-right">
-                      <p className={`font-semibold ${payment.status === 'Succeeded' ? 'text-green-500' : 'text-red-500'}`}>
-                        €{payment.amount.toFixed(2)}
+                      <p className={`font-semibold ${STATUS_COLOURS[row.status] || 'text-foreground'}`}>
+                        {formatMoney(Math.round(row.amount * 100), row.currency || primary.currency)}
                       </p>
-                      <p className={`text-xs ${payment.status === 'Succeeded' ? 'text-green-400' : 'text-red-400'}`}>
-                        {payment.status}
+                      <p className={`text-xs ${STATUS_COLOURS[row.status] || 'text-muted-foreground'}`}>
+                        {row.status.replace('_', ' ')}
                       </p>
                     </div>
                   </motion.li>
@@ -1,30 +1,18 @@
-
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Progress } from '@/components/ui/progress';
-import { Zap, Smartphone, Gauge, Server } from 'lucide-react';
+import { Zap, Users, Globe, Gauge, AlertCircle } from 'lucide-react';
 import { Skeleton } from '@/components/ui/skeleton';
 import { motion } from 'framer-motion';
+import { DailyBarChart, ExportCsvButton } from '@/components/admin/ReportControls';
+import useAdminReport from '@/hooks/useAdminReport';
 
-const PerformanceMetricsSection = () => {
-  const [metrics, setMetrics] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-
-  useEffect(() => {
-    // Simulate API call for metrics
-    setTimeout(() => {
-      setMetrics({
-        pageLoadTime: 1.8, // seconds
-        firstContentfulPaint: 1.2, // seconds
-        mobileResponsivenessScore: 95, // out of 100
-        uptimePercentage: 99.98, // percentage
-        apiResponseTime: 150, // ms
-      });
-      setIsLoading(false);
-    }, 1000);
-  }, []);
+// Metered API traffic from the usage ledger (chat, agent and planner requests)
+const PerformanceMetricsSection = ({ range }) => {
+  const { data, isLoading, error } = useAdminReport('usage', range);
+  const summary = data?.summary;
 
-  const MetricCard = ({ title, value, unit, icon, progressValue, progressMax, isLoading }) => (
+  const MetricCard = ({ title, value, unit, icon, isLoading }) => (
      <Card className="bg-card/80 backdrop-blur-sm hover:shadow-primary/10 hover:shadow-lg transition-shadow">
       <CardHeader className="pb-2">
         <div className="flex items-center justify-between">
@@ -34,19 +22,11 @@ const PerformanceMetricsSection = () => {
       </CardHeader>
       <CardContent>
         {isLoading ? (
-          <>
-            <Skeleton className="h-8 w-1/2 mb-2" />
-            <Skeleton className="h-4 w-full" />
-          </>
+          <Skeleton className="h-8 w-1/2 mb-2" />
         ) : (
-          <>
-            <div className="text-2xl font-bold text-foreground mb-1">
-              {value} <span className="text-xs text-muted-foreground">{unit}</span>
-            </div>
-            {progressValue !== undefined && progressMax !== undefined && (
-              <Progress value={(progressValue / progressMax) * 100} className="h-2 mt-2" />
-            )}
-          </>
+          <div className="text-2xl font-bold text-foreground mb-1">
+            {value} <span className="text-xs text-muted-foreground">{unit}</span>
+          </div>
         )}
       </CardContent>
     </Card>
@@ -65,89 +45,88 @@ const PerformanceMetricsSection = () => {
     }),
   };
 
+  if (error) {
+    return (
+      <div className="p-4 border border-red-500/50 bg-red-500/10 rounded-lg text-red-300 flex items-center">
+        <AlertCircle className="h-5 w-5 mr-2 text-red-400" />
+        Could not load usage data: {error}
+      </div>
+    );
+  }
+
+  const busiestEndpoint = summary?.endpoints[0]?.requests || 0;
+
   return (
     <div className="space-y-6">
-      <Card className="bg-card/80 backdrop-blur-sm">
-        <CardHeader>
-          <CardTitle>Overall Site Health</CardTitle>
-          <CardDescription>Key performance indicators for Wander Rhodes.</CardDescription>
-        </CardHeader>
-        <CardContent>
-          <motion.div 
-            className="grid gap-4 md:grid-cols-2 lg:grid-cols-3"
-            initial="hidden"
-            animate="visible"
-            variants={{ visible: { transition: { staggerChildren: 0.1 } } }}
-          >
-            <motion.div variants={cardVariants} custom={0}>
-              <MetricCard 
-                title="Avg. Page Load Time" 
-                value={metrics?.pageLoadTime} 
-                unit="s" 
-                icon={<Zap className="h-5 w-5 text-yellow-500" />} 
-                progressValue={metrics?.pageLoadTime ? 3 - metrics.pageLoadTime : 0} 
-                progressMax={3}
-                isLoading={isLoading}
-              />
-            </motion.div>
-            <motion.div variants={cardVariants} custom={1}>
-              <MetricCard 
-                title="First Contentful Paint (FCP)" 
-                value={metrics?.firstContentfulPaint} 
-                unit="s" 
-                icon={<Gauge className="h-5 w-5 text-green-500" />} 
-                progressValue={metrics?.firstContentfulPaint ? 2 - metrics.firstContentfulPaint : 0} 
-                progressMax={2}
-                isLoading={isLoading}
-              />
-            </motion.div>
-            <motion.div variants={cardVariants} custom={2}>
-              <MetricCard 
-                title="Mobile Friendliness" 
-                value={metrics?.mobileResponsivenessScore} 
-                unit="/ 100" 
-                icon={<Smartphone className="h-5 w-5 text-blue-500" />} 
-                progressValue={metrics?.mobileResponsivenessScore} 
-                progressMax={100}
-                isLoading={isLoading}
-              />
-            </motion.div>
-            <motion.div variants={cardVariants} custom={3}>
-              <MetricCard 
-                title="Server Uptime" 
-                value={metrics?.uptimePercentage} 
-                unit="%" 
-                icon={<Server className="h-5 w-5 text-purple-500" />} 
-                progressValue={metrics?.uptimePercentage} 
-                progressMax={100}
-                isLoading={isLoading}
-              />
-            </motion.div>
-             <motion.div variants={cardVariants} custom={4}>
-              <MetricCard 
-                title="API Response Time" 
-                value={metrics?.apiResponseTime} 
-                unit="ms" 
-                icon={<Zap className="h-5 w-5 text-teal-500" />} 
-                progressValue={metrics?.apiResponseTime ? 500 - metrics.apiResponseTime : 0} 
-                progressMax={500}
-                isLoading={isLoading}
-              />
-            </motion.div>
-          </motion.div>
-        </CardContent>
-      </Card>
-       {isLoading && <p className="text-center text-muted-foreground">Loading performance metrics...</p>}
-       {!isLoading && (
-        <motion.div 
-          className="text-sm text-center text-muted-foreground mt-4"
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          transition={{ delay: 0.5 }}
-        >
-          Note: These are simulated metrics. Real-time monitoring requires integration with performance tools.
+      <div className="flex justify-end">
+        <ExportCsvButton report="usage" range={range} disabled={isLoading} />
+      </div>
+
+      <motion.div
+        className="grid gap-4 md:grid-cols-2 lg:grid-cols-4"
+        initial="hidden"
+        animate="visible"
+        variants={{ visible: { transition: { staggerChildren: 0.1 } } }}
+      >
+        <motion.div variants={cardVariants} custom={0}>
+          <MetricCard title="API Requests" value={summary?.requests.toLocaleString()} icon={<Zap className="h-5 w-5 text-yellow-500" />} isLoading={isLoading} />
+        </motion.div>
+        <motion.div variants={cardVariants} custom={1}>
+          <MetricCard title="Usage Units" value={summary?.units.toLocaleString()} unit="units" icon={<Gauge className="h-5 w-5 text-green-500" />} isLoading={isLoading} />
+        </motion.div>
+        <motion.div variants={cardVariants} custom={2}>
+          <MetricCard title="Signed-in Users" value={summary?.signedInUsers} icon={<Users className="h-5 w-5 text-blue-500" />} isLoading={isLoading} />
+        </motion.div>
+        <motion.div variants={cardVariants} custom={3}>
+          <MetricCard title="Guest Visitors" value={summary?.guests} unit="by IP" icon={<Globe className="h-5 w-5 text-purple-500" />} isLoading={isLoading} />
+        </motion.div>
+      </motion.div>
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <motion.div variants={cardVariants} custom={4} initial="hidden" animate="visible">
+          <Card className="bg-card/80 backdrop-blur-sm">
+            <CardHeader>
+              <CardTitle className="text-lg">Requests per Day</CardTitle>
+              <CardDescription>{range.from} to {range.to} (UTC)</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {isLoading ? <Skeleton className="h-32 w-full" /> : (
+                <DailyBarChart days={data.daily} value={(day) => day.requests} emptyText="No metered requests in this range." />
+              )}
+            </CardContent>
+          </Card>
+        </motion.div>
+
+        <motion.div variants={cardVariants} custom={5} initial="hidden" animate="visible">
+          <Card className="bg-card/80 backdrop-blur-sm">
+            <CardHeader>
+              <CardTitle className="text-lg">Busiest Endpoints</CardTitle>
+            </CardHeader>
+            <CardContent>
+              {isLoading ? (
+                <div className="space-y-2">
+                  {[...Array(3)].map((_, i) => <Skeleton key={i} className="h-8 w-full" />)}
+                </div>
+              ) : summary.endpoints.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No metered requests in this range.</p>
+              ) : (
+                <ul className="space-y-3">
+                  {summary.endpoints.map((endpoint) => (
+                    <li key={endpoint.endpoint} className="text-sm">
+                      <div className="flex justify-between mb-1">
+                        <span className="truncate max-w-[70%] text-muted-foreground">{endpoint.endpoint}</span>
+                        <span className="font-medium text-foreground">{endpoint.requests.toLocaleString()} requests</span>
+                      </div>
+                      <Progress value={(endpoint.requests / busiestEndpoint) * 100} className="h-2" />
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
         </motion.div>
-      )}
+      </div>
+      {isLoading && <p className="text-center text-muted-foreground">Loading usage metrics...</p>}
     </div>
   );
 };
@@ -1,12 +1,14 @@
 // AgentStatusIndicator.jsx - UI component to show agent framework status
 import React, { useState } from 'react';
-import { Bot, Settings, Activity, Clock, MapPin, Zap } from 'lucide-react';
+import { Bot, Settings, Activity, Clock, MapPin, Zap, CheckCircle, XCircle } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 
-const AgentStatusIndicator = ({ agentMetadata, isAgentMode = false }) => {
+// liveSteps: status events from a streamed response that is still running
+const AgentStatusIndicator = ({ agentMetadata, isAgentMode = false, liveSteps = [] }) => {
   const [showDetails, setShowDetails] = useState(false);
 
-  if (!isAgentMode && !agentMetadata) return null;
+  const isLive = liveSteps.length > 0;
+  if (!isAgentMode && !agentMetadata && !isLive) return null;
 
   const hasMetadata = agentMetadata && Object.keys(agentMetadata).length > 0;
   const agentState = agentMetadata?.agentState;
@@ -44,6 +46,37 @@ const AgentStatusIndicator = ({ agentMetadata, isAgentMode = false }) => {
         </div>
       </motion.div>
 
+      {/* Live progress while the response streams in */}
+      {isLive && (
+        <ul className="mb-3 space-y-1 text-xs" aria-live="polite">
+          {liveSteps.map((step, index) => {
+            const isCurrent = index === liveSteps.length - 1 && !step.done;
+            return (
+              <motion.li
+                key={`${step.stage}-${index}`}
+                initial={{ opacity: 0, x: -8 }}
+                animate={{ opacity: 1, x: 0 }}
+                className={`flex items-center gap-2 ${isCurrent ? 'text-purple-200' : 'text-white/60'}`}
+              >
+                {step.failed ? (
+                  <XCircle size={12} className="text-red-400" />
+                ) : isCurrent ? (
+                  <span className="w-3 flex justify-center">
+                    <span className="w-2 h-2 bg-purple-400 rounded-full animate-pulse" />
+                  </span>
+                ) : (
+                  <CheckCircle size={12} className="text-green-400" />
+                )}
+                <span>{step.message}</span>
+                {step.names?.length > 0 && (
+                  <span className="text-white/40 truncate max-w-[12rem]">({step.names.join(', ')})</span>
+                )}
+              </motion.li>
+            );
+          })}
+        </ul>
+      )}
+
       {/* Detailed Agent Execution Info */}
       <AnimatePresence>
         {showDetails && hasMetadata && (
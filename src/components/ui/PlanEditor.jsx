@@ -1,5 +1,5 @@
 // PlanEditor.jsx - Interactive travel plan editing component
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence, Reorder } from 'framer-motion';
 import { 
   GripVertical, 
@@ -14,6 +14,7 @@ import {
   Navigation
 } from 'lucide-react';
 import LocationCard from '../LocationCard';
+import { scheduleLocations } from '@/utils/schedule';
 
 const PlanEditor = ({ 
   locations = [], 
@@ -31,6 +32,12 @@ const PlanEditor = ({
     setIsDirty(false);
   }, [locations]);
 
+  // Re-time the day whenever stops are reordered, edited, added or removed
+  const { locations: scheduledLocations, timetable } = useMemo(
+    () => scheduleLocations(editableLocations, preferences, locations),
+    [editableLocations, preferences, locations]
+  );
+
   const updateLocations = (newLocations) => {
     setEditableLocations(newLocations);
     setIsDirty(true);
@@ -81,14 +88,8 @@ const PlanEditor = ({
     setEditingLocation(null);
   };
 
-  const calculateTotalTime = () => {
-    return editableLocations.reduce((total, location) => {
-      return total + (location.travel?.durationMinutes || 0);
-    }, 0);
-  };
-
   const calculateTotalDistance = () => {
-    return editableLocations.reduce((total, location) => {
+    return scheduledLocations.reduce((total, location) => {
       return total + (location.travel?.distanceMeters || 0);
     }, 0);
   };
@@ -131,7 +132,9 @@ const PlanEditor = ({
             </div>
             <div className="flex items-center gap-2 text-green-300">
               <Clock size={16} />
-              <span>{Math.round(calculateTotalTime() / 60)}h {calculateTotalTime() % 60}m total</span>
+              <span>
+                {timetable.startTime}–{timetable.endTime} • {Math.floor(timetable.totalMinutes / 60)}h {timetable.totalMinutes % 60}m total
+              </span>
             </div>
             <div className="flex items-center gap-2 text-purple-300">
               <Navigation size={16} />
@@ -172,9 +175,23 @@ const PlanEditor = ({
                           <h3 className="text-white font-medium">{location.name}</h3>
                           <span className="text-white/50 text-sm">({location.type})</span>
                         </div>
-                        {location.travel && location.travel.durationMinutes > 0 && (
+                        {scheduledLocations[index]?.schedule && (
+                          <p className="text-green-300 text-sm mt-1">
+                            {scheduledLocations[index].schedule.arrival}–{scheduledLocations[index].schedule.departure}
+                            {scheduledLocations[index].schedule.waitMinutes > 0 && (
+                              <span className="text-white/50"> • waits {scheduledLocations[index].schedule.waitMinutes}min for opening</span>
+                            )}
+                          </p>
+                        )}
+                        {scheduledLocations[index]?.travel?.durationMinutes > 0 && (
                           <p className="text-white/60 text-sm mt-1">
-                            {location.travel.durationMinutes}min travel • {(location.travel.distanceMeters / 1000).toFixed(1)}km
+                            {scheduledLocations[index].travel.durationMinutes}min travel • {(scheduledLocations[index].travel.distanceMeters / 1000).toFixed(1)}km
+                          </p>
+                        )}
+                        {scheduledLocations[index]?.openingHoursWarning && (
+                          <p className="text-amber-300 text-sm mt-1 flex items-center gap-1">
+                            <Clock size={14} />
+                            {scheduledLocations[index].openingHoursWarning}
                           </p>
                         )}
                       </div>
@@ -234,7 +251,7 @@ const PlanEditor = ({
         <div className="p-6 border-t border-white/10 bg-black/20">
           <div className="flex gap-3">
             <button
-              onClick={() => onSave?.(editableLocations)}
+              onClick={() => onSave?.(scheduledLocations)}
               disabled={!isDirty}
               className={`flex items-center gap-2 px-6 py-3 rounded-lg font-medium transition-all ${
                 isDirty
@@ -1,7 +1,7 @@
 // TravelPreferences.jsx - Interactive preference selection component
 import React, { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Clock, Users, DollarSign, MapPin, Utensils, Camera, Waves, Mountain, Building, Heart } from 'lucide-react';
+import { Clock, Users, DollarSign, MapPin, Utensils, Camera, Waves, Mountain, Building, Heart, CalendarDays, Hotel } from 'lucide-react';
 
 const TravelPreferences = ({ onPreferencesUpdate, initialPreferences = {}, onComplete }) => {
   const [preferences, setPreferences] = useState({
@@ -14,6 +14,8 @@ const TravelPreferences = ({ onPreferencesUpdate, initialPreferences = {}, onCom
     dining: initialPreferences.dining || 'mixed',
     duration: initialPreferences.duration || 'half-day',
     numberOfPOIs: initialPreferences.numberOfPOIs || 5,
+    tripDays: initialPreferences.tripDays || 1,
+    homeBases: initialPreferences.homeBases || [],
     ...initialPreferences
   });
 
@@ -37,6 +39,13 @@ const TravelPreferences = ({ onPreferencesUpdate, initialPreferences = {}, onCom
     updatePreference('timeOfDay', newTimes);
   };
 
+  // Home base (hotel) for the given night; a blank night keeps the previous hotel
+  const updateHomeBase = (night, name) => {
+    const homeBases = Array.from({ length: preferences.tripDays }, (_, i) => preferences.homeBases[i] || null);
+    homeBases[night] = name.trim() ? { name } : null;
+    updatePreference('homeBases', homeBases);
+  };
+
   const budgetOptions = [
     { value: 'budget', label: 'Budget-Friendly', icon: '€', desc: 'Under €30/day' },
     { value: 'moderate', label: 'Moderate', icon: '€€', desc: '€30-80/day' },
@@ -69,6 +78,14 @@ const TravelPreferences = ({ onPreferencesUpdate, initialPreferences = {}, onCom
     { value: 'group', label: 'Large Group', icon: '👥👥' }
   ];
 
+  const tripDayOptions = [
+    { value: 1, label: 'Day trip' },
+    { value: 2, label: '2 days' },
+    { value: 3, label: '3 days' },
+    { value: 5, label: '5 days' },
+    { value: 7, label: 'A week' }
+  ];
+
   const poiCountOptions = [
     { value: 3, label: '3 Places', desc: 'Quick trip', icon: '🎯' },
     { value: 4, label: '4 Places', desc: 'Half day', icon: '⏰' },
@@ -199,11 +216,57 @@ const TravelPreferences = ({ onPreferencesUpdate, initialPreferences = {}, onCom
           </div>
         </div>
 
+        {/* Trip Length */}
+        <div className="space-y-3">
+          <label className="flex items-center gap-2 text-white font-medium">
+            <CalendarDays size={18} />
+            How long is your stay?
+          </label>
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+            {tripDayOptions.map((option) => (
+              <button
+                key={option.value}
+                onClick={() => updatePreference('tripDays', option.value)}
+                className={`p-3 rounded-lg border transition-all text-center ${
+                  preferences.tripDays === option.value
+                    ? 'border-cyan-400 bg-cyan-500/20 text-cyan-300'
+                    : 'border-white/20 hover:border-white/40 text-white/70 hover:text-white'
+                }`}
+              >
+                <div className="text-xs font-medium">{option.label}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Home Bases */}
+        {preferences.tripDays > 1 && (
+          <div className="space-y-3">
+            <label className="flex items-center gap-2 text-white font-medium">
+              <Hotel size={18} />
+              Where are you staying?
+            </label>
+            <p className="text-xs text-white/60">Leave a night blank if you stay at the same hotel as the night before.</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {Array.from({ length: preferences.tripDays }, (_, night) => (
+                <input
+                  key={night}
+                  type="text"
+                  value={preferences.homeBases[night]?.name || ''}
+                  onChange={(e) => updateHomeBase(night, e.target.value)}
+                  placeholder={night === 0 ? 'Hotel for night 1' : `Night ${night + 1} (same as before)`}
+                  className="p-2 rounded-lg border border-white/20 bg-white/5 text-sm text-white placeholder-white/40 focus:border-cyan-400 focus:outline-none"
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Number of POIs */}
         <div className="space-y-3">
           <label className="flex items-center gap-2 text-white font-medium">
             <MapPin size={18} />
-            How many places to visit?
+            {preferences.tripDays > 1 ? 'How many places per day?' : 'How many places to visit?'}
           </label>
           <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2">
             {poiCountOptions.map((option) => (
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { fetchAdminReport } from '@/utils/adminAnalytics';
+
+/**
+ * Load one admin report for a date range, reloading when the range changes.
+ * Responses for an earlier range are dropped if they arrive late.
+ */
+export default function useAdminReport(report, range) {
+  const [state, setState] = useState({ data: null, isLoading: true, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    setState((previous) => ({ ...previous, isLoading: true, error: null }));
+
+    fetchAdminReport(report, range)
+      .then((data) => {
+        if (!cancelled) setState({ data, isLoading: false, error: null });
+      })
+      .catch((error) => {
+        if (!cancelled) setState({ data: null, isLoading: false, error: error.message });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [report, range.from, range.to]);
+
+  return state;
+}
@@ -10,7 +10,7 @@ export default function AdminUsersPage() {
   useEffect(() => {
     fetch('/api/dev/users')
       .then(res => {
-        if (!res.ok) throw new Error('Not allowed or not in development mode');
+        if (!res.ok) throw new Error(res.status === 403 ? 'Admin access required' : 'Failed to load users');
         return res.json();
       })
       .then(data => setUsers(data.users))
@@ -35,10 +35,6 @@ export default function AdminUsersPage() {
     }
   };
 
-  if (import.meta.env.PROD) {
-    return <div className="p-8 text-center text-red-500">This page is only available in development mode.</div>;
-  }
-
   return (
     <div className="min-h-screen bg-[#181c2c] text-[#F4E1C1] p-8">
       <button onClick={() => navigate('/')} className="mb-6 px-4 py-2 bg-[#E8D5A4] text-[#181c2c] rounded font-bold">Back</button>
@@ -8,8 +8,9 @@ import TravelPreferences from "../components/ui/TravelPreferences";
 import PlanEditor from "../components/ui/PlanEditor";
 import StepByStepPlanner from "../components/StepByStepPlanner";
 import GuidedChatInterface from "../components/GuidedChatInterface";
+import ChatSessionsPanel from "../components/ChatSessionsPanel";
 import { motion, AnimatePresence } from "framer-motion";
-import { Copy, BookMarked, ArrowLeft, Send, Sparkles, Thermometer, SunMedium, MapPin, Settings, Edit } from "lucide-react";
+import { Copy, BookMarked, ArrowLeft, Send, Sparkles, Thermometer, SunMedium, MapPin, Settings, Edit, MessagesSquare } from "lucide-react";
 import { toast } from "@/components/ui/use-toast";
 import { Toaster } from "@/components/ui/toaster";
 import { getSavedPlans, canSaveAnotherPlan } from '@/utils/plans';
@@ -24,6 +25,9 @@ import {
 import { Button } from '@/components/ui/button';
 import { useUser } from '@/components/ThemeProvider';
 import { logServerError } from '@/utils/serverErrorMonitor';
+import { readUsageHeaders, fetchUsage } from '@/utils/usage';
+import { postEventStream, addStatusEvent } from '@/utils/eventStream';
+import { newChatSessionId, getStoredSessionId, storeSessionId, getChatSession } from '@/utils/chatSessions';
 
 const SUGGESTIONS = [
   "Where should I eat tonight in Faliraki?",
@@ -130,6 +134,27 @@ const parseAiResponse = (reply, structuredData, blur) => {
   return newMessages;
 };
 
+const chatGreeting = () => ({
+  sender: 'ai',
+  type: 'text',
+  message: "Hi! I'm your local Rhodes AI assistant. Ask me anything—food, sights, or secrets!",
+  time: new Date(),
+  blur: false,
+});
+
+// Messages stored in a server-side session → chat bubbles and location cards
+const sessionMessagesToChat = (stored) => stored.flatMap((m) => {
+  const time = new Date(m.timestamp || Date.now());
+  if (m.role === 'user') {
+    return [{ sender: 'user', type: 'text', message: m.content, time, blur: false }];
+  }
+  if (m.role === 'assistant') {
+    return parseAiResponse(m.content || '', m.structuredData, false).map((message) => ({ ...message, time }));
+  }
+  // Messages saved in the chat's own format through /api/sessions/:id/messages
+  return m.sender ? [{ ...m, time: new Date(m.time || time) }] : [];
+});
+
 export default function ChatPage() {
   const navigate = useNavigate();
   const chatEndRef = useRef(null);
@@ -140,6 +165,7 @@ export default function ChatPage() {
   const [searchParams] = useSearchParams();
   const planId = searchParams.get('plan');
   const isNewPlan = searchParams.get('new') === 'true';
+  const isImport = searchParams.get('import') === 'true';
   const serverErrorReason = searchParams.get('reason') === 'server-error';
 
   const { user, loading, refreshUser } = useUser();
@@ -171,19 +197,18 @@ export default function ChatPage() {
         return parsed.map((m) => ({ ...m, time: new Date(m.time) }));
       }
     } catch {}
-    return [
-      {
-        sender: 'ai',
-        type: 'text',
-        message: "Hi! I'm your local Rhodes AI assistant. Ask me anything—food, sights, or secrets!",
-        time: new Date(),
-        blur: false,
-      },
-    ];
+    return [chatGreeting()];
   })();
 
   const [messages, setMessages] = useState(initialMessages);
 
+  // Conversation id; for signed-in users the server keeps the session under it
+  const [sessionId, setSessionId] = useState(() => {
+    const stored = isNewPlan || planId || isImport ? null : getStoredSessionId();
+    return stored || newChatSessionId();
+  });
+  const [showSessions, setShowSessions] = useState(false);
+
   const [replyCount, setReplyCount] = useState(() => {
     const count = initialMessages.filter((m) => m.sender === 'ai').length;
     return Math.max(0, count - 1); // exclude greeting if present
@@ -194,6 +219,9 @@ export default function ChatPage() {
   const [isTyping, setIsTyping] = useState(false);
   const [lastSent, setLastSent] = useState(0);
   const [abortController, setAbortController] = useState(null);
+  // Live progress from the streamed response while the AI is working
+  const [streamSteps, setStreamSteps] = useState([]);
+  const [streamingText, setStreamingText] = useState("");
   const [planConfig, setPlanConfig] = useState(() => {
     if (typeof window === 'undefined') return null;
     
@@ -247,13 +275,29 @@ export default function ChatPage() {
   const [serverErrorCount, setServerErrorCount] = useState(0);
   const [lastServerErrorTime, setLastServerErrorTime] = useState(null);
 
-  const freeRemaining = Math.max(FREE_LIMIT - replyCount, 0);
+  // Server-side quota (from /api/usage and X-Usage-* response headers)
+  const [usage, setUsage] = useState(null);
+
+  // Prefer the server's count; fall back to counting replies locally
+  const freeRemaining = usage
+    ? Math.max(Math.floor(usage.remaining / (usage.cost || 1)), 0)
+    : Math.max(FREE_LIMIT - replyCount, 0);
 
   // Determine if the overall trial has expired
   // For paid users: trial never expires (unlimited access)
   // For unauthenticated users: trial expires when they've used up free messages
   // For authenticated but unpaid users: trial expires when they've used up free messages
-  const trialExpired = user?.has_paid ? false : (replyCount >= FREE_LIMIT);
+  const trialExpired = user?.has_paid ? false : (freeRemaining <= 0);
+
+  // Refresh the quota whenever the login state changes
+  useEffect(() => {
+    if (loading) return;
+    let cancelled = false;
+    fetchUsage().then((u) => {
+      if (!cancelled && u) setUsage(u);
+    });
+    return () => { cancelled = true; };
+  }, [user, loading]);
 
   // auto-scroll
   useEffect(() => {
@@ -339,6 +383,53 @@ export default function ChatPage() {
     }
   }, [planId, user]);
 
+  useEffect(() => {
+    storeSessionId(sessionId);
+  }, [sessionId]);
+
+  // Replace the chat with a stored session; false when there is nothing stored yet
+  const loadSession = async (id) => {
+    const result = await getChatSession(id);
+    if (!result?.messages?.length) return false;
+    setMessages([chatGreeting(), ...sessionMessagesToChat(result.messages)]);
+    setReplyCount(result.messages.filter((m) => m.role === 'assistant' || m.sender === 'ai').length);
+    return true;
+  };
+
+  // Signed in: the server's copy of this conversation (possibly continued on another device) wins
+  useEffect(() => {
+    if (loading || !user?.email || isNewPlan || planId || isImport) return;
+    loadSession(sessionId).catch((error) => console.error('Failed to load chat session:', error.message));
+  }, [loading, user?.email]);
+
+  const handleResumeSession = async (id) => {
+    if (isTyping) return;
+    setShowSessions(false);
+    try {
+      setSessionId(id);
+      if (await loadSession(id)) {
+        setPlanningMode('chat');
+      } else {
+        setMessages([chatGreeting()]);
+        setReplyCount(0);
+      }
+    } catch (error) {
+      console.error('Failed to resume chat session:', error.message);
+      toast({ title: 'Could not open that conversation', variant: 'destructive' });
+    }
+  };
+
+  const handleNewSession = () => {
+    if (isTyping) return;
+    setShowSessions(false);
+    setSessionId(newChatSessionId());
+    setMessages([chatGreeting()]);
+    setReplyCount(0);
+    setCurrentPlan(null);
+    try { sessionStorage.removeItem('wr_current_plan'); } catch {}
+    setPlanningMode('guided');
+  };
+
   // Clean up abort controller on unmount
   useEffect(() => {
     return () => {
@@ -388,6 +479,33 @@ export default function ChatPage() {
     }
   }, [isNewPlan]);
 
+  // Imported draft (GPX/KML/GeoJSON, see TravelPlansPage): show its places and open the plan editor
+  useEffect(() => {
+    if (!isImport) return;
+    const newUrl = new URL(window.location);
+    newUrl.searchParams.delete('import');
+    window.history.replaceState({}, '', newUrl.toString());
+
+    if (!currentPlan?.importedFrom) return;
+    const { locations } = currentPlan;
+    const custom = locations.filter((location) => location.isCustom).length;
+    setMessages([
+      {
+        sender: 'ai',
+        type: 'text',
+        message: `I imported ${locations.length} places from ${currentPlan.importedFrom.filename || 'your file'}. ` +
+          (custom > 0 ? `${custom} of them aren't in my Rhodes guide, so I kept them as custom locations. ` : '') +
+          'Reorder, edit or remove places, then save the plan.',
+        time: new Date(),
+        blur: false,
+      },
+      ...locations.map((location) => ({ sender: 'ai', type: 'location', locationData: location, time: new Date(), blur: false })),
+    ]);
+    setPlanSaved(false);
+    setEditablePlan(locations);
+    setShowPlanEditor(true);
+  }, [isImport]);
+
   // Show notification when page loads due to server error
   useEffect(() => {
     if (serverErrorReason) {
@@ -461,6 +579,7 @@ export default function ChatPage() {
       }
       
       // Clear current chat and start fresh
+      setSessionId(newChatSessionId());
       localStorage.removeItem('wr_chat_history');
       localStorage.removeItem('wr_plan_config');
       sessionStorage.removeItem('wr_current_plan');
@@ -564,6 +683,13 @@ export default function ChatPage() {
 
     setMessages(updatedMessages);
     setShowPlanEditor(false);
+
+    // Imported drafts are saved from currentPlan, so keep it in step with the edits
+    if (currentPlan?.importedFrom) {
+      const planObj = { ...currentPlan, locations: updatedLocations };
+      setCurrentPlan(planObj);
+      try { sessionStorage.setItem('wr_current_plan', JSON.stringify(planObj)); } catch {}
+    }
     
     toast({
       title: "Plan Updated",
@@ -589,13 +715,17 @@ export default function ChatPage() {
     } catch {}
   };
 
-  const handleStepByStepComplete = (finalPlan) => {
+  const handleStepByStepComplete = (finalPlan, multiDayPlan, weather = []) => {
     setStepByStepPlan(finalPlan);
     
     // Create plan object
     const planObj = {
-      title: `My Rhodes Adventure (${finalPlan.length} places)`,
+      title: multiDayPlan
+        ? `My ${multiDayPlan.tripDays}-Day Rhodes Adventure (${finalPlan.length} places)`
+        : `My Rhodes Adventure (${finalPlan.length} places)`,
       locations: finalPlan,
+      ...(multiDayPlan && { tripType: multiDayPlan.tripType, tripDays: multiDayPlan.tripDays, homeBases: multiDayPlan.homeBases, days: multiDayPlan.days }),
+      weather,
       timestamp: Date.now(),
       stepByStep: true
     };
@@ -653,6 +783,8 @@ export default function ChatPage() {
     // Create new abort controller for this request
     const controller = new AbortController();
     setAbortController(controller);
+    setStreamSteps([]);
+    setStreamingText("");
 
     if(!silent){
       setMessages((m) => [
@@ -669,37 +801,40 @@ export default function ChatPage() {
       
       // Choose endpoint based on configuration with fallback
       let endpoint = USE_AGENT_FRAMEWORK ? "/api/agent" : "/api/chat";
+      const requestBody = { 
+        history, 
+        prompt: text, 
+        userLocation,
+        userPreferences,
+        sessionId // stored server-side when signed in; history is used otherwise
+      };
+      // Progress events arrive while the model and its tools are working
+      const onEvent = (event, eventData) => {
+        if (event === 'status') setStreamSteps((steps) => addStatusEvent(steps, eventData));
+        else if (event === 'token') setStreamingText((t) => t + eventData.text);
+        else if (event === 'reset') setStreamingText("");
+      };
       
-      let res = await fetch(endpoint, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ 
-          history, 
-          prompt: text, 
-          userLocation,
-          userPreferences 
-        }),
-        signal: controller.signal
-      });
+      let { response: res, data } = await postEventStream(endpoint, requestBody, { signal: controller.signal, onEvent });
 
       // If agent endpoint fails (404/405), fallback to chat endpoint
       if (!res.ok && USE_AGENT_FRAMEWORK && endpoint === "/api/agent") {
         console.log('🤖 Agent endpoint not available, falling back to chat endpoint');
         endpoint = "/api/chat";
-        res = await fetch(endpoint, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ 
-            history, 
-            prompt: text, 
-            userLocation,
-            userPreferences 
-          }),
-          signal: controller.signal
-        });
+        setStreamSteps([]);
+        setStreamingText("");
+        ({ response: res, data } = await postEventStream(endpoint, requestBody, { signal: controller.signal, onEvent }));
       }
       
-      const data = await res.json();
+      const usageUpdate = readUsageHeaders(res);
+      if (usageUpdate) setUsage(usageUpdate);
+
+      // Quota exhausted on the server (e.g. used up on another device)
+      if (res.status === 402) {
+        navigate("/paywall");
+        return;
+      }
+
       const { reply = "(no reply)", structuredData = null } = data;
       
       // Check for server errors and handle accordingly
@@ -778,6 +913,8 @@ export default function ChatPage() {
     } finally {
       setIsTyping(false);
       setAbortController(null);
+      setStreamSteps([]);
+      setStreamingText("");
     }
   };
 
@@ -862,12 +999,15 @@ export default function ChatPage() {
               budget: 'moderate',
               interests: cfg.waterActivities === 'yes' ? ['beaches'] : [],
               timeOfDay: cfg.startTime ? [cfg.startTime] : [],
+              startTime: cfg.startTime || null,
               groupSize: cfg.companions || 'solo',
               pace: cfg.pace || 'moderate',
               mobility: 'active',
               dining: 'mixed',
               duration: 'half-day',
               numberOfPOIs: cfg.numberOfPOIs || 5,
+              tripDays: cfg.tripDays || 1,
+              homeBases: cfg.tripDays > 1 && cfg.hotel ? [{ name: cfg.hotel }] : [],
               transport: cfg.transport || 'car',
               extraDetails: cfg.extraDetails || ''
             };
@@ -911,6 +1051,20 @@ export default function ChatPage() {
 
         {/* right buttons */}
         <div className="flex gap-2 items-center">
+          {user?.email && (
+            <button
+              onClick={() => setShowSessions(true)}
+              disabled={isTyping}
+              className={`w-8 h-8 rounded-full flex items-center justify-center transition ${
+                isTyping
+                  ? 'opacity-50 cursor-not-allowed'
+                  : 'hover:bg-white/10 cursor-pointer'
+              }`}
+              title={isTyping ? "AI is thinking..." : "My conversations"}
+            >
+              <MessagesSquare size={18} color="#F4E1C1" />
+            </button>
+          )}
           <button
             onClick={() => {
               if (isTyping) {
@@ -941,21 +1095,28 @@ export default function ChatPage() {
           <GuidedChatInterface
             userPreferences={userPreferences}
             userLocation={userLocation}
-            onPlanComplete={(plan) => {
+            onPlanComplete={(plan, multiDayPlan, weather = []) => {
               setCurrentPlan({
-                title: `Guided Rhodes Adventure (${plan.length} places)`,
+                title: multiDayPlan
+                  ? `${multiDayPlan.tripDays}-Day Rhodes Adventure (${plan.length} places)`
+                  : `Guided Rhodes Adventure (${plan.length} places)`,
                 locations: plan,
+                ...(multiDayPlan && { tripType: multiDayPlan.tripType, tripDays: multiDayPlan.tripDays, homeBases: multiDayPlan.homeBases, days: multiDayPlan.days }),
+                weather,
                 timestamp: Date.now(),
                 guided: true
               });
               setPlanSaved(false);
               toast({
                 title: "Your travel plan is ready! 🎉",
-                description: `Created ${plan.length} amazing stops. You can now chat freely to add more or get tips!`,
+                description: multiDayPlan
+                  ? `Created ${plan.length} stops across ${multiDayPlan.tripDays} days. You can now chat freely to add more or get tips!`
+                  : `Created ${plan.length} amazing stops. You can now chat freely to add more or get tips!`,
                 duration: 5000,
               });
             }}
             onPlanUpdate={handleStepByStepPlanUpdate}
+            onRequestStart={setAbortController}
           />
         </div>
       ) : planningMode === 'stepByStep' ? (
@@ -1026,7 +1187,17 @@ export default function ChatPage() {
           );
         })}
         </AnimatePresence>
-        {isTyping && <AiLoadingAnimation />}
+        {isTyping && (streamSteps.length > 0 || streamingText ? (
+          <div className="flex flex-col items-start gap-1">
+            <AgentStatusIndicator isAgentMode={USE_AGENT_FRAMEWORK} liveSteps={streamSteps} />
+            {/* Markers like |||PREFERENCES||| are only parsed once the answer is complete */}
+            {streamingText.split('|||')[0].trim() && (
+              <div className="w-full">
+                <ChatBubble sender="ai" message={streamingText.split('|||')[0].trim()} time={new Date()} blur={blurNext} />
+              </div>
+            )}
+          </div>
+        ) : <AiLoadingAnimation />)}
         <div ref={chatEndRef} />
         </div>
       )}
@@ -1143,6 +1314,15 @@ export default function ChatPage() {
       {/* Toast notifications */}
       <Toaster />
 
+      <ChatSessionsPanel
+        open={showSessions}
+        onOpenChange={setShowSessions}
+        currentSessionId={sessionId}
+        onResume={handleResumeSession}
+        onNewChat={handleNewSession}
+        onDeleted={(id) => { if (id === sessionId) handleNewSession(); }}
+      />
+
       {/* dialog JSX after footer */}
       <Dialog open={showNameDialog} onOpenChange={setShowNameDialog}>
         <DialogContent className="bg-[#181c2c] text-[#F4E1C1] border border-yellow-400/20 shadow-2xl rounded-2xl p-0 overflow-hidden max-w-md">
@@ -1166,7 +1346,9 @@ export default function ChatPage() {
                 onClick={async () => {
                   try {
                     const { savePlan } = await import('@/utils/plans');
-                    const ok = await savePlan({ ...currentPlan, title: planName || currentPlan.title, chatHistory: messages }, user);
+                    const { schedulePlan } = await import('@/utils/schedule');
+                    const scheduledPlan = schedulePlan(currentPlan, userPreferences || {});
+                    const ok = await savePlan({ ...scheduledPlan, title: planName || currentPlan.title, chatHistory: messages }, user);
                     if (ok) {
                       setPlanSaved(true);
                       setShowNameDialog(false);
@@ -1392,6 +1574,8 @@ function PlanConfigurator({ onSubmit }) {
   const [startTime, setStartTime] = useState(null);
   const [companions, setCompanions] = useState(null);
   const [numberOfPOIs, setNumberOfPOIs] = useState(5);
+  const [tripDays, setTripDays] = useState(1);
+  const [hotel, setHotel] = useState("");
   const [extraDetails, setExtraDetails] = useState("");
 
   const isReady = Boolean(pace || waterActivities !== null || transport || startTime || companions);
@@ -1493,9 +1677,40 @@ function PlanConfigurator({ onSubmit }) {
         </div>
       </div>
 
+      {/* Trip Length */}
+      <div className="space-y-1 md:space-y-2 text-left">
+        <h3 className="text-sm md:text-base font-semibold bg-gradient-to-r from-sky-300 to-blue-400 bg-clip-text text-transparent uppercase tracking-wide text-center w-full">📅 Trip Length</h3>
+        <div className="flex flex-nowrap gap-2 justify-center overflow-x-auto pb-1 hide-scrollbar">
+          {[
+            { label: '1 day', value: 1 },
+            { label: '2 days', value: 2 },
+            { label: '3 days', value: 3 },
+            { label: '5 days', value: 5 },
+            { label: '1 week', value: 7 },
+          ].map((opt) => (
+            <button
+              key={opt.value}
+              className={`${pillBase} ${tripDays === opt.value ? selectedPill : unselectedPill}`}
+              onClick={() => setTripDays(opt.value)}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+        {tripDays > 1 && (
+          <input
+            type="text"
+            value={hotel}
+            onChange={(e) => setHotel(e.target.value)}
+            placeholder="🏨 Your hotel (optional), e.g. Lindos Blu"
+            className="w-full rounded-full px-3 py-2 md:px-4 bg-white/10 text-white placeholder:text-white/60 focus:outline-none focus:ring-2 focus:ring-sky-400/60 text-xs md:text-sm"
+          />
+        )}
+      </div>
+
       {/* Number of POIs */}
       <div className="space-y-1 md:space-y-2 text-left">
-        <h3 className="text-sm md:text-base font-semibold bg-gradient-to-r from-amber-400 to-yellow-500 bg-clip-text text-transparent uppercase tracking-wide text-center w-full">📍 Places to Visit</h3>
+        <h3 className="text-sm md:text-base font-semibold bg-gradient-to-r from-amber-400 to-yellow-500 bg-clip-text text-transparent uppercase tracking-wide text-center w-full">📍 {tripDays > 1 ? 'Places per Day' : 'Places to Visit'}</h3>
         <div className="flex flex-nowrap gap-2 justify-center overflow-x-auto pb-1 hide-scrollbar">
           {[
             { label: '🎯 3 places', value: 3 },
@@ -1533,14 +1748,14 @@ function PlanConfigurator({ onSubmit }) {
       <motion.button
         whileHover={isReady ? { scale: 1.03 } : {}}
         disabled={!isReady}
-        onClick={() => onSubmit({ pace, waterActivities, transport, startTime, companions, numberOfPOIs, extraDetails })}
+        onClick={() => onSubmit({ pace, waterActivities, transport, startTime, companions, numberOfPOIs, tripDays, hotel: hotel.trim(), extraDetails })}
         className={`w-full py-2 md:py-3 rounded-full text-xs md:text-sm font-bold uppercase tracking-wide transition-colors ${
           isReady
             ? 'bg-gradient-to-r from-yellow-400 to-orange-500 text-[#242b50] shadow-lg'
             : 'bg-white/10 text-white/40 cursor-not-allowed'
         }`}
       >
-        Plan My Day ✨
+        {tripDays > 1 ? 'Plan My Trip ✨' : 'Plan My Day ✨'}
       </motion.button>
     </motion.div>
   );
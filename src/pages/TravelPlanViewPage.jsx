@@ -3,7 +3,9 @@ import { useParams, useNavigate } from 'react-router-dom';
 import Map, { Marker, Source, Layer } from 'react-map-gl';
 import './TravelPlanViewPage.css';
 import Logo from '@/components/ui/Logo';
-import { getSavedPlans } from '@/utils/plans';
+import WeatherCard from '@/components/WeatherCard';
+import { getSavedPlans, getSharedPlan } from '@/utils/plans';
+import { getPlanDays } from '@/utils/schedule';
 import { ArrowLeft } from 'lucide-react';
 import { useUser } from '@/components/ThemeProvider';
 
@@ -21,11 +23,15 @@ async function fetchMapboxRoute(coords) {
 
 export default function TravelPlanViewPage() {
   const { user, loading } = useUser();
-  const { id } = useParams();
+  // /plans/:id is the owner's view; /shared/:token is the public read-only view
+  const { id, token } = useParams();
+  const isShared = Boolean(token);
   const navigate = useNavigate();
   const [plan, setPlan] = useState(null);
+  const [loadError, setLoadError] = useState(null);
   const [route, setRoute] = useState([]);
   const [routeError, setRouteError] = useState(null);
+  const [selectedDay, setSelectedDay] = useState(0);
   const [viewState, setViewState] = useState({
     longitude: 28.1,
     latitude: 36.1,
@@ -34,18 +40,26 @@ export default function TravelPlanViewPage() {
 
   // Handle both backend plans (plan.data.locations) and localStorage plans (plan.locations)
   const planData = plan?.data || plan;
-  const coords = planData?.locations
-    ? planData.locations.map((l) => l.location?.coordinates).filter(Boolean)
+  // Multi-day plans show one day's stops and route at a time
+  const days = planData ? getPlanDays(planData) : [];
+  const activeDay = days[Math.min(selectedDay, days.length - 1)];
+  const coords = activeDay
+    ? activeDay.locations.map((l) => l.location?.coordinates).filter(Boolean)
     : [];
 
   useEffect(() => {
     async function loadPlan() {
       try {
-        const plans = await getSavedPlans(user);
-        // Try to find by database ID first, then by timestamp
-        const foundPlan = plans.find((pl) => 
-          String(pl.id) === id || String(pl.timestamp) === id
-        );
+        let foundPlan;
+        if (isShared) {
+          foundPlan = await getSharedPlan(token);
+        } else {
+          const plans = await getSavedPlans(user);
+          // Try to find by database ID first, then by timestamp
+          foundPlan = plans.find((pl) => 
+            String(pl.id) === id || String(pl.timestamp) === id
+          );
+        }
         
         if (!foundPlan) {
           navigate('/plans');
@@ -66,12 +80,16 @@ export default function TravelPlanViewPage() {
         }
       } catch (error) {
         console.error('Failed to load plan:', error);
+        if (isShared) {
+          setLoadError(error.message);
+          return;
+        }
         navigate('/plans');
       }
     }
     
     loadPlan();
-  }, [id, navigate, user]);
+  }, [id, token, isShared, navigate, user]);
 
   useEffect(() => {
     if (coords.length > 1) {
@@ -84,8 +102,28 @@ export default function TravelPlanViewPage() {
     }
   }, [JSON.stringify(coords)]);
 
+  if (loadError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-white p-4">
+        <div className="bg-black/40 backdrop-blur-md border border-white/10 rounded-2xl p-8 max-w-md text-center">
+          <h1 className="text-xl font-bold text-[#E8D5A4] mb-2">Plan unavailable</h1>
+          <p className="text-sm text-[#F4E1C1]/80 mb-6">{loadError}. Ask the owner for a new link.</p>
+          <button
+            onClick={() => navigate('/')}
+            className="px-4 py-2 bg-[#E8D5A4] text-[#242b50] rounded-lg hover:bg-[#CAB17B] transition"
+          >
+            Plan your own trip
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   if (!plan) return null;
 
+  const { locations: scheduledStops, timetable } = activeDay;
+  const isMultiDay = days.length > 1;
+
   const routeLayer = {
     id: 'route',
     type: 'line',
@@ -115,9 +153,9 @@ export default function TravelPlanViewPage() {
         <div className="flex items-center relative">
           {/* Back arrow on the left */}
           <button
-            onClick={() => navigate('/plans')}
+            onClick={() => navigate(isShared ? '/' : '/plans')}
             className="text-white text-2xl mr-4 focus:outline-none z-10"
-            aria-label="Back to Plans"
+            aria-label={isShared ? 'Go to Home' : 'Back to Plans'}
           >
             <ArrowLeft className="w-7 h-7" />
           </button>
@@ -145,7 +183,7 @@ export default function TravelPlanViewPage() {
           mapboxAccessToken={import.meta.env.VITE_MAPBOX_ACCESS_TOKEN}
         >
           {/* Markers */}
-          {planData.locations?.map((loc, idx) => {
+          {scheduledStops.map((loc, idx) => {
             const c = loc.location?.coordinates;
             if (!c) return null;
             return (
@@ -181,9 +219,52 @@ export default function TravelPlanViewPage() {
         <h2 className="text-xl font-bold text-[#E8D5A4] mb-2">
           {plan.name || plan.title || 'Travel Plan'}
         </h2>
+        {isShared && (
+          <div className="text-xs text-[#F4E1C1]/60 mb-1">Shared plan • read-only</div>
+        )}
         <div className="text-sm text-[#F4E1C1]/80">
-          {planData.locations?.length || 0} locations • {planData.companions || 'Solo'} trip
+          {planData.locations?.length || 0} locations • {isMultiDay && `${days.length} days • `}{planData.companions || 'Solo'} trip
+          {scheduledStops.length > 0 && ` • ${timetable.startTime}–${timetable.endTime}`}
         </div>
+        {isMultiDay && (
+          <div className="mt-3 flex gap-2 overflow-x-auto">
+            {days.map((day, idx) => (
+              <button
+                key={day.day}
+                onClick={() => setSelectedDay(idx)}
+                className={`px-3 py-1 rounded-full text-xs font-semibold whitespace-nowrap transition ${
+                  activeDay === day ? 'bg-[#E8D5A4] text-black' : 'bg-white/10 text-[#F4E1C1]/80 hover:bg-white/20'
+                }`}
+              >
+                Day {day.day}
+              </button>
+            ))}
+          </div>
+        )}
+        {isMultiDay && (
+          <div className="mt-2 text-sm">
+            <div className="font-semibold text-[#E8D5A4]">{activeDay.title || `Day ${activeDay.day}`}</div>
+            {activeDay.homeBase?.name && (
+              <div className="text-xs text-[#F4E1C1]/70">🏨 Night at {activeDay.homeBase.name}</div>
+            )}
+          </div>
+        )}
+        <div className="mt-3">
+          <WeatherCard weatherData={planData.weather?.[days.indexOf(activeDay)]} />
+        </div>
+        {scheduledStops.length > 0 && (
+          <ol className="mt-3 space-y-1 text-sm">
+            {scheduledStops.map((loc, idx) => (
+              <li key={idx}>
+                <span className="text-[#E8D5A4] font-mono">{loc.schedule.arrival}–{loc.schedule.departure}</span>
+                <span className="text-[#F4E1C1]/90 ml-2">{loc.name}</span>
+                {loc.openingHoursWarning && (
+                  <div className="text-xs text-amber-300 ml-1">⚠️ {loc.openingHoursWarning}</div>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
       </div>
     </div>
   );
@@ -1,16 +1,25 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Logo from '@/components/ui/Logo';
-import { getSavedPlans, deletePlan } from '@/utils/plans';
+import { getSavedPlans, deletePlan, sharePlan, revokePlanShare, importPlanFile, PLAN_IMPORT_ACCEPT } from '@/utils/plans';
 import LocationCard from '@/components/LocationCard';
-import { ArrowLeft, MessageCircle } from 'lucide-react';
+import { ArrowLeft, MessageCircle, Upload } from 'lucide-react';
 import { useUser } from '@/components/ThemeProvider';
 import { useToast } from '@/components/ui/use-toast';
 import { Toaster } from '@/components/ui/toaster';
 
+// Server-side exports of a saved plan (see backend/plan-export.js)
+const EXPORT_LINKS = [
+  { format: 'gpx', label: 'GPX', title: 'Stops and route for GPS and hiking apps' },
+  { format: 'kml', label: 'KML', title: 'Stops and route for Google Earth / My Maps' },
+  { format: 'ics', label: 'Calendar', title: 'One calendar event per stop' },
+  { format: 'pdf', label: 'Print / PDF', title: 'Printable itinerary (save as PDF from the print dialog)' }
+];
+
 export default function TravelPlansPage() {
   const [plans, setPlans] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
   const { user } = useUser();
   const { toast } = useToast();
   const navigate = useNavigate();
@@ -32,6 +41,61 @@ export default function TravelPlansPage() {
     loadPlans();
   }, [user]);
 
+  const handleShare = async (plan) => {
+    try {
+      const { url, expiresAt } = await sharePlan(plan.id);
+      try {
+        await navigator.clipboard.writeText(url);
+      } catch {
+        // Clipboard blocked (e.g. insecure origin) - the link is still shown under the plan
+      }
+      toast({
+        title: 'Share link copied',
+        description: `Anyone with the link can view this plan until ${new Date(expiresAt).toLocaleDateString()}. Sharing again replaces the old link.`
+      });
+      setPlans(await getSavedPlans(user));
+      return url;
+    } catch (error) {
+      console.error('Error sharing plan:', error);
+      toast({ title: 'Could not create share link', description: error.message, variant: 'destructive' });
+      return null;
+    }
+  };
+
+  const handleRevokeShare = async (plan) => {
+    try {
+      await revokePlanShare(plan.id);
+      toast({ title: 'Sharing stopped', description: 'The old link no longer works.' });
+      setPlans(await getSavedPlans(user));
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      toast({ title: 'Could not stop sharing', description: error.message, variant: 'destructive' });
+    }
+  };
+
+  // Imported files become the current (unsaved) plan and open in the chat's plan editor
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    try {
+      const { plan, summary } = await importPlanFile(file);
+      sessionStorage.setItem('wr_current_plan', JSON.stringify(plan));
+      toast({
+        title: `Imported ${summary.total} place${summary.total === 1 ? '' : 's'}`,
+        description: `${summary.matched} matched our Rhodes guide, ${summary.unmatched} kept as custom locations.${summary.truncated ? ' Only the first places in the file were imported.' : ''}`
+      });
+      navigate('/chat?import=true');
+    } catch (error) {
+      console.error('Error importing plan:', error);
+      toast({ title: 'Could not import file', description: error.message, variant: 'destructive' });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
   const handleDelete = async (planIdentifier) => {
     try {
       const success = await deletePlan(planIdentifier, user);
@@ -115,6 +179,16 @@ export default function TravelPlansPage() {
       </header>
 
       <main className="flex-1 overflow-y-auto p-4 space-y-6">
+        <div className="flex justify-end">
+          <label
+            className={`flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 transition text-sm cursor-pointer ${isImporting ? 'opacity-60 pointer-events-none' : ''}`}
+            title="Start a draft plan from a GPX, KML or GeoJSON file (e.g. a Google Maps saved list)"
+          >
+            <Upload className="w-4 h-4" />
+            {isImporting ? 'Importing…' : 'Import GPX / KML / GeoJSON'}
+            <input type="file" accept={PLAN_IMPORT_ACCEPT} onChange={handleImport} className="hidden" disabled={isImporting} />
+          </label>
+        </div>
         {isLoading ? (
           <div className="text-center mt-20">
             <div className="bg-white/5 backdrop-blur-lg border border-white/15 rounded-2xl p-8 max-w-md mx-auto">
@@ -140,6 +214,8 @@ export default function TravelPlansPage() {
               key={plan.id || plan.timestamp} 
               plan={plan} 
               onDelete={() => handleDelete(plan.id || plan.timestamp)}
+              onShare={() => handleShare(plan)}
+              onRevokeShare={() => handleRevokeShare(plan)}
               user={user}
             />
           ))
@@ -150,8 +226,9 @@ export default function TravelPlansPage() {
   );
 }
 
-function PlanItem({ plan, onDelete, user }) {
+function PlanItem({ plan, onDelete, onShare, onRevokeShare, user }) {
   const [expanded, setExpanded] = useState(false);
+  const [shareUrl, setShareUrl] = useState(null);
   const navigate = useNavigate();
   
   // Handle both new backend format and legacy localStorage format
@@ -160,6 +237,9 @@ function PlanItem({ plan, onDelete, user }) {
   const planTimestamp = plan.timestamp || (plan.createdAt ? new Date(plan.createdAt).getTime() : Date.now());
   const planData = plan.data || plan; // Backend plans have data property, localStorage plans are the data itself
   const locations = planData.locations || [];
+  const tripDays = Array.isArray(planData.days) ? planData.days.length : 1;
+  // Only plans saved to an account can be shared or exported
+  const isSavedToAccount = Boolean(user?.email && plan.id && plan.createdAt);
 
   return (
     <div className="bg-white/5 backdrop-blur-lg border border-white/15 rounded-2xl p-4 shadow-lg hover:shadow-xl transition">
@@ -167,9 +247,17 @@ function PlanItem({ plan, onDelete, user }) {
         <div>
           <h3 className="font-bold text-lg text-yellow-400">{planName}</h3>
           <p className="text-xs text-white/70">{new Date(planTimestamp).toLocaleString()}</p>
+          {tripDays > 1 && (
+            <p className="text-xs text-white/60">{tripDays} days • {locations.length} places</p>
+          )}
           {user?.email && plan.createdAt && (
             <p className="text-xs text-green-400/70">Saved to account</p>
           )}
+          {plan.shared && (
+            <p className="text-xs text-sky-300/80">
+              Shared via link{plan.shareExpiresAt && ` until ${new Date(plan.shareExpiresAt).toLocaleDateString()}`}
+            </p>
+          )}
         </div>
         <div className="flex gap-3 items-center">
           <button
@@ -190,6 +278,29 @@ function PlanItem({ plan, onDelete, user }) {
           >
             Chat
           </button>
+          {isSavedToAccount && (
+            <button
+              onClick={async (e) => {
+                e.stopPropagation();
+                setShareUrl(await onShare());
+              }}
+              className="px-3 py-1 text-[10px] font-semibold rounded-full bg-sky-500/20 text-sky-200 hover:bg-sky-500/40 transition"
+            >
+              {plan.shared ? 'New link' : 'Share'}
+            </button>
+          )}
+          {isSavedToAccount && plan.shared && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setShareUrl(null);
+                onRevokeShare();
+              }}
+              className="px-3 py-1 text-[10px] font-semibold rounded-full bg-white/10 hover:bg-white/20 transition"
+            >
+              Unshare
+            </button>
+          )}
           <button
             onClick={(e) => {
               e.stopPropagation();
@@ -201,10 +312,44 @@ function PlanItem({ plan, onDelete, user }) {
           </button>
         </div>
       </div>
+      {shareUrl && (
+        <input
+          readOnly
+          value={shareUrl}
+          onFocus={(e) => e.target.select()}
+          onClick={(e) => e.stopPropagation()}
+          className="mt-3 w-full bg-black/30 border border-white/15 rounded-lg px-3 py-1.5 text-xs text-white/80"
+          aria-label="Share link"
+        />
+      )}
+      {expanded && isSavedToAccount && (
+        <div className="mt-3 flex flex-wrap gap-2 items-center text-[10px]" onClick={(e) => e.stopPropagation()}>
+          <span className="text-white/60">Download:</span>
+          {EXPORT_LINKS.map(({ format, label, title }) => (
+            <a
+              key={format}
+              href={`/api/plans/${plan.id}/export?format=${format}`}
+              target={format === 'pdf' ? '_blank' : undefined}
+              rel="noreferrer"
+              title={title}
+              className="px-3 py-1 font-semibold rounded-full bg-white/10 hover:bg-white/20 transition"
+            >
+              {label}
+            </a>
+          ))}
+        </div>
+      )}
       {expanded && (
         <div className="mt-4 space-y-4">
           {locations.map((loc, idx) => (
-            <LocationCard key={idx} location={loc} />
+            <React.Fragment key={idx}>
+              {tripDays > 1 && loc.day && loc.day !== locations[idx - 1]?.day && (
+                <h4 className="text-sm font-semibold text-yellow-300/90">
+                  {planData.days[loc.day - 1]?.title || `Day ${loc.day}`}
+                </h4>
+              )}
+              <LocationCard location={loc} />
+            </React.Fragment>
           ))}
         </div>
       )}
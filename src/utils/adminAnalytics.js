@@ -0,0 +1,53 @@
+// src/utils/adminAnalytics.js
+// Reports for the admin dashboard (payments, conversion, usage) from /api/admin/analytics.
+// Ranges are inclusive YYYY-MM-DD dates in UTC, as the backend reads them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * The last `days` days including today
+ */
+export function lastDays(days, now = Date.now()) {
+  return { from: toDateString(now - (days - 1) * DAY_MS), to: toDateString(now) };
+}
+
+function reportPath(report, { from, to }, format) {
+  const params = new URLSearchParams({ from, to });
+  if (format) params.set('format', format);
+  return `/api/admin/analytics/${report}?${params}`;
+}
+
+export async function fetchAdminReport(report, range) {
+  const response = await fetch(reportPath(report, range), { credentials: 'include' });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(result.error || 'Failed to load report');
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+}
+
+/**
+ * Link target for the CSV export (served as an attachment)
+ */
+export function adminReportCsvUrl(report, range) {
+  return reportPath(report, range, 'csv');
+}
+
+/**
+ * Amounts arrive in minor units (cents)
+ */
+export function formatMoney(minorUnits, currency = 'eur') {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency.toUpperCase() }).format(minorUnits / 100);
+  } catch {
+    return `${(minorUnits / 100).toFixed(2)} ${currency.toUpperCase()}`;
+  }
+}
+
+export function formatPercent(ratio) {
+  return `${(ratio * 100).toFixed(1)}%`;
+}
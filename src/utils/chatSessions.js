@@ -0,0 +1,65 @@
+// src/utils/chatSessions.js
+// Server-side chat sessions for signed-in users: list, resume, rename and delete.
+// The id of the open conversation is kept locally so a reload continues it.
+
+const SESSION_KEY = 'wr_chat_session_id';
+
+export function newChatSessionId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+export function getStoredSessionId() {
+  try {
+    return localStorage.getItem(SESSION_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function storeSessionId(sessionId) {
+  try {
+    localStorage.setItem(SESSION_KEY, sessionId);
+  } catch {}
+}
+
+async function callSessionsAPI(path = '', { method = 'GET', body } = {}) {
+  const response = await fetch(`/api/sessions${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    credentials: 'include',
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(result.error || 'Chat sessions request failed');
+    error.status = response.status;
+    throw error;
+  }
+  return result;
+}
+
+export async function listChatSessions() {
+  const result = await callSessionsAPI();
+  return result.sessions;
+}
+
+// { session, messages } - null when the conversation has not been stored yet
+export async function getChatSession(sessionId) {
+  try {
+    return await callSessionsAPI(`/${encodeURIComponent(sessionId)}`);
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+export async function renameChatSession(sessionId, title) {
+  const result = await callSessionsAPI(`/${encodeURIComponent(sessionId)}`, { method: 'PATCH', body: { title } });
+  return result.session;
+}
+
+export async function deleteChatSession(sessionId) {
+  await callSessionsAPI(`/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+  return true;
+}
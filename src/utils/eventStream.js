@@ -0,0 +1,87 @@
+// src/utils/eventStream.js
+// Client side of the streamed chat endpoints (backend/event-stream.js)
+
+function parseFrame(frame) {
+  let event = 'message';
+  const data = [];
+  for (const line of frame.split('\n')) {
+    if (line.startsWith(':')) continue; // heartbeat comment
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  }
+  if (data.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * POST JSON to a streaming endpoint.
+ * onEvent(event, data) is called for every `status`, `token` and `reset` event.
+ * Resolves to { response, data }: data is the final `done` body (or the `error`
+ * body), response has the ok/status of that outcome plus the HTTP headers.
+ * Servers that answer with plain JSON (quota limits, older deployments) work
+ * the same way, just without the progress events.
+ * Aborting `signal` rejects with an AbortError, like fetch.
+ */
+export async function postEventStream(url, body, { signal, onEvent = () => {} } = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    credentials: 'include',
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!(res.headers.get('Content-Type') || '').includes('text/event-stream') || !res.body) {
+    const data = await res.json().catch(() => ({}));
+    return { response: res, data };
+  }
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  let outcome = null;
+
+  while (!outcome) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value.replace(/\r\n/g, '\n');
+
+    let boundary;
+    while (!outcome && (boundary = buffer.indexOf('\n\n')) !== -1) {
+      const frame = parseFrame(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (!frame) continue;
+
+      if (frame.event === 'done') {
+        outcome = { response: { ok: true, status: res.status, headers: res.headers }, data: frame.data };
+      } else if (frame.event === 'error') {
+        outcome = { response: { ok: false, status: frame.data.status || 500, headers: res.headers }, data: frame.data };
+      } else {
+        onEvent(frame.event, frame.data);
+      }
+    }
+  }
+
+  if (!outcome) {
+    throw new Error('The connection closed before the response was complete');
+  }
+  reader.cancel().catch(() => {});
+  return outcome;
+}
+
+/**
+ * Keep a short, readable list of progress steps from `status` events:
+ * a step that finishes replaces the matching "started" entry.
+ */
+export function addStatusEvent(steps, status) {
+  if (status.stage === 'tool_finished' || status.stage === 'tool_failed') {
+    const index = steps.findLastIndex((step) => step.stage === 'tool_started' && step.tool === status.tool);
+    if (index !== -1) {
+      return steps.map((step, i) => (i === index ? { ...step, done: true, failed: status.stage === 'tool_failed' } : step));
+    }
+  }
+  return [...steps, status].slice(-6);
+}
@@ -28,15 +28,13 @@ function deleteLocalPlan(timestamp) {
 }
 
 // Backend API helpers
-async function callUserDataAPI(action, data = {}) {
+async function callUserDataAPI(path, { method = 'GET', body } = {}) {
   try {
-    const response = await fetch('/api/user-data', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+    const response = await fetch(path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
       credentials: 'include', // Include cookies for authentication
-      body: JSON.stringify({ action, data })
+      body: body ? JSON.stringify(body) : undefined
     });
 
     const result = await response.json();
@@ -47,17 +45,20 @@ async function callUserDataAPI(action, data = {}) {
     
     return result;
   } catch (error) {
-    console.error(`API call failed (${action}):`, error.message);
+    console.error(`API call failed (${method} ${path}):`, error.message);
     throw error;
   }
 }
 
+const planPath = (planId) => `/api/plans/${encodeURIComponent(planId)}`;
+const messagesPath = (sessionId) => `/api/sessions/${encodeURIComponent(sessionId)}/messages`;
+
 // Main API functions
 export async function getSavedPlans(user = null) {
   // If user is authenticated, get plans from backend
   if (user?.email) {
     try {
-      const result = await callUserDataAPI('get_travel_plans');
+      const result = await callUserDataAPI('/api/plans');
       console.log(`📋 Retrieved ${result.plans.length} plans from backend for ${user.email}`);
       return result.plans;
     } catch (error) {
@@ -117,9 +118,9 @@ export async function savePlan(plan, user = null) {
         return false; // quota reached
       }
 
-      const result = await callUserDataAPI('save_travel_plan', {
-        planData: plan,
-        planName: plan.name || `Rhodes Adventure #${Date.now()}`
+      const result = await callUserDataAPI('/api/plans', {
+        method: 'POST',
+        body: { name: plan.name || `Rhodes Adventure #${Date.now()}`, data: plan }
       });
 
       console.log(`💾 Saved plan to backend for ${user.email}: ${plan.name}`);
@@ -154,7 +155,7 @@ export async function deletePlan(planIdentifier, user = null) {
     try {
       // For backend plans, planIdentifier is the plan ID
       if (typeof planIdentifier === 'number') {
-        await callUserDataAPI('delete_travel_plan', { planId: planIdentifier });
+        await callUserDataAPI(planPath(planIdentifier), { method: 'DELETE' });
         console.log(`🗑️ Deleted plan ${planIdentifier} from backend for ${user.email}`);
         return true;
       }
@@ -173,7 +174,7 @@ export async function deletePlan(planIdentifier, user = null) {
 export async function saveUserPreferences(preferences, user = null) {
   if (user?.email) {
     try {
-      await callUserDataAPI('save_preferences', { preferences });
+      await callUserDataAPI('/api/preferences', { method: 'PUT', body: { preferences } });
       console.log(`⚙️ Saved preferences for ${user.email}`);
       return true;
     } catch (error) {
@@ -187,7 +188,7 @@ export async function saveUserPreferences(preferences, user = null) {
 export async function getUserPreferences(user = null) {
   if (user?.email) {
     try {
-      const result = await callUserDataAPI('get_preferences');
+      const result = await callUserDataAPI('/api/preferences');
       console.log(`⚙️ Retrieved preferences for ${user.email}`);
       return result.preferences;
     } catch (error) {
@@ -202,7 +203,7 @@ export async function getUserPreferences(user = null) {
 export async function saveChatMessage(sessionId, messageData, user = null) {
   if (user?.email && sessionId) {
     try {
-      await callUserDataAPI('save_chat_message', { sessionId, messageData });
+      await callUserDataAPI(messagesPath(sessionId), { method: 'POST', body: messageData });
       return true;
     } catch (error) {
       console.error('Failed to save chat message:', error.message);
@@ -215,7 +216,7 @@ export async function saveChatMessage(sessionId, messageData, user = null) {
 export async function getChatHistory(sessionId, user = null) {
   if (user?.email && sessionId) {
     try {
-      const result = await callUserDataAPI('get_chat_history', { sessionId });
+      const result = await callUserDataAPI(messagesPath(sessionId));
       return result.messages;
     } catch (error) {
       console.error('Failed to get chat history:', error.message);
@@ -228,7 +229,7 @@ export async function getChatHistory(sessionId, user = null) {
 export async function clearChatHistory(sessionId, user = null) {
   if (user?.email && sessionId) {
     try {
-      await callUserDataAPI('clear_chat_history', { sessionId });
+      await callUserDataAPI(messagesPath(sessionId), { method: 'DELETE' });
       return true;
     } catch (error) {
       console.error('Failed to clear chat history:', error.message);
@@ -236,4 +237,47 @@ export async function clearChatHistory(sessionId, user = null) {
     }
   }
   return false;
-} 
\ No newline at end of file
+}
+
+// Plan sharing (read-only public links)
+export function getShareUrl(shareToken) {
+  return `${window.location.origin}/#/shared/${shareToken}`;
+}
+
+export async function sharePlan(planId, expiresInDays) {
+  const result = await callUserDataAPI(`${planPath(planId)}/share`, { method: 'POST', body: { expiresInDays } });
+  return { url: getShareUrl(result.shareToken), expiresAt: result.shareExpiresAt };
+}
+
+export async function revokePlanShare(planId) {
+  await callUserDataAPI(`${planPath(planId)}/share`, { method: 'DELETE' });
+  return true;
+}
+
+// Public - no login needed; throws with the server's message for expired/revoked links
+export async function getSharedPlan(shareToken) {
+  const response = await fetch(`/api/shared-plan?token=${encodeURIComponent(shareToken)}`);
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || 'Shared plan not found');
+  }
+  return result.plan;
+}
+
+// Plan import - GPX/KML/GeoJSON file to a draft plan (not saved until the user saves it)
+export const PLAN_IMPORT_ACCEPT = '.gpx,.kml,.geojson,.json';
+
+export async function importPlanFile(file) {
+  const content = await file.text();
+  const response = await fetch('/api/plans/import', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'include',
+    body: JSON.stringify({ filename: file.name, content })
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || 'Could not import this file');
+  }
+  return result; // { plan, summary }
+}
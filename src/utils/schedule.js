@@ -0,0 +1,37 @@
+// src/utils/schedule.js
+// Client-side access to the itinerary scheduler shared with the backend, so plans
+// can be re-timed instantly when stops are reordered or edited
+
+import {
+  attachSchedule,
+  dropStaleTravel,
+  getScheduleOptions
+} from '../../backend/itinerary-scheduler.js';
+import { normalizeTravelPlanData, scheduleDay } from '../../backend/multi-day-planner.js';
+
+// Saved-plan readers are shared with the server-side exporters
+export { getPlanTimetable, getPlanDays } from '../../backend/multi-day-planner.js';
+
+/**
+ * Schedule stops in their current order
+ * `measuredOrder` is the order the stops' `travel` times were measured in;
+ * legs that changed since then fall back to estimates.
+ */
+export function scheduleLocations(locations, preferences = {}, measuredOrder = locations) {
+  return attachSchedule(dropStaleTravel(measuredOrder, locations), getScheduleOptions(preferences));
+}
+
+/**
+ * Plan with an up-to-date timetable, ready to be saved
+ * Multi-day plans are re-timed day by day.
+ */
+export function schedulePlan(plan, preferences = {}) {
+  const options = { ...preferences, startTime: plan.startTime || preferences.startTime };
+  if (Array.isArray(plan.days) && plan.days.length > 0) {
+    const normalized = normalizeTravelPlanData(plan);
+    const days = normalized.days.map(day => scheduleDay(day, options));
+    return { ...normalized, startTime: days[0].timetable.startTime, days, locations: days.flatMap(day => day.locations) };
+  }
+  const { locations, timetable } = scheduleLocations(plan.locations || [], options);
+  return { ...plan, startTime: timetable.startTime, locations, timetable };
+}
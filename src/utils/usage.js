@@ -0,0 +1,41 @@
+// src/utils/usage.js
+
+/**
+ * Read the quota headers the backend attaches to metered responses.
+ * Returns null when the response carries no usage information.
+ */
+export function readUsageHeaders(res) {
+  const remaining = res?.headers?.get('X-Usage-Remaining');
+  if (remaining == null) return null;
+  const limit = res.headers.get('X-Usage-Limit');
+  const reset = res.headers.get('X-Usage-Reset');
+  const cost = res.headers.get('X-Usage-Cost');
+  return {
+    plan: res.headers.get('X-Usage-Plan'),
+    remaining: Number(remaining),
+    limit: limit != null ? Number(limit) : null,
+    resetAt: reset != null ? Number(reset) * 1000 : null,
+    cost: cost != null ? Number(cost) : null,
+  };
+}
+
+/**
+ * Fetch the caller's current quota without consuming any of it.
+ */
+export async function fetchUsage() {
+  try {
+    const res = await fetch('/api/usage', { credentials: 'include' });
+    if (!res.ok) return null;
+    const { usage } = await res.json();
+    if (!usage) return null;
+    return {
+      plan: usage.plan,
+      remaining: usage.remaining,
+      limit: usage.limit,
+      resetAt: usage.resetAt ? usage.resetAt * 1000 : null,
+      cost: null,
+    };
+  } catch {
+    return null;
+  }
+}